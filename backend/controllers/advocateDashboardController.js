@@ -7,6 +7,7 @@
  * ✅ ADR resolution rates
  * ✅ Unread & recent notifications
  * ✅ Upcoming hearings
+ * ✅ Upcoming & overdue deadlines
  * ------------------------------------------------------------
  */
 
@@ -14,8 +15,10 @@ import Case from "../models/Case.js";
 import Task from "../models/Task.js";
 import Notification from "../models/Notification.js";
 import Arbitration from "../models/Arbitration.js";
+import Deadline from "../models/Deadline.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import { emitSocketEvent } from "../utils/socketEmitter.js";
+import { caseAccessQuery } from "../services/casePolicy.js";
 
 /* =======================================================
    🎯 GET ADVOCATE DASHBOARD DATA
@@ -32,6 +35,11 @@ export const getAdvocateDashboard = asyncHandler(async (req, res) => {
     });
   }
 
+  // Deadlines cover every case the advocate can see, not only ones they filed
+  const visibleCases = await Case.find({ ...caseAccessQuery(req.user), isDeleted: false }).distinct("_id");
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const openDeadlines = { case: { $in: visibleCases }, status: "open", isDeleted: false };
+
   // ======================================================
   // Parallel DB queries for performance
   // ======================================================
@@ -42,6 +50,8 @@ export const getAdvocateDashboard = asyncHandler(async (req, res) => {
     recentNotifications,
     adrStats,
     upcomingHearings,
+    upcomingDeadlines,
+    overdueDeadlines,
   ] = await Promise.all([
     // 1️⃣ CASE STATS
     Case.aggregate([
@@ -88,6 +98,22 @@ export const getAdvocateDashboard = asyncHandler(async (req, res) => {
       .sort({ hearingDate: 1 })
       .limit(5)
       .lean(),
+
+    // 7️⃣ UPCOMING DEADLINES (next 14 days)
+    Deadline.find({ ...openDeadlines, dueDate: { $gte: today, $lte: new Date(today.getTime() + 14 * 86400000) } })
+      .select("title kind dueDay case computeError")
+      .populate("case", "title caseNumber")
+      .sort({ dueDate: 1 })
+      .limit(10)
+      .lean(),
+
+    // 8️⃣ OVERDUE DEADLINES
+    Deadline.find({ ...openDeadlines, dueDate: { $lt: today } })
+      .select("title kind dueDay case")
+      .populate("case", "title caseNumber")
+      .sort({ dueDate: 1 })
+      .limit(10)
+      .lean(),
   ]);
 
   // ======================================================
@@ -146,6 +172,10 @@ export const getAdvocateDashboard = asyncHandler(async (req, res) => {
     hearings: {
       upcoming: upcomingHearings,
     },
+    deadlines: {
+      upcoming: upcomingDeadlines,
+      overdue: overdueDeadlines,
+    },
   };
 
   // Optional: emit realtime dashboard refresh event
@@ -0,0 +1,228 @@
+// backend/controllers/arbitrationAwardController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import Arbitration from "../models/Arbitration.js";
+import Award from "../models/Award.js";
+import Case from "../models/Case.js";
+import { queueAwardPdfJob, withFreshPdfUrl } from "./awardPdfJob.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+
+/**
+ * Award issuance workflow for arbitrations
+ *
+ * - The embedded `Arbitration.award` holds the working draft
+ * - Issuing locks the text, marks the arbitration `decided`, creates (or
+ *   updates) the standalone Award document, links it to the Case and
+ *   queues PDF generation — all in one transaction
+ * - Only the assigned arbitrator may draft or issue
+ */
+
+/* ----------------------- helpers ----------------------- */
+const awardView = (arbitration, award = null) => ({
+  arbitrationId: arbitration._id,
+  awardText: arbitration.award?.decisionText || "",
+  decisionDate: arbitration.award?.decisionDate || null,
+  awardAmount: arbitration.award?.awardAmount ?? null,
+  awardStatus: arbitration.award?.issued ? "issued" : "draft",
+  issuedAt: arbitration.award?.issuedAt || null,
+  awardId: arbitration.award?.awardRef || null,
+  awardPdf: award?.awardPdf || arbitration.award?.fileUrl || null,
+  pdfJob: award?.pdfJob || null,
+});
+
+const loadForArbitrator = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ success: false, message: "Invalid arbitration id" });
+    return null;
+  }
+
+  const arbitration = await Arbitration.findById(id);
+  if (!arbitration || arbitration.deleted) {
+    res.status(404).json({ success: false, message: "Arbitration not found" });
+    return null;
+  }
+
+  if (!arbitration.assignedTo || String(arbitration.assignedTo) !== String(req.user._id)) {
+    res.status(403).json({ success: false, message: "Only the assigned arbitrator can manage this award" });
+    return null;
+  }
+
+  return arbitration;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/* =======================================================
+   🔹 Get Award State
+   GET /api/arbitrations/:id/award
+   ======================================================= */
+export const getArbitrationAward = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: "Invalid arbitration id" });
+  }
+
+  const arbitration = await Arbitration.findById(id);
+  if (!arbitration || arbitration.deleted) {
+    return res.status(404).json({ success: false, message: "Arbitration not found" });
+  }
+  if (!arbitration.isParticipant(req.user)) {
+    return res.status(403).json({ success: false, message: "Access denied" });
+  }
+
+  // Parties only see the award once it is issued
+  const isArbitrator = String(arbitration.assignedTo) === String(req.user._id);
+  if (!arbitration.award?.issued && !isArbitrator && req.user.role !== "admin") {
+    return res.json({ success: true, data: { arbitrationId: arbitration._id, awardStatus: "pending" } });
+  }
+
+  const award = arbitration.award?.awardRef
+    ? await Award.findById(arbitration.award.awardRef).select("awardPdf awardPdfKey pdfJob")
+    : null;
+  await withFreshPdfUrl(award);
+
+  res.json({ success: true, data: awardView(arbitration, award) });
+});
+
+/* =======================================================
+   🔹 Save Award Draft
+   PUT /api/arbitrations/:id/award
+   ======================================================= */
+export const saveAwardDraft = asyncHandler(async (req, res) => {
+  const arbitration = await loadForArbitrator(req, res);
+  if (!arbitration) return;
+
+  if (arbitration.award?.issued) {
+    return res.status(409).json({ success: false, message: "Award has already been issued and is locked" });
+  }
+
+  const { awardText, decisionDate, awardAmount } = req.body;
+  const date = parseDate(decisionDate);
+  if (date === undefined) {
+    return res.status(400).json({ success: false, message: "Invalid decision date" });
+  }
+
+  arbitration.award = arbitration.award || {};
+  if (awardText !== undefined) arbitration.award.decisionText = String(awardText);
+  if (decisionDate !== undefined) arbitration.award.decisionDate = date;
+  if (awardAmount !== undefined) arbitration.award.awardAmount = awardAmount === null ? null : Number(awardAmount);
+  arbitration.award.draftUpdatedAt = new Date();
+  arbitration.addAudit("award_draft_saved", req.user._id, {});
+  await arbitration.save();
+
+  res.json({ success: true, message: "Draft saved", data: awardView(arbitration) });
+});
+
+/* =======================================================
+   🔹 Issue Award (locks text, links Award + Case, queues PDF)
+   POST /api/arbitrations/:id/award/issue
+   ======================================================= */
+export const issueArbitrationAward = asyncHandler(async (req, res) => {
+  const arbitration = await loadForArbitrator(req, res);
+  if (!arbitration) return;
+
+  if (arbitration.award?.issued) {
+    return res.status(409).json({ success: false, message: "Award has already been issued" });
+  }
+
+  const decisionText = String(req.body.awardText ?? arbitration.award?.decisionText ?? "").trim();
+  if (!decisionText) {
+    return res.status(400).json({ success: false, message: "Award text is required to issue" });
+  }
+
+  const requestedDate = parseDate(req.body.decisionDate);
+  if (requestedDate === undefined) {
+    return res.status(400).json({ success: false, message: "Invalid decision date" });
+  }
+  const decisionDate = requestedDate || arbitration.award?.decisionDate || new Date();
+  const awardAmount =
+    req.body.awardAmount !== undefined ? Number(req.body.awardAmount) : arbitration.award?.awardAmount ?? null;
+
+  const session = await mongoose.startSession();
+  let award;
+  let linkedCase = null;
+
+  try {
+    session.startTransaction();
+
+    // Create or refresh the standalone Award document
+    award = await Award.findOne({ arbitration: arbitration._id, isDeleted: false }).session(session);
+    const partyIds = (arbitration.parties || []).filter((p) => mongoose.isValidObjectId(p));
+    const fields = {
+      title: award?.title || `Final Award — ${arbitration.caseRef}`,
+      summary: req.body.summary || award?.summary,
+      decisionText,
+      decisionDate,
+      arbitrator: req.user._id,
+      parties: partyIds,
+      signedBy: req.user._id,
+      status: "Finalized",
+      isFinalized: true,
+      updatedBy: req.user._id,
+    };
+
+    if (award) {
+      award.set(fields);
+      award.clearSignature(); // a PDF signed while it was a draft isn't the issued award
+      await award.save({ session });
+    } else {
+      [award] = await Award.create(
+        [{ ...fields, arbitration: arbitration._id, createdBy: req.user._id }],
+        { session }
+      );
+    }
+
+    // Lock the text on the arbitration and mark it decided
+    arbitration.issueAward({
+      decisionText,
+      awardAmount,
+      effectiveDate: arbitration.award?.effectiveDate,
+      decisionDate,
+      issuedBy: req.user._id,
+      awardRef: award._id,
+    });
+    await arbitration.save({ session });
+
+    // Link the award on the case this arbitration belongs to
+    linkedCase = await Case.findOne({
+      $or: [{ arbitration: arbitration._id }, { caseNumber: arbitration.caseRef }],
+      isDeleted: { $ne: true },
+    }).session(session);
+
+    if (linkedCase) {
+      linkedCase.award = award._id;
+      if (!linkedCase.arbitration) linkedCase.arbitration = arbitration._id;
+      await linkedCase.addHistory("Award Issued", req.user._id, award.title, {
+        arbitrationId: arbitration._id,
+        awardId: award._id,
+      });
+    }
+
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  const job = await queueAwardPdfJob(award._id, req.user._id);
+
+  emitSocketEvent("award:issued", [`arbitration:${arbitration._id}`, ...(linkedCase ? [`case_${linkedCase._id}`] : [])], {
+    arbitrationId: arbitration._id,
+    awardId: award._id,
+    caseId: linkedCase?._id || null,
+    jobId: job._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Award issued. PDF generation queued.",
+    data: { ...awardView(arbitration, award), pdfJob: job._id, caseId: linkedCase?._id || null },
+  });
+});
@@ -10,7 +10,10 @@ import fs from "fs";
 import path from "path";
 import Award from "../models/Award.js";
 import Arbitration from "../models/Arbitration.js";
+import { awardAccessQuery } from "../services/accessQueries.js";
 import { saveFile, deleteFile } from "../services/storage.js";
+import { sha256, verifySignature, getPublicKey } from "../utils/awardSigner.js";
+import { withFreshPdfUrl } from "./awardPdfJob.js";
 
 
 /* =======================================================
@@ -54,7 +57,7 @@ export const createAward = async (req, res) => {
 export const getAllAwards = async (req, res) => {
   try {
     const { arbitrationId } = req.query;
-    const query = { isDeleted: false };
+    const query = { isDeleted: false, ...(await awardAccessQuery(req.user)) };
     if (arbitrationId) query.arbitration = arbitrationId;
 
     const awards = await Award.find(query)
@@ -62,6 +65,7 @@ export const getAllAwards = async (req, res) => {
       .populate("arbitrator", "name email")
       .populate("createdBy", "name")
       .sort({ createdAt: -1 });
+    await Promise.all(awards.map(withFreshPdfUrl));
 
     res.json({ count: awards.length, awards });
   } catch (err) {
@@ -84,7 +88,7 @@ export const getAwardById = async (req, res) => {
     if (!award || award.isDeleted)
       return res.status(404).json({ message: "Award not found." });
 
-    res.json(award);
+    res.json(await withFreshPdfUrl(award));
   } catch (err) {
     console.error("❌ Error getting award:", err);
     res.status(500).json({ message: "Failed to retrieve award.", error: err.message });
@@ -94,17 +98,33 @@ export const getAwardById = async (req, res) => {
 /* =======================================================
    ✍️ UPDATE AWARD
    ======================================================= */
+// Editable while the award is a draft; issuing, signing and verifying have their own endpoints
+const EDITABLE_AWARD_FIELDS = ["title", "summary", "decisionText", "decisionDate", "notes", "parties"];
+
 export const updateAward = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    updates.updatedBy = req.user._id;
+    const award = await Award.findById(id);
+    if (!award || award.isDeleted) return res.status(404).json({ message: "Award not found." });
 
-    const award = await Award.findByIdAndUpdate(id, updates, { new: true });
-    if (!award) return res.status(404).json({ message: "Award not found." });
+    // Issued text is locked, and a signed award must keep matching its PDF
+    if (award.isFinalized || award.signatureHash) {
+      return res.status(409).json({ message: "Issued or signed awards can no longer be edited." });
+    }
+
+    const updates = Object.fromEntries(
+      EDITABLE_AWARD_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+    );
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ message: `Nothing to update. Editable fields: ${EDITABLE_AWARD_FIELDS.join(", ")}` });
+    }
+
+    award.set({ ...updates, updatedBy: req.user._id });
+    await award.save();
 
     res.json({ message: "Award updated successfully.", award });
   } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
     console.error("❌ Error updating award:", err);
     res.status(500).json({ message: "Failed to update award.", error: err.message });
   }
@@ -128,6 +148,7 @@ export const uploadAwardFile = async (req, res) => {
     const uploadResult = await uploadFile(req.file, `awards/${award._id}`);
 
     award.awardPdf = uploadResult.url || uploadResult.path;
+    award.awardPdfKey = null; // the generated file's key no longer describes awardPdf
     award.awardGeneratedAt = new Date();
     award.updatedBy = req.user._id;
     await award.save();
@@ -153,6 +174,14 @@ export const verifyAward = async (req, res) => {
     const award = await Award.findById(id);
     if (!award) return res.status(404).json({ message: "Award not found." });
 
+    // Only a signed PDF whose signature still checks out can be approved
+    if (!award.signatureHash || !award.signature) {
+      return res.status(400).json({ message: "Award PDF has not been generated and signed yet." });
+    }
+    if (!verifySignature(award.signatureHash, award.signature)) {
+      return res.status(409).json({ message: "Award signature is invalid." });
+    }
+
     await award.markVerified(verifierId);
     res.json({ message: "Award verified successfully.", award });
   } catch (err) {
@@ -161,6 +190,82 @@ export const verifyAward = async (req, res) => {
   }
 };
 
+/* =======================================================
+   🌐 PUBLIC VERIFICATION (no auth)
+   GET  /api/awards/verify/:code[?sha256=<hex>]
+   POST /api/awards/verify/:code   (multipart "file" = PDF to check)
+   ======================================================= */
+export const verifyAwardPublic = async (req, res) => {
+  try {
+    const code = String(req.params.code || "").trim().toUpperCase();
+    // Drafts are never the award, whatever they carry
+    const award = await Award.findOne({ verificationCode: code, isDeleted: false, isFinalized: true })
+      .populate("arbitration", "caseRef title")
+      .populate("arbitrator", "name");
+
+    if (!award || !award.signatureHash) {
+      return res.status(404).json({ valid: false, message: "No issued award matches this verification code." });
+    }
+
+    let providedHash = null;
+    if (req.file?.buffer) {
+      providedHash = sha256(req.file.buffer);
+    } else {
+      const ref = String(req.query.sha256 || req.body?.sha256 || "").trim().toLowerCase();
+      if (ref) {
+        if (!/^[a-f0-9]{64}$/.test(ref)) {
+          return res.status(400).json({ valid: false, message: "sha256 must be a 64-character hex digest." });
+        }
+        providedHash = ref;
+      }
+    }
+
+    const signatureValid = verifySignature(award.signatureHash, award.signature);
+    const matches = providedHash ? providedHash === award.signatureHash : null;
+
+    // `valid` only vouches for a document that was actually compared
+    let result;
+    if (!signatureValid) result = "signature_invalid";
+    else if (matches === null) result = "not_compared";
+    else result = matches ? "match" : "mismatch";
+
+    res.json({
+      valid: result === "match",
+      result,
+      message: {
+        signature_invalid: "The signature on record for this award does not verify.",
+        not_compared: "Signature ok; no document was compared. Upload the PDF or send its sha256 to check it.",
+        match: "The document matches the issued award.",
+        mismatch: "The document does not match the issued award.",
+      }[result],
+      signatureValid,
+      matches,
+      providedHash,
+      award: {
+        code: award.verificationCode,
+        title: award.title,
+        arbitrationRef: award.arbitration?.caseRef || null,
+        arbitrationTitle: award.arbitration?.title || null,
+        arbitrator: award.arbitrator?.name || null,
+        decisionDate: award.decisionDate,
+        generatedAt: award.awardGeneratedAt,
+        status: award.status,
+      },
+      signature: {
+        sha256: award.signatureHash,
+        value: award.signature,
+        algorithm: award.signatureAlgorithm,
+        keyId: award.signingKeyId,
+        signedAt: award.signedAt,
+        ...(award.signingKeyId === getPublicKey().keyId ? { publicKey: getPublicKey().publicKey } : {}),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Error verifying award publicly:", err);
+    res.status(500).json({ valid: false, message: "Failed to verify award." });
+  }
+};
+
 /* =======================================================
    🗑️ SOFT DELETE / RESTORE
    ======================================================= */
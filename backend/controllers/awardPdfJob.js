@@ -7,45 +7,103 @@
  *
  * 🧩 Features:
  *  ✅ Generates professional award PDFs (with header, signatures)
- *  ✅ Supports async queue (BullMQ / Agenda / fallback direct mode)
+ *  ✅ SHA-256 hashes + signs the PDF; verification code printed in the footer
+ *  ✅ Signs issued awards only, and once: later runs return the issued PDF,
+ *     never a re-signed copy
+ *  ✅ Durable queue via services/scheduler.js (retries + backoff, survives restarts)
  *  ✅ Stores output locally or in cloud storage
- *  ✅ Updates Arbitration record once complete
+ *  ✅ Updates the Award record and emits `award:pdfReady` / `award:pdfFailed`
+ *  ✅ Stored URLs may be short-lived presigned links; readers re-sign them
+ *     from `awardPdfKey` (withFreshPdfUrl)
  */
 
-import fs from "fs";
-import path from "path";
+import mongoose from "mongoose";
 import PDFDocument from "pdfkit";
-import { fileURLToPath } from "url";
 import Award from "../models/Award.js";
 import Arbitration from "../models/Arbitration.js";
+import Job from "../models/Job.js";
 import { StorageService } from "../services/storage.js";
+import { defineJob, enqueue } from "../services/scheduler.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+import { signPdf, generateVerificationCode } from "../utils/awardSigner.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const JOB_TYPE = "award:pdf";
+const MAX_ATTEMPTS = Number(process.env.AWARD_PDF_MAX_ATTEMPTS || 5);
+const PUBLIC_VERIFY_URL = (
+  process.env.AWARD_VERIFY_URL ||
+  `${(process.env.BACKEND_PUBLIC_URL || "http://localhost:5000").replace(/\/+$/, "")}/api/awards/verify`
+).replace(/\/+$/, "");
+
+/* =======================================================
+   🔸 Helpers
+   ======================================================= */
+const renderPdf = (build, footer = null) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, bufferPages: true });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    build(doc);
+
+    // Footer on every page (drawn inside the bottom margin)
+    if (footer) {
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc
+          .font("Helvetica")
+          .fontSize(8)
+          .fillColor("#555555")
+          .text(footer, 50, doc.page.height - 40, { width: doc.page.width - 100, align: "center" });
+        doc.page.margins.bottom = bottom;
+      }
+    }
+    doc.end();
+  });
+
+/** Replace a possibly expired stored URL with a fresh one signed from the key */
+export const withFreshPdfUrl = async (award) => {
+  if (award?.awardPdfKey) award.awardPdf = await StorageService.getFileURL(award.awardPdfKey);
+  return award;
+};
+
+const awardRooms = (award) =>
+  [
+    award.arbitration ? `arbitration:${award.arbitration._id || award.arbitration}` : null,
+    award.arbitrator ? `user_${award.arbitrator._id || award.arbitrator}` : null,
+    award.createdBy ? `user_${award.createdBy}` : null,
+  ].filter(Boolean);
 
 /* =======================================================
    1️⃣ Generate Award PDF
    ======================================================= */
-export const generateAwardPdf = async (arbitrationId, outputDir = "uploads/awards") => {
-  try {
-    const arbitration = await Arbitration.findById(arbitrationId)
-      .populate("claimant")
-      .populate("respondent")
-      .populate("arbitrator", "name email");
+export const generateAwardPdf = async (awardId) => {
+  const award = await Award.findById(awardId)
+    .populate("arbitration", "caseRef title parties createdAt")
+    .populate("arbitrator", "name email");
 
-    if (!arbitration) throw new Error("Arbitration not found");
+  if (!award || award.isDeleted) throw new Error("Award not found");
+  const arbitration = award.arbitration;
 
-    const filename = `award_${arbitration._id}_${Date.now()}.pdf`;
-    const localPath = path.join(outputDir, filename);
+  // Only the issued text is ever signed; a signed draft would later pass for the award
+  if (!award.isFinalized) {
+    throw Object.assign(new Error("Award has not been issued yet"), { status: 409, permanent: true });
+  }
 
-    // Ensure local folder exists
-    fs.mkdirSync(outputDir, { recursive: true });
+  // Once signed, the issued PDF is the award: re-rendering would change its
+  // hash and strand printed copies, so hand back the signed file instead
+  if (award.signatureHash && award.awardPdfKey) {
+    const fileUrl = await StorageService.getFileURL(award.awardPdfKey);
+    return { awardId: String(award._id), url: fileUrl, key: award.awardPdfKey, award };
+  }
 
-    // ✍️ Create PDF
-    const doc = new PDFDocument({ margin: 50 });
-    const writeStream = fs.createWriteStream(localPath);
-    doc.pipe(writeStream);
+  if (!award.verificationCode) award.verificationCode = generateVerificationCode();
+  const footer = `Verify this award: ${PUBLIC_VERIFY_URL}/${award.verificationCode}  ·  Code ${award.verificationCode}`;
 
+  const buffer = await renderPdf((doc) => {
     // ==========================
     // 📄 HEADER
     // ==========================
@@ -59,9 +117,10 @@ export const generateAwardPdf = async (arbitrationId, outputDir = "uploads/award
     // ==========================
     doc
       .fontSize(12)
-      .text(`Arbitration ID: ${arbitration._id}`)
-      .text(`Title: ${arbitration.title}`)
-      .text(`Filed On: ${arbitration.createdAt.toDateString()}`)
+      .text(`Award: ${award.title}`)
+      .text(`Arbitration Ref: ${arbitration?.caseRef || arbitration?._id || "N/A"}`)
+      .text(`Title: ${arbitration?.title || "N/A"}`)
+      .text(`Filed On: ${arbitration?.createdAt ? arbitration.createdAt.toDateString() : "N/A"}`)
       .moveDown();
 
     // ==========================
@@ -69,8 +128,7 @@ export const generateAwardPdf = async (arbitrationId, outputDir = "uploads/award
     // ==========================
     doc
       .fontSize(12)
-      .text(`Claimant: ${arbitration.claimant?.name || "N/A"}`)
-      .text(`Respondent: ${arbitration.respondent?.name || "N/A"}`)
+      .text(`Parties: ${(arbitration?.parties || []).join(", ") || "N/A"}`)
       .moveDown();
 
     // ==========================
@@ -78,8 +136,8 @@ export const generateAwardPdf = async (arbitrationId, outputDir = "uploads/award
     // ==========================
     doc
       .fontSize(12)
-      .text(`Arbitrator: ${arbitration.arbitrator?.name || "Unassigned"}`)
-      .text(`Email: ${arbitration.arbitrator?.email || "—"}`)
+      .text(`Arbitrator: ${award.arbitrator?.name || "Unassigned"}`)
+      .text(`Email: ${award.arbitrator?.email || "—"}`)
       .moveDown();
 
     // ==========================
@@ -91,7 +149,7 @@ export const generateAwardPdf = async (arbitrationId, outputDir = "uploads/award
       .text("AWARD SUMMARY:", { underline: true })
       .moveDown()
       .font("Times-Roman")
-      .text(arbitration.awardText || "No award text entered yet.")
+      .text(award.decisionText || "No award text entered yet.")
       .moveDown();
 
     // ==========================
@@ -100,74 +158,155 @@ export const generateAwardPdf = async (arbitrationId, outputDir = "uploads/award
     doc
       .fontSize(12)
       .moveDown(2)
-      .text("Decision Date: " + (arbitration.decisionDate?.toDateString() || "Pending"))
+      .text("Decision Date: " + (award.decisionDate?.toDateString() || "Pending"))
       .moveDown(3)
       .text("______________________________", { align: "left" })
       .text("Arbitrator Signature", { align: "left" })
       .moveDown(2)
       .text("______________________________", { align: "right" })
       .text("Registrar / Clerk", { align: "right" });
+  }, footer);
 
-    doc.end();
+  // ==========================
+  // 🔏 HASH + SIGN
+  // ==========================
+  const { hash, signature, algorithm, keyId } = signPdf(buffer);
 
-    // Wait for file write to finish
-    await new Promise((resolve, reject) => {
-      writeStream.on("finish", resolve);
-      writeStream.on("error", reject);
-    });
+  // ==========================
+  // ☁️ UPLOAD TO STORAGE
+  // ==========================
+  const filename = `award_${award._id}_${Date.now()}.pdf`;
+  const { key } = await StorageService.saveFile(buffer, filename, "application/pdf");
+  const fileUrl = await StorageService.getFileURL(key);
 
-    // ==========================
-    // ☁️ UPLOAD TO STORAGE
-    // ==========================
-    const fileBuffer = fs.readFileSync(localPath);
-    const { key } = await StorageService.saveFile(fileBuffer, filename, "application/pdf");
-    const fileUrl = await StorageService.getFileURL(key);
+  // ==========================
+  // 🧾 Update Award record
+  // ==========================
+  award.awardPdf = fileUrl;
+  award.awardPdfKey = key;
+  award.awardGeneratedAt = new Date();
+  award.signatureHash = hash;
+  award.signature = signature;
+  award.signatureAlgorithm = algorithm;
+  award.signingKeyId = keyId;
+  award.signedAt = new Date();
+  award.signedBy = award.signedBy || award.arbitrator?._id || award.arbitrator;
+  await award.save();
 
-    // ==========================
-    // 🧾 Update Arbitration record
-    // ==========================
-    arbitration.awardPdf = fileUrl;
-    arbitration.awardGeneratedAt = new Date();
-    await arbitration.save();
-
-    return {
-      success: true,
-      message: "Award PDF generated successfully",
-      url: fileUrl,
-    };
-  } catch (error) {
-    console.error("❌ Error generating award PDF:", error);
-    return { success: false, message: error.message };
-  }
+  // Mirror onto the arbitration's embedded award
+  await Arbitration.updateOne(
+    { _id: arbitration?._id || award.arbitration, "award.awardRef": award._id },
+    { $set: { "award.fileUrl": fileUrl, "award.fileKey": key } }
+  );
+
+  return { awardId: String(award._id), url: fileUrl, key, award };
 };
 
 /* =======================================================
-   2️⃣ Background Queue Job (Optional)
+   2️⃣ Durable Queue Job
    ======================================================= */
-export const queueAwardPdfJob = async (arbitrationId) => {
-  console.log("📄 Queuing PDF generation for arbitration:", arbitrationId);
-
-  setTimeout(async () => {
-    console.log(`⚙️ Generating PDF for arbitration ${arbitrationId}...`);
-    const result = await generateAwardPdf(arbitrationId);
-    if (result.success) {
-      console.log("✅ PDF generation completed:", result.url);
-    } else {
-      console.error("❌ PDF generation failed:", result.message);
+const notifyPdfFailed = async (awardId, job, message) => {
+  const award = await Award.findById(awardId).select("arbitration arbitrator createdBy").lean();
+  if (!award) return;
+  emitSocketEvent("award:pdfFailed", awardRooms(award), {
+    awardId,
+    arbitrationId: String(award.arbitration),
+    jobId: String(job._id),
+    message,
+  });
+};
+
+defineJob(JOB_TYPE, async ({ awardId }, job) => {
+  try {
+    const { url, key, award } = await generateAwardPdf(awardId);
+    emitSocketEvent("award:pdfReady", awardRooms(award), {
+      awardId,
+      arbitrationId: String(award.arbitration?._id || award.arbitration),
+      jobId: String(job._id),
+      url,
+      generatedAt: award.awardGeneratedAt,
+    });
+    return { url, key };
+  } catch (err) {
+    // Retrying won't issue the award; stop here
+    if (err.permanent) {
+      await notifyPdfFailed(awardId, job, err.message);
+      return { skipped: true, reason: err.message };
     }
-  }, 1000);
+    // Final attempt — let listeners stop waiting
+    if (job.attempts >= job.maxAttempts) await notifyPdfFailed(awardId, job, err.message);
+    throw err;
+  }
+});
+
+export const queueAwardPdfJob = async (awardId, requestedBy = null) => {
+  const payload = { awardId: String(awardId), requestedBy: requestedBy ? String(requestedBy) : null };
+  const job = await enqueue(JOB_TYPE, payload, { maxAttempts: MAX_ATTEMPTS });
+  await Award.updateOne({ _id: awardId }, { $set: { pdfJob: job._id } });
+  return job;
 };
 
+const toJobStatus = (job) => ({
+  jobId: job._id,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  runAt: job.runAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  lastError: job.lastError,
+  result: job.result,
+});
+
 /* =======================================================
    3️⃣ Direct Controller Wrapper (API)
+   POST /api/awards/:id/pdf  (issued awards only)
    ======================================================= */
 export const triggerAwardPdf = async (req, res) => {
   try {
-    const { arbitrationId } = req.params;
-    await queueAwardPdfJob(arbitrationId);
-    res.json({ message: "PDF generation started in background" });
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid award id" });
+    }
+
+    const award = await Award.findById(id).select("_id isDeleted isFinalized");
+    if (!award || award.isDeleted) {
+      return res.status(404).json({ message: "Award not found" });
+    }
+    if (!award.isFinalized) {
+      return res.status(409).json({ message: "Only issued awards can be rendered and signed" });
+    }
+
+    const job = await queueAwardPdfJob(award._id, req.user._id);
+    res.status(202).json({ message: "PDF generation queued", job: toJobStatus(job) });
   } catch (error) {
     console.error("PDF Trigger Error:", error);
     res.status(500).json({ message: "Failed to start PDF generation" });
   }
 };
+
+/* =======================================================
+   4️⃣ Job Status (API)
+   GET /api/awards/jobs/:jobId  (whoever queued it, or an admin)
+   ======================================================= */
+export const getAwardPdfJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ message: "Invalid job id" });
+    }
+
+    const job = await Job.findOne({ _id: jobId, type: JOB_TYPE }).lean();
+    const isOwner = job && job.payload?.requestedBy && String(job.payload.requestedBy) === String(req.user._id);
+    if (!job || !(isOwner || req.user.role === "admin")) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    // The URL saved with the result may have expired since
+    if (job.result?.key) job.result.url = await StorageService.getFileURL(job.result.key);
+    res.json(toJobStatus(job));
+  } catch (error) {
+    console.error("PDF Job Status Error:", error);
+    res.status(500).json({ message: "Failed to fetch job status" });
+  }
+};
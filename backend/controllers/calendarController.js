@@ -0,0 +1,74 @@
+// backend/controllers/calendarController.js
+import User from "../models/User.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { userForFeedToken, buildFeedForUser } from "../services/calendarSync.js";
+
+/**
+ * Calendar Controller
+ *
+ * - Each user manages one secret ICS subscription URL (rotate / revoke)
+ * - The feed itself is public: the token in the path is the credential,
+ *   because calendar apps can't send our auth headers
+ */
+
+const BACKEND_PUBLIC_URL = (process.env.BACKEND_PUBLIC_URL || "").trim().replace(/\/+$/, "");
+const ACCESS_STAMP_MS = 60 * 60 * 1000;
+
+const feedUrls = (req, token) => {
+  const base = BACKEND_PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+  const url = `${base}/api/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+};
+
+const feedStatus = (user) => ({
+  enabled: !!user.calendarFeed?.createdAt,
+  createdAt: user.calendarFeed?.createdAt || null,
+  lastAccessedAt: user.calendarFeed?.lastAccessedAt || null,
+});
+
+/* ========================= FEED SETTINGS ============================ */
+/** GET /api/calendar/feed — whether a feed URL exists (the token itself is never shown again) */
+export const getFeedStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("calendarFeed");
+  res.json({ success: true, data: feedStatus(user) });
+});
+
+/** POST /api/calendar/feed — issue a new feed URL; any previous one stops working */
+export const rotateFeedToken = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const token = user.createCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    message: "Calendar feed URL created. Copy it now — it won't be shown again.",
+    data: { ...feedStatus(user), ...feedUrls(req, token) },
+  });
+});
+
+/** DELETE /api/calendar/feed — revoke the feed URL */
+export const revokeFeedToken = asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeed: 1 } });
+  res.json({ success: true, message: "Calendar feed disabled" });
+});
+
+/* ========================= PUBLIC FEED ============================ */
+/** GET /api/calendar/feed/:token.ics */
+export const getCalendarFeed = asyncHandler(async (req, res) => {
+  const user = await userForFeedToken(req.params.token);
+  if (!user) return res.status(404).json({ success: false, message: "Calendar feed not found" });
+
+  const ics = await buildFeedForUser(user);
+
+  const last = user.calendarFeed?.lastAccessedAt;
+  if (!last || Date.now() - new Date(last).getTime() > ACCESS_STAMP_MS) {
+    await User.updateOne({ _id: user._id }, { $set: { "calendarFeed.lastAccessedAt": new Date() } });
+  }
+
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": 'inline; filename="lawbridge.ics"',
+    "Cache-Control": "private, max-age=300",
+  });
+  res.send(ics);
+});
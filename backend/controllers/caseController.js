@@ -4,6 +4,20 @@ import Case from "../models/Case.js";
 import User from "../models/User.js";
 import { emitSocketEvent } from "../utils/socketEmitter.js";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { caseAccessQuery, capabilityAllows, describeCasePermissions, resolveCaseCapability } from "../services/casePolicy.js";
+import { transitionCase, availableTransitions, nextStatuses, isTransitionError } from "../services/caseLifecycle.js";
+import { recomputeForCase } from "../services/deadlines.js";
+import { queueAttachmentExtraction, removeAttachmentText, keyFromUrl } from "../services/textExtraction.js";
+import {
+  addVersion,
+  restoreVersion,
+  fileVersion,
+  findVersion,
+  hasFiledVersion,
+  diffVersions,
+  serializeVersions,
+} from "../services/documentVersions.js";
+import { openStoredFile } from "./uploadController.js";
 import { Parser } from "json2csv";
 
 /**
@@ -11,7 +25,7 @@ import { Parser } from "json2csv";
  *
  * Highlights:
  * - createCase supports optional `initialHearing` (single) or `hearings` (array)
- * - Uses Case model helpers: addHearing, setStatus, updateCaseFields, shareWith, etc.
+ * - Uses Case model helpers: addHearing, updateCaseFields, shareWith, etc.; status changes go through services/caseLifecycle.js
  * - Emits consistent socket events to rooms derived by getCaseRooms()
  * - Defensive validation for ObjectIds and required fields
  * - Clear history entries for major actions (create/update/status changes)
@@ -19,11 +33,12 @@ import { Parser } from "json2csv";
 
 /* ----------------------- helper: getCaseRooms ----------------------- */
 /**
- * Collects user IDs relevant to a case for emitting socket events.
- * Accepts either a case document (populated or not) or a plain object.
+ * Collects the rooms relevant to a case for emitting socket events: the
+ * case_<id> room plus each related user (bare ids map to user_<id> in
+ * socketEmitter). Accepts either a case document (populated or not) or a plain object.
  */
 const getCaseRooms = (caseDoc) => {
-  const ids = new Set();
+  const ids = new Set([`case_${caseDoc._id}`]);
   [
     caseDoc.filedBy,
     caseDoc.createdBy,
@@ -33,10 +48,25 @@ const getCaseRooms = (caseDoc) => {
     ...(caseDoc.team?.map((t) => t.user) || []),
   ]
     .filter(Boolean)
-    .forEach((id) => ids.add(String(id)));
+    .forEach((id) => ids.add(String(id._id || id)));
   return Array.from(ids);
 };
 
+/* ----------------------- helper: lifecycle ----------------------- */
+// Structured body for a rejected status change (see services/caseLifecycle.js)
+const sendTransitionError = (res, err) =>
+  res.status(err.status).json({ success: false, code: err.code, message: err.message, data: err.details });
+
+/**
+ * Moves a case to hearing_scheduled after a hearing is added, when its
+ * lifecycle allows that from the current status. Otherwise leaves it alone.
+ */
+const autoScheduleHearing = async (caseDoc, user) => {
+  if (["hearing_scheduled", "hearing_in_progress"].includes(caseDoc.status)) return;
+  if (!nextStatuses(caseDoc).includes("hearing_scheduled")) return;
+  await transitionCase(caseDoc, "hearing_scheduled", user, { system: true });
+};
+
 /* ------------------------------------------------------------------ */
 /* ========================= CREATE CASE ============================ */
 /* ------------------------------------------------------------------ */
@@ -121,8 +151,8 @@ export const createCase = asyncHandler(async (req, res) => {
         actorId
       );
       addedHearings.push(h);
-      // Set status to hearing_scheduled using model helper to keep history consistent
-      await newCase.setStatus(actorId, "hearing_scheduled");
+      // Set status to hearing_scheduled via the lifecycle to keep history consistent
+      await autoScheduleHearing(newCase, req.user);
     }
 
     // hearings array (multiple)
@@ -147,7 +177,7 @@ export const createCase = asyncHandler(async (req, res) => {
         }
       }
       if (addedHearings.length) {
-        await newCase.setStatus(actorId, "hearing_scheduled");
+        await autoScheduleHearing(newCase, req.user);
       }
     }
   } catch (err) {
@@ -177,24 +207,10 @@ export const createCase = asyncHandler(async (req, res) => {
 /* ============================ GET CASES ============================ */
 /* ------------------------------------------------------------------ */
 export const getCases = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
-  const userRole = req.user.role;
   const { category, status, priority, q, page = 1, limit = 50 } = req.query;
 
   const baseQuery = { isDeleted: false };
-  const accessQuery =
-    userRole === "admin"
-      ? {}
-      : {
-          $or: [
-            { filedBy: userId },
-            { createdBy: userId },
-            { assignedTo: userId },
-            { sharedWith: userId },
-            { participants: userId },
-            { "team.user": userId },
-          ],
-        };
+  const accessQuery = caseAccessQuery(req.user);
 
   const filters = { ...baseQuery, ...accessQuery };
   if (category) filters.category = category;
@@ -215,7 +231,7 @@ export const getCases = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: cases,
+    data: cases.map((c) => ({ ...c, capability: resolveCaseCapability(req.user, c).capability })),
     meta: { total, page: Number(page), limit: Number(limit) },
   });
 });
@@ -224,54 +240,70 @@ export const getCases = asyncHandler(async (req, res) => {
 /* ========================= GET CASE BY ID ========================= */
 /* ------------------------------------------------------------------ */
 export const getCaseById = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user._id;
-
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findByAccess(userId, id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found or access denied" });
+  const caseDoc = await req.case.populate([
+    { path: "filedBy", select: "name email role" },
+    { path: "sharedWith", select: "name email role" },
+    { path: "client", select: "name email" },
+    { path: "respondent", select: "name email" },
+    { path: "attachments.uploadedBy", select: "name email" },
+    { path: "notes.createdBy", select: "name email" },
+    { path: "history.performedBy", select: "name email" },
+    { path: "team.user", select: "name email role" },
+  ]);
 
   res.json({ success: true, data: caseDoc });
 });
 
+/* ------------------------------------------------------------------ */
+/* ========================= CASE PERMISSIONS ======================= */
+/* ------------------------------------------------------------------ */
+/**
+ * GET /api/cases/:id/permissions
+ * - Effective capability + per-action flags so the UI can hide controls
+ */
+export const getCasePermissions = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: describeCasePermissions(req.user, req.case) });
+});
+
 /* ------------------------------------------------------------------ */
 /* ============================ UPDATE CASE ========================= */
 /* ------------------------------------------------------------------ */
 /**
  * PUT /api/cases/:id
  * - Uses Case.updateCaseFields to apply safe updates and record history.
- * - If status present in updates, uses caseDoc.setStatus(...) to centralize status behavior.
+ * - If status present in updates, it goes through the case lifecycle (services/caseLifecycle.js).
  */
 export const updateCase = asyncHandler(async (req, res) => {
-  const { id } = req.params;
   const updater = req.user._id;
-  const role = req.user.role;
   const updates = req.body || {};
 
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
-  const isOwner = caseDoc.filedBy?.equals(updater);
-  const isAssigned = caseDoc.assignedTo?.equals(updater);
-  if (!isOwner && role !== "admin" && !isAssigned)
-    return res.status(403).json({ success: false, message: "Permission denied" });
+  // Reassigning, restaffing or changing who participates grants case access,
+  // so it's a manage-level change, not a plain edit
+  const touchesStaffing = ["assignedTo", "team", "participants"].some((k) => Object.prototype.hasOwnProperty.call(updates, k));
+  if (touchesStaffing && !capabilityAllows(req.caseAccess.capability, "manageTeam")) {
+    return res.status(403).json({ success: false, message: "Only the case owner can change assignment, team or participants" });
+  }
 
-  // If the update includes a status change, use the model's setStatus
+  // If the update includes a status change, it must be a legal lifecycle transition
   if (Object.prototype.hasOwnProperty.call(updates, "status")) {
-    try {
-      await caseDoc.setStatus(updater, updates.status);
-      // Remove status from updates so updateCaseFields doesn't reapply it
-      delete updates.status;
-    } catch (err) {
-      return res.status(400).json({ success: false, message: err.message || "Invalid status transition" });
+    if (updates.status !== caseDoc.status) {
+      try {
+        await transitionCase(caseDoc, updates.status, req.user);
+      } catch (err) {
+        if (isTransitionError(err)) return sendTransitionError(res, err);
+        throw err;
+      }
     }
+    // Remove status from updates so updateCaseFields doesn't reapply it
+    delete updates.status;
   }
 
   // Use updateCaseFields to apply allowed updates and keep history
   const saved = await caseDoc.updateCaseFields(updates, updater);
+  // Filing / hearing dates and jurisdiction all feed deadline rules
+  await recomputeForCase(saved._id);
 
   // Populate for response & emit
   const populated = await Case.findById(saved._id).populate("filedBy client respondent sharedWith assignedTo");
@@ -287,24 +319,25 @@ export const updateCase = asyncHandler(async (req, res) => {
 /**
  * PATCH /api/cases/:id/status
  * - Body: { status: "paused" | "closed" | ... }
- * - Uses Case.setStatus to centralize transitions
+ * - Validated against the case lifecycle; illegal moves get a structured
+ *   error: { success: false, code, message, data: { from, to, ... } }
  */
 export const updateCaseStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
   const userId = req.user._id;
 
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
   if (!status) return res.status(400).json({ success: false, message: "Status is required" });
 
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   try {
-    await caseDoc.setStatus(userId, status);
+    await transitionCase(caseDoc, status, req.user);
   } catch (err) {
-    return res.status(400).json({ success: false, message: err.message || "Failed to set status" });
+    if (isTransitionError(err)) return sendTransitionError(res, err);
+    throw err;
   }
+  await recomputeForCase(caseDoc._id);
 
   // emit the status change (send minimal payload)
   emitSocketEvent("case:status", getCaseRooms(caseDoc), { caseId: id, status });
@@ -312,6 +345,34 @@ export const updateCaseStatus = asyncHandler(async (req, res) => {
   res.json({ success: true, data: caseDoc });
 });
 
+/* ------------------------------------------------------------------ */
+/* ========================= CASE TRANSITIONS ======================= */
+/* ------------------------------------------------------------------ */
+/**
+ * GET /api/cases/:id/transitions
+ * - Outgoing transitions from the current status, each with `allowed` and
+ *   what blocks it (role, missing hearing/award, no edit access)
+ */
+export const getCaseTransitions = asyncHandler(async (req, res) => {
+  const caseDoc = req.case;
+  const canChange = capabilityAllows(req.caseAccess.capability, "changeStatus");
+
+  const transitions = (await availableTransitions(caseDoc, req.user)).map((tr) =>
+    canChange
+      ? tr
+      : {
+          ...tr,
+          allowed: false,
+          blockedBy: [{ key: "access", message: "Edit access to the case is required" }, ...tr.blockedBy],
+        }
+  );
+
+  res.json({
+    success: true,
+    data: { status: caseDoc.status, category: caseDoc.category, previousStatus: caseDoc.previousStatus || null, transitions },
+  });
+});
+
 /* ------------------------------------------------------------------ */
 /* ============================== SHARE ============================= */
 /* ------------------------------------------------------------------ */
@@ -321,10 +382,9 @@ export const shareCase = asyncHandler(async (req, res) => {
   const sharedById = req.user._id;
 
   if (!userIdToShare) return res.status(400).json({ success: false, message: "userIdToShare is required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  if (!["view", "comment", "edit"].includes(permission))
+    return res.status(400).json({ success: false, message: "permission must be view, comment or edit" });
+  const caseDoc = req.case;
 
   await caseDoc.shareWith(userIdToShare, sharedById, permission);
   await caseDoc.save();
@@ -353,10 +413,7 @@ export const addCaseNote = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
   if (!content || !String(content).trim()) return res.status(400).json({ success: false, message: "Note content required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   await caseDoc.addNote(String(content).trim(), userId, visibility);
   await caseDoc.save();
@@ -374,18 +431,14 @@ export const addCaseHearing = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
   if (!date) return res.status(400).json({ success: false, message: "Hearing date required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   try {
     const newH = await caseDoc.addHearing({ date, title, description, outcome }, userId);
-    // on adding hearing, set status to hearing_scheduled if not already in progress or scheduled
-    if (!["hearing_scheduled", "hearing_in_progress"].includes(caseDoc.status)) {
-      await caseDoc.setStatus(userId, "hearing_scheduled");
-    }
+    // on adding hearing, advance to hearing_scheduled where the lifecycle allows it
+    await autoScheduleHearing(caseDoc, req.user);
     await caseDoc.save();
+    await recomputeForCase(caseDoc._id);
 
     emitSocketEvent("case:hearing", getCaseRooms(caseDoc), { caseId: id, hearing: newH });
     res.status(201).json({ success: true, message: "Hearing added", data: caseDoc.hearings });
@@ -404,10 +457,7 @@ export const addCaseParticipant = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
   if (!participantId) return res.status(400).json({ success: false, message: "participantId required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   await caseDoc.addParticipant(participantId, userId);
   await caseDoc.save();
@@ -422,10 +472,7 @@ export const removeCaseParticipant = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
   if (!participantId) return res.status(400).json({ success: false, message: "participantId required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   await caseDoc.removeParticipant(participantId, userId);
   await caseDoc.save();
@@ -440,10 +487,7 @@ export const addTeamMember = asyncHandler(async (req, res) => {
   const actorId = req.user._id;
 
   if (!userId) return res.status(400).json({ success: false, message: "userId is required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   if (caseDoc.team?.some((t) => String(t.user) === String(userId)))
     return res.status(400).json({ success: false, message: "Team member already exists" });
@@ -462,10 +506,7 @@ export const removeTeamMember = asyncHandler(async (req, res) => {
   const actorId = req.user._id;
 
   if (!userId) return res.status(400).json({ success: false, message: "userId is required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   caseDoc.team = caseDoc.team.filter((t) => String(t.user) !== String(userId));
   await caseDoc.addHistory("Team Member Removed", actorId, userId.toString());
@@ -480,17 +521,21 @@ export const removeTeamMember = asyncHandler(async (req, res) => {
 /* ------------------------------------------------------------------ */
 export const addAttachment = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { fileUrl, name, fileType, size } = req.body;
+  const { fileUrl, fileKey, name, fileType, size, attachmentId } = req.body;
   const userId = req.user._id;
 
   if (!fileUrl) return res.status(400).json({ success: false, message: "File URL is required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
+  const caseDoc = req.case;
 
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  // Re-uploading an existing document adds a version instead of a new attachment
+  if (attachmentId) {
+    req.params.attachmentId = attachmentId;
+    return saveAttachmentVersion(req, res);
+  }
 
-  const attachment = await caseDoc.addAttachment({ name, fileUrl, fileType, size }, userId);
+  const attachment = await caseDoc.addAttachment({ name, fileUrl, fileKey, fileType, size }, userId);
   await caseDoc.save();
+  await queueAttachmentExtraction("Case", caseDoc, attachment);
 
   emitSocketEvent("case:attachmentAdded", getCaseRooms(caseDoc), { caseId: id, fileUrl });
   res.json({ success: true, message: "Attachment added", data: caseDoc.attachments });
@@ -502,19 +547,134 @@ export const deleteAttachment = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
   if (!fileUrl) return res.status(400).json({ success: false, message: "fileUrl is required" });
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
+  const caseDoc = req.case;
 
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const removed = (caseDoc.attachments || []).filter((a) => a.fileUrl === fileUrl);
+  if (removed.some(hasFiledVersion)) {
+    return res.status(409).json({ success: false, message: "A version of this document was filed with the court and is locked" });
+  }
 
   caseDoc.attachments = (caseDoc.attachments || []).filter((a) => a.fileUrl !== fileUrl);
-  await caseDoc.addHistory("Attachment Deleted", userId, fileUrl);
+  // Keep every version's storage key in the history so the files stay recoverable
+  await caseDoc.addHistory("Attachment Deleted", userId, fileUrl, {
+    attachments: removed.map((a) => ({
+      attachmentId: a._id,
+      name: a.name,
+      versions: (a.versions || []).map(({ version, fileKey, fileUrl, uploadedBy, uploadedAt }) => ({ version, fileKey, fileUrl, uploadedBy, uploadedAt })),
+    })),
+  });
   await caseDoc.save();
+  await removeAttachmentText(caseDoc._id, removed.map((a) => a._id));
 
   emitSocketEvent("case:attachmentDeleted", getCaseRooms(caseDoc), { caseId: id, fileUrl });
   res.json({ success: true, message: "Attachment deleted" });
 });
 
+/* ------------------------------------------------------------------ */
+/* ===================== ATTACHMENT VERSIONS ======================== */
+/* ------------------------------------------------------------------ */
+const findAttachment = (caseDoc, attachmentId) =>
+  mongoose.isValidObjectId(attachmentId) ? caseDoc.attachments.id(attachmentId) : null;
+
+/** Version errors carry a status; anything else goes to the error handler */
+const versionHandler = (fn) =>
+  asyncHandler(async (req, res) => {
+    const attachment = findAttachment(req.case, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ success: false, message: "Attachment not found" });
+    try {
+      await fn(req, res, attachment);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+      throw err;
+    }
+  });
+
+export const getAttachmentVersions = versionHandler(async (req, res, attachment) => {
+  res.json({
+    success: true,
+    data: { attachmentId: attachment._id, name: attachment.name, currentVersion: attachment.currentVersion, versions: serializeVersions(attachment, "attachment") },
+  });
+});
+
+const saveAttachmentVersion = versionHandler(async (req, res, attachment) => {
+  const caseDoc = req.case;
+  const { fileUrl, fileKey, name, fileType, size, note } = req.body;
+
+  const version = addVersion(attachment, "attachment", { fileUrl, fileKey, name, fileType, size }, req.user._id, { note });
+  await caseDoc.addHistory("Attachment Version Added", req.user._id, `${attachment.name} v${version.version}`, {
+    attachmentId: attachment._id,
+    version: version.version,
+  });
+  await caseDoc.save();
+  await queueAttachmentExtraction("Case", caseDoc, attachment);
+
+  emitSocketEvent("case:attachmentVersionAdded", getCaseRooms(caseDoc), {
+    caseId: caseDoc._id,
+    attachmentId: attachment._id,
+    version: version.version,
+  });
+  res.status(201).json({ success: true, message: `Version ${version.version} added`, data: serializeVersions(attachment, "attachment") });
+});
+
+export const addAttachmentVersion = saveAttachmentVersion;
+
+export const diffAttachmentVersions = versionHandler(async (req, res, attachment) => {
+  const to = Number(req.query.to) || attachment.currentVersion;
+  const from = Number(req.query.from) || to - 1;
+  res.json({ success: true, data: diffVersions(attachment, "attachment", from, to) });
+});
+
+export const downloadAttachmentVersion = versionHandler(async (req, res, attachment) => {
+  const version = findVersion(attachment, req.params.version);
+  const fileKey = version.fileKey || keyFromUrl(version.fileUrl);
+  if (!fileKey) return res.status(404).json({ success: false, message: "This version has no stored file" });
+
+  const stream = await openStoredFile(fileKey, version.storageProvider || undefined);
+  res.setHeader("Content-Type", version.fileType || "application/octet-stream");
+  res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(version.name || "document")}"`);
+  stream.on("error", (err) => res.destroy(err));
+  stream.pipe(res);
+});
+
+export const restoreAttachmentVersion = versionHandler(async (req, res, attachment) => {
+  const caseDoc = req.case;
+  const version = restoreVersion(attachment, "attachment", req.params.version, req.user._id);
+  await caseDoc.addHistory("Attachment Version Restored", req.user._id, `${attachment.name} v${version.restoredFrom} → v${version.version}`, {
+    attachmentId: attachment._id,
+    version: version.version,
+    restoredFrom: version.restoredFrom,
+  });
+  await caseDoc.save();
+  await queueAttachmentExtraction("Case", caseDoc, attachment);
+
+  emitSocketEvent("case:attachmentVersionAdded", getCaseRooms(caseDoc), {
+    caseId: caseDoc._id,
+    attachmentId: attachment._id,
+    version: version.version,
+  });
+  res.json({ success: true, message: `Version ${version.restoredFrom} restored as v${version.version}`, data: serializeVersions(attachment, "attachment") });
+});
+
+export const fileAttachmentVersion = versionHandler(async (req, res, attachment) => {
+  const caseDoc = req.case;
+  const { court = caseDoc.court || "", reference, filedAt } = req.body;
+  const version = fileVersion(attachment, "attachment", req.params.version, req.user._id, { court, reference, filedAt });
+  await caseDoc.addHistory("Attachment Filed", req.user._id, `${attachment.name} v${version.version}${reference ? ` (${reference})` : ""}`, {
+    attachmentId: attachment._id,
+    version: version.version,
+    court: version.filing.court,
+    reference: version.filing.reference,
+  });
+  await caseDoc.save();
+
+  emitSocketEvent("case:attachmentFiled", getCaseRooms(caseDoc), {
+    caseId: caseDoc._id,
+    attachmentId: attachment._id,
+    version: version.version,
+  });
+  res.json({ success: true, message: `Version ${version.version} marked as filed and locked`, data: serializeVersions(attachment, "attachment") });
+});
+
 /* ------------------------------------------------------------------ */
 /* ======================== SOFT DELETE / RESTORE =================== */
 /* ------------------------------------------------------------------ */
@@ -522,10 +682,7 @@ export const softDeleteCase = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user._id;
 
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   await caseDoc.softDelete(userId);
   await caseDoc.save();
@@ -538,10 +695,7 @@ export const restoreCase = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user._id;
 
-  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ success: false, message: "Invalid case id" });
-
-  const caseDoc = await Case.findById(id);
-  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  const caseDoc = req.case;
 
   await caseDoc.restore(userId);
   await caseDoc.save();
@@ -4,6 +4,9 @@ import bcrypt from "bcrypt";
 import crypto from "crypto";
 import Client from "../models/Client.js";
 import User from "../models/User.js";
+import { clientRooms } from "../services/socketAccess.js";
+import { clientAccessQuery } from "../services/accessQueries.js";
+import { queueAttachmentExtraction, removeAttachmentText } from "../services/textExtraction.js";
 
 /**
  * Helper to get Socket.IO instance safely from request
@@ -28,22 +31,102 @@ const clientPopulate = (query) =>
     .populate("advocate paralegal mediator arbitrator", "name email role")
     .populate("cases", "title caseNumber status");
 
+/**
+ * Create a Client (and its portal User if none exists) inside the caller's
+ * transaction. Shared by POST /api/clients and the intake workflow.
+ * Throws an Error with `status` 409 and `client` if the creator already has
+ * a client with this email.
+ */
+export const createClientRecord = async (data, actor, session) => {
+  const { name, email, phone, address, company, notes, requiredService, caseDescription, sharedWith } = data || {};
+  const createdBy = actor._id;
+  const normalizedEmail = normalizeEmail(email);
+
+  // Prevent duplicate client for same creator
+  const alreadyClientForUser = await Client.findOne({
+    email: normalizedEmail,
+    createdBy,
+    deletedAt: null,
+  }).session(session);
+
+  if (alreadyClientForUser) {
+    const err = new Error("A client with this email already exists in your account");
+    err.status = 409;
+    err.client = alreadyClientForUser;
+    throw err;
+  }
+
+  // Find or create user
+  let clientUser = await User.findOne({ email: normalizedEmail }).session(session);
+  let userCreated = false;
+  let tempPassword = null;
+
+  if (!clientUser) {
+    tempPassword = generatePassword(12);
+    const hashed = await bcrypt.hash(tempPassword, 12);
+
+    const created = await User.create(
+      [
+        {
+          name: name.trim(),
+          email: normalizedEmail,
+          phone: phone || null,
+          password: hashed,
+          role: "client",
+          status: "active",
+          // Staff entered the address for the client; no self-service link to confirm
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+        },
+      ],
+      { session }
+    );
+    clientUser = Array.isArray(created) ? created[0] : created;
+    userCreated = true;
+    console.info(`Created client user ${clientUser.email}`);
+  }
+
+  const clientPayload = {
+    name: name.trim(),
+    email: normalizedEmail,
+    phone: phone || null,
+    address: address || "",
+    company: company || "",
+    notes: notes || "",
+    requiredService: requiredService || "advocate",
+    caseDescription: caseDescription || "",
+    createdBy,
+    user: clientUser._id,
+    sharedWith: Array.isArray(sharedWith) ? sharedWith : [],
+    advocate: actor.role === "advocate" ? actor._id : null,
+    paralegal: actor.role === "paralegal" ? actor._id : null,
+    mediator: actor.role === "mediator" ? actor._id : null,
+    arbitrator: actor.role === "arbitrator" ? actor._id : null,
+  };
+
+  const created = await Client.create([clientPayload], { session });
+  const newClient = Array.isArray(created) ? created[0] : created;
+
+  if (typeof newClient.addHistory === "function") {
+    try {
+      await newClient.addHistory("Client Created", createdBy, "New client intake recorded.");
+    } catch (e) {
+      // non-fatal
+      console.warn("addHistory failed:", e);
+    }
+  }
+
+  return { client: newClient, clientUser, userCreated, tempPassword };
+};
+
+export { clientPopulate };
+
 /* CREATE CLIENT (intake) */
 export const createClient = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const {
-      name,
-      email,
-      phone,
-      address,
-      company,
-      notes,
-      requiredService,
-      caseDescription,
-      sharedWith,
-    } = req.body || {};
+    const { name, email } = req.body || {};
 
     const createdBy = req.user?._id;
     if (!createdBy) {
@@ -58,83 +141,7 @@ export const createClient = async (req, res) => {
       return res.status(400).json({ success: false, message: "Name and email are required" });
     }
 
-    const normalizedEmail = normalizeEmail(email);
-
-    // Prevent duplicate client for same creator
-    const alreadyClientForUser = await Client.findOne({
-      email: normalizedEmail,
-      createdBy,
-      deletedAt: null,
-    }).session(session);
-
-    if (alreadyClientForUser) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(409).json({
-        success: false,
-        message: "A client with this email already exists in your account",
-        client: alreadyClientForUser,
-      });
-    }
-
-    const existingAnyClient = await Client.findOne({ email: normalizedEmail, deletedAt: null }).session(session);
-
-    // Find or create user
-    let clientUser = await User.findOne({ email: normalizedEmail }).session(session);
-    let userCreated = false;
-    let tempPassword = null;
-
-    if (!clientUser) {
-      tempPassword = generatePassword(12);
-      const hashed = await bcrypt.hash(tempPassword, 12);
-
-      const created = await User.create(
-        [
-          {
-            name: name.trim(),
-            email: normalizedEmail,
-            phone: phone || null,
-            password: hashed,
-            role: "client",
-            status: "active",
-          },
-        ],
-        { session }
-      );
-      clientUser = Array.isArray(created) ? created[0] : created;
-      userCreated = true;
-      console.info(`Created client user ${clientUser.email}`);
-    }
-
-    const clientPayload = {
-      name: name.trim(),
-      email: normalizedEmail,
-      phone: phone || null,
-      address: address || "",
-      company: company || "",
-      notes: notes || "",
-      requiredService: requiredService || "advocate",
-      caseDescription: caseDescription || "",
-      createdBy,
-      user: clientUser._id,
-      sharedWith: Array.isArray(sharedWith) ? sharedWith : [],
-      advocate: req.user.role === "advocate" ? req.user._id : null,
-      paralegal: req.user.role === "paralegal" ? req.user._id : null,
-      mediator: req.user.role === "mediator" ? req.user._id : null,
-      arbitrator: req.user.role === "arbitrator" ? req.user._id : null,
-    };
-
-    const created = await Client.create([clientPayload], { session });
-    const newClient = Array.isArray(created) ? created[0] : created;
-
-    if (typeof newClient.addHistory === "function") {
-      try {
-        await newClient.addHistory("Client Created", createdBy, "New client intake recorded.");
-      } catch (e) {
-        // non-fatal
-        console.warn("addHistory failed:", e);
-      }
-    }
+    const { client: newClient, userCreated, tempPassword } = await createClientRecord(req.body, req.user, session);
 
     await session.commitTransaction();
     session.endSession();
@@ -143,7 +150,7 @@ export const createClient = async (req, res) => {
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("client:created", populated); } catch (e) { console.warn("Socket emit failed for client:created", e); }
+      try { io.to(clientRooms(populated)).emit("client:created", populated); } catch (e) { console.warn("Socket emit failed for client:created", e); }
     }
 
     return res.status(201).json({
@@ -154,8 +161,11 @@ export const createClient = async (req, res) => {
       tempPassword: userCreated ? tempPassword : undefined, // dev only — remove in prod
     });
   } catch (err) {
-    console.error("❌ createClient error:", err);
     try { await session.abortTransaction(); session.endSession(); } catch (e) {}
+    if (err.status === 409) {
+      return res.status(409).json({ success: false, message: err.message, client: err.client });
+    }
+    console.error("❌ createClient error:", err);
     return res.status(500).json({ success: false, message: "Failed to create client", error: err?.message || String(err) });
   }
 };
@@ -163,7 +173,6 @@ export const createClient = async (req, res) => {
 /* GET CLIENTS */
 export const getClients = async (req, res) => {
   try {
-    const userId = req.user._id;
     const role = req.user.role;
     const q = String(req.query.q || "").trim();
     const page = Math.max(parseInt(req.query.page || "1", 10), 1);
@@ -180,7 +189,7 @@ export const getClients = async (req, res) => {
 
     if (role !== "admin") {
       filter.$and = filter.$and || [];
-      filter.$and.push({ $or: [{ createdBy: userId }, { sharedWith: userId }] });
+      filter.$and.push(clientAccessQuery(req.user));
     }
 
     const skip = (page - 1) * limit;
@@ -257,7 +266,7 @@ export const updateClient = async (req, res) => {
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("client:updated", populated); } catch (e) { console.warn("Socket emit failed for client:updated", e); }
+      try { io.to(clientRooms(populated)).emit("client:updated", populated); } catch (e) { console.warn("Socket emit failed for client:updated", e); }
     }
 
     return res.json({ success: true, client: populated });
@@ -291,7 +300,7 @@ export const deleteClient = async (req, res) => {
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("client:deleted", { id: client._id }); } catch (e) { console.warn("Socket emit failed for client:deleted", e); }
+      try { io.to(clientRooms(client)).emit("client:deleted", { id: client._id }); } catch (e) { console.warn("Socket emit failed for client:deleted", e); }
     }
 
     return res.json({ success: true, message: "Client deleted successfully" });
@@ -327,7 +336,7 @@ export const restoreClient = async (req, res) => {
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("client:restored", populated); } catch (e) { console.warn("Socket emit failed for client:restored", e); }
+      try { io.to(clientRooms(populated)).emit("client:restored", populated); } catch (e) { console.warn("Socket emit failed for client:restored", e); }
     }
 
     return res.json({ success: true, client: populated });
@@ -366,7 +375,7 @@ export const shareClient = async (req, res) => {
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("client:shared", populated); } catch (e) { console.warn("Socket emit failed for client:shared", e); }
+      try { io.to(clientRooms(populated)).emit("client:shared", populated); } catch (e) { console.warn("Socket emit failed for client:shared", e); }
     }
 
     return res.json({ success: true, message: "Client shared successfully", client: populated });
@@ -375,3 +384,65 @@ export const shareClient = async (req, res) => {
     return res.status(500).json({ success: false, message: "Failed to share client", error: err?.message || String(err) });
   }
 };
+
+/* CLIENT ATTACHMENTS (metadata only — file already uploaded via /api/upload) */
+const loadEditableClient = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid client ID" });
+    return null;
+  }
+  const client = await Client.findById(id);
+  if (!client || client.deletedAt) {
+    res.status(404).json({ success: false, message: "Client not found" });
+    return null;
+  }
+  const userId = req.user._id;
+  const isOwner = client.createdBy && client.createdBy.equals(userId);
+  const isShared = Array.isArray(client.sharedWith) && client.sharedWith.map(String).includes(String(userId));
+  if (!(req.user.role === "admin" || isOwner || isShared)) {
+    res.status(403).json({ success: false, message: "Access denied" });
+    return null;
+  }
+  return client;
+};
+
+export const addClientAttachment = async (req, res) => {
+  try {
+    const { name, fileUrl, fileKey, fileType, size } = req.body || {};
+    if (!fileUrl) return res.status(400).json({ success: false, message: "fileUrl is required" });
+
+    const client = await loadEditableClient(req, res);
+    if (!client) return;
+
+    await client.attachFile({ name, fileUrl, fileKey, fileType, size }, req.user._id);
+    await client.save();
+    const attachment = client.attachments[client.attachments.length - 1];
+    await queueAttachmentExtraction("Client", client, attachment);
+
+    return res.status(201).json({ success: true, message: "Attachment added", attachment });
+  } catch (err) {
+    console.error("❌ addClientAttachment error:", err);
+    return res.status(500).json({ success: false, message: "Failed to add attachment", error: err?.message || String(err) });
+  }
+};
+
+export const deleteClientAttachment = async (req, res) => {
+  try {
+    const client = await loadEditableClient(req, res);
+    if (!client) return;
+
+    const attachment = client.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ success: false, message: "Attachment not found" });
+
+    attachment.deleteOne();
+    await client.addHistory("Attachment Removed", req.user._id, attachment.name || "");
+    await client.save();
+    await removeAttachmentText(client._id, attachment._id);
+
+    return res.json({ success: true, message: "Attachment removed" });
+  } catch (err) {
+    console.error("❌ deleteClientAttachment error:", err);
+    return res.status(500).json({ success: false, message: "Failed to remove attachment", error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,93 @@
+// backend/controllers/conflictController.js
+import asyncHandler from "../middleware/asyncHandler.js";
+import { searchConflicts, recordConflictCheck } from "../services/conflictService.js";
+
+/**
+ * Conflict-of-interest checks
+ *
+ * - POST /api/conflicts/search            -> ranked hits, no writes
+ * - POST /api/cases/:id/conflict-check    -> run + record cleared/waived on Case.history
+ * - GET  /api/cases/:id/conflict-checks   -> previous checks for the case
+ *
+ * The case routes load the case through requireCaseAccess (req.case).
+ */
+
+const MAX_PARTIES = 20;
+
+const readParties = (body) => {
+  const parties = Array.isArray(body?.parties) ? body.parties : [];
+  return parties.filter((p) => p && typeof p === "object").slice(0, MAX_PARTIES);
+};
+
+// Default parties for a case: its client (our side) and respondent (opposing)
+const partiesFromCase = async (caseDoc) => {
+  await caseDoc.populate("client respondent", "name email phone");
+  return [
+    caseDoc.client && { name: caseDoc.client.name, email: caseDoc.client.email, phone: caseDoc.client.phone, side: "client" },
+    caseDoc.respondent && {
+      name: caseDoc.respondent.name,
+      email: caseDoc.respondent.email,
+      phone: caseDoc.respondent.phone,
+      side: "opposing",
+    },
+  ].filter(Boolean);
+};
+
+/* =======================================================
+   🔎 Search
+   POST /api/conflicts/search
+   Body: { parties: [{ name, email, phone, company, side: "opposing"|"client" }], caseId? }
+   ======================================================= */
+export const searchConflictsHandler = asyncHandler(async (req, res) => {
+  const parties = readParties(req.body);
+  if (!parties.length) {
+    return res.status(400).json({ success: false, message: "At least one party is required" });
+  }
+
+  const result = await searchConflicts({ parties, excludeCaseId: req.body.caseId || null });
+  res.json({ success: true, ...result });
+});
+
+/* =======================================================
+   🧾 Run + record on a case
+   POST /api/cases/:id/conflict-check
+   Body: { parties?, resolution: "cleared"|"waived", note? }
+   ======================================================= */
+export const runCaseConflictCheck = asyncHandler(async (req, res) => {
+  const caseDoc = req.case;
+
+  const parties = readParties(req.body).length ? readParties(req.body) : await partiesFromCase(caseDoc);
+  if (!parties.length) {
+    return res.status(400).json({ success: false, message: "No parties given and the case has none on record" });
+  }
+
+  const result = await searchConflicts({ parties, excludeCaseId: caseDoc._id });
+
+  try {
+    const entry = await recordConflictCheck(caseDoc, {
+      resolution: req.body.resolution,
+      parties,
+      result,
+      by: req.user._id,
+      note: req.body.note || "",
+    });
+    res.status(201).json({ success: true, message: entry.action, data: { entry, ...result } });
+  } catch (err) {
+    if (!err.status) throw err;
+    res.status(err.status).json({ success: false, message: err.message, data: result });
+  }
+});
+
+/* =======================================================
+   📜 History
+   GET /api/cases/:id/conflict-checks
+   ======================================================= */
+export const getCaseConflictChecks = asyncHandler(async (req, res) => {
+  const caseDoc = await req.case.populate("history.performedBy", "name email");
+
+  const checks = (caseDoc.history || [])
+    .filter((h) => h.action === "Conflict Check Cleared" || h.action === "Conflict Check Waived")
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  res.json({ success: true, data: checks });
+});
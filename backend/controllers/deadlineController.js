@@ -0,0 +1,387 @@
+// backend/controllers/deadlineController.js
+import mongoose from "mongoose";
+import Deadline, { DEADLINE_SOURCES, DEADLINE_UNITS } from "../models/Deadline.js";
+import CourtCalendar from "../models/CourtCalendar.js";
+import Case from "../models/Case.js";
+import Hearing from "../models/Hearing.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { caseAccessQuery, can } from "../services/casePolicy.js";
+import {
+  computeDeadline,
+  recomputeDeadlines,
+  recomputeForJurisdiction,
+  calendarFor,
+  jurisdictionKey,
+} from "../services/deadlines.js";
+import { computeDueDay, keyToDate } from "../utils/courtDays.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+
+/**
+ * Deadline Controller
+ *
+ * - Deadlines belong to a case; creating / editing needs `manageDeadlines`,
+ *   reading needs view access to the case
+ * - Rule-based deadlines are computed on save by services/deadlines.js
+ * - Court calendars (weekends + holidays per jurisdiction) are admin-managed
+ */
+
+const POLICY_FIELDS = "filedBy createdBy assignedTo sharedWith sharedLogs participants team isDeleted";
+const isId = (v) => mongoose.isValidObjectId(v);
+
+/* ----------------------- helpers ----------------------- */
+const loadCase = async (caseId) => {
+  if (!isId(caseId)) return null;
+  const caseDoc = await Case.findById(caseId).select(`${POLICY_FIELDS} title caseNumber jurisdiction`).lean();
+  return caseDoc && !caseDoc.isDeleted ? caseDoc : null;
+};
+
+const visibleCaseIds = async (user) => {
+  const cases = await Case.find({ ...caseAccessQuery(user), isDeleted: false }).select("_id").lean();
+  return cases.map((c) => c._id);
+};
+
+/** Load a deadline and check `action` on its case; sends the error response itself */
+const loadDeadline = async (req, res, action) => {
+  if (!isId(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid deadline id" });
+    return {};
+  }
+  const deadline = await Deadline.findOne({ _id: req.params.id, isDeleted: false });
+  const caseDoc = deadline && (await loadCase(deadline.case));
+  if (!deadline || !caseDoc || !can(req.user, caseDoc, "view")) {
+    res.status(404).json({ success: false, message: "Deadline not found" });
+    return {};
+  }
+  if (!can(req.user, caseDoc, action)) {
+    res.status(403).json({ success: false, message: "You cannot change deadlines on this case" });
+    return {};
+  }
+  return { deadline, caseDoc };
+};
+
+/** Validate the rule part of a request body against the deadline's case */
+const readRule = async (body, caseId, selfId = null) => {
+  const source = body.source ?? body.rule?.source ?? "manual";
+  if (!DEADLINE_SOURCES.includes(source)) return { error: `source must be one of ${DEADLINE_SOURCES.join(", ")}` };
+  if (source === "manual") return { rule: { source } };
+
+  const input = { ...(body.rule || {}), ...body };
+  const rule = {
+    source,
+    offset: Number(input.offset ?? 0),
+    unit: input.unit || "court_days",
+    direction: input.direction === "before" ? "before" : "after",
+    roll: input.roll || "auto",
+    hearing: null,
+    deadline: null,
+  };
+  if (!Number.isInteger(rule.offset) || rule.offset < 0) return { error: "offset must be a whole number ≥ 0" };
+  if (!DEADLINE_UNITS.includes(rule.unit)) return { error: `unit must be one of ${DEADLINE_UNITS.join(", ")}` };
+
+  if (source === "hearing") {
+    const hearingId = input.hearingId || input.hearing;
+    if (!isId(hearingId) || !(await Hearing.exists({ _id: hearingId, case: caseId, deletedAt: null }))) {
+      return { error: "Hearing does not belong to this case" };
+    }
+    rule.hearing = hearingId;
+  }
+
+  if (source === "deadline") {
+    const parentId = input.deadlineId || input.deadline;
+    if (!isId(parentId) || !(await Deadline.exists({ _id: parentId, case: caseId, isDeleted: false }))) {
+      return { error: "Triggering deadline does not belong to this case" };
+    }
+    // Walk up the chain so a deadline can't end up depending on itself
+    let cursor = parentId;
+    for (let depth = 0; cursor && depth < 20; depth += 1) {
+      if (selfId && String(cursor) === String(selfId)) return { error: "Deadlines cannot depend on themselves" };
+      cursor = (await Deadline.findById(cursor).select("rule.deadline").lean())?.rule?.deadline;
+    }
+    rule.deadline = parentId;
+  }
+
+  return { rule };
+};
+
+/** Recompute + save one deadline, then let dependants follow */
+const saveAndCascade = async (deadline, user, reason) => {
+  if (deadline.rule.source !== "manual") await computeDeadline(deadline, { by: user._id, reason });
+  await deadline.save();
+  await recomputeDeadlines({ "rule.deadline": deadline._id }, "Triggering deadline moved");
+  emitSocketEvent("deadline:updated", `case_${deadline.case}`, deadline.toJSON());
+  return deadline;
+};
+
+const populateDeadline = (q) =>
+  q.populate("case", "title caseNumber jurisdiction").populate("assignedTo", "name email").populate("rule.hearing", "title start");
+
+/* ========================= LIST ============================ */
+/**
+ * GET /api/deadlines
+ * Query: caseId, status (default open), from, to (YYYY-MM-DD), mine=true, overdue=true, limit
+ */
+export const getDeadlines = asyncHandler(async (req, res) => {
+  const filter = { isDeleted: false };
+
+  if (req.query.caseId) {
+    const caseDoc = await loadCase(req.query.caseId);
+    if (!caseDoc || !can(req.user, caseDoc, "view")) {
+      return res.status(404).json({ success: false, message: "Case not found" });
+    }
+    filter.case = caseDoc._id;
+  } else if (req.user.role !== "admin") {
+    filter.case = { $in: await visibleCaseIds(req.user) };
+  }
+
+  filter.status = req.query.status ? { $in: String(req.query.status).split(",") } : "open";
+  if (req.query.mine === "true") filter.assignedTo = req.user._id;
+  if (req.query.from || req.query.to) {
+    filter.dueDay = {};
+    if (req.query.from) filter.dueDay.$gte = String(req.query.from).slice(0, 10);
+    if (req.query.to) filter.dueDay.$lte = String(req.query.to).slice(0, 10);
+  }
+  if (req.query.overdue === "true") {
+    filter.status = "open";
+    filter.dueDay = { $lt: new Date().toISOString().slice(0, 10) };
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 500);
+  const deadlines = await populateDeadline(Deadline.find(filter).sort({ dueDate: 1 }).limit(limit));
+  res.json({ success: true, data: deadlines });
+});
+
+/** GET /api/deadlines/:id */
+export const getDeadlineById = asyncHandler(async (req, res) => {
+  const { deadline } = await loadDeadline(req, res, "view");
+  if (!deadline) return;
+  await deadline.populate([
+    { path: "case", select: "title caseNumber jurisdiction" },
+    { path: "assignedTo", select: "name email" },
+    { path: "rule.hearing", select: "title start" },
+    { path: "rule.deadline", select: "title dueDay" },
+    { path: "history.by", select: "name" },
+  ]);
+  res.json({ success: true, data: deadline });
+});
+
+/**
+ * GET /api/deadlines/preview
+ * Same query as a rule plus caseId and triggerDate — returns the due day
+ * without saving anything (for the "add deadline" form).
+ */
+export const previewDeadline = asyncHandler(async (req, res) => {
+  const caseDoc = await loadCase(req.query.caseId);
+  if (!caseDoc || !can(req.user, caseDoc, "view")) return res.status(404).json({ success: false, message: "Case not found" });
+  if (!req.query.triggerDate) return res.status(400).json({ success: false, message: "triggerDate is required" });
+
+  const { rule, error } = await readRule({ ...req.query, source: "custom" }, caseDoc._id);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const calendar = await calendarFor(caseDoc.jurisdiction);
+  const result = computeDueDay(String(req.query.triggerDate).slice(0, 10), rule, calendar);
+  res.json({ success: true, data: { ...result, jurisdiction: calendar.jurisdiction, timezone: calendar.timezone } });
+});
+
+/* ========================= CREATE / UPDATE ============================ */
+/**
+ * POST /api/deadlines
+ * Body: caseId, title, kind, description, assignedTo[],
+ *       source (manual | custom | case_filed | case_hearing | hearing | deadline),
+ *       offset, unit, direction, roll, hearingId, deadlineId,
+ *       triggerDate (custom), dueDate (manual)
+ */
+export const createDeadline = asyncHandler(async (req, res) => {
+  const { caseId, title, kind, description, assignedTo, triggerDate, dueDate } = req.body;
+
+  const caseDoc = await loadCase(caseId);
+  if (!caseDoc || !can(req.user, caseDoc, "view")) return res.status(404).json({ success: false, message: "Case not found" });
+  if (!can(req.user, caseDoc, "manageDeadlines")) {
+    return res.status(403).json({ success: false, message: "You cannot add deadlines to this case" });
+  }
+  if (!title?.trim()) return res.status(400).json({ success: false, message: "Title is required" });
+
+  const { rule, error } = await readRule(req.body, caseDoc._id);
+  if (error) return res.status(400).json({ success: false, message: error });
+
+  const deadline = new Deadline({
+    case: caseDoc._id,
+    title,
+    kind,
+    description,
+    rule,
+    assignedTo: Array.isArray(assignedTo) ? assignedTo.filter(isId) : [],
+    jurisdiction: jurisdictionKey(caseDoc.jurisdiction),
+    createdBy: req.user._id,
+  });
+
+  if (rule.source === "manual") {
+    if (!dueDate || isNaN(new Date(dueDate))) return res.status(400).json({ success: false, message: "dueDate is required" });
+    deadline.dueDay = String(dueDate).slice(0, 10);
+    deadline.dueDate = keyToDate(deadline.dueDay);
+    deadline.history.push({ by: req.user._id, toDay: deadline.dueDay, reason: "Created" });
+  } else {
+    if (rule.source === "custom") {
+      if (!triggerDate || isNaN(new Date(triggerDate))) {
+        return res.status(400).json({ success: false, message: "triggerDate is required for custom triggers" });
+      }
+      deadline.triggerDate = new Date(triggerDate);
+    }
+    await computeDeadline(deadline, { by: req.user._id, reason: "Created" });
+  }
+
+  await deadline.save();
+  emitSocketEvent("deadline:created", `case_${deadline.case}`, deadline.toJSON());
+  res.status(201).json({ success: true, message: "Deadline created", data: deadline });
+});
+
+/** PATCH /api/deadlines/:id — any create field except caseId */
+export const updateDeadline = asyncHandler(async (req, res) => {
+  const { deadline } = await loadDeadline(req, res, "manageDeadlines");
+  if (!deadline) return;
+
+  for (const field of ["title", "kind", "description"]) {
+    if (req.body[field] !== undefined) deadline[field] = req.body[field];
+  }
+  if (Array.isArray(req.body.assignedTo)) deadline.assignedTo = req.body.assignedTo.filter(isId);
+
+  const touchesRule = ["source", "rule", "offset", "unit", "direction", "roll", "hearingId", "deadlineId"].some(
+    (k) => req.body[k] !== undefined
+  );
+  if (touchesRule) {
+    const { rule, error } = await readRule({ source: deadline.rule.source, ...req.body }, deadline.case, deadline._id);
+    if (error) return res.status(400).json({ success: false, message: error });
+    deadline.rule = rule;
+  }
+  if (req.body.triggerDate !== undefined) {
+    if (isNaN(new Date(req.body.triggerDate))) return res.status(400).json({ success: false, message: "Invalid triggerDate" });
+    deadline.triggerDate = new Date(req.body.triggerDate);
+  }
+
+  if (deadline.rule.source === "manual" && req.body.dueDate) {
+    const day = String(req.body.dueDate).slice(0, 10);
+    if (day !== deadline.dueDay) {
+      deadline.history.push({ by: req.user._id, fromDay: deadline.dueDay, toDay: day, reason: req.body.reason || "Edited" });
+      deadline.dueDay = day;
+      deadline.dueDate = keyToDate(day);
+      deadline.remindedDays = [];
+    }
+  }
+
+  await saveAndCascade(deadline, req.user, req.body.reason || "Rule edited");
+  res.json({ success: true, message: "Deadline updated", data: deadline });
+});
+
+/** POST /api/deadlines/:id/complete | /reopen | /cancel */
+const setStatus = (status) =>
+  asyncHandler(async (req, res) => {
+    const { deadline } = await loadDeadline(req, res, "manageDeadlines");
+    if (!deadline) return;
+
+    deadline.status = status;
+    deadline.completedAt = status === "completed" ? new Date() : null;
+    deadline.completedBy = status === "completed" ? req.user._id : null;
+    // Reopening picks up any trigger changes made while it was closed
+    if (status === "open") await computeDeadline(deadline, { by: req.user._id, reason: "Reopened" });
+    await deadline.save();
+
+    emitSocketEvent("deadline:updated", `case_${deadline.case}`, deadline.toJSON());
+    res.json({ success: true, message: `Deadline ${status === "open" ? "reopened" : status}`, data: deadline });
+  });
+
+export const completeDeadline = setStatus("completed");
+export const reopenDeadline = setStatus("open");
+export const cancelDeadline = setStatus("cancelled");
+
+/** DELETE /api/deadlines/:id — soft delete; dependants flag a compute error */
+export const deleteDeadline = asyncHandler(async (req, res) => {
+  const { deadline } = await loadDeadline(req, res, "manageDeadlines");
+  if (!deadline) return;
+
+  deadline.isDeleted = true;
+  await deadline.save();
+  await recomputeDeadlines({ "rule.deadline": deadline._id }, "Triggering deadline deleted");
+
+  emitSocketEvent("deadline:deleted", `case_${deadline.case}`, { id: deadline._id });
+  res.json({ success: true, message: "Deadline deleted" });
+});
+
+/* ========================= CALENDAR FEED ============================ */
+/**
+ * GET /api/deadlines/calendar?start=YYYY-MM-DD&end=YYYY-MM-DD&caseId=
+ * Open + completed deadlines in range, shaped for the hearings calendar.
+ */
+export const getDeadlineCalendar = asyncHandler(async (req, res) => {
+  const filter = { isDeleted: false, status: { $in: ["open", "completed"] }, dueDay: { $ne: null } };
+  if (req.query.start || req.query.end) {
+    filter.dueDay = { $ne: null };
+    if (req.query.start) filter.dueDay.$gte = String(req.query.start).slice(0, 10);
+    if (req.query.end) filter.dueDay.$lte = String(req.query.end).slice(0, 10);
+  }
+
+  const visible = req.user.role === "admin" ? null : (await visibleCaseIds(req.user)).map(String);
+  if (isId(req.query.caseId)) {
+    if (visible && !visible.includes(String(req.query.caseId))) return res.json({ success: true, data: [] });
+    filter.case = req.query.caseId;
+  } else if (visible) {
+    filter.case = { $in: visible };
+  }
+
+  const deadlines = await Deadline.find(filter).populate("case", "title caseNumber").sort({ dueDate: 1 }).limit(1000);
+  const today = new Date().toISOString().slice(0, 10);
+
+  res.json({
+    success: true,
+    data: deadlines.map((d) => ({
+      id: `deadline:${d._id}`,
+      deadlineId: d._id,
+      title: `⏰ ${d.title}`,
+      start: d.dueDay,
+      allDay: true,
+      kind: d.kind,
+      status: d.status === "completed" ? "completed" : d.dueDay < today ? "overdue" : "due",
+      caseId: d.case?._id,
+      caseNumber: d.case?.caseNumber,
+      computeError: d.computeError,
+    })),
+  });
+});
+
+/* ========================= COURT CALENDARS ============================ */
+/** GET /api/court-calendars */
+export const getCourtCalendars = asyncHandler(async (req, res) => {
+  const calendars = await CourtCalendar.find({}).sort({ jurisdiction: 1 }).populate("updatedBy", "name");
+  res.json({ success: true, data: calendars });
+});
+
+/**
+ * PUT /api/court-calendars/:jurisdiction (admin)
+ * Body: name, timezone, weekendDays [0-6], holidays [{ date, name, recurring }]
+ * Open deadlines in the jurisdiction are recomputed straight away.
+ */
+export const upsertCourtCalendar = asyncHandler(async (req, res) => {
+  const jurisdiction = jurisdictionKey(req.params.jurisdiction);
+  const calendar =
+    (await CourtCalendar.findOne({ jurisdiction })) || new CourtCalendar({ jurisdiction });
+
+  for (const field of ["name", "timezone", "weekendDays", "holidays"]) {
+    if (req.body[field] !== undefined) calendar[field] = req.body[field];
+  }
+  calendar.updatedBy = req.user._id;
+
+  const invalid = calendar.validateSync();
+  if (invalid) return res.status(400).json({ success: false, message: invalid.message });
+  await calendar.save();
+
+  const moved = await recomputeForJurisdiction(jurisdiction);
+  res.json({ success: true, message: `Calendar saved; ${moved} deadline(s) moved`, data: calendar });
+});
+
+/** DELETE /api/court-calendars/:jurisdiction (admin) — falls back to "default" */
+export const deleteCourtCalendar = asyncHandler(async (req, res) => {
+  const jurisdiction = jurisdictionKey(req.params.jurisdiction);
+  const removed = await CourtCalendar.findOneAndDelete({ jurisdiction });
+  if (!removed) return res.status(404).json({ success: false, message: "Calendar not found" });
+
+  const moved = await recomputeForJurisdiction(jurisdiction);
+  res.json({ success: true, message: `Calendar removed; ${moved} deadline(s) moved` });
+});
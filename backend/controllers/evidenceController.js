@@ -1,8 +1,32 @@
 // backend/controllers/evidenceController.js
 import path from "path";
+import PDFDocument from "pdfkit";
+import mongoose from "mongoose";
 import Evidence from "../models/Evidence.js";
 import Case from "../models/Case.js";
 import Arbitration from "../models/Arbitration.js";
+import { openStoredFile, persistBufferedUpload } from "./uploadController.js";
+import {
+  hashStream,
+  hashUploadedFile,
+  recordCustodyEvent,
+  verifyCustodyChain,
+  checkIntegrity,
+} from "../services/custodyService.js";
+import { evidenceRooms } from "../services/socketAccess.js";
+import { search } from "../services/search.js";
+import { queueEvidenceExtraction } from "../services/textExtraction.js";
+import { evidenceAccessQuery } from "../services/accessQueries.js";
+import {
+  ensureVersions,
+  addVersion,
+  restoreVersion,
+  fileVersion,
+  findVersion,
+  hasFiledVersion,
+  diffVersions,
+  serializeVersions,
+} from "../services/documentVersions.js";
 
 /**
  * Helper to get Socket.IO instance safely from request
@@ -15,6 +39,38 @@ const getIO = (req) => {
   }
 };
 
+/**
+ * Normalized metadata of the uploaded file (req.fileData or multer's req.file).
+ * Memory uploads (aws_s3) are pushed to the bucket first.
+ */
+const storedFileFromRequest = async (req) => {
+  if (req.file?.buffer && !req.fileData && process.env.STORAGE_PROVIDER === "aws_s3") {
+    Object.assign(req.file, await persistBufferedUpload(req.file));
+  }
+
+  return (
+    req.fileData ||
+    (req.file && {
+      name: req.file.originalname,
+      fileUrl: req.file.location || req.file.fileUrl || req.file.path || req.file.url,
+      fileKey:
+        req.file.fileKey ||
+        req.file.key ||
+        req.file.filename ||
+        (req.file.path && path.basename(req.file.path)) ||
+        null,
+      fileType: req.file.mimetype,
+      fileSize: req.file.size,
+      storageProvider: process.env.STORAGE_PROVIDER || "local",
+    }) ||
+    null
+  );
+};
+
+// Hash exactly what was received, before anything else touches it
+const hashReceivedFile = async (req, fileData) =>
+  req.file ? hashUploadedFile(req.file) : hashStream(await openStoredFile(fileData.fileKey, fileData.storageProvider));
+
 /**
  * Upload evidence (POST /api/cases/:caseId/evidence OR
  * POST /api/arbitrations/:arbitrationId/evidence)
@@ -47,25 +103,11 @@ export const uploadEvidence = async (req, res) => {
       });
     }
 
-    // Normalize file metadata
-    const fileData =
-      req.fileData ||
-      (req.file && {
-        name: req.file.originalname,
-        fileUrl: req.file.location || req.file.path || req.file.url,
-        fileKey:
-          req.file.key ||
-          req.file.filename ||
-          (req.file.path && path.basename(req.file.path)) ||
-          null,
-        fileType: req.file.mimetype,
-        fileSize: req.file.size,
-        storageProvider: process.env.STORAGE_PROVIDER || "local",
-      });
-
+    const fileData = await storedFileFromRequest(req);
     if (!fileData) {
       return res.status(500).json({ success: false, message: "Upload did not produce file metadata" });
     }
+    const contentHash = await hashReceivedFile(req, fileData);
 
     const newEvidence = new Evidence({
       title: (title || fileData.name || "Evidence").trim(),
@@ -76,16 +118,21 @@ export const uploadEvidence = async (req, res) => {
       fileKey: fileData.fileKey,
       fileUrl: fileData.fileUrl,
       storageProvider: fileData.storageProvider,
+      contentHash,
       uploadedBy: userId,
       arbitration: arbitrationId || null,
       case: caseId || null,
       meta: { category: category || "Document" },
     });
 
+    ensureVersions(newEvidence, "evidence");
+    newEvidence.versions[0].contentHash = contentHash;
+    newEvidence.versions[0].uploadedBy = userId;
+
     // Optional model-level helper hooks
     if (typeof newEvidence.addAudit === "function") {
       try {
-        newEvidence.addAudit("uploaded", userId, { category });
+        newEvidence.addAudit("uploaded", userId, { category, contentHash });
       } catch (e) {
         // non-fatal
         console.warn("addAudit failed:", e);
@@ -93,6 +140,8 @@ export const uploadEvidence = async (req, res) => {
     }
 
     await newEvidence.save();
+    await recordCustodyEvent(newEvidence, "upload", req, { details: fileData.name });
+    await queueEvidenceExtraction(newEvidence);
 
     // attach to parent record
     parent.evidence = parent.evidence || [];
@@ -104,7 +153,7 @@ export const uploadEvidence = async (req, res) => {
     if (io) {
       try {
         const payload = typeof newEvidence.toPublicJSON === "function" ? newEvidence.toPublicJSON() : newEvidence;
-        io.emit("evidence:new", payload);
+        io.to(evidenceRooms(newEvidence)).emit("evidence:new", payload);
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -179,6 +228,8 @@ export const getEvidenceById = async (req, res) => {
       return res.status(404).json({ success: false, message: "Evidence not found or deleted" });
     }
 
+    await recordCustodyEvent(evidence, "view", req);
+
     return res.json({
       success: true,
       evidence: typeof evidence.toPublicJSON === "function" ? evidence.toPublicJSON() : evidence,
@@ -209,6 +260,7 @@ export const verifyEvidence = async (req, res) => {
     if (typeof evidence.verify === "function") {
       evidence.verify(user._id);
       await evidence.save();
+      await recordCustodyEvent(evidence, "verify", req);
     } else {
       return res.status(500).json({ success: false, message: "Evidence model missing verify() method" });
     }
@@ -216,7 +268,7 @@ export const verifyEvidence = async (req, res) => {
     const io = getIO(req);
     if (io) {
       try {
-        io.emit("evidence:verified", { evidenceId: id, verifiedBy: user.name || user.email });
+        io.to(evidenceRooms(evidence)).emit("evidence:verified", { evidenceId: id, verifiedBy: user.name || user.email });
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -240,7 +292,8 @@ export const verifyEvidence = async (req, res) => {
 /* SOFT DELETE */
 export const softDeleteEvidence = async (req, res) => {
   try {
-    const { caseId, evidenceId } = req.params;
+    const { caseId } = req.params;
+    const evidenceId = req.params.evidenceId || req.params.id;
     const userId = req.user._id;
 
     if (!evidenceId) return res.status(400).json({ success: false, message: "evidenceId required" });
@@ -259,6 +312,7 @@ export const softDeleteEvidence = async (req, res) => {
       evidence.deletedAt = new Date();
       await evidence.save();
     }
+    await recordCustodyEvent(evidence, "soft_delete", req);
 
     if (caseId) {
       await Case.findByIdAndUpdate(caseId, { $pull: { evidence: evidenceId } }).catch(() => {});
@@ -267,7 +321,7 @@ export const softDeleteEvidence = async (req, res) => {
     const io = getIO(req);
     if (io) {
       try {
-        io.emit("evidence:deleted", { evidenceId });
+        io.to(evidenceRooms(evidence)).emit("evidence:deleted", { evidenceId });
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -287,12 +341,18 @@ export const softDeleteEvidence = async (req, res) => {
 /* PERMANENT DELETE */
 export const deleteEvidencePermanently = async (req, res) => {
   try {
-    const { caseId, evidenceId } = req.params;
+    const { caseId } = req.params;
+    const evidenceId = req.params.evidenceId || req.params.id;
     if (!evidenceId) return res.status(400).json({ success: false, message: "evidenceId required" });
 
     const evidence = await Evidence.findById(evidenceId);
     if (!evidence) return res.status(404).json({ success: false, message: "Evidence not found" });
+    if (hasFiledVersion(evidence)) {
+      return res.status(409).json({ success: false, message: "A version of this evidence was filed with the court and is locked" });
+    }
 
+    // The ledger outlives the record
+    await recordCustodyEvent(evidence, "permanent_delete", req, { details: evidence.fileName });
     await Evidence.findByIdAndDelete(evidenceId);
 
     if (caseId) {
@@ -302,7 +362,7 @@ export const deleteEvidencePermanently = async (req, res) => {
     const io = getIO(req);
     if (io) {
       try {
-        io.emit("evidence:permanentDeleted", { evidenceId });
+        io.to(evidenceRooms(evidence)).emit("evidence:permanentDeleted", { evidenceId });
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -338,12 +398,13 @@ export const restoreEvidence = async (req, res) => {
       evidence.deletedAt = null;
       await evidence.save();
     }
+    await recordCustodyEvent(evidence, "restore", req);
 
     const io = getIO(req);
     if (io) {
       try {
         const payload = typeof evidence.toPublicJSON === "function" ? evidence.toPublicJSON() : evidence;
-        io.emit("evidence:restored", payload);
+        io.to(evidenceRooms(evidence)).emit("evidence:restored", payload);
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -364,26 +425,288 @@ export const restoreEvidence = async (req, res) => {
   }
 };
 
+/*
+ * Evidence on a case / arbitration the user can see (admins: any); sends
+ * the 404 itself. Integrity checks and custody reports still work on
+ * soft-deleted records, so they pass includeDeleted.
+ */
+const loadAccessibleEvidence = async (req, res, { includeDeleted = false } = {}) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ success: false, message: "Evidence not found" });
+    return null;
+  }
+  const evidence = await Evidence.findOne({
+    _id: req.params.id,
+    ...(includeDeleted ? {} : { deleted: false }),
+    ...(await evidenceAccessQuery(req.user)),
+  });
+  if (!evidence) res.status(404).json({ success: false, message: "Evidence not found" });
+  return evidence;
+};
+
+/* DOWNLOAD (streams the stored object; recorded in the custody ledger) */
+export const downloadEvidence = async (req, res) => {
+  try {
+    const evidence = await loadAccessibleEvidence(req, res);
+    if (!evidence) return;
+
+    // ?version=n downloads an older version; default is the current file
+    let file = {
+      fileKey: evidence.fileKey,
+      storageProvider: evidence.storageProvider,
+      name: evidence.fileName,
+      fileType: evidence.fileType,
+      contentHash: evidence.versions?.length ? findVersion(evidence, evidence.currentVersion).contentHash : evidence.contentHash,
+    };
+    if (req.query.version) {
+      ensureVersions(evidence, "evidence");
+      file = findVersion(evidence, req.query.version);
+    }
+
+    const stream = await openStoredFile(file.fileKey, file.storageProvider);
+    await recordCustodyEvent(evidence, "download", req, {
+      details: req.query.version ? `v${file.version}` : null,
+      contentHash: file.contentHash,
+    });
+
+    res.setHeader("Content-Type", file.fileType || "application/octet-stream");
+    res.setHeader("Content-Disposition", `attachment; filename="${encodeURIComponent(file.name)}"`);
+    if (file.contentHash) res.setHeader("X-Content-SHA256", file.contentHash);
+
+    stream.on("error", (err) => {
+      console.error("❌ Evidence download stream error:", err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error("❌ Download evidence error:", err);
+    if (res.headersSent) return res.end();
+    return res.status(err?.status || 500).json({
+      success: false,
+      message: "Failed to download evidence",
+      error: err?.message || String(err),
+    });
+  }
+};
+
+/* VERSIONS */
+const sendVersionError = (res, err, fallback) => {
+  if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+  console.error(`❌ ${fallback}:`, err);
+  return res.status(500).json({ success: false, message: fallback, error: err?.message || String(err) });
+};
+
+const emitVersionEvent = (req, evidence, event, version) => {
+  const io = getIO(req);
+  if (!io) return;
+  try {
+    io.to(evidenceRooms(evidence)).emit(event, { evidenceId: evidence._id, version: version.version });
+  } catch (e) {
+    console.warn("Socket emit failed:", e);
+  }
+};
+
+export const getEvidenceVersions = async (req, res) => {
+  try {
+    const evidence = await loadAccessibleEvidence(req, res);
+    if (!evidence) return;
+    return res.json({ success: true, currentVersion: evidence.currentVersion, versions: serializeVersions(evidence, "evidence") });
+  } catch (err) {
+    return sendVersionError(res, err, "Failed to list evidence versions");
+  }
+};
+
+export const uploadEvidenceVersion = async (req, res) => {
+  try {
+    if (!req.file && !req.fileData) return res.status(400).json({ success: false, message: "No file uploaded" });
+    const evidence = await loadAccessibleEvidence(req, res);
+    if (!evidence) return;
+
+    const fileData = await storedFileFromRequest(req);
+    if (!fileData) return res.status(500).json({ success: false, message: "Upload did not produce file metadata" });
+    const contentHash = await hashReceivedFile(req, fileData);
+
+    const version = addVersion(
+      evidence,
+      "evidence",
+      { ...fileData, size: fileData.fileSize, contentHash },
+      req.user._id,
+      { note: req.body?.note }
+    );
+    evidence.addAudit("version_uploaded", req.user._id, { version: version.version, contentHash });
+    await evidence.save();
+    await recordCustodyEvent(evidence, "version_upload", req, { details: `v${version.version}: ${fileData.name}`, contentHash });
+    await queueEvidenceExtraction(evidence);
+
+    emitVersionEvent(req, evidence, "evidence:versionAdded", version);
+    return res.status(201).json({ success: true, message: `Version ${version.version} uploaded`, versions: serializeVersions(evidence, "evidence") });
+  } catch (err) {
+    return sendVersionError(res, err, "Failed to upload evidence version");
+  }
+};
+
+export const diffEvidenceVersions = async (req, res) => {
+  try {
+    const evidence = await loadAccessibleEvidence(req, res);
+    if (!evidence) return;
+    const to = Number(req.query.to) || evidence.currentVersion;
+    const from = Number(req.query.from) || to - 1;
+    return res.json({ success: true, diff: diffVersions(evidence, "evidence", from, to) });
+  } catch (err) {
+    return sendVersionError(res, err, "Failed to compare evidence versions");
+  }
+};
+
+export const restoreEvidenceVersion = async (req, res) => {
+  try {
+    const evidence = await loadAccessibleEvidence(req, res);
+    if (!evidence) return;
+
+    const version = restoreVersion(evidence, "evidence", req.params.version, req.user._id);
+    evidence.addAudit("version_restored", req.user._id, { version: version.version, restoredFrom: version.restoredFrom });
+    await evidence.save();
+    await recordCustodyEvent(evidence, "version_restore", req, {
+      details: `v${version.restoredFrom} → v${version.version}`,
+      contentHash: version.contentHash,
+    });
+    await queueEvidenceExtraction(evidence);
+
+    emitVersionEvent(req, evidence, "evidence:versionAdded", version);
+    return res.json({
+      success: true,
+      message: `Version ${version.restoredFrom} restored as v${version.version}`,
+      versions: serializeVersions(evidence, "evidence"),
+    });
+  } catch (err) {
+    return sendVersionError(res, err, "Failed to restore evidence version");
+  }
+};
+
+export const fileEvidenceVersion = async (req, res) => {
+  try {
+    const evidence = await loadAccessibleEvidence(req, res);
+    if (!evidence) return;
+
+    const { court, reference, filedAt } = req.body || {};
+    const version = fileVersion(evidence, "evidence", req.params.version, req.user._id, { court, reference, filedAt });
+    evidence.addAudit("version_filed", req.user._id, { version: version.version, court: version.filing.court, reference: version.filing.reference });
+    await evidence.save();
+    await recordCustodyEvent(evidence, "version_filed", req, {
+      details: [`v${version.version}`, version.filing.court, version.filing.reference].filter(Boolean).join(" · "),
+      contentHash: version.contentHash,
+    });
+
+    emitVersionEvent(req, evidence, "evidence:versionFiled", version);
+    return res.json({ success: true, message: `Version ${version.version} marked as filed and locked`, versions: serializeVersions(evidence, "evidence") });
+  } catch (err) {
+    return sendVersionError(res, err, "Failed to file evidence version");
+  }
+};
+
+/* INTEGRITY CHECK (re-hash stored object + verify custody chain) */
+export const checkEvidenceIntegrity = async (req, res) => {
+  try {
+    const evidence = await loadAccessibleEvidence(req, res, { includeDeleted: true });
+    if (!evidence) return;
+
+    const result = await checkIntegrity(evidence);
+    await recordCustodyEvent(evidence, "integrity_check", req, {
+      details: result.intact ? "intact" : result.file.error || result.chain.reason || "file hash mismatch",
+      contentHash: result.file.actual,
+    });
+
+    return res.json({
+      success: true,
+      evidenceId: evidence._id,
+      checkedAt: new Date(),
+      ...result,
+    });
+  } catch (err) {
+    console.error("❌ Evidence integrity check error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to check evidence integrity",
+      error: err?.message || String(err),
+    });
+  }
+};
+
+/* CUSTODY REPORT (PDF stream) */
+export const getCustodyReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const evidence = await loadAccessibleEvidence(req, res, { includeDeleted: true });
+    if (!evidence) return;
+
+    const chain = await verifyCustodyChain(evidence);
+    await Evidence.populate(chain.events, { path: "actor", select: "name email role", model: "User" });
+    await evidence.populate("uploadedBy", "name email");
+
+    const doc = new PDFDocument({ autoFirstPage: true, margin: 50 });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=evidence-${id}-custody.pdf`);
+    doc.pipe(res);
+
+    doc.fontSize(18).text("Chain of Custody Report", { align: "center" });
+    doc.moveDown();
+    doc.fontSize(11);
+    doc.text(`Evidence: ${evidence.title}`);
+    doc.text(`File: ${evidence.fileName} (${evidence.fileType}, ${evidence.fileSize} bytes)`);
+    doc.text(`Uploaded by: ${evidence.uploadedBy?.name || "N/A"} (${evidence.uploadedBy?.email || ""})`);
+    doc.text(`Uploaded at: ${evidence.createdAt ? evidence.createdAt.toISOString() : "N/A"}`);
+    doc.text(`SHA-256: ${evidence.contentHash || "not recorded"}`);
+    doc.text(`Status: ${evidence.deleted ? "deleted" : evidence.verified ? "verified" : "unverified"}`);
+    doc.moveDown();
+
+    doc.fontSize(12).text(
+      chain.valid
+        ? `Ledger intact — ${chain.length} entries, head ${chain.headHash}${chain.legacy ? " (upload predates the ledger)" : ""}`
+        : `Ledger BROKEN at entry ${chain.brokenAt ?? "-"}: ${chain.reason}`,
+      { underline: true }
+    );
+    doc.moveDown();
+
+    doc.fontSize(9);
+    for (const e of chain.events) {
+      doc.font("Helvetica-Bold").text(`#${e.seq}  ${e.action.toUpperCase()}  ${new Date(e.at).toISOString()}`);
+      doc.font("Helvetica");
+      doc.text(`By: ${e.actor?.name ? `${e.actor.name} <${e.actor.email}>` : e.actor?._id || e.actor || "system"}`);
+      if (e.ip || e.userAgent) doc.text(`From: ${e.ip || "-"}  ${e.userAgent || ""}`);
+      if (e.details) doc.text(`Details: ${e.details}`);
+      if (e.contentHash) doc.text(`File hash: ${e.contentHash}`);
+      doc.text(`Entry hash: ${e.entryHash}`);
+      doc.moveDown(0.5);
+    }
+
+    doc.moveDown();
+    doc.fontSize(8).fillColor("#555555").text(`Generated ${new Date().toISOString()}`, { align: "right" });
+    doc.end();
+  } catch (err) {
+    console.error("❌ Custody report error:", err);
+    if (res.headersSent) {
+      try { res.end(); } catch (e) {}
+      return;
+    }
+    return res.status(500).json({ success: false, message: "Failed to generate custody report", error: err?.message || String(err) });
+  }
+};
+
 /* SEARCH */
 export const searchEvidence = async (req, res) => {
   try {
-    const { q } = req.query;
+    const { q, page, limit } = req.query;
     if (!q) return res.status(400).json({ success: false, message: "Search query missing" });
 
-    const results = await Evidence.find({
-      $text: { $search: q },
-      deleted: false,
-    })
-      .select("title description fileName fileUrl case arbitration uploadedBy createdAt")
-      .populate("uploadedBy", "name email role")
-      .sort({ createdAt: -1 })
-      .limit(50);
+    // Same engine and access rules as GET /api/search, scoped to evidence
+    const result = await search(req.user, { q, type: "evidence", page, limit });
 
     return res.json({
       success: true,
-      results: results.map((e) => (typeof e.toPublicJSON === "function" ? e.toPublicJSON() : e)),
+      total: result.total,
+      results: result.hits,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
     console.error("❌ Search evidence error:", err);
     return res.status(500).json({
       success: false,
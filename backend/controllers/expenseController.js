@@ -0,0 +1,196 @@
+// backend/controllers/expenseController.js
+import mongoose from "mongoose";
+import Expense, { EXPENSE_CATEGORIES } from "../models/Expense.js";
+import Case from "../models/Case.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { caseAccessQuery, can } from "../services/casePolicy.js";
+
+/**
+ * Expense Controller
+ *
+ * - Disbursements logged against a case (`logExpense`), approved by whoever
+ *   manages it (`approveExpense`) — same review flow as time entries
+ * - Approved, billable expenses are picked up by invoice drafts (services/billing.js)
+ */
+
+const POLICY_FIELDS = "filedBy createdBy assignedTo sharedWith sharedLogs participants team isDeleted";
+const isId = (v) => mongoose.isValidObjectId(v);
+
+const loadCase = async (caseId) => {
+  if (!isId(caseId)) return null;
+  const caseDoc = await Case.findById(caseId).select(POLICY_FIELDS).lean();
+  return caseDoc && !caseDoc.isDeleted ? caseDoc : null;
+};
+
+/** Own expenses + every expense on cases the user manages (admins: all) */
+const visibleFilter = async (user) => {
+  if (user.role === "admin") return {};
+  const cases = await Case.find(caseAccessQuery(user)).select(POLICY_FIELDS).lean();
+  const managed = cases.filter((c) => can(user, c, "approveExpense")).map((c) => c._id);
+  return { $or: [{ user: user._id }, { case: { $in: managed } }] };
+};
+
+const parseAmount = (value) => {
+  const amount = Math.round(Number(value) * 100) / 100;
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+/* ========================= LIST ============================ */
+/**
+ * GET /api/expenses
+ * Query: caseId, status (comma list), from, to, page, limit
+ */
+export const getExpenses = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const filter = { isDeleted: false, ...(await visibleFilter(req.user)) };
+  if (isId(req.query.caseId)) filter.case = req.query.caseId;
+  if (req.query.status) filter.status = { $in: String(req.query.status).split(",") };
+  if (req.query.from || req.query.to) {
+    filter.date = {};
+    if (req.query.from) filter.date.$gte = new Date(req.query.from);
+    if (req.query.to) filter.date.$lte = new Date(req.query.to);
+  }
+
+  const [expenses, total] = await Promise.all([
+    Expense.find(filter)
+      .populate("case", "title caseNumber")
+      .populate("user", "name email")
+      .sort({ date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Expense.countDocuments(filter),
+  ]);
+
+  res.json({ success: true, data: expenses, meta: { page, limit, total, categories: EXPENSE_CATEGORIES } });
+});
+
+/* ========================= CREATE ============================ */
+/** POST /api/expenses — Body: caseId, amount, description, category, date, billable, taxable, receiptUrl */
+export const createExpense = asyncHandler(async (req, res) => {
+  const { caseId, description, category, date, billable, taxable, receiptUrl } = req.body;
+
+  const caseDoc = await loadCase(caseId);
+  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  if (!can(req.user, caseDoc, "logExpense")) {
+    return res.status(403).json({ success: false, message: "You cannot log expenses on this case" });
+  }
+
+  const amount = parseAmount(req.body.amount);
+  if (!amount) return res.status(400).json({ success: false, message: "Amount must be a positive number" });
+  if (!description?.trim()) return res.status(400).json({ success: false, message: "Description is required" });
+
+  const expense = await Expense.create({
+    case: caseDoc._id,
+    user: req.user._id,
+    amount,
+    description,
+    category,
+    date: date ? new Date(date) : new Date(),
+    billable: billable !== undefined ? !!billable : true,
+    taxable: !!taxable,
+    receiptUrl: receiptUrl || null,
+  });
+
+  res.status(201).json({ success: true, message: "Expense recorded", data: expense });
+});
+
+/* ========================= UPDATE / DELETE ============================ */
+const EDITABLE_FIELDS = ["description", "category", "date", "billable", "taxable", "receiptUrl"];
+
+/** PATCH /api/expenses/:id — author only, until approved */
+export const updateExpense = asyncHandler(async (req, res) => {
+  if (!isId(req.params.id)) return res.status(400).json({ success: false, message: "Invalid expense id" });
+  const expense = await Expense.findOne({ _id: req.params.id, isDeleted: false });
+  if (!expense) return res.status(404).json({ success: false, message: "Expense not found" });
+
+  if (String(expense.user) !== String(req.user._id) && req.user.role !== "admin") {
+    return res.status(403).json({ success: false, message: "Only the author can edit an expense" });
+  }
+  if (expense.isLocked()) {
+    return res.status(409).json({ success: false, message: `An ${expense.status} expense can no longer be edited` });
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) expense[field] = req.body[field];
+  }
+  if (req.body.amount !== undefined) {
+    const amount = parseAmount(req.body.amount);
+    if (!amount) return res.status(400).json({ success: false, message: "Amount must be a positive number" });
+    expense.amount = amount;
+  }
+  if (expense.status === "rejected") {
+    expense.status = "pending";
+    expense.reviewedBy = null;
+    expense.reviewedAt = null;
+  }
+
+  await expense.save();
+  res.json({ success: true, message: "Expense updated", data: expense });
+});
+
+/** DELETE /api/expenses/:id — author or case manager, until approved */
+export const deleteExpense = asyncHandler(async (req, res) => {
+  if (!isId(req.params.id)) return res.status(400).json({ success: false, message: "Invalid expense id" });
+  const expense = await Expense.findOne({ _id: req.params.id, isDeleted: false });
+  if (!expense) return res.status(404).json({ success: false, message: "Expense not found" });
+
+  const own = String(expense.user) === String(req.user._id);
+  if (!own && !can(req.user, await loadCase(expense.case), "approveExpense")) {
+    return res.status(403).json({ success: false, message: "Not allowed to delete this expense" });
+  }
+  if (expense.isLocked()) {
+    return res.status(409).json({ success: false, message: `An ${expense.status} expense cannot be deleted` });
+  }
+
+  expense.isDeleted = true;
+  expense.deletedAt = new Date();
+  await expense.save();
+  res.json({ success: true, message: "Expense deleted" });
+});
+
+/* ========================= APPROVAL ============================ */
+/**
+ * POST /api/expenses/review
+ * Body: { ids: [...], decision: "approve" | "reject", note }
+ */
+export const reviewExpenses = asyncHandler(async (req, res) => {
+  const { decision, note = "" } = req.body;
+  const ids = [].concat(req.body.ids || []).filter(isId);
+
+  if (!["approve", "reject"].includes(decision)) {
+    return res.status(400).json({ success: false, message: "decision must be 'approve' or 'reject'" });
+  }
+  if (!ids.length) return res.status(400).json({ success: false, message: "No expenses given" });
+  if (decision === "reject" && !String(note).trim()) {
+    return res.status(400).json({ success: false, message: "A note is required when rejecting an expense" });
+  }
+
+  const expenses = await Expense.find({ _id: { $in: ids }, isDeleted: false });
+  const cases = await Case.find({ _id: { $in: [...new Set(expenses.map((e) => String(e.case)))] } })
+    .select(POLICY_FIELDS)
+    .lean();
+  const reviewable = new Set(cases.filter((c) => can(req.user, c, "approveExpense")).map((c) => String(c._id)));
+
+  const reviewed = [];
+  const skipped = [];
+  for (const expense of expenses) {
+    if (!reviewable.has(String(expense.case))) skipped.push({ id: expense._id, reason: "not allowed" });
+    else if (expense.status !== "pending") skipped.push({ id: expense._id, reason: `already ${expense.status}` });
+    else {
+      expense.status = decision === "approve" ? "approved" : "rejected";
+      expense.reviewedBy = req.user._id;
+      expense.reviewedAt = new Date();
+      expense.reviewNote = note;
+      await expense.save();
+      reviewed.push(expense);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: `${reviewed.length} expense(s) ${decision === "approve" ? "approved" : "rejected"}`,
+    data: { reviewed, skipped },
+  });
+});
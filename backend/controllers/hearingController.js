@@ -4,6 +4,10 @@ import Hearing from "../models/Hearing.js";
 import CaseModel from "../models/Case.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import { Parser } from "json2csv";
+import { ADMIN_ROOM } from "../services/socketAccess.js";
+import { recomputeForCase, recomputeForHearing } from "../services/deadlines.js";
+import { sendCalendarInvite } from "../services/calendarSync.js";
+import { hearingAccessQuery } from "../services/accessQueries.js";
 
 /* ---------------------- Helpers ---------------------- */
 
@@ -20,7 +24,7 @@ function getIo(req) {
 
 /**
  * emitToRooms(req, event, payload, rooms)
- * - rooms: array of strings; if omitted emits globally
+ * - rooms: array of strings; nothing is sent without rooms (no global broadcast)
  */
 function emitToRooms(req, event, payload, rooms = []) {
   const io = getIo(req);
@@ -34,8 +38,6 @@ function emitToRooms(req, event, payload, rooms = []) {
           // ignore single-room emit failures
         }
       });
-    } else {
-      io.emit(event, payload);
     }
   } catch (err) {
     console.warn("Emit failed:", err);
@@ -50,14 +52,17 @@ function buildRoomsFromHearing(hearing) {
   const rooms = new Set();
   if (!hearing) return [];
   try {
-    if (hearing.case) rooms.add(`case_${String(hearing.case)}`);
-    if (hearing.arbitration) rooms.add(`arbitration_${String(hearing.arbitration)}`);
-    if (hearing.createdBy) rooms.add(`user_${String(hearing.createdBy)}`);
+    const idOf = (ref) => String(ref?._id || ref);
+    rooms.add(ADMIN_ROOM);
+    if (hearing.case) rooms.add(`case_${idOf(hearing.case)}`);
+    if (hearing.arbitration) rooms.add(`arbitration:${idOf(hearing.arbitration)}`);
+    if (hearing.createdBy) rooms.add(`user_${idOf(hearing.createdBy)}`);
 
     const addMembers = (arr) => {
       if (!Array.isArray(arr)) return;
       arr.forEach((u) => {
-        if (u && mongoose.Types.ObjectId.isValid(String(u))) rooms.add(`user_${String(u)}`);
+        const id = u?._id || u;
+        if (id && mongoose.Types.ObjectId.isValid(String(id))) rooms.add(`user_${String(id)}`);
       });
     };
 
@@ -145,6 +150,11 @@ export const createHearing = asyncHandler(async (req, res) => {
     console.warn("Failed to attach hearing to Case.hearings:", err?.message || err);
   }
 
+  // Case.hearingDate may have moved with it
+  await recomputeForCase(caseId);
+  // Emails go out in the background; failures are only logged
+  sendCalendarInvite("hearing", created);
+
   const populated = await Hearing.findById(created._id)
     .populate("case", "title caseNumber")
     .populate("participants.advocates participants.arbitrators participants.clients participants.respondents", "name email role")
@@ -209,16 +219,7 @@ export const getHearings = asyncHandler(async (req, res) => {
     ];
   } else {
     // limit results for non-admins to hearings they are related to
-    if (req.user && !String(req.user.role).toLowerCase().includes("admin")) {
-      const uid = String(req.user._id);
-      query.$or = [
-        { "participants.advocates": uid },
-        { "participants.arbitrators": uid },
-        { "participants.clients": uid },
-        { "participants.respondents": uid },
-        { createdBy: uid },
-      ];
-    }
+    if (req.user) Object.assign(query, hearingAccessQuery(req.user));
   }
 
   if (q && typeof q === "string") {
@@ -323,9 +324,20 @@ export const updateHearing = asyncHandler(async (req, res) => {
     }
   });
 
+  const moved = hearing.isModified("start") || hearing.isModified("status");
+  // Progress updates (in_progress / completed) aren't worth an email; reschedules and cancellations are
+  const inviteChanged =
+    ["title", "start", "end", "venue", "meetingLink", "recurrence", "participants"].some((p) => hearing.isModified(p)) ||
+    (hearing.isModified("status") && hearing.status === "cancelled");
   hearing.updatedBy = req.user._id;
   await hearing.save();
 
+  // The save hook has already bumped SEQUENCE, so calendar apps replace their copy
+  if (inviteChanged) sendCalendarInvite("hearing", hearing);
+
+  // Deadlines counted from this hearing follow it
+  if (moved) await recomputeForHearing(hearing._id);
+
   const populated = await Hearing.findById(id)
     .populate("case", "title caseNumber")
     .populate("participants.advocates participants.arbitrators participants.clients participants.respondents", "name email role")
@@ -361,6 +373,8 @@ export const deleteHearing = asyncHandler(async (req, res) => {
   hearing.deletedAt = new Date();
   hearing.updatedBy = req.user._id;
   await hearing.save();
+  await recomputeForHearing(hearing._id);
+  sendCalendarInvite("hearing", hearing, "CANCEL");
 
   const rooms = buildRoomsFromHearing(hearing);
   emitToRooms(req, "hearing:deleted", { id: hearing._id }, rooms);
@@ -386,6 +400,8 @@ export const restoreHearing = asyncHandler(async (req, res) => {
   hearing.deletedAt = null;
   hearing.updatedBy = req.user._id;
   await hearing.save();
+  await recomputeForHearing(hearing._id);
+  sendCalendarInvite("hearing", hearing);
 
   const rooms = buildRoomsFromHearing(hearing);
   emitToRooms(req, "hearing:restored", hearing.toObject(), rooms);
@@ -565,14 +581,14 @@ export const removeHearingParticipant = asyncHandler(async (req, res) => {
   res.json({ success: true, message: "Participant removed", data: populated.participants });
 });
 
-/* ---------------------- reminder scheduling (placeholder) ---------------------- */
+/* ---------------------- reminder scheduling ---------------------- */
 
 /**
  * scheduleHearingReminder(req,res)
  * Body: { enabled:boolean, minutesBefore:number }
  *
- * NOTE: This only stores reminder config on the hearing. Integrate a worker
- * (BullMQ, Agenda, etc.) to actually enqueue/send reminders at hearing.reminder.nextReminderAt.
+ * Stores reminder config; the pre-save hook computes reminder.nextReminderAt and
+ * services/reminderService.js dispatches it (advancing it for recurring hearings).
  */
 export const scheduleHearingReminder = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -585,13 +601,9 @@ export const scheduleHearingReminder = asyncHandler(async (req, res) => {
   hearing.reminder = hearing.reminder || {};
   hearing.reminder.enabled = Boolean(enabled);
   hearing.reminder.minutesBefore = Number(minutesBefore) || 30;
-  hearing.reminder.nextReminderAt = hearing.reminder.enabled ? new Date(new Date(hearing.start).getTime() - hearing.reminder.minutesBefore * 60000) : null;
   hearing.updatedBy = req.user._id;
   await hearing.save();
 
-  // TODO: enqueue a background job here to dispatch the reminder at nextReminderAt
-  // Example: queue.add('hearing:reminder', { hearingId: id, ... }, { delay: nextReminderAt - Date.now() })
-
   const rooms = buildRoomsFromHearing(hearing);
   emitToRooms(req, "hearing:reminderUpdated", { hearingId: id, reminder: hearing.reminder }, rooms);
 
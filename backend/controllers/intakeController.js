@@ -0,0 +1,346 @@
+// backend/controllers/intakeController.js
+import mongoose from "mongoose";
+import Client from "../models/Client.js";
+import Case from "../models/Case.js";
+import { createClientRecord, clientPopulate } from "./clientController.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+import { scoreParty, rankedCandidates } from "../utils/partyMatching.js";
+import { searchConflicts, recordConflictCheck } from "../services/conflictService.js";
+import { clientRooms } from "../services/socketAccess.js";
+
+/**
+ * Intake Controller
+ *
+ * - Duplicate detection: fuzzy name + normalized email/phone against Clients
+ * - Conflict check (services/conflictService.js): the prospective client
+ *   appearing as a respondent, or the opposing party as one of our clients
+ * - Create: Client + attachments + optional draft Case in one transaction
+ *
+ * Accepts both the flat payload ({ name, phone, address }) and the intake form
+ * payload ({ firstName, lastName, primaryPhone, address: {...}, intakeCase }).
+ */
+
+const DUPLICATE_LIMIT = 15;
+const CANDIDATE_LIMIT = 500;
+const CASE_CATEGORIES = ["civil", "criminal", "adr", "other"];
+const CASE_PRIORITIES = ["low", "medium", "high", "urgent"];
+
+/* ----------------------- helpers ----------------------- */
+const getIO = (req) => {
+  try {
+    return req?.app?.get("io");
+  } catch (e) {
+    return null;
+  }
+};
+
+const flattenAddress = (address) => {
+  if (!address) return "";
+  if (typeof address === "string") return address.trim();
+  return ["line1", "line2", "city", "state", "postalCode", "country"]
+    .map((k) => (address[k] || "").trim())
+    .filter(Boolean)
+    .join(", ");
+};
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+/**
+ * Middleware: map the intake form shape onto the Client fields used by
+ * validation and createClientRecord(). Runs before express-validator.
+ */
+export const normalizeIntakePayload = (req, res, next) => {
+  const b = req.body || {};
+
+  if (!b.name) {
+    const parts = [b.firstName, b.middleName, b.lastName].map((p) => (p || "").trim()).filter(Boolean);
+    if (parts.length) b.name = parts.join(" ");
+  }
+  if (!b.phone && b.primaryPhone) b.phone = b.primaryPhone;
+  if (b.address && typeof b.address === "object") b.address = flattenAddress(b.address);
+  if (b.company === null) b.company = "";
+
+  b.attachments = parseMaybeJson(b.attachments);
+  b.intakeCase = parseMaybeJson(b.intakeCase);
+  b.opposingParty = parseMaybeJson(b.opposingParty);
+
+  req.body = b;
+  next();
+};
+
+/** Ranked Client matches for { name, email, phone } */
+export async function findDuplicateClients(probe, { limit = DUPLICATE_LIMIT } = {}) {
+  const { docs: candidates } = await rankedCandidates(Client, probe, {
+    match: { deletedAt: null },
+    select: "name email phone company status createdBy createdAt",
+    populate: { path: "createdBy", select: "name email role" },
+    limit: CANDIDATE_LIMIT,
+  });
+
+  return candidates
+    .map((c) => ({ ...c, match: scoreParty(probe, c) }))
+    .filter((c) => c.match.reasons.length)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, limit);
+}
+
+/**
+ * Conflicts (not merely related hits) for the prospective client + opposing party
+ * @returns {Promise<{ conflicts: object[], truncated: boolean }>}
+ */
+export async function findIntakeConflicts({ client, opposingParty }) {
+  const parties = [{ ...client, side: "client" }, ...(opposingParty ? [{ ...opposingParty, side: "opposing" }] : [])];
+  const { hits, truncated } = await searchConflicts({ parties });
+  return { conflicts: hits.filter((h) => h.severity === "conflict"), truncated };
+}
+
+const probeFromRequest = (src = {}) => ({
+  name: src.name ? String(src.name).trim() : null,
+  email: src.email ? String(src.email).trim() : null,
+  phone: src.phone ? String(src.phone).trim() : null,
+  company: src.company ? String(src.company).trim() : null,
+});
+
+const opposingFrom = (body) => {
+  const op = body.opposingParty;
+  if (!op || typeof op !== "object" || (!op.name && !op.email && !op.phone)) return null;
+  return probeFromRequest(op);
+};
+
+const normalizeAttachments = (list, userId) =>
+  (Array.isArray(list) ? list : [])
+    .filter((f) => f && (f.fileUrl || f.fileKey))
+    .map((f) => ({
+      name: f.name || (f.fileUrl ? String(f.fileUrl).split("/").pop() : "file"),
+      fileUrl: f.fileUrl || null,
+      fileKey: f.fileKey || null,
+      fileType: f.fileType || null,
+      size: Number(f.size) || 0,
+      uploadedAt: new Date(),
+      uploadedBy: userId,
+    }));
+
+/* =======================================================
+   GET /api/intake/duplicate?q=... | ?name=&email=&phone=
+   ======================================================= */
+export const checkDuplicates = async (req, res) => {
+  try {
+    const probe = probeFromRequest(req.query);
+
+    // Single free-text term: treat as whichever field it looks like
+    const q = String(req.query.q || "").trim();
+    if (q && !probe.name && !probe.email && !probe.phone) {
+      if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(q)) probe.email = q;
+      else if (/^[+0-9\-\s()]{7,25}$/.test(q)) probe.phone = q;
+      else probe.name = q;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || DUPLICATE_LIMIT, 10), 1), 50);
+    const matches = await findDuplicateClients(probe, { limit });
+
+    return res.json({ success: true, matches });
+  } catch (err) {
+    console.error("❌ intake duplicate check error:", err);
+    return res.status(500).json({ success: false, message: "Failed to run duplicate check", error: err.message });
+  }
+};
+
+/* =======================================================
+   POST /api/intake/conflicts
+   Body: { name, email, phone, opposingParty?: { name, email, phone } }
+   ======================================================= */
+export const checkConflicts = async (req, res) => {
+  try {
+    const { conflicts, truncated } = await findIntakeConflicts({ client: probeFromRequest(req.body), opposingParty: opposingFrom(req.body) });
+    return res.json({ success: true, clear: conflicts.length === 0, conflicts, truncated });
+  } catch (err) {
+    console.error("❌ intake conflict check error:", err);
+    return res.status(500).json({ success: false, message: "Failed to run conflict check", error: err.message });
+  }
+};
+
+/* =======================================================
+   POST /api/intake/preview  (no DB writes)
+   ======================================================= */
+export const previewIntake = async (req, res) => {
+  try {
+    const probe = probeFromRequest(req.body);
+    const [duplicates, { conflicts, truncated: conflictsTruncated }] = await Promise.all([
+      findDuplicateClients(probe, { limit: 5 }),
+      findIntakeConflicts({ client: probe, opposingParty: opposingFrom(req.body) }),
+    ]);
+
+    const intakeCase = req.body.intakeCase?.createCase ? req.body.intakeCase : null;
+    const preview = {
+      name: String(req.body.name).trim(),
+      email: String(req.body.email).trim().toLowerCase(),
+      phone: req.body.phone || null,
+      address: req.body.address || "",
+      company: req.body.company || "",
+      requiredService: req.body.requiredService || "advocate",
+      caseDescription: req.body.caseDescription || "",
+      notes: req.body.notes || "",
+      createdBy: {
+        _id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role,
+      },
+      attachments: normalizeAttachments(req.body.attachments, req.user._id).map(({ name, fileType, size }) => ({
+        name,
+        fileType,
+        size,
+      })),
+      intakeCase: intakeCase && {
+        title: intakeCase.title || `${String(req.body.name).trim()} — Intake`,
+        category: intakeCase.category || "civil",
+        priority: intakeCase.priority || "medium",
+        status: "draft",
+      },
+      previewAt: new Date(),
+    };
+
+    return res.json({ success: true, preview, duplicates, conflicts, conflictsTruncated });
+  } catch (err) {
+    console.error("❌ intake preview error:", err);
+    return res.status(500).json({ success: false, message: "Failed to generate preview", error: err.message });
+  }
+};
+
+/* =======================================================
+   POST /api/intake
+   Client + attachments + optional draft Case, all-or-nothing.
+   Body: client fields, attachments[], intakeCase?, opposingParty?,
+         acknowledgeConflicts?
+   ======================================================= */
+export const createIntake = async (req, res) => {
+  const actor = req.user;
+  const probe = probeFromRequest(req.body);
+  const intakeCase = req.body.intakeCase && req.body.intakeCase.createCase !== false ? req.body.intakeCase : null;
+
+  // Conflicts block creation unless the intake officer explicitly acknowledges them
+  const check = await findIntakeConflicts({ client: probe, opposingParty: opposingFrom(req.body) }).catch((err) => {
+    console.error("❌ intake conflict check error:", err);
+    return null;
+  });
+  if (check === null) {
+    return res.status(500).json({ success: false, message: "Conflict check failed; intake not created" });
+  }
+  const { conflicts, truncated: conflictsTruncated } = check;
+  if (conflicts.length && !req.body.acknowledgeConflicts) {
+    return res.status(409).json({
+      success: false,
+      code: "CONFLICT_OF_INTEREST",
+      message: "Potential conflict of interest — review and acknowledge to continue",
+      conflicts,
+      conflictsTruncated,
+    });
+  }
+
+  const session = await mongoose.startSession();
+  let client;
+  let clientUser;
+  let userCreated = false;
+  let tempPassword = null;
+  let draftCase = null;
+
+  try {
+    session.startTransaction();
+
+    ({ client, clientUser, userCreated, tempPassword } = await createClientRecord(req.body, actor, session));
+
+    const attachments = normalizeAttachments(req.body.attachments, actor._id);
+    if (attachments.length) client.attachments.push(...attachments);
+
+    if (conflicts.length) {
+      client.history.push({
+        action: "Conflicts Acknowledged",
+        by: actor._id,
+        notes: conflicts.map((c) => `${c.party.name || c.party.email} (${c.role}) in ${c.matter?.ref || c.source}`).join("; "),
+        timestamp: new Date(),
+      });
+    }
+
+    if (intakeCase) {
+      const [created] = await Case.create(
+        [
+          {
+            title: String(intakeCase.title || `${client.name} — Intake`).trim().slice(0, 200),
+            description: intakeCase.description || client.caseDescription || "",
+            category: CASE_CATEGORIES.includes(intakeCase.category) ? intakeCase.category : "civil",
+            priority: CASE_PRIORITIES.includes(intakeCase.priority) ? intakeCase.priority : "medium",
+            status: "draft",
+            filedBy: actor._id,
+            createdBy: actor._id,
+            assignedTo: actor._id,
+            client: clientUser._id,
+            participants: [actor._id, clientUser._id],
+            attachments: attachments.map(({ name, fileUrl, fileType, size }) => ({
+              name,
+              fileUrl,
+              fileType,
+              size,
+              uploadedBy: actor._id,
+            })),
+          },
+        ],
+        { session }
+      );
+      draftCase = created;
+      await draftCase.addHistory("Case Opened", actor._id, "Draft case opened from client intake", {
+        clientId: client._id,
+      });
+      // The intake conflict check becomes the case's first recorded check
+      const opposing = opposingFrom(req.body);
+      await recordConflictCheck(draftCase, {
+        resolution: conflicts.length ? "waived" : "cleared",
+        parties: [{ ...probe, side: "client" }, ...(opposing ? [{ ...opposing, side: "opposing" }] : [])],
+        result: { hits: conflicts, conflicts: conflicts.length, truncated: conflictsTruncated },
+        by: actor._id,
+        note: conflicts.length ? "Acknowledged at client intake" : "",
+      });
+      client.cases.push(draftCase._id);
+    }
+
+    await client.save({ session });
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction().catch(() => {});
+    if (err.status === 409) {
+      return res.status(409).json({ success: false, message: err.message, client: err.client });
+    }
+    console.error("❌ intake create error:", err);
+    return res.status(500).json({ success: false, message: "Failed to create intake", error: err?.message || String(err) });
+  } finally {
+    session.endSession();
+  }
+
+  const populated = await clientPopulate(Client.findById(client._id)).exec();
+
+  const io = getIO(req);
+  if (io) {
+    try { io.to(clientRooms(populated)).emit("client:created", populated); } catch (e) { console.warn("Socket emit failed for client:created", e); }
+  }
+  if (draftCase) {
+    emitSocketEvent("case:new", [`user_${actor._id}`], draftCase.toJSON());
+  }
+
+  return res.status(201).json({
+    success: true,
+    message: draftCase ? "Client and draft case created" : "Client created successfully",
+    client: populated,
+    case: draftCase,
+    conflicts,
+    userCreated,
+    tempPassword: userCreated ? tempPassword : undefined, // dev only — remove in prod
+  });
+};
+
+export default { normalizeIntakePayload, checkDuplicates, checkConflicts, previewIntake, createIntake };
@@ -0,0 +1,323 @@
+// backend/controllers/invoiceController.js
+import mongoose from "mongoose";
+import PDFDocument from "pdfkit";
+import Invoice from "../models/Invoice.js";
+import Client from "../models/Client.js";
+import Case from "../models/Case.js";
+import {
+  clientBillingAccess,
+  billableClientQuery,
+  createDraftInvoice,
+  updateDraft,
+  deleteDraft,
+  issueInvoice,
+  voidInvoice,
+  recordPayment,
+  createCreditNote,
+} from "../services/billing.js";
+
+// Service errors carry status/code; anything else is a 500
+const sendError = (res, err, fallback) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  return res.status(500).json({ success: false, message: fallback, error: err?.message || String(err) });
+};
+
+/**
+ * Load an invoice plus its client and check access.
+ * Client accounts ("view") only ever see issued documents.
+ */
+const loadInvoice = async (req, res, need = "view") => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid ID" });
+    return {};
+  }
+  const invoice = await Invoice.findById(id);
+  const client = invoice && (await Client.findById(invoice.client));
+  const access = clientBillingAccess(req.user, client);
+
+  if (!invoice || !access || (access === "view" && invoice.status === "draft")) {
+    res.status(404).json({ success: false, message: "Invoice not found" });
+    return {};
+  }
+  if (need === "manage" && access !== "manage") {
+    res.status(403).json({ success: false, message: "You cannot change this invoice" });
+    return {};
+  }
+  return { invoice, client };
+};
+
+/* LIST INVOICES — ?clientId&caseId&status&kind&overdue=true */
+export const getInvoices = async (req, res) => {
+  try {
+    const clients = await Client.find(billableClientQuery(req.user)).select("createdBy advocate sharedWith user").lean();
+    const managed = clients.filter((c) => clientBillingAccess(req.user, c) === "manage").map((c) => c._id);
+    const viewOnly = clients.filter((c) => clientBillingAccess(req.user, c) === "view").map((c) => c._id);
+
+    const filter = {
+      $or: [{ client: { $in: managed } }, { client: { $in: viewOnly }, status: { $ne: "draft" } }],
+    };
+    if (req.query.clientId && mongoose.Types.ObjectId.isValid(req.query.clientId)) filter.client = req.query.clientId;
+    if (req.query.caseId && mongoose.Types.ObjectId.isValid(req.query.caseId)) filter.case = req.query.caseId;
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(",") };
+    if (req.query.kind) filter.kind = req.query.kind;
+    if (req.query.overdue === "true") {
+      filter.status = { $in: ["issued", "partially_paid"] };
+      filter.dueDate = { $lt: new Date() };
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select("-lines -payments")
+        .populate("client", "name email")
+        .populate("case", "title caseNumber")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter),
+    ]);
+
+    return res.json({ success: true, data: invoices, meta: { page, limit, total } });
+  } catch (err) {
+    return sendError(res, err, "Failed to fetch invoices");
+  }
+};
+
+/* GET INVOICE */
+export const getInvoiceById = async (req, res) => {
+  try {
+    const { invoice } = await loadInvoice(req, res);
+    if (!invoice) return undefined;
+
+    await invoice.populate([
+      { path: "client", select: "name email company trustBalanceCents" },
+      { path: "case", select: "title caseNumber" },
+      { path: "creditNotes", select: "number total issueDate reason" },
+      { path: "relatedInvoice", select: "number" },
+      { path: "payments.recordedBy", select: "name" },
+    ]);
+    return res.json({ success: true, data: invoice });
+  } catch (err) {
+    return sendError(res, err, "Failed to fetch invoice");
+  }
+};
+
+/**
+ * CREATE DRAFT INVOICE
+ * Body: clientId and/or caseId, from, to, taxes [{ name, rate }], lines [{ description, quantity, unitPrice, taxable }],
+ *       notes, dueDate
+ */
+export const createInvoice = async (req, res) => {
+  try {
+    const { clientId, caseId } = req.body;
+    let client = null;
+
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) return res.status(400).json({ success: false, message: "Invalid client id" });
+      client = await Client.findById(clientId);
+    } else if (caseId && mongoose.Types.ObjectId.isValid(caseId)) {
+      const caseDoc = await Case.findById(caseId).select("client").lean();
+      if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+      const or = [{ cases: caseDoc._id }];
+      if (caseDoc.client) or.push({ user: caseDoc.client });
+      client = await Client.findOne({ $or: or });
+      if (!client) {
+        return res.status(400).json({ success: false, message: "This case is not linked to a client record; pass clientId" });
+      }
+    } else {
+      return res.status(400).json({ success: false, message: "clientId or caseId is required" });
+    }
+
+    if (!client || clientBillingAccess(req.user, client) !== "manage") {
+      return res.status(404).json({ success: false, message: "Client not found" });
+    }
+
+    const invoice = await createDraftInvoice(client, req.user, req.body);
+    return res.status(201).json({ success: true, message: "Draft invoice created", data: invoice });
+  } catch (err) {
+    return sendError(res, err, "Failed to create invoice");
+  }
+};
+
+/* UPDATE DRAFT — Body: notes, dueDate, taxes, addLines, removeLineIds */
+export const updateInvoice = async (req, res) => {
+  try {
+    const { invoice } = await loadInvoice(req, res, "manage");
+    if (!invoice) return undefined;
+    await updateDraft(invoice, req.body);
+    return res.json({ success: true, message: "Invoice updated", data: invoice });
+  } catch (err) {
+    return sendError(res, err, "Failed to update invoice");
+  }
+};
+
+/* DELETE DRAFT */
+export const deleteInvoice = async (req, res) => {
+  try {
+    const { invoice } = await loadInvoice(req, res, "manage");
+    if (!invoice) return undefined;
+    await deleteDraft(invoice);
+    return res.json({ success: true, message: "Draft deleted; its time entries and expenses can be billed again" });
+  } catch (err) {
+    return sendError(res, err, "Failed to delete invoice");
+  }
+};
+
+/* ISSUE */
+export const issue = async (req, res) => {
+  try {
+    const { invoice, client } = await loadInvoice(req, res, "manage");
+    if (!invoice) return undefined;
+    await issueInvoice(invoice, client, req.user);
+    return res.json({ success: true, message: `Invoice ${invoice.number} issued`, data: invoice });
+  } catch (err) {
+    return sendError(res, err, "Failed to issue invoice");
+  }
+};
+
+/* VOID — Body: reason */
+export const voidOne = async (req, res) => {
+  try {
+    const { invoice } = await loadInvoice(req, res, "manage");
+    if (!invoice) return undefined;
+    await voidInvoice(invoice, req.user, req.body.reason || "");
+    return res.json({ success: true, message: `Invoice ${invoice.number} voided`, data: invoice });
+  } catch (err) {
+    return sendError(res, err, "Failed to void invoice");
+  }
+};
+
+/* RECORD PAYMENT — Body: amount, method, reference, receivedAt */
+export const addPayment = async (req, res) => {
+  try {
+    const { invoice } = await loadInvoice(req, res, "manage");
+    if (!invoice) return undefined;
+    await recordPayment(invoice, req.user, req.body);
+    return res.status(201).json({ success: true, message: "Payment recorded", data: invoice });
+  } catch (err) {
+    return sendError(res, err, "Failed to record payment");
+  }
+};
+
+/* CREDIT NOTE — Body: amount | lines, description, reason */
+export const addCreditNote = async (req, res) => {
+  try {
+    const { invoice } = await loadInvoice(req, res, "manage");
+    if (!invoice) return undefined;
+    const note = await createCreditNote(invoice, req.user, req.body);
+    return res.status(201).json({ success: true, message: `Credit note ${note.number} issued`, data: { creditNote: note, invoice } });
+  } catch (err) {
+    return sendError(res, err, "Failed to create credit note");
+  }
+};
+
+/* GET INVOICE PDF (stream) */
+export const getInvoicePdf = async (req, res) => {
+  try {
+    const { invoice } = await loadInvoice(req, res);
+    if (!invoice) return undefined;
+    await invoice.populate([
+      { path: "case", select: "title caseNumber" },
+      { path: "relatedInvoice", select: "number" },
+    ]);
+
+    const title = invoice.kind === "credit_note" ? "Credit Note" : "Invoice";
+    const money = (n) => `${Number(n || 0).toFixed(2)} ${invoice.currency}`;
+    const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "—");
+    const billTo = invoice.status === "draft" ? (await Client.findById(invoice.client)) || {} : invoice.billTo || {};
+
+    const doc = new PDFDocument({ autoFirstPage: true, margin: 50 });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=${invoice.number || `draft-${invoice._id}`}.pdf`);
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20).text(process.env.FIRM_NAME || "Law-Bridge", { align: "left" });
+    doc.fontSize(16).text(`${title} ${invoice.number || "(DRAFT)"}`, { align: "right" });
+    doc.moveDown();
+    doc.fontSize(10);
+    doc.text(`Issue date: ${day(invoice.issueDate)}`);
+    if (invoice.kind === "invoice") doc.text(`Due date: ${day(invoice.dueDate)}`);
+    if (invoice.relatedInvoice) doc.text(`Credits invoice: ${invoice.relatedInvoice.number}`);
+    if (invoice.case) doc.text(`Matter: ${invoice.case.caseNumber} — ${invoice.case.title}`);
+    if (invoice.periodFrom || invoice.periodTo) doc.text(`Period: ${day(invoice.periodFrom)} to ${day(invoice.periodTo)}`);
+    doc.moveDown();
+
+    doc.fontSize(11).text("Bill to:", { underline: true });
+    doc.fontSize(10).text(billTo.name || "");
+    if (billTo.company) doc.text(billTo.company);
+    if (billTo.address) doc.text(billTo.address);
+    if (billTo.email) doc.text(billTo.email);
+    doc.moveDown();
+
+    // Lines
+    const cols = { date: 50, description: 120, qty: 360, price: 410, amount: 480 };
+    const row = (y, values, opts = {}) => {
+      doc.text(values.date, cols.date, y, { width: 65 });
+      doc.text(values.description, cols.description, y, { width: 230 });
+      doc.text(values.qty, cols.qty, y, { width: 45, align: "right" });
+      doc.text(values.price, cols.price, y, { width: 60, align: "right" });
+      doc.text(values.amount, cols.amount, y, { width: 70, align: "right", ...opts });
+    };
+    doc.font("Helvetica-Bold");
+    row(doc.y, { date: "Date", description: "Description", qty: "Qty", price: "Rate", amount: "Amount" });
+    doc.font("Helvetica").moveDown(0.5);
+
+    for (const line of invoice.lines) {
+      if (doc.y > 700) doc.addPage();
+      const y = doc.y;
+      row(y, {
+        date: day(line.date),
+        description: `${line.description}${line.taxable ? "" : " *"}`,
+        qty: `${line.quantity}${line.unit === "hour" ? "h" : ""}`,
+        price: Number(line.unitPrice).toFixed(2),
+        amount: Number(line.amount).toFixed(2),
+      });
+      doc.y = Math.max(doc.y, y + 14);
+      doc.moveDown(0.3);
+    }
+
+    // Totals
+    doc.moveDown();
+    const total = (label, value) => {
+      const y = doc.y;
+      doc.text(label, 300, y, { width: 170, align: "right" });
+      doc.text(value, cols.amount, y, { width: 70, align: "right" });
+      doc.moveDown(0.3);
+    };
+    total("Subtotal", money(invoice.subtotal));
+    for (const tax of invoice.taxes) total(`${tax.name} (${tax.rate}%)`, money(tax.amount));
+    doc.font("Helvetica-Bold");
+    total("Total", money(invoice.total));
+    doc.font("Helvetica");
+    if (invoice.kind === "invoice") {
+      if (invoice.amountCredited) total("Credited", `-${money(invoice.amountCredited)}`);
+      if (invoice.amountPaid) total("Paid", `-${money(invoice.amountPaid)}`);
+      doc.font("Helvetica-Bold");
+      total("Balance due", money(invoice.balanceDue));
+      doc.font("Helvetica");
+    }
+
+    doc.moveDown();
+    doc.x = 50;
+    if (invoice.lines.some((l) => !l.taxable)) doc.fontSize(8).text("* not subject to tax");
+    if (invoice.reason) doc.fontSize(10).text(`Reason: ${invoice.reason}`);
+    if (invoice.notes) doc.fontSize(10).text(invoice.notes);
+    if (invoice.status === "void") doc.fontSize(14).fillColor("red").text(`VOID — ${invoice.voidReason || ""}`);
+
+    doc.end();
+    return undefined;
+  } catch (err) {
+    console.error("❌ Error generating invoice PDF:", err);
+    if (res.headersSent) {
+      try { res.end(); } catch (e) {}
+      return undefined;
+    }
+    return res.status(500).json({ success: false, message: "Failed to generate invoice PDF", error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,122 @@
+// backend/controllers/messageController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import Arbitration from "../models/Arbitration.js";
+import Hearing from "../models/Hearing.js";
+import Message from "../models/Message.js";
+import { uploadBuffer } from "../utils/storageProvider.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+
+/**
+ * Hearing chat for arbitrations
+ *
+ * - History is cursor-paginated (`before` = message id or ISO date)
+ * - Attachments are pushed through storageProvider.uploadBuffer
+ * - New messages are emitted as `hearing:message` to the arbitration room
+ * - Only the arbitration's parties, assigned arbitrator and admins may read/post
+ */
+
+/* ----------------------- helpers ----------------------- */
+export const arbitrationRoom = (id) => `arbitration:${id}`;
+
+const loadAccessibleArbitration = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ success: false, message: "Invalid arbitration id" });
+    return null;
+  }
+
+  const arbitration = await Arbitration.findById(id).select("parties assignedTo deleted");
+  if (!arbitration || arbitration.deleted) {
+    res.status(404).json({ success: false, message: "Arbitration not found" });
+    return null;
+  }
+
+  if (!arbitration.isParticipant(req.user)) {
+    res.status(403).json({ success: false, message: "Access denied" });
+    return null;
+  }
+
+  return arbitration;
+};
+
+/* =======================================================
+   🔹 List Messages (cursor pagination)
+   GET /api/arbitrations/:id/messages?limit=30&before=<cursor>&hearing=<id>
+   ======================================================= */
+export const getMessages = asyncHandler(async (req, res) => {
+  const arbitration = await loadAccessibleArbitration(req, res);
+  if (!arbitration) return;
+
+  const { before, limit, hearing } = req.query;
+  if (hearing && !mongoose.isValidObjectId(hearing)) {
+    return res.status(400).json({ success: false, message: "Invalid hearing id" });
+  }
+
+  const items = await Message.findPage({ arbitration: arbitration._id, hearing, before, limit });
+
+  res.json({
+    success: true,
+    data: items,
+    nextCursor: items.length ? String(items[0]._id) : null,
+  });
+});
+
+/* =======================================================
+   🔹 Post Message (text and/or single attachment)
+   POST /api/arbitrations/:id/messages
+   ======================================================= */
+export const postMessage = asyncHandler(async (req, res) => {
+  const arbitration = await loadAccessibleArbitration(req, res);
+  if (!arbitration) return;
+
+  const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+  const { hearing, tempId } = req.body;
+
+  if (!text && !req.file) {
+    return res.status(400).json({ success: false, message: "Message text or attachment is required" });
+  }
+
+  if (hearing) {
+    if (!mongoose.isValidObjectId(hearing)) {
+      return res.status(400).json({ success: false, message: "Invalid hearing id" });
+    }
+    const exists = await Hearing.exists({ _id: hearing, arbitration: arbitration._id });
+    if (!exists) {
+      return res.status(400).json({ success: false, message: "Hearing does not belong to this arbitration" });
+    }
+  }
+
+  let file = null;
+  if (req.file) {
+    const stored = await uploadBuffer({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+      prefix: `arbitrations/${arbitration._id}/chat`,
+      metadata: { uploadedBy: String(req.user._id) },
+    });
+    file = {
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      provider: stored.provider,
+      key: stored.key,
+      url: stored.url,
+    };
+  }
+
+  const message = await Message.create({
+    arbitration: arbitration._id,
+    hearing: hearing || null,
+    author: req.user._id,
+    text: text || null,
+    file,
+  });
+  await message.populate("author", "name email role avatar");
+
+  const payload = { ...message.toJSON(), tempId: tempId || undefined };
+  emitSocketEvent("hearing:message", arbitrationRoom(arbitration._id), payload);
+
+  res.status(201).json({ success: true, data: payload });
+});
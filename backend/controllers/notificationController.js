@@ -5,86 +5,148 @@
  * ------------------------------------------------------------
  * ✅ Uses socketEmitter for safe, room-scoped realtime updates
  * ✅ Supports user, role, or broadcast targets
+ * ✅ Sending rules + per-type templates (services/notificationRules.js)
+ * ✅ Admin role broadcasts shown as banners until dismissed
+ * ✅ Per-user preferences: channels, quiet hours, digests
  * ✅ Consistent response + event naming
  * ✅ No circular dependency on server.js
  * ------------------------------------------------------------
  */
 
+import mongoose from "mongoose";
 import Notification from "../models/Notification.js";
 import User from "../models/User.js";
-import { emitSocketEvent } from "../utils/socketEmitter.js";
+import { emitSocketEvent, broadcastSystemNotice } from "../utils/socketEmitter.js";
+import { resolveRecipients, renderNotification, BANNER_LEVELS } from "../services/notificationRules.js";
+import { deliverNotifications, describePreferences, mergePreferences } from "../services/notificationDelivery.js";
+import { roleRoom } from "../services/socketAccess.js";
 
 /* =======================================================
    📢 CREATE / SEND NOTIFICATION
+   -------------------------------------------------------
+   Sending rules and templates: services/notificationRules.js
+   Role broadcasts (admins only) become dismissible banners.
 ======================================================= */
 export const createNotification = async (req, res) => {
   try {
-    const {
-      recipientId,
-      title,
-      message,
+    const { recipientId, title, message, link, relatedCase, relatedTask, targetRoles, level } = req.body;
+    const isBroadcast = Array.isArray(targetRoles) && targetRoles.length > 0;
+    const type = req.body.type || (isBroadcast ? "system" : "general");
+    const sender = req.user;
+
+    const { recipients, broadcastRoles, caseDoc } = await resolveRecipients(sender, {
       type,
-      link,
-      relatedCase,
-      relatedTask,
+      recipientId,
       targetRoles,
-    } = req.body;
-    const sender = req.user?._id;
-
-    if (!title || !message)
-      return res
-        .status(400)
-        .json({ success: false, message: "Title and message are required." });
-
-    let recipients = [];
-
-    // 🎯 Determine recipients
-    if (Array.isArray(targetRoles) && targetRoles.length > 0) {
-      const users = await User.find({ role: { $in: targetRoles } }).select("_id");
-      recipients = users.map((u) => u._id);
-    } else if (recipientId) {
-      recipients = Array.isArray(recipientId) ? recipientId : [recipientId];
-    }
+      relatedCase,
+    });
+    const content = renderNotification(type, { title, message }, { sender, caseDoc });
 
     if (recipients.length === 0)
       return res
         .status(400)
         .json({ success: false, message: "No valid recipients found." });
 
-    // 📨 Create notifications
-    const notifications = await Promise.all(
-      recipients.map((recipient) =>
-        Notification.create({
-          recipient,
-          sender,
-          title,
-          message,
-          type: type || "general",
-          link: link || null,
-          relatedCase: relatedCase || null,
-          relatedTask: relatedTask || null,
-          targetRoles: targetRoles || [],
-        })
-      )
-    );
+    const base = {
+      sender: sender._id,
+      ...content,
+      type,
+      link: link || null,
+      relatedCase: caseDoc?._id || null,
+      relatedTask: relatedTask || null,
+    };
+
+    // 📣 Role broadcast → one banner per user, one socket notice per role room
+    if (broadcastRoles.length) {
+      const bannerLevel = BANNER_LEVELS.includes(level) ? level : "info";
+      const broadcastId = new mongoose.Types.ObjectId();
+      const delivered = await deliverNotifications(
+        recipients,
+        { ...base, targetRoles: broadcastRoles, banner: true, level: bannerLevel, broadcastId },
+        { push: false } // the system:notice below reaches them
+      );
+
+      broadcastSystemNotice(content.message, bannerLevel, {
+        title: content.title,
+        id: String(broadcastId),
+        rooms: broadcastRoles.map(roleRoom),
+      });
 
-    // 🔔 Emit realtime event to each recipient
-    for (const notif of notifications) {
-      emitSocketEvent("notification:new", notif.recipient.toString(), notif);
+      return res.status(201).json({
+        success: true,
+        message: `Broadcast sent to ${delivered.length} recipient(s).`,
+        count: delivered.length,
+        data: { broadcastId, roles: broadcastRoles, ...content, level: bannerLevel },
+      });
     }
 
+    // 📨 Direct notifications (recipients' preferences decide channels + push)
+    const notifications = await deliverNotifications(recipients, base);
+
     res.status(201).json({
       success: true,
-      message: `Notification sent to ${recipients.length} recipient(s).`,
-      count: recipients.length,
+      message: `Notification sent to ${notifications.length} recipient(s).`,
+      count: notifications.length,
       data: notifications,
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
     console.error("❌ createNotification error:", err);
     res.status(500).json({ success: false, message: "Failed to create notification", error: err.message });
   }
 };
 
+/* =======================================================
+   📣 ACTIVE BANNERS (undismissed broadcasts)
+======================================================= */
+export const getBanners = async (req, res) => {
+  try {
+    const banners = await Notification.find({
+      recipient: req.user._id,
+      banner: true,
+      dismissedAt: null,
+      isDeleted: false,
+    })
+      .select("title message level broadcastId link createdAt")
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .lean();
+
+    res.json({ success: true, data: banners });
+  } catch (err) {
+    console.error("❌ getBanners error:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch banners", error: err.message });
+  }
+};
+
+/* =======================================================
+   🙈 DISMISS BANNER (by notification id or broadcastId)
+======================================================= */
+export const dismissBanner = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.isValidObjectId(id))
+      return res.status(400).json({ success: false, message: "Invalid banner id" });
+
+    const notif = await Notification.findOne({
+      recipient: userId,
+      banner: true,
+      $or: [{ _id: id }, { broadcastId: id }],
+    });
+    if (!notif) return res.status(404).json({ success: false, message: "Banner not found" });
+
+    await notif.dismiss();
+    emitSocketEvent("notification:read", userId.toString(), { id: notif._id });
+
+    res.json({ success: true, message: "Banner dismissed", id: notif._id });
+  } catch (err) {
+    console.error("❌ dismissBanner error:", err);
+    res.status(500).json({ success: false, message: "Failed to dismiss banner", error: err.message });
+  }
+};
+
 /* =======================================================
    📬 GET USER NOTIFICATIONS
 ======================================================= */
@@ -92,9 +154,11 @@ export const getUserNotifications = async (req, res) => {
   try {
     const userId = req.user._id;
 
+    // Digest-only items stay out of the in-app list
     const notifications = await Notification.find({
       recipient: userId,
       isDeleted: false,
+      "channels.inApp": { $ne: false },
     })
       .sort({ createdAt: -1 })
       .limit(100)
@@ -104,6 +168,7 @@ export const getUserNotifications = async (req, res) => {
       recipient: userId,
       isDeleted: false,
       isRead: false,
+      "channels.inApp": { $ne: false },
     });
 
     res.json({
@@ -198,3 +263,37 @@ export const clearReadNotifications = async (req, res) => {
     res.status(500).json({ success: false, message: "Failed to clear notifications", error: err.message });
   }
 };
+
+/* =======================================================
+   ⚙️ NOTIFICATION PREFERENCES (channels, quiet hours, digest)
+======================================================= */
+export const getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("notificationPreferences");
+    res.json({ success: true, data: describePreferences(user?.notificationPreferences?.toObject?.() || {}) });
+  } catch (err) {
+    console.error("❌ getPreferences error:", err);
+    res.status(500).json({ success: false, message: "Failed to load preferences", error: err.message });
+  }
+};
+
+export const updatePreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("notificationPreferences");
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    const current = user.notificationPreferences?.toObject?.() || {};
+    user.notificationPreferences = mergePreferences(current, req.body || {});
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Notification preferences saved",
+      data: describePreferences(user.notificationPreferences.toObject()),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    console.error("❌ updatePreferences error:", err);
+    res.status(500).json({ success: false, message: "Failed to save preferences", error: err.message });
+  }
+};
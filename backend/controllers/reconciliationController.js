@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 import PDFDocument from "pdfkit";
 import Reconciliation from "../models/Reconciliation.js";
 import User from "../models/User.js";
+import { reconciliationRooms } from "../services/socketAccess.js";
+import { sendCalendarInvite } from "../services/calendarSync.js";
 
 /**
  * Helper to get Socket.IO instance safely from request
@@ -38,11 +40,13 @@ export const createReconciliation = async (req, res) => {
       createdBy: req.user._id,
       reconciliator: req.user._id,
     });
+    // Background email with the .ics; failures are only logged
+    sendCalendarInvite("reconciliation", newRecon);
 
     const io = getIO(req);
     if (io) {
       try {
-        io.emit("recon:created", newRecon);
+        io.to(reconciliationRooms(newRecon)).emit("recon:created", newRecon);
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -111,15 +115,22 @@ export const updateReconciliation = async (req, res) => {
     if (!recon || recon.deletedAt) return res.status(404).json({ success: false, message: "Reconciliation not found" });
 
     Object.assign(recon, updates);
+    // Opening / closing a meeting isn't a calendar change; cancelling sends a CANCEL
+    const inviteChanged =
+      ["title", "scheduledAt", "durationMinutes", "linkOrLocation", "participants"].some((p) => recon.isModified(p)) ||
+      (recon.isModified("status") && recon.status === "cancelled");
     recon.updatedBy = req.user._id;
     await recon.save();
 
+    if (inviteChanged) sendCalendarInvite("reconciliation", recon);
+
     const io = getIO(req);
     if (io) {
       try {
-        io.emit("recon:updated", recon);
+        const rooms = reconciliationRooms(recon);
+        io.to(rooms).emit("recon:updated", recon);
         if (updates.status === "closed") {
-          io.emit("recon:closed", { id: recon._id, result: recon.result || null });
+          io.to(rooms).emit("recon:closed", { id: recon._id, result: recon.result || null });
         }
       } catch (e) {
         console.warn("Socket emit failed:", e);
@@ -144,11 +155,12 @@ export const deleteReconciliation = async (req, res) => {
 
     recon.deletedAt = new Date();
     await recon.save();
+    sendCalendarInvite("reconciliation", recon, "CANCEL");
 
     const io = getIO(req);
     if (io) {
       try {
-        io.emit("recon:deleted", { id });
+        io.to(reconciliationRooms(recon)).emit("recon:deleted", { id });
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -172,11 +184,12 @@ export const restoreReconciliation = async (req, res) => {
 
     recon.deletedAt = null;
     await recon.save();
+    if (recon.status !== "cancelled") sendCalendarInvite("reconciliation", recon);
 
     const io = getIO(req);
     if (io) {
       try {
-        io.emit("recon:restored", recon);
+        io.to(reconciliationRooms(recon)).emit("recon:restored", recon);
       } catch (e) {
         console.warn("Socket emit failed:", e);
       }
@@ -0,0 +1,28 @@
+// backend/controllers/searchController.js
+import asyncHandler from "../middleware/asyncHandler.js";
+import { search } from "../services/search.js";
+
+/**
+ * Search Controller
+ *
+ * - One endpoint over cases, clients, evidence, hearings, tasks, case notes
+ *   and awards; results only include what the user's list views would show
+ * - Ranking, highlighting and facets live in services/search.js
+ */
+
+/**
+ * @desc    Search everything the user can access
+ * @route   GET /api/search?q=&type=&status=&caseId=&from=&to=&page=&limit=
+ * @access  Private
+ */
+export const globalSearch = asyncHandler(async (req, res) => {
+  try {
+    const data = await search(req.user, req.query);
+    res.json({ success: true, data });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    throw err;
+  }
+});
+
+export default { globalSearch };
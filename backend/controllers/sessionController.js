@@ -1,6 +1,8 @@
 // backend/controllers/sessionController.js
 import mongoose from "mongoose";
 import Session from "../models/Session.js";
+import { sessionRooms } from "../services/socketAccess.js";
+import { sendCalendarInvite } from "../services/calendarSync.js";
 
 /**
  * Helper to get Socket.IO instance safely from request
@@ -34,10 +36,12 @@ export const createSession = async (req, res) => {
       createdBy: mediator,
       parties,
     });
+    // Background email with the .ics; failures are only logged
+    sendCalendarInvite("session", session);
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("session:created", session); } catch (e) { console.warn("Socket emit failed:", e); }
+      try { io.to(await sessionRooms(session)).emit("session:created", session); } catch (e) { console.warn("Socket emit failed:", e); }
     }
 
     return res.status(201).json({ success: true, data: session });
@@ -106,12 +110,17 @@ export const updateSession = async (req, res) => {
     if (!session) return res.status(404).json({ success: false, message: "Session not found" });
 
     Object.assign(session, updates);
+    const inviteChanged =
+      ["title", "scheduledAt", "durationMinutes", "locationOrUrl", "parties"].some((p) => session.isModified(p)) ||
+      (session.isModified("status") && session.status === "cancelled");
     session.updatedBy = req.user._id;
     await session.save();
 
+    if (inviteChanged) sendCalendarInvite("session", session);
+
     const io = getIO(req);
     if (io) {
-      try { io.emit("session:updated", session); } catch (e) { console.warn("Socket emit failed:", e); }
+      try { io.to(await sessionRooms(session)).emit("session:updated", session); } catch (e) { console.warn("Socket emit failed:", e); }
     }
 
     return res.json({ success: true, data: session });
@@ -131,17 +140,22 @@ export const updateSessionStatus = async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid status" });
     }
 
+    const current = await Session.findById(id).select("status");
+    if (!current) return res.status(404).json({ success: false, message: "Session not found" });
+
+    // Bypasses the save hook, so bump the invite SEQUENCE here
     const session = await Session.findByIdAndUpdate(
       id,
-      { status, outcome, updatedAt: Date.now() },
+      { status, outcome, updatedAt: Date.now(), ...(current.status !== status ? { $inc: { icalSequence: 1 } } : {}) },
       { new: true }
     );
 
     if (!session) return res.status(404).json({ success: false, message: "Session not found" });
+    if (current.status !== status && status !== "completed") sendCalendarInvite("session", session);
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("session:statusChanged", session); } catch (e) { console.warn("Socket emit failed:", e); }
+      try { io.to(await sessionRooms(session)).emit("session:statusChanged", session); } catch (e) { console.warn("Socket emit failed:", e); }
     }
 
     return res.json({ success: true, data: session });
@@ -161,10 +175,13 @@ export const deleteSession = async (req, res) => {
     if (!session) return res.status(404).json({ success: false, message: "Session not found" });
 
     await session.deleteOne();
+    // Hard delete: the cancellation still needs a SEQUENCE above the last invite
+    session.icalSequence = (session.icalSequence || 0) + 1;
+    sendCalendarInvite("session", session, "CANCEL");
 
     const io = getIO(req);
     if (io) {
-      try { io.emit("session:deleted", { id }); } catch (e) { console.warn("Socket emit failed:", e); }
+      try { io.to(await sessionRooms(session)).emit("session:deleted", { id }); } catch (e) { console.warn("Socket emit failed:", e); }
     }
 
     return res.json({ success: true, message: "Session deleted successfully" });
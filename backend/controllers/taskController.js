@@ -14,6 +14,7 @@
 import Task from "../models/Task.js";
 import Case from "../models/Case.js";
 import { emitSocketEvent } from "../utils/socketEmitter.js";
+import { taskAccessQuery } from "../services/accessQueries.js";
 
 /* ------------------------------------------------------------
    Helper — Collect relevant socket rooms (user IDs)
@@ -32,16 +33,8 @@ const getTaskRooms = (task) => {
 export const getTasks = async (req, res) => {
   try {
     const { status, caseId, priority, q } = req.query;
-    const { _id: userId, role } = req.user;
 
-    const filters = { isDeleted: false };
-    if (role !== "admin") {
-      filters.$or = [
-        { createdBy: userId },
-        { assignedTo: userId },
-        { sharedWith: userId },
-      ];
-    }
+    const filters = { isDeleted: false, ...taskAccessQuery(req.user) };
     if (status) filters.status = status;
     if (priority) filters.priority = priority;
     if (caseId) filters.case = caseId;
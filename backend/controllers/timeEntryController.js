@@ -0,0 +1,438 @@
+// backend/controllers/timeEntryController.js
+import mongoose from "mongoose";
+import { Parser } from "json2csv";
+import TimeEntry, { ACTIVITY_CODES } from "../models/TimeEntry.js";
+import Case from "../models/Case.js";
+import Task from "../models/Task.js";
+import Hearing from "../models/Hearing.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { caseAccessQuery, can } from "../services/casePolicy.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+
+/**
+ * Time Entry Controller
+ *
+ * - Manual entries and start/stop timers (the running entry lives in the
+ *   database, so a reload just asks GET /timer again)
+ * - Logging time needs `logTime` on the case; approving needs `approveTime`
+ *   (services/casePolicy.js)
+ * - Users see their own entries plus every entry on cases they manage
+ * - Rollups by user / case / activity / status, and CSV export
+ */
+
+const BILLING_INCREMENT_MINUTES = Number(process.env.BILLING_INCREMENT_MINUTES) || 6;
+const POLICY_FIELDS = "filedBy createdBy assignedTo sharedWith sharedLogs participants team isDeleted";
+
+const isId = (v) => mongoose.isValidObjectId(v);
+
+/* ----------------------- helpers ----------------------- */
+// Bill in whole increments (6 min = 0.1 h by default), rounding up
+const roundToIncrement = (minutes) =>
+  minutes <= 0 ? 0 : Math.ceil(minutes / BILLING_INCREMENT_MINUTES) * BILLING_INCREMENT_MINUTES;
+
+const loadCase = async (caseId) => {
+  if (!isId(caseId)) return null;
+  const caseDoc = await Case.findById(caseId).select(`${POLICY_FIELDS} title caseNumber`).lean();
+  return caseDoc && !caseDoc.isDeleted ? caseDoc : null;
+};
+
+/** Filter for entries the user may see: own + cases they manage (admins: all) */
+const visibleFilter = async (user) => {
+  if (user.role === "admin") return {};
+  const cases = await Case.find(caseAccessQuery(user)).select(POLICY_FIELDS).lean();
+  const managed = cases.filter((c) => can(user, c, "approveTime")).map((c) => c._id);
+  return { $or: [{ user: user._id }, { case: { $in: managed } }] };
+};
+
+/** Query-string filters shared by list, summary and export */
+const queryFilters = (query) => {
+  const f = { isDeleted: false };
+  if (isId(query.caseId)) f.case = new mongoose.Types.ObjectId(query.caseId);
+  if (isId(query.userId)) f.user = new mongoose.Types.ObjectId(query.userId);
+  if (query.status) f.status = { $in: String(query.status).split(",") };
+  if (query.billable === "true" || query.billable === "false") f.billable = query.billable === "true";
+  if (query.from || query.to) {
+    f.date = {};
+    if (query.from) f.date.$gte = new Date(query.from);
+    if (query.to) f.date.$lte = new Date(query.to);
+  }
+  return f;
+};
+
+/** Task / hearing must belong to the same case */
+const validateLinks = async (caseId, { task, hearing }) => {
+  if (task) {
+    if (!isId(task) || !(await Task.exists({ _id: task, case: caseId }))) return "Task does not belong to this case";
+  }
+  if (hearing) {
+    if (!isId(hearing) || !(await Hearing.exists({ _id: hearing, case: caseId }))) return "Hearing does not belong to this case";
+  }
+  return null;
+};
+
+const emitEntry = (event, entry) => emitSocketEvent(event, `user_${entry.user._id || entry.user}`, entry);
+
+const populateEntry = (q) =>
+  q.populate("case", "title caseNumber").populate("user", "name email role").populate("task", "title").populate("hearing", "title date");
+
+/* ========================= LIST / GET ============================ */
+/**
+ * GET /api/time-entries
+ * Query: caseId, userId, status (comma list), billable, from, to, page, limit
+ */
+export const getTimeEntries = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const filter = { ...queryFilters(req.query), ...(await visibleFilter(req.user)) };
+
+  const [entries, total] = await Promise.all([
+    populateEntry(TimeEntry.find(filter).sort({ date: -1, createdAt: -1 }).skip((page - 1) * limit).limit(limit)),
+    TimeEntry.countDocuments(filter),
+  ]);
+
+  res.json({ success: true, data: entries, meta: { page, limit, total } });
+});
+
+/** GET /api/time-entries/:id */
+export const getTimeEntryById = asyncHandler(async (req, res) => {
+  if (!isId(req.params.id)) return res.status(400).json({ success: false, message: "Invalid time entry id" });
+  const entry = await populateEntry(
+    TimeEntry.findOne({ _id: req.params.id, isDeleted: false, ...(await visibleFilter(req.user)) })
+  );
+  if (!entry) return res.status(404).json({ success: false, message: "Time entry not found" });
+  res.json({ success: true, data: entry });
+});
+
+/** GET /api/time-entries/activity-codes */
+export const getActivityCodes = (req, res) => {
+  res.json({ success: true, data: Object.entries(ACTIVITY_CODES).map(([code, label]) => ({ code, label })) });
+};
+
+/* ========================= CREATE ============================ */
+/**
+ * POST /api/time-entries
+ * Body: caseId, durationMinutes | (startedAt + endedAt), date, billable,
+ *       rate, activityCode, narrative, taskId, hearingId
+ */
+export const createTimeEntry = asyncHandler(async (req, res) => {
+  const { caseId, taskId, hearingId, billable, rate, activityCode, narrative, date, startedAt, endedAt } = req.body;
+
+  const caseDoc = await loadCase(caseId);
+  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  if (!can(req.user, caseDoc, "logTime")) {
+    return res.status(403).json({ success: false, message: "You cannot log time on this case" });
+  }
+
+  let minutes = Number(req.body.durationMinutes);
+  if (!minutes && startedAt && endedAt) minutes = (new Date(endedAt) - new Date(startedAt)) / 60000;
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 24 * 60) {
+    return res.status(400).json({ success: false, message: "Duration must be between 1 minute and 24 hours" });
+  }
+
+  const linkError = await validateLinks(caseDoc._id, { task: taskId, hearing: hearingId });
+  if (linkError) return res.status(400).json({ success: false, message: linkError });
+
+  const entry = await TimeEntry.create({
+    case: caseDoc._id,
+    task: taskId || null,
+    hearing: hearingId || null,
+    user: req.user._id,
+    date: date ? new Date(date) : startedAt ? new Date(startedAt) : new Date(),
+    startedAt: startedAt || null,
+    endedAt: endedAt || null,
+    durationMinutes: roundToIncrement(minutes),
+    billable: billable !== undefined ? !!billable : true,
+    rate: rate !== undefined ? Number(rate) : 0,
+    activityCode,
+    narrative,
+  });
+
+  emitEntry("time:created", entry);
+  res.status(201).json({ success: true, message: "Time entry created", data: entry });
+});
+
+/* ========================= TIMER ============================ */
+/** GET /api/time-entries/timer — the user's running timer, or null */
+export const getRunningTimer = asyncHandler(async (req, res) => {
+  const entry = await populateEntry(TimeEntry.findOne({ user: req.user._id, running: true, isDeleted: false }));
+  res.json({ success: true, data: entry, serverTime: new Date() });
+});
+
+/** POST /api/time-entries/timer/start — Body: caseId (+ optional entry fields) */
+export const startTimer = asyncHandler(async (req, res) => {
+  const { caseId, taskId, hearingId, billable, rate, activityCode, narrative } = req.body;
+
+  const caseDoc = await loadCase(caseId);
+  if (!caseDoc) return res.status(404).json({ success: false, message: "Case not found" });
+  if (!can(req.user, caseDoc, "logTime")) {
+    return res.status(403).json({ success: false, message: "You cannot log time on this case" });
+  }
+
+  const linkError = await validateLinks(caseDoc._id, { task: taskId, hearing: hearingId });
+  if (linkError) return res.status(400).json({ success: false, message: linkError });
+
+  const running = await TimeEntry.findOne({ user: req.user._id, running: true, isDeleted: false });
+  if (running) {
+    return res.status(409).json({ success: false, message: "A timer is already running. Stop it first.", data: running });
+  }
+
+  const now = new Date();
+  let entry;
+  try {
+    entry = await TimeEntry.create({
+      case: caseDoc._id,
+      task: taskId || null,
+      hearing: hearingId || null,
+      user: req.user._id,
+      date: now,
+      startedAt: now,
+      running: true,
+      billable: billable !== undefined ? !!billable : true,
+      rate: rate !== undefined ? Number(rate) : 0,
+      activityCode,
+      narrative,
+    });
+  } catch (err) {
+    // Partial unique index: another tab started one a moment ago
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "A timer is already running." });
+    throw err;
+  }
+
+  emitEntry("time:timer", entry);
+  res.status(201).json({ success: true, message: "Timer started", data: entry });
+});
+
+/** POST /api/time-entries/timer/stop — Body: narrative, activityCode (optional final edits) */
+export const stopTimer = asyncHandler(async (req, res) => {
+  const entry = await TimeEntry.findOne({ user: req.user._id, running: true, isDeleted: false });
+  if (!entry) return res.status(404).json({ success: false, message: "No running timer" });
+
+  const now = new Date();
+  const elapsed = (now - entry.startedAt) / 60000;
+  entry.running = false;
+  entry.endedAt = now;
+  // Timers left running overnight are capped rather than rejected
+  entry.durationMinutes = Math.min(roundToIncrement(elapsed), 24 * 60);
+  if (req.body.narrative !== undefined) entry.narrative = req.body.narrative;
+  if (req.body.activityCode) entry.activityCode = req.body.activityCode;
+  await entry.save();
+
+  emitEntry("time:timer", entry);
+  res.json({ success: true, message: "Timer stopped", data: entry });
+});
+
+/* ========================= UPDATE / DELETE ============================ */
+const EDITABLE_FIELDS = ["durationMinutes", "billable", "rate", "activityCode", "narrative", "date"];
+
+/** PATCH /api/time-entries/:id — author only, until approved */
+export const updateTimeEntry = asyncHandler(async (req, res) => {
+  if (!isId(req.params.id)) return res.status(400).json({ success: false, message: "Invalid time entry id" });
+  const entry = await TimeEntry.findOne({ _id: req.params.id, isDeleted: false });
+  if (!entry) return res.status(404).json({ success: false, message: "Time entry not found" });
+
+  if (String(entry.user) !== String(req.user._id) && req.user.role !== "admin") {
+    return res.status(403).json({ success: false, message: "Only the author can edit a time entry" });
+  }
+  if (entry.isLocked()) {
+    return res.status(409).json({ success: false, message: `An ${entry.status} time entry can no longer be edited` });
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) entry[field] = req.body[field];
+  }
+  if (req.body.durationMinutes !== undefined) {
+    const minutes = Number(req.body.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 24 * 60) {
+      return res.status(400).json({ success: false, message: "Duration must be between 1 minute and 24 hours" });
+    }
+    entry.durationMinutes = roundToIncrement(minutes);
+  }
+
+  if (req.body.taskId !== undefined || req.body.hearingId !== undefined) {
+    const links = { task: req.body.taskId ?? entry.task, hearing: req.body.hearingId ?? entry.hearing };
+    const linkError = await validateLinks(entry.case, links);
+    if (linkError) return res.status(400).json({ success: false, message: linkError });
+    entry.task = links.task || null;
+    entry.hearing = links.hearing || null;
+  }
+
+  // A corrected rejection goes back into the queue
+  if (entry.status === "rejected") {
+    entry.status = "pending";
+    entry.reviewedBy = null;
+    entry.reviewedAt = null;
+  }
+
+  await entry.save();
+  emitEntry("time:updated", entry);
+  res.json({ success: true, message: "Time entry updated", data: entry });
+});
+
+/** DELETE /api/time-entries/:id — author or case manager, until approved */
+export const deleteTimeEntry = asyncHandler(async (req, res) => {
+  if (!isId(req.params.id)) return res.status(400).json({ success: false, message: "Invalid time entry id" });
+  const entry = await TimeEntry.findOne({ _id: req.params.id, isDeleted: false });
+  if (!entry) return res.status(404).json({ success: false, message: "Time entry not found" });
+
+  const own = String(entry.user) === String(req.user._id);
+  if (!own && !can(req.user, await loadCase(entry.case), "approveTime")) {
+    return res.status(403).json({ success: false, message: "Not allowed to delete this time entry" });
+  }
+  if (entry.isLocked()) {
+    return res.status(409).json({ success: false, message: `An ${entry.status} time entry cannot be deleted` });
+  }
+
+  entry.isDeleted = true;
+  entry.deletedAt = new Date();
+  entry.running = false;
+  await entry.save();
+
+  emitEntry("time:deleted", entry);
+  res.json({ success: true, message: "Time entry deleted" });
+});
+
+/* ========================= APPROVAL ============================ */
+/**
+ * POST /api/time-entries/review
+ * Body: { ids: [...], decision: "approve" | "reject", note }
+ * Each entry is checked against `approveTime` on its own case; entries the
+ * user can't review, or that aren't pending, are reported back as skipped.
+ */
+export const reviewTimeEntries = asyncHandler(async (req, res) => {
+  const { decision, note = "" } = req.body;
+  const ids = [].concat(req.body.ids || req.params.id || []).filter(isId);
+
+  if (!["approve", "reject"].includes(decision)) {
+    return res.status(400).json({ success: false, message: "decision must be 'approve' or 'reject'" });
+  }
+  if (!ids.length) return res.status(400).json({ success: false, message: "No time entries given" });
+  if (decision === "reject" && !String(note).trim()) {
+    return res.status(400).json({ success: false, message: "A note is required when rejecting time" });
+  }
+
+  const entries = await TimeEntry.find({ _id: { $in: ids }, isDeleted: false });
+  const caseIds = [...new Set(entries.map((e) => String(e.case)))];
+  const cases = await Case.find({ _id: { $in: caseIds } }).select(POLICY_FIELDS).lean();
+  const reviewable = new Set(cases.filter((c) => can(req.user, c, "approveTime")).map((c) => String(c._id)));
+
+  const reviewed = [];
+  const skipped = [];
+  for (const entry of entries) {
+    if (!reviewable.has(String(entry.case))) skipped.push({ id: entry._id, reason: "not allowed" });
+    else if (entry.running) skipped.push({ id: entry._id, reason: "timer still running" });
+    else if (entry.status !== "pending") skipped.push({ id: entry._id, reason: `already ${entry.status}` });
+    else {
+      entry.status = decision === "approve" ? "approved" : "rejected";
+      entry.reviewedBy = req.user._id;
+      entry.reviewedAt = new Date();
+      entry.reviewNote = note;
+      await entry.save();
+      emitEntry("time:reviewed", entry);
+      reviewed.push(entry);
+    }
+  }
+  const found = new Set(entries.map((e) => String(e._id)));
+  ids.filter((id) => !found.has(String(id))).forEach((id) => skipped.push({ id, reason: "not found" }));
+
+  res.json({
+    success: true,
+    message: `${reviewed.length} time entr${reviewed.length === 1 ? "y" : "ies"} ${decision === "approve" ? "approved" : "rejected"}`,
+    data: { reviewed, skipped },
+  });
+});
+
+/* ========================= ROLLUPS ============================ */
+const GROUPS = {
+  user: { key: "$user", lookup: { from: "users", fields: { name: 1, email: 1 } } },
+  case: { key: "$case", lookup: { from: "cases", fields: { title: 1, caseNumber: 1 } } },
+  activity: { key: "$activityCode" },
+  status: { key: "$status" },
+};
+
+/**
+ * GET /api/time-entries/summary?groupBy=user|case|activity|status
+ * Same filters as the list. Minutes, billable minutes, billable amount and
+ * approved minutes per group, plus a grand total.
+ */
+export const getTimeSummary = asyncHandler(async (req, res) => {
+  const groupBy = GROUPS[req.query.groupBy] ? req.query.groupBy : "case";
+  const group = GROUPS[groupBy];
+  const match = { ...queryFilters(req.query), ...(await visibleFilter(req.user)), running: false };
+
+  const billableMinutes = { $cond: ["$billable", "$durationMinutes", 0] };
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: group.key,
+        entries: { $sum: 1 },
+        totalMinutes: { $sum: "$durationMinutes" },
+        billableMinutes: { $sum: billableMinutes },
+        billableAmount: { $sum: { $multiply: [{ $divide: [billableMinutes, 60] }, "$rate"] } },
+        approvedMinutes: { $sum: { $cond: [{ $in: ["$status", ["approved", "billed"]] }, "$durationMinutes", 0] } },
+      },
+    },
+    { $sort: { totalMinutes: -1 } },
+  ];
+  if (group.lookup) {
+    pipeline.push(
+      { $lookup: { from: group.lookup.from, localField: "_id", foreignField: "_id", as: "ref", pipeline: [{ $project: group.lookup.fields }] } },
+      { $set: { ref: { $first: "$ref" } } }
+    );
+  }
+
+  const rows = (await TimeEntry.aggregate(pipeline)).map((r) => ({
+    ...r,
+    label: groupBy === "activity" ? ACTIVITY_CODES[r._id] : r.ref?.name || r.ref?.title || String(r._id),
+    billableAmount: Math.round(r.billableAmount * 100) / 100,
+  }));
+
+  const totals = rows.reduce(
+    (t, r) => ({
+      entries: t.entries + r.entries,
+      totalMinutes: t.totalMinutes + r.totalMinutes,
+      billableMinutes: t.billableMinutes + r.billableMinutes,
+      billableAmount: Math.round((t.billableAmount + r.billableAmount) * 100) / 100,
+      approvedMinutes: t.approvedMinutes + r.approvedMinutes,
+    }),
+    { entries: 0, totalMinutes: 0, billableMinutes: 0, billableAmount: 0, approvedMinutes: 0 }
+  );
+
+  res.json({ success: true, data: { groupBy, rows, totals } });
+});
+
+/* ========================= EXPORT ============================ */
+/** GET /api/time-entries/export — CSV, same filters as the list */
+export const exportTimeEntriesCSV = asyncHandler(async (req, res) => {
+  const filter = { ...queryFilters(req.query), ...(await visibleFilter(req.user)), running: false };
+  const entries = await TimeEntry.find(filter)
+    .populate("case", "title caseNumber")
+    .populate("user", "name email")
+    .sort({ date: 1 })
+    .lean();
+
+  const rows = entries.map((e) => ({
+    date: e.date ? new Date(e.date).toISOString().slice(0, 10) : "",
+    caseNumber: e.case?.caseNumber || "",
+    caseTitle: e.case?.title || "",
+    user: e.user?.name || "",
+    email: e.user?.email || "",
+    activityCode: e.activityCode,
+    activity: ACTIVITY_CODES[e.activityCode] || "",
+    narrative: e.narrative,
+    hours: Math.round((e.durationMinutes / 60) * 100) / 100,
+    billable: e.billable ? "yes" : "no",
+    rate: e.rate,
+    amount: e.billable ? Math.round((e.durationMinutes / 60) * e.rate * 100) / 100 : 0,
+    currency: e.currency,
+    status: e.status,
+  }));
+
+  const fields = ["date", "caseNumber", "caseTitle", "user", "email", "activityCode", "activity", "narrative", "hours", "billable", "rate", "amount", "currency", "status"];
+  const json2csv = new Parser({ fields });
+  const csv = json2csv.parse(rows);
+
+  res.header("Content-Type", "text/csv");
+  res.attachment("time_entries_export.csv");
+  res.send(csv);
+});
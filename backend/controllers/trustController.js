@@ -0,0 +1,82 @@
+// backend/controllers/trustController.js
+import mongoose from "mongoose";
+import Client from "../models/Client.js";
+import { credit, debit, getLedger } from "../services/trustLedger.js";
+import { clientBillingAccess } from "../services/billing.js";
+
+// Service errors carry status/code; anything else is a 500
+const sendError = (res, err, fallback) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+  }
+  console.error(`❌ ${fallback}:`, err);
+  return res.status(500).json({ success: false, message: fallback, error: err?.message || String(err) });
+};
+
+const checkAccess = async (req, res, need) => {
+  const { clientId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(clientId)) {
+    res.status(400).json({ success: false, message: "Invalid client id" });
+    return false;
+  }
+  const client = await Client.findById(clientId).select("createdBy advocate sharedWith user").lean();
+  const access = clientBillingAccess(req.user, client);
+  if (!access) {
+    res.status(404).json({ success: false, message: "Client not found" });
+    return false;
+  }
+  if (need === "manage" && access !== "manage") {
+    res.status(403).json({ success: false, message: "You cannot move trust funds for this client" });
+    return false;
+  }
+  return true;
+};
+
+/* GET LEDGER — ?limit&before */
+export const getTrustLedger = async (req, res) => {
+  try {
+    if (!(await checkAccess(req, res, "view"))) return undefined;
+    const ledger = await getLedger(req.params.clientId, { limit: req.query.limit, before: req.query.before });
+    return res.json({ success: true, data: ledger });
+  } catch (err) {
+    return sendError(res, err, "Failed to load trust ledger");
+  }
+};
+
+/* DEPOSIT — Body: amount, reference, note, caseId */
+export const depositToTrust = async (req, res) => {
+  try {
+    if (!(await checkAccess(req, res, "manage"))) return undefined;
+    const { amount, reference, note, caseId } = req.body;
+    const transaction = await credit(req.params.clientId, amount, "deposit", {
+      createdBy: req.user._id,
+      caseId,
+      reference,
+      note,
+    });
+    return res.status(201).json({ success: true, message: "Deposit recorded", data: transaction });
+  } catch (err) {
+    return sendError(res, err, "Failed to record deposit");
+  }
+};
+
+/* WITHDRAW — Body: amount, type ("withdrawal" | "refund"), reference, note, caseId */
+export const withdrawFromTrust = async (req, res) => {
+  try {
+    if (!(await checkAccess(req, res, "manage"))) return undefined;
+    const { amount, reference, note, caseId } = req.body;
+    const type = req.body.type === "refund" ? "refund" : "withdrawal";
+    if (!String(note || reference || "").trim()) {
+      return res.status(400).json({ success: false, message: "A note or reference is required for withdrawals" });
+    }
+    const transaction = await debit(req.params.clientId, amount, type, {
+      createdBy: req.user._id,
+      caseId,
+      reference,
+      note,
+    });
+    return res.status(201).json({ success: true, message: `${type === "refund" ? "Refund" : "Withdrawal"} recorded`, data: transaction });
+  } catch (err) {
+    return sendError(res, err, "Failed to record withdrawal");
+  }
+};
@@ -14,7 +14,7 @@ import fs from "fs-extra";
 import multer from "multer";
 import { fileURLToPath } from "url";
 import { v4 as uuidv4 } from "uuid";
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
 import multerMulter from "multer"; // alias to access multer.MulterError if needed
 
 const __filename = fileURLToPath(import.meta.url);
@@ -159,6 +159,33 @@ async function deleteS3Object(key) {
   await s3Client.send(new DeleteObjectCommand(params));
 }
 
+// Persist a memory-storage upload (aws_s3 mode) under a fresh key
+export async function persistBufferedUpload(file) {
+  const ext = path.extname(file.originalname || "") || "";
+  const key = `${Date.now()}-${uuidv4()}${ext}`;
+  const fileUrl = await uploadBufferToS3(file.buffer, key, file.mimetype);
+  return { fileKey: key, fileUrl };
+}
+
+// Open a readable stream over a stored object (used for re-hashing / downloads)
+export async function openStoredFile(fileKey, provider = STORAGE_PROVIDER) {
+  if (!fileKey) throw new Error("fileKey required");
+
+  if (provider === "aws_s3") {
+    if (!s3Client) throw new Error("S3 client not configured");
+    const out = await s3Client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: fileKey }));
+    return out.Body;
+  }
+
+  const filePath = path.join(UPLOAD_DIR, path.basename(fileKey));
+  if (!(await fs.pathExists(filePath))) {
+    const err = new Error("Stored file not found");
+    err.status = 404;
+    throw err;
+  }
+  return fs.createReadStream(filePath);
+}
+
 // ------------------------------------------------------------------
 // Controllers
 // ------------------------------------------------------------------
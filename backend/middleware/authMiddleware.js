@@ -2,8 +2,8 @@
  * authMiddleware.js
  * ------------------------------------------------------------
  * Centralized authentication & authorization middleware.
- * - Verifies JWT tokens
- * - Attaches user to req.user
+ * - Verifies JWT access tokens and their AuthSession
+ * - Attaches user to req.user, session to req.authSession
  * - Handles expired / invalid tokens gracefully
  * - Supports role-based access control (RBAC)
  * ------------------------------------------------------------
@@ -11,6 +11,50 @@
 
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import AuthSession from "../models/AuthSession.js";
+import { touchSession } from "../services/authSessions.js";
+import { needsEnrollment } from "../services/twoFactor.js";
+
+/* =======================================================
+   🔑 RESOLVE USER FROM TOKEN — shared by protect & socket handshake
+   ======================================================= */
+const authError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Verify an access token and its session.
+ * @returns {Promise<{ user, session }>} — throws errors carrying `status`
+ */
+export const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") throw authError(401, "Session expired. Please log in again.");
+    if (err.name === "JsonWebTokenError") throw authError(401, "Invalid token. Please authenticate again.");
+    throw authError(401, "Authorization failed.");
+  }
+
+  // Tokens issued before sessions existed carry no `sid` and cannot be revoked
+  if (!decoded.sid) throw authError(401, "Session expired. Please log in again.");
+
+  const session = await AuthSession.findById(decoded.sid).select("user revokedAt expiresAt lastSeenAt");
+  if (!session || String(session.user) !== String(decoded.id)) throw authError(401, "Session not found. Please log in again.");
+  if (!session.isActive()) throw authError(401, "Session has been signed out. Please log in again.");
+
+  const user = await User.findById(decoded.id).select("-password -otp -otpExpires");
+  if (!user) throw authError(401, "User not found or removed.");
+
+  // 🚫 Check if user is inactive or suspended
+  if (user.status !== "active") throw authError(403, "User account is not active.");
+
+  // 🚫 Check if password changed after token was issued
+  if (user.changedPasswordAfter(decoded.iat)) throw authError(401, "Session invalidated. Please log in again.");
+
+  touchSession(session);
+  return { user, session };
+};
+
+export const userFromToken = async (token) => (await verifyAccessToken(token)).user;
 
 /* =======================================================
    🔒 PROTECT ROUTES — Require valid JWT
@@ -30,40 +74,23 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    // ✅ Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // ✅ Attach user to request
-    const user = await User.findById(decoded.id).select("-password -otp -otpExpires");
-    if (!user) {
-      return res.status(401).json({ message: "User not found or removed." });
-    }
-
-    // 🚫 Check if user is inactive or suspended
-    if (user.status !== "active") {
-      return res.status(403).json({ message: "User account is not active." });
-    }
+    // ✅ Verify token + attach user and session to request
+    const { user, session } = await verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
 
-    // 🚫 Check if password changed after token was issued
-    if (user.changedPasswordAfter(decoded.iat)) {
-      return res.status(401).json({
-        message: "Session invalidated. Please log in again.",
+    // Roles under the 2FA policy can only reach /api/auth (to enroll) until they do
+    if (!req.originalUrl.startsWith("/api/auth") && (await needsEnrollment(user))) {
+      return res.status(403).json({
+        success: false,
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+        message: `Two-factor authentication is required for ${user.role} accounts. Set it up in Settings.`,
       });
     }
-
-    req.user = user;
     next();
   } catch (err) {
     console.error("🔒 Auth Error:", err.message);
-
-    if (err.name === "TokenExpiredError") {
-      return res.status(401).json({ message: "Session expired. Please log in again." });
-    }
-    if (err.name === "JsonWebTokenError") {
-      return res.status(401).json({ message: "Invalid token. Please authenticate again." });
-    }
-
-    return res.status(401).json({ message: "Authorization failed." });
+    return res.status(err.status || 401).json({ message: err.status ? err.message : "Authorization failed." });
   }
 };
 
@@ -78,10 +105,9 @@ export const optionalAuth = async (req, res, next) => {
     }
 
     const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    const user = await User.findById(decoded.id).select("-password -otp -otpExpires");
-    if (user && user.status === "active") req.user = user;
+    const { user, session } = await verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
 
     next();
   } catch {
@@ -108,21 +134,13 @@ export const authorize = (...allowedRoles) => {
   };
 };
 
-/* =======================================================
-   🧰 UTIL: GENERATE TOKEN (For Login/Register Controllers)
-   ======================================================= */
-export const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d", // Default 7 days
-  });
-};
-
 /* =======================================================
    ✅ EXPORTS
    ======================================================= */
 export default {
+  verifyAccessToken,
+  userFromToken,
   protect,
   optionalAuth,
   authorize,
-  generateToken,
 };
@@ -1,47 +1,65 @@
 /**
  * middleware/hasCaseAccess.js
  * ------------------------------------------------------------------
- * Ensures the current user has permission to access a case.
- * A user can access a case if:
- *   ✅ They created it (filedBy)
- *   ✅ They are in the sharedWith list
- * Admins always have access.
+ * Loads the case in req.params.id and checks the current user may
+ * perform `action` on it, using services/casePolicy.js.
+ *
+ *   router.post("/:id/notes", protect, requireCaseAccess("comment"), addCaseNote);
+ *
+ * On success attaches:
+ *   req.case        -> the Case document
+ *   req.caseAccess  -> { capability, via }
+ * Responds 400 (bad id), 404 (missing / deleted) or 403 (not allowed).
  * ------------------------------------------------------------------
  */
 
+import mongoose from "mongoose";
 import Case from "../models/Case.js";
+import { resolveCaseCapability, capabilityAllows, CASE_ACTIONS } from "../services/casePolicy.js";
 
-export const hasCaseAccess = async (req, res, next) => {
-  try {
-    const user = req.user;
-    const caseId = req.params.id;
+export const requireCaseAccess = (action = "view", { includeDeleted = false } = {}) => {
+  if (!CASE_ACTIONS[action]) throw new Error(`Unknown case action: ${action}`);
 
-    if (!caseId || !user) {
-      return res.status(400).json({ message: "Invalid case or user context" });
-    }
+  return async (req, res, next) => {
+    try {
+      const user = req.user;
+      const caseId = req.params.id;
 
-    // Fetch the case
-    const caseDoc = await Case.findById(caseId).select("filedBy sharedWith isDeleted");
-    if (!caseDoc || caseDoc.isDeleted) {
-      return res.status(404).json({ message: "Case not found" });
-    }
+      if (!user) return res.status(401).json({ success: false, message: "Unauthorized" });
+      if (!mongoose.isValidObjectId(caseId)) {
+        return res.status(400).json({ success: false, message: "Invalid case id" });
+      }
 
-    const isOwner = caseDoc.filedBy.toString() === user._id.toString();
-    const isShared = caseDoc.sharedWith.some(
-      (u) => u.toString() === user._id.toString()
-    );
+      const caseDoc = await Case.findById(caseId);
+      if (!caseDoc || (caseDoc.isDeleted && !includeDeleted)) {
+        return res.status(404).json({ success: false, message: "Case not found" });
+      }
 
-    // Admins bypass restrictions
-    if (user.role === "admin" || isOwner || isShared) {
-      req.case = caseDoc; // Attach the case to req for downstream use
-      return next();
-    }
+      const access = resolveCaseCapability(user, caseDoc);
+      // Don't reveal that a case exists to users with no relationship to it
+      if (access.capability === "none") {
+        return res.status(404).json({ success: false, message: "Case not found or access denied" });
+      }
+      if (!capabilityAllows(access.capability, action)) {
+        return res.status(403).json({
+          success: false,
+          message: `Your ${access.capability} access does not allow this action`,
+          required: CASE_ACTIONS[action],
+          capability: access.capability,
+        });
+      }
 
-    return res
-      .status(403)
-      .json({ message: "Access denied. You do not have permission to this case." });
-  } catch (err) {
-    console.error("❌ hasCaseAccess error:", err);
-    res.status(500).json({ message: "Error verifying case access", error: err.message });
-  }
+      req.case = caseDoc;
+      req.caseAccess = access;
+      next();
+    } catch (err) {
+      console.error("❌ requireCaseAccess error:", err);
+      res.status(500).json({ success: false, message: "Error verifying case access", error: err.message });
+    }
+  };
 };
+
+// Read access — kept for existing imports
+export const hasCaseAccess = requireCaseAccess("view");
+
+export default requireCaseAccess;
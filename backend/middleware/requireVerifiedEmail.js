@@ -0,0 +1,43 @@
+/**
+ * middleware/requireVerifiedEmail.js
+ * ------------------------------------------------------------------
+ * Keeps unverified accounts out of case-sensitive routes
+ * (cases, evidence, awards, search) until they confirm their email.
+ *
+ * Policy (env):
+ *   REQUIRE_EMAIL_VERIFICATION       "true" (default) | "false"
+ *   EMAIL_VERIFICATION_EXEMPT_ROLES  comma-separated roles, default "admin"
+ *
+ * Must run after `protect` so req.user is populated.
+ * ------------------------------------------------------------------
+ */
+
+const isEnabled = () =>
+  String(process.env.REQUIRE_EMAIL_VERIFICATION ?? "true").toLowerCase() !== "false";
+
+const exemptRoles = () =>
+  (process.env.EMAIL_VERIFICATION_EXEMPT_ROLES ?? "admin")
+    .split(",")
+    .map((r) => r.trim().toLowerCase())
+    .filter(Boolean);
+
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!isEnabled()) return next();
+
+  const user = req.user;
+  if (!user) {
+    return res.status(401).json({ message: "Not authorized." });
+  }
+
+  if (user.emailVerified || exemptRoles().includes(String(user.role).toLowerCase())) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    code: "EMAIL_NOT_VERIFIED",
+    message: "Please verify your email address to access this resource.",
+  });
+};
+
+export default requireVerifiedEmail;
@@ -30,10 +30,13 @@ const AwardSchema = new Schema(
     decisionText: { type: String },
     awardAmount: { type: Number, default: null },
     effectiveDate: { type: Date, default: null },
+    decisionDate: { type: Date, default: null },
     issuedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
     issuedAt: { type: Date },
     fileUrl: { type: String, default: null }, // URL to award PDF (signed URL if using S3)
     fileKey: { type: String, default: null }, // storage key (optional)
+    awardRef: { type: Schema.Types.ObjectId, ref: "Award", default: null }, // standalone Award document once issued
+    draftUpdatedAt: { type: Date, default: null },
   },
   { _id: false }
 );
@@ -176,16 +179,18 @@ ArbitrationSchema.methods.addEvidenceRef = function (evidenceId, uploadedBy, met
 };
 
 // Issue award (updates embedded award subdoc and audit)
-ArbitrationSchema.methods.issueAward = function ({ decisionText, awardAmount = null, effectiveDate = null, issuedBy = null, fileUrl = null, fileKey = null }) {
+ArbitrationSchema.methods.issueAward = function ({ decisionText, awardAmount = null, effectiveDate = null, decisionDate = null, issuedBy = null, fileUrl = null, fileKey = null, awardRef = null }) {
   this.award = {
     issued: true,
     decisionText: decisionText || "",
     awardAmount: awardAmount !== undefined ? awardAmount : null,
     effectiveDate: effectiveDate || null,
+    decisionDate: decisionDate || new Date(),
     issuedBy: issuedBy || null,
     issuedAt: new Date(),
     fileUrl: fileUrl || null,
     fileKey: fileKey || null,
+    awardRef: awardRef || null,
   };
   this.status = "decided";
   this.addAudit("award_issued", issuedBy, { awardAmount, effectiveDate, fileUrl });
@@ -200,6 +205,17 @@ ArbitrationSchema.methods.softDelete = function (by = null) {
   return this;
 };
 
+// Access check for chat/hearing features: admins, the assigned arbitrator,
+// or a listed party (parties hold user ids or emails)
+ArbitrationSchema.methods.isParticipant = function (user) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  const uid = String(user._id || user.id);
+  if (this.assignedTo && String(this.assignedTo._id || this.assignedTo) === uid) return true;
+  const parties = (this.parties || []).map((p) => String(p).toLowerCase());
+  return parties.includes(uid.toLowerCase()) || (user.email && parties.includes(String(user.email).toLowerCase()));
+};
+
 // Public-facing JSON that omits sensitive internal meta
 ArbitrationSchema.methods.toPublicJSON = function () {
   const obj = this.toJSON ? this.toJSON() : this;
@@ -0,0 +1,63 @@
+// backend/models/AuthSession.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * AuthSession Schema — one signed-in device
+ *
+ * Notes:
+ *  - Created at login/register; every access token carries its id as `sid`
+ *  - The refresh token rotates on each use; all tokens minted for one
+ *    session form a single family, so revoking the session kills them all
+ *  - Only sha256 hashes of refresh tokens are stored
+ *  - Documents are removed RETENTION_DAYS after they expire (kept meanwhile
+ *    so revoked sessions still show up in the audit list)
+ */
+
+const RETENTION_DAYS = Number(process.env.AUTH_SESSION_RETENTION_DAYS) || 30;
+
+export const REVOKE_REASONS = [
+  "logout",
+  "revoked_by_user",
+  "revoked_by_admin",
+  "reuse_detected",
+  "password_changed",
+  "password_reset",
+  "account_inactive",
+];
+
+const AuthSessionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    tokenHash: { type: String, required: true, select: false },
+    // Previous token, honoured briefly so parallel tabs refreshing at once don't trip reuse detection
+    previousTokenHash: { type: String, default: null, select: false },
+    rotatedAt: { type: Date, default: null },
+    rotations: { type: Number, default: 0 },
+
+    // How the user proved who they are when the session started
+    authMethod: { type: String, enum: ["password", "totp", "recovery"], default: "password" },
+
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, enum: [...REVOKE_REASONS, null], default: null },
+    revokedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+AuthSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+AuthSessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const AuthSession = mongoose.models.AuthSession || mongoose.model("AuthSession", AuthSessionSchema);
+export default AuthSession;
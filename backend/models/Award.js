@@ -53,6 +53,15 @@ const awardSchema = new mongoose.Schema(
       type: String, // Can be a URL (S3) or local path
       default: null,
     },
+    awardPdfKey: {
+      type: String, // Storage key, used to re-sign URLs
+      default: null,
+    },
+    pdfJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job", // Latest PDF generation job
+      default: null,
+    },
 
     // Signature or digital verification metadata
     signedBy: {
@@ -60,9 +69,32 @@ const awardSchema = new mongoose.Schema(
       ref: "User",
     },
     signatureHash: {
+      type: String, // SHA-256 (hex) of the generated PDF
+      default: null,
+    },
+    signature: {
+      type: String, // base64 signature over the SHA-256 digest
+      default: null,
+    },
+    signatureAlgorithm: {
       type: String,
       default: null,
     },
+    signingKeyId: {
+      type: String,
+      default: null,
+    },
+    signedAt: {
+      type: Date,
+    },
+    // Printed in the PDF footer; used by the public verification endpoint
+    verificationCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
 
     // Timestamps for issuance and verification
     decisionDate: {
@@ -127,6 +159,8 @@ const awardSchema = new mongoose.Schema(
 
 // Ensure award title is unique within an arbitration
 awardSchema.index({ arbitration: 1, title: 1 }, { unique: true });
+// Full-text search (GET /api/search)
+awardSchema.index({ title: "text", summary: "text", decisionText: "text" });
 
 // Mark deletion time automatically
 awardSchema.pre("save", function (next) {
@@ -148,6 +182,22 @@ awardSchema.methods.markVerified = function (verifierId) {
   return this.save();
 };
 
+/** Drop a signature made before issue, so only the issued text is ever signed */
+awardSchema.methods.clearSignature = function () {
+  this.set({
+    signatureHash: null,
+    signature: null,
+    signatureAlgorithm: null,
+    signingKeyId: null,
+    signedAt: undefined,
+    verificationCode: undefined,
+    awardPdf: null,
+    awardPdfKey: null,
+    awardGeneratedAt: undefined,
+  });
+  return this;
+};
+
 awardSchema.methods.softDelete = function (userId) {
   this.isDeleted = true;
   this.deletedAt = new Date();
@@ -1,5 +1,6 @@
 // backend/models/Case.js
 import mongoose from "mongoose";
+import { DocumentVersionSchema } from "./DocumentVersion.js";
 
 /**
  * Case Model — Production Ready (enhanced)
@@ -48,11 +49,15 @@ const AttachmentSchema = new Schema(
   {
     name: { type: String, trim: true },
     fileUrl: { type: String, trim: true },
+    fileKey: { type: String, trim: true }, // storage key, for reading the file back (text extraction)
     fileType: { type: String, trim: true },
     size: { type: Number },
     uploadedBy: { type: Schema.Types.ObjectId, ref: "User" },
     uploadedAt: { type: Date, default: Date.now },
     tags: [{ type: String }],
+    // fields above mirror the current version
+    versions: { type: [DocumentVersionSchema], default: [] },
+    currentVersion: { type: Number, default: 1 },
   },
   { _id: true }
 );
@@ -336,25 +341,41 @@ caseSchema.methods.addNote = async function (content, userId, visibility = "priv
 
 /**
  * addAttachment(fileObj, userId)
+ * Returns the saved attachment subdocument (with its _id).
  */
 caseSchema.methods.addAttachment = async function (fileObj, userId) {
   this.attachments = this.attachments || [];
   const attachment = {
     name: fileObj.name || "document",
     fileUrl: fileObj.fileUrl,
+    fileKey: fileObj.fileKey,
     fileType: fileObj.fileType,
     size: fileObj.size,
     uploadedBy: userId,
     uploadedAt: new Date(),
     tags: fileObj.tags || [],
   };
+  attachment.versions = [
+    {
+      version: 1,
+      name: attachment.name,
+      fileUrl: attachment.fileUrl,
+      fileKey: attachment.fileKey,
+      fileType: attachment.fileType,
+      size: attachment.size,
+      uploadedBy: userId,
+      uploadedAt: attachment.uploadedAt,
+      note: fileObj.note || "",
+    },
+  ];
+  attachment.currentVersion = 1;
   this.attachments.push(attachment);
   await this.addHistory("File Uploaded", userId, fileObj.name || "document", { fileUrl: fileObj.fileUrl });
   this.metrics = this.metrics || {};
   this.metrics.totalDocuments = (this.attachments || []).length;
   this.metrics.lastActivityAt = new Date();
   await this.save();
-  return attachment;
+  return this.attachments[this.attachments.length - 1];
 };
 
 /**
@@ -452,6 +473,8 @@ caseSchema.methods.restore = async function (userId) {
  *   - updates relevant timestamps (filedAt, acceptedAt, closedAt)
  *   - creates history entry and updates lastEvent and metrics
  *   - opts: { force: boolean } to bypass some validation if needed
+ * - Only checks the status is known. Lifecycle rules (allowed moves, roles,
+ *   preconditions) live in services/caseLifecycle.js — use transitionCase().
  */
 caseSchema.methods.setStatus = async function (userId, newStatus, opts = {}) {
   const allowed = [
@@ -530,11 +553,12 @@ caseSchema.methods.updateCaseFields = async function (updates = {}, userId = nul
     "priority",
     "court",
     "jurisdiction",
-    "attachments",
+    // not "attachments": they carry version history and court-filing locks,
+    // so they only change through the /attachments endpoints
     "participants",
     "team",
-    "arbitration",
-    "award",
+    // not "arbitration"/"award": issuing the award links them, and the
+    // award_issued transition trusts that link
     "meta",
   ];
 
@@ -615,3 +639,4 @@ caseSchema.statics.findByAccess = function (userId, caseId) {
 
 const Case = mongoose.models.Case || mongoose.model("Case", caseSchema);
 export default Case;
+export { Counter };
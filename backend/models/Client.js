@@ -122,6 +122,15 @@ const ClientSchema = new Schema(
       },
     ],
 
+    /* ---------------- Trust account ------------------ */
+    // Retainer held for the client, in minor units (cents) so $inc stays exact.
+    // Only services/trustLedger.js moves it; every change has a TrustTransaction.
+    trustBalanceCents: {
+      type: Number,
+      default: 0,
+      min: [0, "Trust balance cannot go negative"],
+    },
+
     /* ---------------- Other ------------------ */
     notes: {
       type: String,
@@ -197,6 +206,10 @@ ClientSchema.virtual("displayName").get(function () {
   return this.name;
 });
 
+ClientSchema.virtual("trustBalance").get(function () {
+  return (this.trustBalanceCents || 0) / 100;
+});
+
 /* =========================================================
    TRANSFORM (toJSON)
    - remove internal fields that controllers don't need
@@ -0,0 +1,55 @@
+// backend/models/CourtCalendar.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * CourtCalendar Schema — non-court days per jurisdiction
+ *
+ * Notes:
+ *  - `jurisdiction` matches Case.jurisdiction case-insensitively; the
+ *    "default" calendar applies to cases whose jurisdiction has none
+ *  - Recurring holidays repeat on the same month-day every year; movable
+ *    feasts (Easter, Eid…) are added per year
+ *  - Changing a calendar recomputes the open deadlines that use it
+ */
+
+const HolidaySchema = new Schema(
+  {
+    date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, "Holiday date must be YYYY-MM-DD"] },
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    recurring: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const CourtCalendarSchema = new Schema(
+  {
+    jurisdiction: { type: String, required: true, trim: true, lowercase: true, unique: true },
+    name: { type: String, trim: true, default: "" },
+    timezone: { type: String, trim: true, default: () => process.env.COURT_TIMEZONE || "UTC" },
+    weekendDays: {
+      type: [Number],
+      default: [0, 6], // Sunday, Saturday
+      validate: {
+        validator: (days) => days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6) && days.length < 7,
+        message: "weekendDays must be 0–6 and leave at least one court day",
+      },
+    },
+    holidays: { type: [HolidaySchema], default: [] },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+CourtCalendarSchema.path("timezone").validate((tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}, "Unknown timezone");
+
+const CourtCalendar = mongoose.models.CourtCalendar || mongoose.model("CourtCalendar", CourtCalendarSchema);
+export default CourtCalendar;
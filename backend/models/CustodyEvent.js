@@ -0,0 +1,104 @@
+// backend/models/CustodyEvent.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * CustodyEvent Schema — append-only, hash-chained chain of custody
+ *
+ * Notes:
+ *  - One ledger per Evidence item; `seq` starts at 0 and has no gaps
+ *  - entryHash = SHA-256 over the canonical entry fields + prevHash, so
+ *    editing or removing any entry breaks every hash after it
+ *  - Updates and deletes are refused at the model level
+ */
+
+export const CUSTODY_ACTIONS = [
+  "upload",
+  "view",
+  "download",
+  "verify",
+  "soft_delete",
+  "restore",
+  "integrity_check",
+  "permanent_delete",
+  "version_upload",
+  "version_restore",
+  "version_filed",
+];
+
+export const GENESIS_HASH = "0".repeat(64);
+
+const CustodyEventSchema = new Schema(
+  {
+    evidence: { type: Schema.Types.ObjectId, ref: "Evidence", required: true },
+    seq: { type: Number, required: true, min: 0 },
+    action: { type: String, enum: CUSTODY_ACTIONS, required: true },
+    actor: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    at: { type: Date, required: true },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    contentHash: { type: String, default: null }, // file SHA-256 as known at this event
+    details: { type: String, default: null, maxlength: 1000 },
+    prevHash: { type: String, required: true },
+    entryHash: { type: String, required: true },
+  },
+  {
+    versionKey: false,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+CustodyEventSchema.index({ evidence: 1, seq: 1 }, { unique: true });
+
+/* =======================================================
+   🔗 Hashing
+   ======================================================= */
+CustodyEventSchema.statics.computeHash = function (entry) {
+  const canonical = JSON.stringify([
+    String(entry.evidence),
+    entry.seq,
+    entry.action,
+    entry.actor ? String(entry.actor) : null,
+    new Date(entry.at).toISOString(),
+    entry.ip || null,
+    entry.userAgent || null,
+    entry.contentHash || null,
+    entry.details || null,
+    entry.prevHash,
+  ]);
+  return crypto.createHash("sha256").update(canonical).digest("hex");
+};
+
+/* =======================================================
+   🔒 Append-only guard
+   ======================================================= */
+const refuse = function (next) {
+  next(new Error("Custody ledger entries are immutable"));
+};
+
+CustodyEventSchema.pre("save", function (next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  CustodyEventSchema.pre(op, refuse);
+}
+
+const CustodyEvent = mongoose.model("CustodyEvent", CustodyEventSchema);
+export default CustodyEvent;
@@ -0,0 +1,84 @@
+// backend/models/Deadline.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Deadline Schema — filing deadlines, response windows, limitation periods
+ *
+ * Notes:
+ *  - A computed deadline has a rule ("10 court days after the hearing") and
+ *    a trigger; services/deadlines.js derives triggerDate / dueDate from them
+ *    and recomputes whenever the trigger or the court calendar changes
+ *  - rule.source "custom" takes triggerDate as entered; "manual" deadlines
+ *    have no rule at all, only a dueDate
+ *  - dueDay is the due date as the court sees it (YYYY-MM-DD in the
+ *    calendar's timezone); dueDate is that day at 00:00 UTC for sorting
+ *  - history keeps every move of the due date and why
+ */
+
+export const DEADLINE_KINDS = ["filing", "response", "limitation", "appeal", "discovery", "service", "other"];
+export const DEADLINE_SOURCES = ["manual", "custom", "case_filed", "case_hearing", "hearing", "deadline"];
+export const DEADLINE_UNITS = ["court_days", "calendar_days", "weeks", "months"];
+
+const HistorySchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    by: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null = recomputed by the system
+    fromDay: { type: String, default: null },
+    toDay: { type: String, default: null },
+    reason: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+const DeadlineSchema = new Schema(
+  {
+    case: { type: Schema.Types.ObjectId, ref: "Case", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    description: { type: String, trim: true, maxlength: 2000, default: "" },
+    kind: { type: String, enum: DEADLINE_KINDS, default: "filing" },
+
+    rule: {
+      source: { type: String, enum: DEADLINE_SOURCES, default: "manual" },
+      hearing: { type: Schema.Types.ObjectId, ref: "Hearing", default: null },
+      deadline: { type: Schema.Types.ObjectId, ref: "Deadline", default: null },
+      offset: { type: Number, default: 0, min: 0, max: 3650 },
+      unit: { type: String, enum: DEADLINE_UNITS, default: "court_days" },
+      direction: { type: String, enum: ["after", "before"], default: "after" },
+      roll: { type: String, enum: ["auto", "next", "previous", "none"], default: "auto" },
+    },
+
+    triggerDate: { type: Date, default: null },
+    dueDay: { type: String, default: null },
+    dueDate: { type: Date, default: null, index: true },
+    jurisdiction: { type: String, trim: true, lowercase: true, default: "default" },
+    computedAt: { type: Date, default: null },
+    skipped: [{ day: String, reason: String, _id: false }],
+    // Set when the trigger can't be resolved (hearing deleted, case not yet filed…)
+    computeError: { type: String, default: null },
+
+    status: { type: String, enum: ["open", "completed", "cancelled"], default: "open", index: true },
+    completedAt: { type: Date, default: null },
+    completedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    assignedTo: [{ type: Schema.Types.ObjectId, ref: "User", index: true }],
+    remindedDays: { type: [Number], default: [] }, // reminder thresholds already sent
+    history: { type: [HistorySchema], default: [] },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    isDeleted: { type: Boolean, default: false, index: true },
+  },
+  { timestamps: true, versionKey: false, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+DeadlineSchema.index({ "rule.hearing": 1 }, { sparse: true });
+DeadlineSchema.index({ "rule.deadline": 1 }, { sparse: true });
+DeadlineSchema.index({ status: 1, dueDate: 1 });
+
+DeadlineSchema.virtual("isOverdue").get(function () {
+  return this.status === "open" && !!this.dueDay && this.dueDay < new Date().toISOString().slice(0, 10);
+});
+
+const Deadline = mongoose.models.Deadline || mongoose.model("Deadline", DeadlineSchema);
+export default Deadline;
@@ -0,0 +1,56 @@
+// backend/models/DocumentText.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * DocumentText Schema — extracted text of case and client attachments
+ *
+ * Notes:
+ *  - Attachments are embedded in Case / Client, and their text can run to
+ *    hundreds of KB, so it lives here (one row per attachment) instead of
+ *    bloating every case load. Evidence keeps its text on the document.
+ *  - Rows are written by the "documents:extract" job (services/textExtraction.js)
+ *  - `case` / `client` duplicate `owner` so search can filter with the
+ *    same access predicates as the owning list endpoints
+ */
+
+export const EXTRACTION_STATUSES = ["pending", "done", "empty", "unsupported", "failed"];
+
+/** Extraction bookkeeping, shared with Evidence.textExtraction */
+export const TextExtractionSchema = new Schema(
+  {
+    status: { type: String, enum: EXTRACTION_STATUSES, default: "pending" },
+    format: { type: String, default: null }, // pdf | docx | html | rtf | text
+    chars: { type: Number, default: 0 },
+    truncated: { type: Boolean, default: false },
+    error: { type: String, default: null },
+    extractedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const DocumentTextSchema = new Schema(
+  {
+    ownerModel: { type: String, enum: ["Case", "Client"], required: true },
+    owner: { type: Schema.Types.ObjectId, refPath: "ownerModel", required: true },
+    attachmentId: { type: Schema.Types.ObjectId, required: true },
+
+    case: { type: Schema.Types.ObjectId, ref: "Case", default: null, index: true },
+    client: { type: Schema.Types.ObjectId, ref: "Client", default: null, index: true },
+
+    name: { type: String, trim: true, default: "" },
+    fileType: { type: String, trim: true, default: "" },
+    uploadedAt: { type: Date, default: Date.now },
+
+    text: { type: String, default: "" },
+    extraction: { type: TextExtractionSchema, default: () => ({}) },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+DocumentTextSchema.index({ owner: 1, attachmentId: 1 }, { unique: true });
+DocumentTextSchema.index({ name: "text", text: "text" }, { weights: { name: 5, text: 1 } });
+
+const DocumentText = mongoose.models.DocumentText || mongoose.model("DocumentText", DocumentTextSchema);
+export default DocumentText;
@@ -0,0 +1,48 @@
+// backend/models/DocumentVersion.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * DocumentVersion sub-schema — one stored revision of a file
+ *
+ * Embedded as `versions` in Case attachments and Evidence; not a model
+ * of its own. Logic lives in services/documentVersions.js.
+ *
+ * Notes:
+ *  - Versions are append-only: a restore adds a new version copying an
+ *    older one (`restoredFrom`), so history is never rewritten
+ *  - `filing` is set once the version has been filed with a court; a
+ *    filed version is locked and its owner can no longer be deleted
+ */
+
+const FilingSchema = new Schema(
+  {
+    filedAt: { type: Date, required: true },
+    filedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    court: { type: String, trim: true, maxlength: 200, default: "" },
+    reference: { type: String, trim: true, maxlength: 200, default: "" }, // e.g. court filing / docket number
+  },
+  { _id: false }
+);
+
+export const DocumentVersionSchema = new Schema(
+  {
+    version: { type: Number, required: true, min: 1 },
+    name: { type: String, trim: true },
+    fileUrl: { type: String, trim: true },
+    fileKey: { type: String, trim: true },
+    fileType: { type: String, trim: true },
+    size: { type: Number },
+    storageProvider: { type: String, default: null },
+    contentHash: { type: String, default: null }, // SHA-256, when known (evidence)
+    uploadedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    uploadedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true, maxlength: 500, default: "" },
+    restoredFrom: { type: Number, default: null },
+    filing: { type: FilingSchema, default: null },
+  },
+  { _id: false }
+);
+
+export default DocumentVersionSchema;
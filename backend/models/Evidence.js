@@ -8,11 +8,19 @@
  *   - Audit history with capped size
  *   - Verification workflow
  *   - Soft delete and restore operations
+ *   - SHA-256 content hash captured at ingest (chain of custody
+ *     lives in CustodyEvent)
+ *   - Version history (corrected copies, restores, court filings);
+ *     the file fields mirror the current version
  *   - Linkage to both Cases and Arbitration proceedings
+ *   - Full text of PDF / DOCX / text files, extracted in the
+ *     background and included in the text index
  * ------------------------------------------------------------
  */
 
 import mongoose from "mongoose";
+import { TextExtractionSchema } from "./DocumentText.js";
+import { DocumentVersionSchema } from "./DocumentVersion.js";
 const { Schema } = mongoose;
 
 /* =======================================================
@@ -94,6 +102,39 @@ const EvidenceSchema = new Schema(
       default: null, // public or signed URL
       trim: true,
     },
+    contentHash: {
+      type: String,
+      default: null, // SHA-256 (hex) of the file as received
+      index: true,
+      immutable: true,
+    },
+
+    /* =======================================================
+       🗃️ VERSIONS (services/documentVersions.js)
+       contentHash above stays the ingest hash; each version
+       carries its own
+       ======================================================= */
+    versions: {
+      type: [DocumentVersionSchema],
+      default: [],
+    },
+    currentVersion: {
+      type: Number,
+      default: 1,
+    },
+
+    /* =======================================================
+       🔎 EXTRACTED TEXT (filled by the "documents:extract" job)
+       ======================================================= */
+    extractedText: {
+      type: String,
+      default: "",
+      select: false, // can be large; search asks for it explicitly
+    },
+    textExtraction: {
+      type: TextExtractionSchema,
+      default: () => ({}),
+    },
 
     /* =======================================================
        ⚖️ RELATIONSHIPS
@@ -175,6 +216,7 @@ const EvidenceSchema = new Schema(
       virtuals: true,
       transform(doc, ret) {
         delete ret.fileKey;
+        delete ret.extractedText;
         delete ret.deleted;
         delete ret.deletedAt;
         delete ret.__v;
@@ -191,7 +233,12 @@ const EvidenceSchema = new Schema(
 EvidenceSchema.index({ case: 1, createdAt: -1 });
 EvidenceSchema.index({ arbitration: 1, createdAt: -1 });
 EvidenceSchema.index({ uploadedBy: 1, createdAt: -1 });
-EvidenceSchema.index({ title: "text", description: "text" });
+// Replaces the old { title, description } text index — drop that one first
+// (scripts/reindexDocuments.js does it), Mongo allows one text index per collection
+EvidenceSchema.index(
+  { title: "text", description: "text", extractedText: "text" },
+  { weights: { title: 10, description: 5, extractedText: 1 }, name: "evidence_text" }
+);
 
 /* =======================================================
    🧠 VIRTUALS
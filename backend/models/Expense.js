@@ -0,0 +1,61 @@
+// backend/models/Expense.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Expense Schema — disbursements incurred on a case (court fees, travel…)
+ *
+ * Notes:
+ *  - Same review flow as TimeEntry: pending -> approved | rejected, then
+ *    `billed` once the expense lands on an invoice
+ *  - Disbursements are usually passed on without tax, hence taxable: false
+ */
+
+export const EXPENSE_CATEGORIES = [
+  "court_fee",
+  "filing_fee",
+  "travel",
+  "copying",
+  "courier",
+  "expert",
+  "translation",
+  "other",
+];
+
+export const EXPENSE_STATUSES = ["pending", "approved", "rejected", "billed"];
+
+const ExpenseSchema = new Schema(
+  {
+    case: { type: Schema.Types.ObjectId, ref: "Case", required: true, index: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    date: { type: Date, required: true, default: Date.now },
+    category: { type: String, enum: EXPENSE_CATEGORIES, default: "other" },
+    description: { type: String, required: true, trim: true, maxlength: 500 },
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, default: () => process.env.BILLING_CURRENCY || "USD", uppercase: true, trim: true },
+    billable: { type: Boolean, default: true },
+    taxable: { type: Boolean, default: false },
+    receiptUrl: { type: String, default: null },
+
+    status: { type: String, enum: EXPENSE_STATUSES, default: "pending", index: true },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, maxlength: 500, default: "" },
+    invoice: { type: Schema.Types.ObjectId, ref: "Invoice", default: null, index: true },
+
+    isDeleted: { type: Boolean, default: false, index: true },
+    deletedAt: { type: Date, default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+ExpenseSchema.index({ case: 1, status: 1, date: -1 });
+
+ExpenseSchema.methods.isLocked = function () {
+  return ["approved", "billed"].includes(this.status);
+};
+
+const Expense = mongoose.models.Expense || mongoose.model("Expense", ExpenseSchema);
+export default Expense;
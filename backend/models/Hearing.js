@@ -89,6 +89,9 @@ const HearingSchema = new Schema(
     arbitration: { type: Schema.Types.ObjectId, ref: "Arbitration", default: null },
 
     meta: { type: Schema.Types.Mixed, default: {} },
+
+    // iCalendar SEQUENCE — bumped whenever attendees' copies need updating
+    icalSequence: { type: Number, default: 0 },
   },
   {
     timestamps: true,
@@ -174,6 +177,47 @@ HearingSchema.methods.toPublicJSON = function () {
   return obj;
 };
 
+/**
+ * occurrenceAfter(date)
+ * Returns the start of the next occurrence strictly after `date`
+ * (or null once a recurring series is exhausted / non-recurring).
+ */
+HearingSchema.methods.occurrenceAfter = function (date) {
+  const freq = this.recurrence?.freq || "none";
+  if (freq === "none" || !this.start) return null;
+
+  const interval = Math.max(1, this.recurrence.interval || 1);
+  const count = this.recurrence.count || Infinity;
+  const first = new Date(this.start);
+
+  for (let i = 1; i < count && i < 1000; i++) {
+    const next = new Date(first);
+    if (freq === "daily") next.setDate(first.getDate() + i * interval);
+    if (freq === "weekly") next.setDate(first.getDate() + i * interval * 7);
+    if (freq === "monthly") next.setMonth(first.getMonth() + i * interval);
+    if (next > date) return next;
+  }
+  return null;
+};
+
+/**
+ * computeNextReminderAt(from)
+ * Next reminder time >= `from` across the series, or null when reminders are
+ * disabled, the hearing is not scheduled, or no occurrence remains.
+ */
+HearingSchema.methods.computeNextReminderAt = function (from = new Date()) {
+  if (!this.reminder?.enabled || this.deletedAt || this.status !== "scheduled" || !this.start) return null;
+
+  const leadMs = (this.reminder.minutesBefore ?? 30) * 60000;
+  let occurrence = new Date(this.start);
+
+  // walk forward until the reminder for that occurrence is still ahead of us
+  while (occurrence && occurrence.getTime() - leadMs < from.getTime()) {
+    occurrence = this.occurrenceAfter(occurrence);
+  }
+  return occurrence ? new Date(occurrence.getTime() - leadMs) : null;
+};
+
 /* -------------------- Static helpers -------------------- */
 
 /**
@@ -197,6 +241,9 @@ HearingSchema.statics.findByCase = function (caseId, opts = {}) {
 };
 
 /* -------------------- Pre-save sanity -------------------- */
+// Fields that appear in calendar invites (utils/ical.js)
+const ICAL_FIELDS = ["title", "start", "end", "venue", "meetingLink", "status", "recurrence", "deletedAt"];
+
 HearingSchema.pre("save", function (next) {
   // If meetingLink present but no venue, set venue to "Online"
   if (this.meetingLink && (!this.venue || this.venue === "To be determined")) {
@@ -209,6 +256,19 @@ HearingSchema.pre("save", function (next) {
     this.end = null;
   }
 
+  // Keep the reminder worker's schedule in sync with timing/reminder changes
+  if (
+    this.isNew ||
+    ["start", "status", "deletedAt", "recurrence", "reminder.enabled", "reminder.minutesBefore"].some((p) => this.isModified(p))
+  ) {
+    this.reminder = this.reminder || {};
+    this.reminder.nextReminderAt = this.computeNextReminderAt();
+  }
+
+  if (!this.isNew && ICAL_FIELDS.some((p) => this.isModified(p))) {
+    this.icalSequence = (this.icalSequence || 0) + 1;
+  }
+
   next();
 });
 
@@ -0,0 +1,152 @@
+// backend/models/Invoice.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Invoice Schema — invoices and credit notes for a client
+ *
+ * Notes:
+ *  - kind "invoice" is built from approved time entries + expenses;
+ *    kind "credit_note" reduces what is owed on an issued invoice
+ *  - Drafts have no number. Issuing assigns the next INV-/CN- number for
+ *    the year; voided invoices keep theirs so the sequence has no gaps
+ *  - Totals are always derived by recalculate(); never set them directly
+ *  - optimisticConcurrency guards payments / credits racing on one invoice
+ */
+
+export const INVOICE_STATUSES = ["draft", "issued", "partially_paid", "paid", "credited", "void"];
+export const PAYMENT_METHODS = ["bank_transfer", "card", "cash", "cheque", "trust", "other"];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const LineSchema = new Schema(
+  {
+    kind: { type: String, enum: ["time", "expense", "fee", "adjustment"], default: "fee" },
+    description: { type: String, required: true, trim: true, maxlength: 1000 },
+    date: { type: Date, default: null },
+    quantity: { type: Number, default: 1, min: 0 },
+    unit: { type: String, enum: ["hour", "item"], default: "item" },
+    unitPrice: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    taxable: { type: Boolean, default: true },
+    timeEntry: { type: Schema.Types.ObjectId, ref: "TimeEntry", default: null },
+    expense: { type: Schema.Types.ObjectId, ref: "Expense", default: null },
+  },
+  { _id: true }
+);
+
+const TaxSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    rate: { type: Number, required: true, min: 0, max: 100 }, // percent
+    base: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const PaymentSchema = new Schema(
+  {
+    amount: { type: Number, required: true, min: 0.01 },
+    method: { type: String, enum: PAYMENT_METHODS, default: "bank_transfer" },
+    reference: { type: String, trim: true, maxlength: 200, default: "" },
+    receivedAt: { type: Date, default: Date.now },
+    recordedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    trustTransaction: { type: Schema.Types.ObjectId, ref: "TrustTransaction", default: null },
+  },
+  { _id: true, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const InvoiceSchema = new Schema(
+  {
+    kind: { type: String, enum: ["invoice", "credit_note"], default: "invoice", index: true },
+    number: { type: String, trim: true, default: undefined },
+    status: { type: String, enum: INVOICE_STATUSES, default: "draft", index: true },
+
+    client: { type: Schema.Types.ObjectId, ref: "Client", required: true, index: true },
+    case: { type: Schema.Types.ObjectId, ref: "Case", default: null, index: true },
+    // Frozen copy of the client's details at issue time
+    billTo: {
+      name: String,
+      email: String,
+      company: String,
+      address: String,
+    },
+
+    currency: { type: String, default: () => process.env.BILLING_CURRENCY || "USD", uppercase: true, trim: true },
+    lines: { type: [LineSchema], default: [] },
+    taxes: { type: [TaxSchema], default: [] },
+
+    subtotal: { type: Number, default: 0 },
+    taxTotal: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    amountPaid: { type: Number, default: 0 },
+    amountCredited: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+
+    payments: { type: [PaymentSchema], default: [] },
+    creditNotes: [{ type: Schema.Types.ObjectId, ref: "Invoice" }],
+    relatedInvoice: { type: Schema.Types.ObjectId, ref: "Invoice", default: null }, // credit note -> invoice
+    reason: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    periodFrom: { type: Date, default: null },
+    periodTo: { type: Date, default: null },
+    issueDate: { type: Date, default: null },
+    dueDate: { type: Date, default: null },
+    notes: { type: String, trim: true, maxlength: 2000, default: "" },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    issuedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    voidedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    voidedAt: { type: Date, default: null },
+    voidReason: { type: String, trim: true, maxlength: 500, default: "" },
+  },
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+InvoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: "string" } } });
+InvoiceSchema.index({ client: 1, status: 1, issueDate: -1 });
+
+InvoiceSchema.virtual("isOverdue").get(function () {
+  return ["issued", "partially_paid"].includes(this.status) && !!this.dueDate && this.dueDate < new Date();
+});
+
+/** Re-derive line amounts, tax lines, totals, balance and payment status */
+InvoiceSchema.methods.recalculate = function () {
+  for (const line of this.lines) line.amount = round2(line.quantity * line.unitPrice);
+
+  this.subtotal = round2(this.lines.reduce((s, l) => s + l.amount, 0));
+  const taxableBase = round2(this.lines.filter((l) => l.taxable).reduce((s, l) => s + l.amount, 0));
+  for (const tax of this.taxes) {
+    tax.base = taxableBase;
+    tax.amount = round2((taxableBase * tax.rate) / 100);
+  }
+  this.taxTotal = round2(this.taxes.reduce((s, t) => s + t.amount, 0));
+  this.total = round2(this.subtotal + this.taxTotal);
+
+  if (this.kind === "credit_note") {
+    this.balanceDue = 0;
+    return this;
+  }
+
+  this.amountPaid = round2(this.payments.reduce((s, p) => s + p.amount, 0));
+  this.balanceDue = round2(Math.max(this.total - this.amountPaid - this.amountCredited, 0));
+
+  if (["issued", "partially_paid", "paid", "credited"].includes(this.status)) {
+    if (this.balanceDue > 0) this.status = this.amountPaid > 0 ? "partially_paid" : "issued";
+    else this.status = this.amountPaid > 0 ? "paid" : "credited";
+  }
+  return this;
+};
+
+InvoiceSchema.set("toJSON", {
+  virtuals: true,
+  transform(doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Invoice = mongoose.models.Invoice || mongoose.model("Invoice", InvoiceSchema);
+export default Invoice;
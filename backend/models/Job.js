@@ -0,0 +1,60 @@
+// backend/models/Job.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Job Schema — persistent queue backing services/scheduler.js
+ *
+ * Notes:
+ *  - Jobs survive restarts; a crashed worker's lock simply expires (lockedUntil)
+ *  - Workers claim jobs with a single atomic findOneAndUpdate, so with several
+ *    server instances a job is only ever run by one of them at a time
+ *  - `uniqueKey` de-duplicates recurring/singleton jobs (e.g. "reminders:sweep")
+ */
+
+const JobSchema = new Schema(
+  {
+    type: { type: String, required: true, index: true },
+    payload: { type: Schema.Types.Mixed, default: {} },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "failed"],
+      default: "queued",
+      index: true,
+    },
+
+    runAt: { type: Date, default: Date.now, index: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5, min: 1 },
+
+    // recurring jobs re-queue themselves every `repeatEveryMs`
+    repeatEveryMs: { type: Number, default: null },
+    uniqueKey: { type: String, default: undefined },
+
+    // lease held by the worker currently running the job
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    result: { type: Schema.Types.Mixed, default: null },
+
+    // set once a one-off job reaches a terminal state; TTL index purges it
+    expiresAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+JobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Job = mongoose.models.Job || mongoose.model("Job", JobSchema);
+export default Job;
@@ -0,0 +1,51 @@
+// backend/models/LoginAttempt.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * LoginAttempt Schema — audit trail of sign-in attempts
+ *
+ * Notes:
+ *  - One entry per password or 2FA step, successful or not (services/loginSecurity.js)
+ *  - `user` is null when the email matched no account
+ *  - deviceHash / location are what new-device alerts compare against
+ *  - Entries expire after LOGIN_AUDIT_TTL_DAYS (default 180)
+ */
+
+const TTL_DAYS = Number(process.env.LOGIN_AUDIT_TTL_DAYS) || 180;
+
+export const LOGIN_OUTCOMES = [
+  "success",
+  "bad_password",
+  "unknown_user",
+  "inactive",
+  "locked",
+  "throttled",
+  "bad_code",
+];
+
+const LoginAttemptSchema = new Schema(
+  {
+    email: { type: String, lowercase: true, trim: true, index: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    stage: { type: String, enum: ["password", "2fa"], default: "password" },
+    success: { type: Boolean, required: true },
+    outcome: { type: String, enum: LOGIN_OUTCOMES, required: true },
+
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    deviceHash: { type: String, default: null },
+    location: { type: String, default: null },
+
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+LoginAttemptSchema.index({ at: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+LoginAttemptSchema.index({ user: 1, success: 1, at: -1 });
+LoginAttemptSchema.index({ ip: 1, at: -1 });
+
+const LoginAttempt = mongoose.models.LoginAttempt || mongoose.model("LoginAttempt", LoginAttemptSchema);
+export default LoginAttempt;
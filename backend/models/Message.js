@@ -0,0 +1,85 @@
+// backend/models/Message.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Message Schema — persisted hearing chat
+ *
+ * Notes:
+ *  - Always scoped to an Arbitration; optionally narrowed to a single Hearing
+ *  - Attachments are stored via utils/storageProvider; only metadata lives here
+ *  - History is paged newest-first by _id (monotonic) using a `before` cursor
+ */
+
+const FileSchema = new Schema(
+  {
+    filename: { type: String, trim: true },
+    contentType: { type: String, default: "application/octet-stream" },
+    size: { type: Number, default: 0 },
+    provider: { type: String, default: "local" },
+    key: { type: String }, // storage key (never exposed publicly)
+    url: { type: String },
+  },
+  { _id: false }
+);
+
+const MessageSchema = new Schema(
+  {
+    arbitration: { type: Schema.Types.ObjectId, ref: "Arbitration", required: true, index: true },
+    hearing: { type: Schema.Types.ObjectId, ref: "Hearing", default: null, index: true },
+    author: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, trim: true, maxlength: 5000, default: null },
+    file: { type: FileSchema, default: null },
+    deleted: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        if (ret.file) delete ret.file.key;
+        return ret;
+      },
+    },
+  }
+);
+
+MessageSchema.index({ arbitration: 1, _id: -1 });
+MessageSchema.index({ arbitration: 1, hearing: 1, _id: -1 });
+
+MessageSchema.pre("validate", function (next) {
+  if (!this.text && !this.file) {
+    return next(new Error("Message must contain text or an attachment"));
+  }
+  next();
+});
+
+/**
+ * Cursor pagination. Returns up to `limit` messages older than `before`
+ * (a message _id or an ISO date), ordered oldest → newest for display.
+ */
+MessageSchema.statics.findPage = async function ({ arbitration, hearing = null, before = null, limit = 30 }) {
+  limit = Math.min(100, Math.max(1, parseInt(limit, 10) || 30));
+
+  const filter = { arbitration, deleted: false };
+  if (hearing) filter.hearing = hearing;
+
+  if (before) {
+    if (mongoose.isValidObjectId(before)) {
+      filter._id = { $lt: new mongoose.Types.ObjectId(String(before)) };
+    } else if (!Number.isNaN(Date.parse(before))) {
+      filter.createdAt = { $lt: new Date(before) };
+    }
+  }
+
+  const items = await this.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit)
+    .populate("author", "name email role avatar");
+
+  return items.reverse();
+};
+
+const Message = mongoose.models.Message || mongoose.model("Message", MessageSchema);
+export default Message;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import User from "./User.js";
 
 /* =======================================================
    NOTIFICATION MODEL — Unified Alerting System
@@ -58,6 +59,7 @@ const notificationSchema = new mongoose.Schema(
         "reminder",
         "alert",
         "message",
+        "billing",
       ],
       default: "general",
       index: true,
@@ -84,21 +86,39 @@ const notificationSchema = new mongoose.Schema(
     isRead: { type: Boolean, default: false, index: true },
     isDeleted: { type: Boolean, default: false, index: true },
 
+    /* =======================================================
+       📮 DELIVERY — channels chosen from the recipient's
+          preferences (services/notificationDelivery.js)
+       ======================================================= */
+    channels: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+      digest: { type: Boolean, default: false },
+    },
+    emailedAt: { type: Date, default: null },
+    digestedAt: { type: Date, default: null },
+
+    /* =======================================================
+       📣 SYSTEM BANNERS — admin broadcasts stay on screen
+          until each recipient dismisses them
+       ======================================================= */
+    banner: { type: Boolean, default: false },
+    level: {
+      type: String,
+      enum: ["info", "warning", "critical"],
+      default: "info",
+    },
+    broadcastId: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+    dismissedAt: { type: Date, default: null },
+
     /* =======================================================
        🎭 ROLE BROADCASTING (optional)
        ======================================================= */
+    // Same roles as User.role, so every role can be broadcast to
     targetRoles: [
       {
         type: String,
-        enum: [
-          "advocate",
-          "paralegal",
-          "mediator",
-          "arbitrator",
-          "reconciliator",
-          "client",
-          "admin",
-        ],
+        enum: User.schema.path("role").enumValues,
       },
     ],
   },
@@ -124,6 +144,12 @@ notificationSchema.index(
 // Quick lookups by recipient + unread
 notificationSchema.index({ recipient: 1, isRead: 1 });
 
+// Digest sweep: a user's undigested unread items
+notificationSchema.index({ recipient: 1, "channels.digest": 1, digestedAt: 1, isRead: 1 });
+
+// Open banners per user
+notificationSchema.index({ recipient: 1, banner: 1, dismissedAt: 1 });
+
 /* =======================================================
    🧠 VIRTUALS
    ======================================================= */
@@ -153,6 +179,14 @@ notificationSchema.methods.markUnread = async function () {
   return this;
 };
 
+// Dismiss a banner (also counts as read)
+notificationSchema.methods.dismiss = async function () {
+  this.dismissedAt = this.dismissedAt || new Date();
+  this.isRead = true;
+  await this.save();
+  return this;
+};
+
 // Soft delete
 notificationSchema.methods.softDelete = async function () {
   this.isDeleted = true;
@@ -108,6 +108,9 @@ const reconciliationSchema = new Schema(
     // Soft delete
     deletedAt: { type: Date, default: null },
 
+    // iCalendar SEQUENCE — bumped whenever attendees' copies need updating
+    icalSequence: { type: Number, default: 0 },
+
     // Lightweight history/audit for quick UI use
     history: [
       {
@@ -242,6 +245,16 @@ reconciliationSchema.pre("save", function (next) {
   next();
 });
 
+// Bump the invite SEQUENCE when anything attendees see changes
+const ICAL_FIELDS = ["title", "scheduledAt", "durationMinutes", "linkOrLocation", "status", "deletedAt"];
+
+reconciliationSchema.pre("save", function (next) {
+  if (!this.isNew && ICAL_FIELDS.some((p) => this.isModified(p))) {
+    this.icalSequence = (this.icalSequence || 0) + 1;
+  }
+  next();
+});
+
 /* ---------- Export ---------- */
 const Reconciliation = model("Reconciliation", reconciliationSchema);
 export default Reconciliation;
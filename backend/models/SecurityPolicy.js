@@ -0,0 +1,31 @@
+// backend/models/SecurityPolicy.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * SecurityPolicy Schema — platform-wide security settings (singleton)
+ *
+ * Notes:
+ *  - A single document with key "global", edited by admins
+ *  - Read through SecurityPolicy.current(), which creates it on first use
+ */
+
+const SecurityPolicySchema = new Schema(
+  {
+    key: { type: String, default: "global", unique: true, immutable: true },
+
+    // Roles that must have TOTP enrolled before using anything beyond /api/auth
+    requireTwoFactorRoles: { type: [String], default: [] },
+
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+SecurityPolicySchema.statics.current = function () {
+  return this.findOneAndUpdate({ key: "global" }, { $setOnInsert: { key: "global" } }, { upsert: true, new: true });
+};
+
+const SecurityPolicy = mongoose.models.SecurityPolicy || mongoose.model("SecurityPolicy", SecurityPolicySchema);
+export default SecurityPolicy;
@@ -110,6 +110,9 @@ const sessionSchema = new Schema(
       default: null,
     },
 
+    // iCalendar SEQUENCE — bumped whenever attendees' copies need updating
+    icalSequence: { type: Number, default: 0 },
+
     history: [
       {
         ts: { type: Date, default: Date.now },
@@ -160,6 +163,15 @@ sessionSchema.pre("save", function (next) {
   next();
 });
 
+const ICAL_FIELDS = ["title", "scheduledAt", "durationMinutes", "locationOrUrl", "status", "deletedAt"];
+
+sessionSchema.pre("save", function (next) {
+  if (!this.isNew && ICAL_FIELDS.some((p) => this.isModified(p))) {
+    this.icalSequence = (this.icalSequence || 0) + 1;
+  }
+  next();
+});
+
 /* -----------------------------------------------------------
  * Instance Methods
  * ----------------------------------------------------------- */
@@ -0,0 +1,37 @@
+// backend/models/SocketJoinLog.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * SocketJoinLog Schema — audit trail of socket room joins
+ *
+ * Notes:
+ *  - One entry per join attempt, granted or refused (services/socketAccess.js)
+ *  - Automatic rooms joined at handshake (own user/role rooms) are logged too
+ *  - Entries expire after SOCKET_AUDIT_TTL_DAYS (default 90)
+ */
+
+const TTL_DAYS = Number(process.env.SOCKET_AUDIT_TTL_DAYS) || 90;
+
+const SocketJoinLogSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    room: { type: String, required: true, index: true },
+    granted: { type: Boolean, required: true },
+    reason: { type: String, default: null },
+    via: { type: String, enum: ["handshake", "register", "join", "joinRoom"], required: true },
+
+    socketId: { type: String, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+SocketJoinLogSchema.index({ at: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+SocketJoinLogSchema.index({ granted: 1, at: -1 });
+
+const SocketJoinLog = mongoose.models.SocketJoinLog || mongoose.model("SocketJoinLog", SocketJoinLogSchema);
+export default SocketJoinLog;
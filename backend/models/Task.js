@@ -134,6 +134,7 @@ const TaskSchema = new Schema(
     reminder: {
       enabled: { type: Boolean, default: false },
       remindAt: { type: Date },
+      sentFor: { type: Date, default: null }, // remindAt value already dispatched by the scheduler
     },
 
     /* =======================================================
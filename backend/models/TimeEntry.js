@@ -0,0 +1,85 @@
+// backend/models/TimeEntry.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * TimeEntry Schema — time spent on a case
+ *
+ * Notes:
+ *  - Either logged manually (durationMinutes) or by a timer: a running
+ *    entry has `running: true` and `startedAt`; stopping it fills in
+ *    endedAt + durationMinutes. One running timer per user.
+ *  - Amount is derived (durationMinutes / 60 * rate) and only for billable time
+ *  - Review flow: pending -> approved | rejected (by whoever manages the
+ *    case); editing a rejected entry sends it back to pending.
+ *    `billed` is set when the entry lands on an invoice.
+ */
+
+// UTBMS litigation activity codes
+export const ACTIVITY_CODES = {
+  A101: "Plan and prepare for",
+  A102: "Research",
+  A103: "Draft/revise",
+  A104: "Review/analyze",
+  A105: "Communicate (in firm)",
+  A106: "Communicate (with client)",
+  A107: "Communicate (other outside counsel)",
+  A108: "Communicate (other external)",
+  A109: "Appear for/attend",
+  A110: "Manage data/files",
+  A111: "Other",
+};
+
+export const TIME_ENTRY_STATUSES = ["pending", "approved", "rejected", "billed"];
+
+const TimeEntrySchema = new Schema(
+  {
+    case: { type: Schema.Types.ObjectId, ref: "Case", required: true, index: true },
+    task: { type: Schema.Types.ObjectId, ref: "Task", default: null },
+    hearing: { type: Schema.Types.ObjectId, ref: "Hearing", default: null },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    date: { type: Date, required: true, default: Date.now, index: true }, // day the work was done
+    startedAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
+    running: { type: Boolean, default: false },
+    durationMinutes: { type: Number, default: 0, min: 0, max: 24 * 60 },
+
+    billable: { type: Boolean, default: true },
+    rate: { type: Number, default: 0, min: 0 }, // per hour
+    currency: { type: String, default: () => process.env.BILLING_CURRENCY || "USD", uppercase: true, trim: true },
+    activityCode: { type: String, enum: Object.keys(ACTIVITY_CODES), default: "A111" },
+    narrative: { type: String, trim: true, maxlength: 2000, default: "" },
+
+    status: { type: String, enum: TIME_ENTRY_STATUSES, default: "pending", index: true },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, maxlength: 500, default: "" },
+    invoice: { type: Schema.Types.ObjectId, ref: "Invoice", default: null, index: true },
+
+    isDeleted: { type: Boolean, default: false, index: true },
+    deletedAt: { type: Date, default: null },
+  },
+  { timestamps: true, versionKey: false, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+TimeEntrySchema.index({ user: 1, running: 1 }, { unique: true, partialFilterExpression: { running: true } });
+TimeEntrySchema.index({ case: 1, status: 1, date: -1 });
+
+TimeEntrySchema.virtual("amount").get(function () {
+  if (!this.billable) return 0;
+  return Math.round(((this.durationMinutes || 0) / 60) * (this.rate || 0) * 100) / 100;
+});
+
+TimeEntrySchema.virtual("activity").get(function () {
+  return ACTIVITY_CODES[this.activityCode] || null;
+});
+
+// Editable by its author until it has been approved or billed
+TimeEntrySchema.methods.isLocked = function () {
+  return ["approved", "billed"].includes(this.status);
+};
+
+const TimeEntry = mongoose.models.TimeEntry || mongoose.model("TimeEntry", TimeEntrySchema);
+export default TimeEntry;
@@ -0,0 +1,56 @@
+// backend/models/TrustTransaction.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * TrustTransaction Schema — the client trust (retainer) ledger
+ *
+ * Notes:
+ *  - Append-only. Mistakes are corrected with a `reversal`, never an edit
+ *  - Amounts are positive minor units (cents); `type` gives the direction
+ *  - balanceAfterCents is Client.trustBalanceCents right after this entry,
+ *    so the ledger can be audited line by line (services/trustLedger.js)
+ */
+
+export const TRUST_CREDIT_TYPES = ["deposit", "reversal"];
+export const TRUST_DEBIT_TYPES = ["withdrawal", "invoice_payment", "refund"];
+
+const TrustTransactionSchema = new Schema(
+  {
+    client: { type: Schema.Types.ObjectId, ref: "Client", required: true, index: true },
+    case: { type: Schema.Types.ObjectId, ref: "Case", default: null },
+    invoice: { type: Schema.Types.ObjectId, ref: "Invoice", default: null },
+    reverses: { type: Schema.Types.ObjectId, ref: "TrustTransaction", default: null },
+
+    type: { type: String, enum: [...TRUST_CREDIT_TYPES, ...TRUST_DEBIT_TYPES], required: true },
+    amountCents: { type: Number, required: true, min: 1 },
+    balanceAfterCents: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: () => process.env.BILLING_CURRENCY || "USD", uppercase: true, trim: true },
+
+    reference: { type: String, trim: true, maxlength: 200, default: "" },
+    note: { type: String, trim: true, maxlength: 1000, default: "" },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+TrustTransactionSchema.index({ client: 1, createdAt: -1 });
+// A transaction can be reversed once; enforced here so concurrent reversals can't both credit
+TrustTransactionSchema.index({ reverses: 1 }, { unique: true, partialFilterExpression: { reverses: { $type: "objectId" } } });
+
+TrustTransactionSchema.virtual("direction").get(function () {
+  return TRUST_CREDIT_TYPES.includes(this.type) ? "in" : "out";
+});
+TrustTransactionSchema.virtual("amount").get(function () {
+  return this.amountCents / 100;
+});
+TrustTransactionSchema.virtual("balanceAfter").get(function () {
+  return this.balanceAfterCents / 100;
+});
+
+TrustTransactionSchema.set("toJSON", { virtuals: true });
+
+const TrustTransaction =
+  mongoose.models.TrustTransaction || mongoose.model("TrustTransaction", TrustTransactionSchema);
+export default TrustTransaction;
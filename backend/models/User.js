@@ -10,6 +10,7 @@
 
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 
 /* =======================================================
    🧠 USER SCHEMA
@@ -126,6 +127,62 @@ const userSchema = new mongoose.Schema(
     otp: { type: String },
     otpExpires: { type: Date },
     passwordChangedAt: { type: Date },
+    emailVerified: { type: Boolean, default: false, index: true },
+    emailVerifiedAt: { type: Date },
+    verificationSentAt: { type: Date }, // last verification email (resend throttling)
+    passwordResetToken: { type: String, select: false }, // sha256 of the emailed token
+    passwordResetExpires: { type: Date, select: false },
+
+    // Failed-login throttling (services/loginSecurity.js) — separate from `status`,
+    // which stays an admin decision
+    loginSecurity: {
+      failedAttempts: { type: Number, default: 0 },
+      lastFailedAt: { type: Date },
+      lockedUntil: { type: Date },
+      lockCount: { type: Number, default: 0 }, // consecutive locks; each one lasts longer
+    },
+
+    // TOTP two-factor (services/twoFactor.js). Secrets are AES-GCM encrypted.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // set during enrollment until the first code is confirmed
+      lastUsedStep: { type: Number, select: false }, // replay guard
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: { type: Date, default: null } }],
+        select: false,
+      },
+    },
+
+    // Secret ICS subscription URL (services/calendarSync.js); only the hash is stored
+    calendarFeed: {
+      tokenHash: { type: String, select: false, index: { unique: true, sparse: true } },
+      createdAt: { type: Date },
+      lastAccessedAt: { type: Date },
+    },
+
+    // Per-type channels, quiet hours and digests (services/notificationDelivery.js)
+    notificationPreferences: {
+      timezone: { type: String, default: "UTC" },
+      channels: {
+        type: Map,
+        of: new mongoose.Schema({ inApp: Boolean, email: Boolean, digest: Boolean }, { _id: false }),
+        default: undefined,
+      },
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: "22:00" }, // HH:MM in `timezone`
+        end: { type: String, default: "07:00" },
+      },
+      digest: {
+        frequency: { type: String, enum: ["off", "daily", "weekly"], default: "off" },
+        hour: { type: Number, min: 0, max: 23, default: 8 },
+        weekday: { type: Number, min: 0, max: 6, default: 1 }, // weekly digests; 0 = Sunday
+        lastSentKey: { type: String, default: null }, // local YYYY-MM-DD of the last digest
+        lastSentAt: { type: Date, default: null },
+      },
+    },
 
     /* =======================================================
        🧾 AUDIT
@@ -183,6 +240,25 @@ userSchema.methods.changedPasswordAfter = function (jwtTimestamp) {
   return false;
 };
 
+// Issue a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function (ttlMinutes = 30) {
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  this.passwordResetToken = crypto.createHash("sha256").update(rawToken).digest("hex");
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return rawToken;
+};
+
+// Issue a calendar feed token, replacing any previous one (only the hash is stored)
+userSchema.methods.createCalendarFeedToken = function () {
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  this.calendarFeed = {
+    tokenHash: crypto.createHash("sha256").update(rawToken).digest("hex"),
+    createdAt: new Date(),
+    lastAccessedAt: null,
+  };
+  return rawToken;
+};
+
 // Role helper (for guards & authorization)
 userSchema.methods.hasRole = function (roles = []) {
   return roles.map((r) => r.toLowerCase()).includes(this.role.toLowerCase());
@@ -194,6 +270,10 @@ userSchema.methods.toJSON = function () {
   delete obj.password;
   delete obj.otp;
   delete obj.otpExpires;
+  delete obj.passwordResetToken;
+  delete obj.passwordResetExpires;
+  if (obj.calendarFeed) delete obj.calendarFeed.tokenHash;
+  if (obj.twoFactor) obj.twoFactor = { enabled: !!obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
   return obj;
 };
 
@@ -1,5 +1,6 @@
 // backend/routes/arbitrationRoutes.js
 import express from "express";
+import multer from "multer";
 import {
   createArbitration,
   getAllArbitrations,
@@ -10,11 +11,23 @@ import {
   restoreArbitration,
   deleteArbitrationPermanently,
 } from "../controllers/arbitrationsController.js";
+import { getMessages, postMessage } from "../controllers/messageController.js";
+import {
+  getArbitrationAward,
+  saveAwardDraft,
+  issueArbitrationAward,
+} from "../controllers/arbitrationAwardController.js";
 
 import { protect, authorize } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+// Chat attachments are buffered in memory and handed to storageProvider.uploadBuffer
+const chatUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024 },
+}).single("file");
+
 /* =======================================================
    📘 Arbitration Routes Overview
    =======================================================
@@ -27,6 +40,11 @@ const router = express.Router();
    PUT    /api/arbitrations/:id/delete              → Soft delete
    PUT    /api/arbitrations/:id/restore             → Restore deleted
    DELETE /api/arbitrations/:id/permanent           → Permanently delete arbitration + evidence
+   GET    /api/arbitrations/:id/messages            → Hearing chat history (?before=<cursor>)
+   POST   /api/arbitrations/:id/messages            → Post chat message (text and/or file)
+   GET    /api/arbitrations/:id/award               → Award draft / issued state
+   PUT    /api/arbitrations/:id/award               → Save award draft (assigned arbitrator)
+   POST   /api/arbitrations/:id/award/issue         → Issue award + queue PDF (assigned arbitrator)
 */
 
 /* =======================================================
@@ -89,4 +107,17 @@ router.delete(
   deleteArbitrationPermanently
 );
 
+/* =======================================================
+   9️⃣ Hearing Chat (parties, assigned arbitrator, admins)
+   ======================================================= */
+router.get("/:id/messages", protect, getMessages);
+router.post("/:id/messages", protect, chatUpload, postMessage);
+
+/* =======================================================
+   🔟 Award Issuance (assigned arbitrator only)
+   ======================================================= */
+router.get("/:id/award", protect, getArbitrationAward);
+router.put("/:id/award", protect, authorize("arbitrator"), saveAwardDraft);
+router.post("/:id/award/issue", protect, authorize("arbitrator"), issueArbitrationAward);
+
 export default router;
@@ -2,18 +2,66 @@
 
 import express from "express";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import mongoose from "mongoose";
 import User from "../models/User.js";
-import { protect } from "../middleware/authMiddleware.js";
+import AuthSession from "../models/AuthSession.js";
+import { protect, optionalAuth } from "../middleware/authMiddleware.js";
+import {
+  ACCESS_TOKEN_TTL,
+  startSession,
+  rotateSession,
+  sessionIdFromCookie,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  presentSession,
+  clearRefreshCookie,
+} from "../services/authSessions.js";
+import { signChallenge, readChallenge, verifySecondFactor, needsEnrollment, CHALLENGE_TTL } from "../services/twoFactor.js";
+import twoFactorRoutes from "./twoFactor.js";
+import {
+  recordAttempt,
+  recentAttempts,
+  assertCanAttempt,
+  registerFailure,
+  registerSuccess,
+  unlockAccount,
+} from "../services/loginSecurity.js";
+import { sendMail } from "../utils/mailer.js";
 
 const router = express.Router();
 
 // =============================
-// 🔐 Helper: Sign a JWT
+// 📨 Helper: Email verification links
 // =============================
-const signToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+// Separate secret + `sub` claim so a verification token can never pass `protect`.
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+const VERIFY_SECRET = process.env.EMAIL_VERIFY_SECRET || `${process.env.JWT_SECRET}:verify-email`;
+const VERIFY_TOKEN_TTL = process.env.EMAIL_VERIFY_TTL || "24h";
+const RESEND_COOLDOWN_MS = parseInt(process.env.EMAIL_VERIFY_RESEND_COOLDOWN_SECONDS || "60", 10) * 1000;
+
+const signVerificationToken = (user) =>
+  jwt.sign({ sub: String(user._id), email: user.email, purpose: "verify-email" }, VERIFY_SECRET, {
+    expiresIn: VERIFY_TOKEN_TTL,
   });
+
+const sendVerificationEmail = async (user) => {
+  const token = signVerificationToken(user);
+  const link = `${FRONTEND_URL}/verify-email?token=${token}&email=${encodeURIComponent(user.email)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your LawBridge email address",
+    text:
+      `Hello ${user.name},\n\n` +
+      "Please confirm your email address to finish setting up your account:\n\n" +
+      `${link}\n\n` +
+      `This link expires in ${VERIFY_TOKEN_TTL}.`,
+  });
+
+  user.verificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
 };
 
 // =============================
@@ -49,18 +97,25 @@ router.post("/register", async (req, res) => {
     const user = new User({ name, email, password, role });
     await user.save();
 
-    const token = signToken(user._id);
+    // Non-fatal: user can request another link via /resend-verification
+    sendVerificationEmail(user).catch((mailErr) =>
+      console.error("🛑 Verification email error:", mailErr.message)
+    );
+
+    const { token } = await startSession(user, req, res);
 
     return res.status(201).json({
       success: true,
-      message: "Registration successful.",
+      message: "Registration successful. Please check your email to verify your account.",
       data: {
         token,
+        expiresIn: ACCESS_TOKEN_TTL,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
         },
       },
     });
@@ -73,6 +128,56 @@ router.post("/register", async (req, res) => {
   }
 });
 
+// =============================
+// 🎟️ Helper: Start a session and answer a successful login
+// =============================
+const sendLoginSuccess = async (req, res, user, method) => {
+  await registerSuccess(user, req, { stage: method === "password" ? "password" : "2fa" });
+  const { token } = await startSession(user, req, res, { method });
+
+  return res.json({
+    success: true,
+    message: "Login successful.",
+    data: {
+      token,
+      expiresIn: ACCESS_TOKEN_TTL,
+      // Policy requires 2FA for this role but it isn't set up yet — only /api/auth works until it is
+      twoFactorSetupRequired: await needsEnrollment(user),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+      },
+    },
+  });
+};
+
+// =============================
+// 🧱 Helper: Refuse a locked / throttled / failed attempt
+// =============================
+const sendLoginBlocked = (res, err) => {
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+};
+
+// Counts the failure; answers 423 if this one tipped the account into a lock
+const sendLoginFailed = async (res, user, message) => {
+  const { locked, retryAfterMs } = await registerFailure(user);
+  if (locked) {
+    return sendLoginBlocked(res, {
+      status: 423,
+      code: "ACCOUNT_LOCKED",
+      message: "Too many failed attempts. Your account has been temporarily locked.",
+      retryAfter: Math.ceil(retryAfterMs / 1000),
+    });
+  }
+  if (retryAfterMs) res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(401).json({ success: false, message });
+};
+
 // =============================
 // 🔑 LOGIN
 // =============================
@@ -91,63 +196,548 @@ router.post("/login", async (req, res) => {
 
     const user = await User.findOne({ email }).select("+password");
     if (!user) {
+      recordAttempt(req, { email, success: false, outcome: "unknown_user" });
       return res.status(401).json({
         success: false,
         message: "Invalid credentials.",
       });
     }
 
+    // Checked before the password so a lock holds even against the right one
+    try {
+      assertCanAttempt(user);
+    } catch (blocked) {
+      recordAttempt(req, { user, success: false, outcome: blocked.code === "ACCOUNT_LOCKED" ? "locked" : "throttled" });
+      return sendLoginBlocked(res, blocked);
+    }
+
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      recordAttempt(req, { user, success: false, outcome: "bad_password" });
+      return sendLoginFailed(res, user, "Invalid credentials.");
+    }
+
+    if (user.status !== "active") {
+      recordAttempt(req, { user, success: false, outcome: "inactive" });
+      return res.status(403).json({
+        success: false,
+        message: "User account is not active.",
+      });
+    }
+
+    // Step 1 of 2: password is right, now ask for the authenticator code
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: "Enter the code from your authenticator app.",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallenge(user),
+          expiresIn: CHALLENGE_TTL,
+        },
+      });
+    }
+
+    return sendLoginSuccess(req, res, user, "password");
+  } catch (err) {
+    console.error("🛑 Login error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error during login.",
+    });
+  }
+});
+
+// =============================
+// 🔢 LOGIN — STEP 2 (TOTP or recovery code)
+// =============================
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Sign-in token and an authentication or recovery code are required.",
+      });
+    }
+
+    const userId = readChallenge(challengeToken);
+    const user = await User.findById(userId);
+    if (!user || user.status !== "active") {
       return res.status(401).json({
         success: false,
-        message: "Invalid credentials.",
+        message: "Invalid sign-in attempt.",
+      });
+    }
+
+    try {
+      assertCanAttempt(user);
+    } catch (blocked) {
+      recordAttempt(req, { user, stage: "2fa", success: false, outcome: blocked.code === "ACCOUNT_LOCKED" ? "locked" : "throttled" });
+      return sendLoginBlocked(res, blocked);
+    }
+
+    let method;
+    try {
+      method = await verifySecondFactor(user._id, { code, recoveryCode });
+    } catch (err) {
+      if (err.code !== "INVALID_CODE") throw err;
+      recordAttempt(req, { user, stage: "2fa", success: false, outcome: "bad_code" });
+      return sendLoginFailed(res, user, err.message);
+    }
+    return sendLoginSuccess(req, res, user, method);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("🛑 2FA login error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error during two-factor sign-in.",
+    });
+  }
+});
+
+// =============================
+// 👤 GET CURRENT USER
+// =============================
+router.get("/me", protect, (req, res) => {
+  const { _id: id, name, email, role, status, emailVerified, twoFactor } = req.user;
+  return res.json({
+    success: true,
+    data: { id, name, email, role, status, emailVerified, twoFactorEnabled: !!twoFactor?.enabled },
+  });
+});
+
+// 🛡️ Two-factor enrollment & policy (routes/twoFactor.js)
+router.use("/2fa", twoFactorRoutes);
+
+// =============================
+// ✅ VERIFY EMAIL (POST body or GET ?token=)
+// =============================
+const verifyEmailHandler = async (req, res) => {
+  try {
+    const token = req.body?.token || req.query.token;
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification token is required.",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token), VERIFY_SECRET);
+    } catch (e) {
+      return res.status(400).json({
+        success: false,
+        message:
+          e.name === "TokenExpiredError"
+            ? "Verification link has expired. Please request a new one."
+            : "Invalid verification link.",
+      });
+    }
+
+    if (decoded.purpose !== "verify-email") {
+      return res.status(400).json({ success: false, message: "Invalid verification link." });
+    }
+
+    const user = await User.findById(decoded.sub);
+    // Link is bound to the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ success: false, message: "Invalid verification link." });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return res.json({
+      success: true,
+      message: "Your email has been verified. Thank you!",
+    });
+  } catch (err) {
+    console.error("🛑 Verify email error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error during email verification.",
+    });
+  }
+};
+
+router.post("/verify-email", verifyEmailHandler);
+router.get("/verify-email", verifyEmailHandler);
+
+// =============================
+// 🔄 RESEND VERIFICATION (throttled)
+// =============================
+router.post("/resend-verification", async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: "If that account needs verification, a new email has been sent.",
+  };
+
+  try {
+    const email = (req.body.email || "").toLowerCase().trim();
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required.",
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || user.emailVerified) return res.json(genericResponse);
+
+    const lastSent = user.verificationSentAt ? user.verificationSentAt.getTime() : 0;
+    const waitMs = lastSent + RESEND_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${Math.ceil(waitMs / 1000)}s before requesting another email.`,
+      });
+    }
+
+    await sendVerificationEmail(user);
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("🛑 Resend verification error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to resend verification email.",
+    });
+  }
+});
+
+// =============================
+// ✉️ FORGOT PASSWORD (request reset link)
+// =============================
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "30", 10);
+
+router.post("/forgot-password", async (req, res) => {
+  // Same response whether or not the account exists (no user enumeration)
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent.",
+  };
+
+  try {
+    const email = (req.body.email || "").toLowerCase().trim();
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required.",
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || user.status !== "active") return res.json(genericResponse);
+
+    const rawToken = user.createPasswordResetToken(RESET_TOKEN_TTL_MINUTES);
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${FRONTEND_URL}/reset-password?token=${rawToken}`;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your LawBridge password",
+        text:
+          `Hello ${user.name},\n\n` +
+          `We received a request to reset your password. Use the link below within ${RESET_TOKEN_TTL_MINUTES} minutes:\n\n` +
+          `${resetUrl}\n\n` +
+          "If you did not request this, you can safely ignore this email.",
       });
+    } catch (mailErr) {
+      // Roll back so an undeliverable token cannot linger
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw mailErr;
     }
 
-    const token = signToken(user._id);
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("🛑 Forgot password error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to process password reset request.",
+    });
+  }
+});
+
+// =============================
+// 🔁 RESET PASSWORD (redeem token)
+// =============================
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token } = req.body;
+    const newPassword = req.body.newPassword || req.body.password;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset token and new password are required.",
+      });
+    }
+
+    if (String(newPassword).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters.",
+      });
+    }
+
+    const hashed = crypto.createHash("sha256").update(String(token)).digest("hex");
+    const user = await User.findOne({
+      passwordResetToken: hashed,
+      passwordResetExpires: { $gt: new Date() },
+    }).select("+passwordResetToken +passwordResetExpires");
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset link.",
+      });
+    }
+
+    // Single-use: clear token; pre-save hook hashes password & sets passwordChangedAt,
+    // which invalidates every JWT issued before now.
+    user.password = newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Whoever triggered the reset may not be the only one holding a session
+    await revokeUserSessions(user._id, "password_reset");
+    // Proving control of the mailbox lifts a failed-login lock
+    await unlockAccount(user._id);
+
+    return res.json({
+      success: true,
+      message: "Password reset successful. Please log in with your new password.",
+    });
+  } catch (err) {
+    console.error("🛑 Reset password error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error during password reset.",
+    });
+  }
+});
+
+// =============================
+// ♻️ REFRESH (rotates the httpOnly refresh cookie)
+// =============================
+router.post("/refresh", async (req, res) => {
+  try {
+    const { user, token } = await rotateSession(req, res);
 
     return res.json({
       success: true,
-      message: "Login successful.",
+      message: "Session refreshed.",
       data: {
         token,
+        expiresIn: ACCESS_TOKEN_TTL,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
         },
       },
     });
   } catch (err) {
-    console.error("🛑 Login error:", err);
+    if (err.status) {
+      return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("🛑 Refresh error:", err);
     return res.status(500).json({
       success: false,
-      message: "Server error during login.",
+      message: "Server error during session refresh.",
     });
   }
 });
 
 // =============================
-// 👤 GET CURRENT USER
+// 🚪 LOGOUT (revokes this device's session)
 // =============================
-router.get("/me", protect, (req, res) => {
-  const { _id: id, name, email, role, status } = req.user;
-  return res.json({
-    success: true,
-    data: { id, name, email, role, status },
-  });
+router.post("/logout", optionalAuth, async (req, res) => {
+  try {
+    // Works with an expired access token too — the refresh cookie identifies the device
+    const sid = req.authSession?._id || sessionIdFromCookie(req);
+    if (sid && mongoose.isValidObjectId(sid)) {
+      const session = await AuthSession.findById(sid);
+      if (session) await revokeSession(session, "logout", req.user?._id || session.user);
+    }
+    clearRefreshCookie(res);
+
+    return res.json({
+      success: true,
+      message: "Logged out successfully.",
+    });
+  } catch (err) {
+    console.error("🛑 Logout error:", err);
+    clearRefreshCookie(res);
+    return res.status(500).json({
+      success: false,
+      message: "Server error during logout.",
+    });
+  }
 });
 
 // =============================
-// 🚪 LOGOUT (Client-side JWT deletion)
+// 💻 SESSIONS (signed-in devices)
 // =============================
-router.post("/logout", (req, res) => {
-  return res.json({
-    success: true,
-    message: "Logged out successfully.",
-  });
+const isAdmin = (user) => user.role === "admin";
+
+// Own sessions; admins may pass ?userId= to inspect someone else's
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    let userId = req.user._id;
+    if (req.query.userId && String(req.query.userId) !== String(req.user._id)) {
+      if (!isAdmin(req.user)) {
+        return res.status(403).json({ success: false, message: "Only admins can view other users' sessions." });
+      }
+      if (!mongoose.isValidObjectId(req.query.userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user id." });
+      }
+      userId = req.query.userId;
+    }
+
+    const sessions = await listSessions(userId, {
+      currentSid: req.authSession._id,
+      includeRevoked: req.query.includeRevoked === "true",
+    });
+
+    return res.json({ success: true, data: sessions });
+  } catch (err) {
+    console.error("🛑 List sessions error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to load sessions.",
+    });
+  }
+});
+
+// Sign out every other device (admins: ?userId= signs out all of that user's devices)
+router.delete("/sessions", protect, async (req, res) => {
+  try {
+    const targetId = req.query.userId || String(req.user._id);
+    const self = String(targetId) === String(req.user._id);
+
+    if (!self && !isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: "Only admins can revoke other users' sessions." });
+    }
+    if (!mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id." });
+    }
+
+    const revoked = await revokeUserSessions(targetId, self ? "revoked_by_user" : "revoked_by_admin", {
+      except: self ? req.authSession._id : null,
+      revokedBy: req.user._id,
+    });
+
+    return res.json({
+      success: true,
+      message: `${revoked} session(s) revoked.`,
+      data: { revoked },
+    });
+  } catch (err) {
+    console.error("🛑 Revoke sessions error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to revoke sessions.",
+    });
+  }
+});
+
+router.delete("/sessions/:id", protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid session id." });
+    }
+
+    const session = await AuthSession.findById(req.params.id);
+    const own = session && String(session.user) === String(req.user._id);
+    // Someone else's session looks the same as a missing one
+    if (!session || (!own && !isAdmin(req.user))) {
+      return res.status(404).json({ success: false, message: "Session not found." });
+    }
+
+    await revokeSession(session, own ? "revoked_by_user" : "revoked_by_admin", req.user._id);
+
+    const current = String(session._id) === String(req.authSession._id);
+    if (current) clearRefreshCookie(res);
+
+    return res.json({
+      success: true,
+      message: current ? "Signed out of this device." : "Session revoked.",
+      data: presentSession(session, req.authSession._id),
+    });
+  } catch (err) {
+    console.error("🛑 Revoke session error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to revoke session.",
+    });
+  }
+});
+
+// =============================
+// 📜 LOGIN HISTORY (own; admins may pass ?userId=)
+// =============================
+router.get("/login-attempts", protect, async (req, res) => {
+  try {
+    let userId = req.user._id;
+    if (req.query.userId && String(req.query.userId) !== String(req.user._id)) {
+      if (!isAdmin(req.user)) {
+        return res.status(403).json({ success: false, message: "Only admins can view other users' sign-in history." });
+      }
+      if (!mongoose.isValidObjectId(req.query.userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user id." });
+      }
+      userId = req.query.userId;
+    }
+
+    const attempts = await recentAttempts(userId, parseInt(req.query.limit, 10) || 50);
+    return res.json({ success: true, data: attempts });
+  } catch (err) {
+    console.error("🛑 Login history error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to load sign-in history.",
+    });
+  }
+});
+
+// =============================
+// 🔓 ADMIN: UNLOCK ACCOUNT
+// =============================
+router.post("/users/:id/unlock", protect, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: "Only admins can unlock accounts." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid user id." });
+    }
+
+    const found = await unlockAccount(req.params.id);
+    if (!found) return res.status(404).json({ success: false, message: "User not found." });
+
+    return res.json({ success: true, message: "Account unlocked." });
+  } catch (err) {
+    console.error("🛑 Unlock account error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Unable to unlock account.",
+    });
+  }
 });
 
 export default router;
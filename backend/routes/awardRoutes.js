@@ -15,7 +15,7 @@ import {
   verifyAward,
 } from "../controllers/awardController.js";
 
-import { triggerAwardPdf } from "../controllers/awardPdfJob.js";
+import { triggerAwardPdf, getAwardPdfJobStatus } from "../controllers/awardPdfJob.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -26,6 +26,7 @@ const router = express.Router();
 
    POST   /api/awards/                        -> Create new award
    GET    /api/awards/                        -> Get all awards (Admin / Arbitrator)
+   GET    /api/awards/jobs/:jobId             -> PDF generation job status
    GET    /api/awards/:id                     -> Get specific award
    PUT    /api/awards/:id                     -> Update award details
    PUT    /api/awards/:id/verify              -> Verify / approve award
@@ -53,6 +54,16 @@ router.get(
   getAllAwards
 );
 
+/* =======================================================
+   🔎 PDF Job Status (declared before /:id)
+   ======================================================= */
+router.get(
+  "/jobs/:jobId",
+  protect,
+  authorize("admin", "arbitrator"),
+  getAwardPdfJobStatus
+);
+
 /* =======================================================
    3️⃣ Get single Award by ID
    ======================================================= */
@@ -0,0 +1,38 @@
+/**
+ * Award Verification Routes (public)
+ * ------------------------------------------------------------
+ * Lets a court or counterparty confirm that a PDF matches an
+ * issued award, using the code printed in the PDF footer.
+ * Mounted without `protect` at /api/awards/verify.
+ */
+
+import express from "express";
+import multer from "multer";
+import rateLimit from "express-rate-limit";
+import { verifyAwardPublic } from "../controllers/awardController.js";
+
+const router = express.Router();
+
+const verifyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: { valid: false, message: "Too many verification attempts, please wait a minute." },
+});
+
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024 },
+}).single("file");
+
+/* =======================================================
+   Route Overview
+   =======================================================
+
+   GET  /api/awards/verify/:code            -> Award metadata + signature (?sha256= to compare a hash)
+   POST /api/awards/verify/:code            -> Upload a PDF ("file") and compare it
+*/
+
+router.get("/:code", verifyLimiter, verifyAwardPublic);
+router.post("/:code", verifyLimiter, pdfUpload, verifyAwardPublic);
+
+export default router;
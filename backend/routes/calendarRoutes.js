@@ -0,0 +1,48 @@
+/**
+ * backend/routes/calendarRoutes.js
+ * -------------------------------------------------------------
+ * CALENDAR ROUTES — ICS subscription feeds
+ * -------------------------------------------------------------
+ * Base URL: /api/calendar
+ * Mounted without `protect`: the feed itself is authenticated by the
+ * secret token in its URL (calendar apps can't send a bearer token).
+ * Invite emails are sent from the hearing / session / reconciliation
+ * controllers via services/calendarSync.js.
+ */
+
+import express from "express";
+import { getFeedStatus, rotateFeedToken, revokeFeedToken, getCalendarFeed } from "../controllers/calendarController.js";
+
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    ICS feed of every hearing, session and reconciliation the owner can access
+ * @access  Public (secret token)
+ */
+router.get("/feed/:token.ics", getCalendarFeed);
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Whether the current user has a feed URL
+ * @access  Private
+ */
+router.get("/feed", protect, getFeedStatus);
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create or rotate the feed URL (returned once)
+ * @access  Private
+ */
+router.post("/feed", protect, rotateFeedToken);
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Revoke the feed URL
+ * @access  Private
+ */
+router.delete("/feed", protect, revokeFeedToken);
+
+export default router;
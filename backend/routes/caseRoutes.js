@@ -5,7 +5,7 @@
  * - Full CRUD operations (create, read, update, soft-delete, restore)
  * - Role-based sharing & collaboration
  * - Hearings, participants, team management
- * - Notes & attachments
+ * - Notes & attachments (with version history and court filing locks)
  * - Analytics & export (CSV / JSON)
  *
  * Additions:
@@ -17,6 +17,9 @@
  * Important:
  * - All routes are protected with `protect`.
  * - Authorization uses role shortcuts defined below.
+ * - Per-case access goes through requireCaseAccess(action) — see
+ *   services/casePolicy.js for how ownership, assignment, team role and
+ *   share permission combine.
  */
 
 import express from "express";
@@ -24,6 +27,8 @@ import {
   createCase,
   getCases,
   getCaseById,
+  getCasePermissions,
+  getCaseTransitions,
   updateCase,
   updateCaseStatus,
   softDeleteCase,
@@ -32,6 +37,12 @@ import {
   addCaseNote,
   addAttachment,
   deleteAttachment,
+  getAttachmentVersions,
+  addAttachmentVersion,
+  diffAttachmentVersions,
+  downloadAttachmentVersion,
+  restoreAttachmentVersion,
+  fileAttachmentVersion,
   addCaseHearing,
   addCaseParticipant,
   removeCaseParticipant,
@@ -40,8 +51,10 @@ import {
   getCaseStats,
   exportCasesCSV,
 } from "../controllers/caseController.js";
+import { runCaseConflictCheck, getCaseConflictChecks } from "../controllers/conflictController.js";
 
 import { protect, authorize } from "../middleware/authMiddleware.js";
+import { requireCaseAccess } from "../middleware/hasCaseAccess.js";
 
 const router = express.Router();
 
@@ -89,16 +102,22 @@ router.get("/", protect, authorize(...generalRoles), getCases);
 
 /**
  * GET /api/cases/:id
- * Retrieve a case by ID (access enforced in controller)
+ * Retrieve a case by ID (requires view access)
  */
-router.get("/:id", protect, authorize(...generalRoles), getCaseById);
+router.get("/:id", protect, authorize(...generalRoles), requireCaseAccess("view"), getCaseById);
+
+/**
+ * GET /api/cases/:id/permissions
+ * Effective capability + per-action flags for the current user
+ */
+router.get("/:id/permissions", protect, authorize(...generalRoles), requireCaseAccess("view"), getCasePermissions);
 
 /**
  * PUT /api/cases/:id
  * Full replace/update of allowed case fields (keeps history)
  * access: Advocate, Arbitrator, Admin
  */
-router.put("/:id", protect, authorize(...advocateRoles), updateCase);
+router.put("/:id", protect, authorize(...advocateRoles), requireCaseAccess("edit"), updateCase);
 
 /**
  * PATCH /api/cases/:id
@@ -108,7 +127,7 @@ router.put("/:id", protect, authorize(...advocateRoles), updateCase);
  * Uses same controller `updateCase` which already handles updates & permission checks.
  * Keeping both PUT and PATCH for client flexibility.
  */
-router.patch("/:id", protect, authorize(...advocateRoles), updateCase);
+router.patch("/:id", protect, authorize(...advocateRoles), requireCaseAccess("edit"), updateCase);
 
 /* =======================================================
    Status / Pause / Resume
@@ -119,7 +138,14 @@ router.patch("/:id", protect, authorize(...advocateRoles), updateCase);
  * Generic status update (body: { status: '...' })
  * access: Advocate, Arbitrator, Admin
  */
-router.patch("/:id/status", protect, authorize(...advocateRoles), updateCaseStatus);
+router.patch("/:id/status", protect, authorize(...advocateRoles), requireCaseAccess("changeStatus"), updateCaseStatus);
+
+/**
+ * GET /api/cases/:id/transitions
+ * Statuses the case can move to next, and what blocks each one
+ * access: Advocate, Arbitrator, Admin, Client
+ */
+router.get("/:id/transitions", protect, authorize(...generalRoles), requireCaseAccess("view"), getCaseTransitions);
 
 /**
  * PATCH /api/cases/:id/pause
@@ -130,6 +156,7 @@ router.patch(
   "/:id/pause",
   protect,
   authorize(...advocateRoles),
+  requireCaseAccess("changeStatus"),
   (req, res, next) => {
     // set requested status and reuse centralized handler
     req.body = req.body || {};
@@ -141,17 +168,18 @@ router.patch(
 /**
  * PATCH /api/cases/:id/resume
  * Convenience route — resumes a paused case.
- * By default we set status back to 'filed' but callers can pass desired status in body.
+ * By default the case returns to the status it was paused from; the lifecycle
+ * rejects any other target.
  * access: Advocate, Arbitrator, Admin
  */
 router.patch(
   "/:id/resume",
   protect,
   authorize(...advocateRoles),
+  requireCaseAccess("changeStatus"),
   (req, res, next) => {
     req.body = req.body || {};
-    // allow caller to pass status explicitly, otherwise resume to 'filed'
-    req.body.status = req.body.status || "filed";
+    req.body.status = req.body.status || req.case.previousStatus || "filed";
     return updateCaseStatus(req, res, next);
   }
 );
@@ -165,14 +193,20 @@ router.patch(
  * Soft-delete (mark case as deleted)
  * access: Advocate, Admin
  */
-router.delete("/:id", protect, authorize("advocate", "admin"), softDeleteCase);
+router.delete("/:id", protect, authorize("advocate", "admin"), requireCaseAccess("delete"), softDeleteCase);
 
 /**
  * POST /api/cases/:id/restore
  * Restore a previously soft-deleted case
  * access: Admin
  */
-router.post("/:id/restore", protect, authorize("admin"), restoreCase);
+router.post(
+  "/:id/restore",
+  protect,
+  authorize("admin"),
+  requireCaseAccess("restore", { includeDeleted: true }),
+  restoreCase
+);
 
 /* =======================================================
    Collaboration & Sharing
@@ -183,28 +217,85 @@ router.post("/:id/restore", protect, authorize("admin"), restoreCase);
  * Share a case with another user (adds to sharedWith[])
  * access: Advocate, Admin
  */
-router.patch("/:id/share", protect, authorize("advocate", "admin"), shareCase);
+router.patch("/:id/share", protect, authorize("advocate", "admin"), requireCaseAccess("share"), shareCase);
 
 /**
  * POST /api/cases/:id/notes
  * Add a note (visibility: private|shared|public)
  * access: Advocate, Admin, Client, Arbitrator
  */
-router.post("/:id/notes", protect, authorize(...generalRoles), addCaseNote);
+router.post("/:id/notes", protect, authorize(...generalRoles), requireCaseAccess("comment"), addCaseNote);
 
 /**
  * POST /api/cases/:id/attachments
  * Add attachment (metadata only — file should already be uploaded)
  * access: Advocate, Admin, Client, Arbitrator
  */
-router.post("/:id/attachments", protect, authorize(...generalRoles), addAttachment);
+router.post("/:id/attachments", protect, authorize(...generalRoles), requireCaseAccess("attach"), addAttachment);
 
 /**
  * DELETE /api/cases/:id/attachments
  * Remove attachment by fileUrl
  * access: Advocate, Admin, Arbitrator
  */
-router.delete("/:id/attachments", protect, authorize(...advocateRoles), deleteAttachment);
+router.delete("/:id/attachments", protect, authorize(...advocateRoles), requireCaseAccess("attach"), deleteAttachment);
+
+/**
+ * GET /api/cases/:id/attachments/:attachmentId/versions
+ * Version history of an attachment (newest first)
+ * access: anyone who can view the case
+ */
+router.get("/:id/attachments/:attachmentId/versions", protect, authorize(...generalRoles), requireCaseAccess("view"), getAttachmentVersions);
+
+/**
+ * POST /api/cases/:id/attachments/:attachmentId/versions
+ * Upload a new version (metadata only — file should already be uploaded)
+ * access: Advocate, Admin, Client, Arbitrator
+ */
+router.post("/:id/attachments/:attachmentId/versions", protect, authorize(...generalRoles), requireCaseAccess("attach"), addAttachmentVersion);
+
+/**
+ * GET /api/cases/:id/attachments/:attachmentId/versions/diff?from=&to=
+ * Metadata differences between two versions (defaults: previous → current)
+ */
+router.get("/:id/attachments/:attachmentId/versions/diff", protect, authorize(...generalRoles), requireCaseAccess("view"), diffAttachmentVersions);
+
+/**
+ * GET /api/cases/:id/attachments/:attachmentId/versions/:version/download
+ * Stream any stored version
+ */
+router.get(
+  "/:id/attachments/:attachmentId/versions/:version/download",
+  protect,
+  authorize(...generalRoles),
+  requireCaseAccess("view"),
+  downloadAttachmentVersion
+);
+
+/**
+ * POST /api/cases/:id/attachments/:attachmentId/versions/:version/restore
+ * Make an older version current (appended as a new version)
+ */
+router.post(
+  "/:id/attachments/:attachmentId/versions/:version/restore",
+  protect,
+  authorize(...generalRoles),
+  requireCaseAccess("attach"),
+  restoreAttachmentVersion
+);
+
+/**
+ * POST /api/cases/:id/attachments/:attachmentId/versions/:version/file
+ * Record that a version was filed with the court ({ court?, reference?, filedAt? }); locks it
+ * access: Advocate, Admin, Arbitrator
+ */
+router.post(
+  "/:id/attachments/:attachmentId/versions/:version/file",
+  protect,
+  authorize(...advocateRoles),
+  requireCaseAccess("fileDocuments"),
+  fileAttachmentVersion
+);
 
 /* =======================================================
    Hearings
@@ -215,7 +306,7 @@ router.delete("/:id/attachments", protect, authorize(...advocateRoles), deleteAt
  * Add a hearing to a case
  * access: Advocate, Arbitrator, Admin
  */
-router.post("/:id/hearings", protect, authorize(...advocateRoles), addCaseHearing);
+router.post("/:id/hearings", protect, authorize(...advocateRoles), requireCaseAccess("scheduleHearing"), addCaseHearing);
 
 /* =======================================================
    Participants
@@ -226,14 +317,26 @@ router.post("/:id/hearings", protect, authorize(...advocateRoles), addCaseHearin
  * Add participant to a case
  * access: Advocate, Arbitrator, Admin
  */
-router.post("/:id/participants", protect, authorize(...advocateRoles), addCaseParticipant);
+router.post(
+  "/:id/participants",
+  protect,
+  authorize(...advocateRoles),
+  requireCaseAccess("manageParticipants"),
+  addCaseParticipant
+);
 
 /**
  * DELETE /api/cases/:id/participants
  * Remove a participant from a case
  * access: Advocate, Arbitrator, Admin
  */
-router.delete("/:id/participants", protect, authorize(...advocateRoles), removeCaseParticipant);
+router.delete(
+  "/:id/participants",
+  protect,
+  authorize(...advocateRoles),
+  requireCaseAccess("manageParticipants"),
+  removeCaseParticipant
+);
 
 /* =======================================================
    Team management
@@ -244,14 +347,38 @@ router.delete("/:id/participants", protect, authorize(...advocateRoles), removeC
  * Add team member (assistant, paralegal, co-counsel)
  * access: Advocate, Admin
  */
-router.post("/:id/team", protect, authorize("advocate", "admin"), addTeamMember);
+router.post("/:id/team", protect, authorize("advocate", "admin"), requireCaseAccess("manageTeam"), addTeamMember);
 
 /**
  * DELETE /api/cases/:id/team
  * Remove team member
  * access: Advocate, Admin
  */
-router.delete("/:id/team", protect, authorize("advocate", "admin"), removeTeamMember);
+router.delete("/:id/team", protect, authorize("advocate", "admin"), requireCaseAccess("manageTeam"), removeTeamMember);
+
+/* =======================================================
+   Conflict checks
+   ======================================================= */
+
+/**
+ * POST /api/cases/:id/conflict-check
+ * Run a conflict search and record it as cleared or waived on the case history
+ * access: Advocate, Admin
+ */
+router.post(
+  "/:id/conflict-check",
+  protect,
+  authorize("advocate", "admin"),
+  requireCaseAccess("runConflictCheck"),
+  runCaseConflictCheck
+);
+
+/**
+ * GET /api/cases/:id/conflict-checks
+ * Previous conflict checks recorded on the case
+ * access: Advocate, Arbitrator, Admin
+ */
+router.get("/:id/conflict-checks", protect, authorize(...advocateRoles), requireCaseAccess("view"), getCaseConflictChecks);
 
 /* =======================================================
    Export the router
@@ -22,6 +22,8 @@
  *  DELETE /api/clients/:id            -> soft-delete client
  *  PATCH  /api/clients/:id/restore    -> restore soft-deleted client
  *  PATCH  /api/clients/:id/share      -> share client with other users
+ *  POST   /api/clients/:id/attachments                -> add an uploaded document
+ *  DELETE /api/clients/:id/attachments/:attachmentId  -> remove a document
  */
 
 import express from "express";
@@ -35,6 +37,8 @@ import {
   deleteClient,
   restoreClient,
   shareClient,
+  addClientAttachment,
+  deleteClientAttachment,
 } from "../controllers/clientController.js";
 
 import { protect, authorize } from "../middleware/authMiddleware.js";
@@ -152,6 +156,41 @@ router.patch(
   shareClient
 );
 
+/**
+ * POST /api/clients/:id/attachments
+ * - Attach a document already uploaded via /api/upload
+ * - Body: { fileUrl, fileKey?, name?, fileType?, size? }
+ * - Text is extracted in the background for search
+ */
+router.post(
+  "/:id/attachments",
+  protect,
+  authorize(...fullAccessRoles),
+  [
+    param("id").isMongoId().withMessage("Invalid client id"),
+    body("fileUrl").isString().trim().notEmpty().withMessage("fileUrl is required"),
+    body("name").optional().isString().trim().isLength({ max: 255 }),
+  ],
+  runValidation,
+  addClientAttachment
+);
+
+/**
+ * DELETE /api/clients/:id/attachments/:attachmentId
+ * - Remove a document (owner, shared users or admin)
+ */
+router.delete(
+  "/:id/attachments/:attachmentId",
+  protect,
+  authorize(...fullAccessRoles),
+  [
+    param("id").isMongoId().withMessage("Invalid client id"),
+    param("attachmentId").isMongoId().withMessage("Invalid attachment id"),
+  ],
+  runValidation,
+  deleteClientAttachment
+);
+
 /**
  * GET /api/clients/:id
  * - Fetch single client record
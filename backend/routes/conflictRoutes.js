@@ -0,0 +1,30 @@
+/**
+ * backend/routes/conflictRoutes.js
+ * -------------------------------------------------------------
+ * CONFLICT-OF-INTEREST ROUTES
+ * -------------------------------------------------------------
+ * Handles:
+ *  ✅ Firm-wide conflict search across clients, respondents, cases,
+ *     reconciliations and mediation sessions
+ *
+ * Recording a cleared / waived check on a case lives under
+ * /api/cases/:id/conflict-check (see caseRoutes.js).
+ * -------------------------------------------------------------
+ */
+
+import express from "express";
+import { searchConflictsHandler } from "../controllers/conflictController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Firm staff only — results reveal matters across the whole firm
+const staffRoles = ["advocate", "paralegal", "mediator", "arbitrator", "reconciliator", "admin"];
+
+/**
+ * POST /api/conflicts/search
+ * Body: { parties: [{ name, email, phone, company, side }], caseId? }
+ */
+router.post("/search", protect, authorize(...staffRoles), searchConflictsHandler);
+
+export default router;
@@ -0,0 +1,39 @@
+/**
+ * backend/routes/courtCalendarRoutes.js
+ * -------------------------------------------------------------
+ * COURT CALENDAR ROUTES — Weekends & holidays per jurisdiction
+ * -------------------------------------------------------------
+ * Base URL: /api/court-calendars
+ * The "default" calendar applies to cases whose jurisdiction has none.
+ * Saving a calendar recomputes open deadlines that use it.
+ */
+
+import express from "express";
+import { getCourtCalendars, upsertCourtCalendar, deleteCourtCalendar } from "../controllers/deadlineController.js";
+
+import { protect, authorize } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/court-calendars
+ * @desc    List configured court calendars
+ * @access  Private
+ */
+router.get("/", protect, getCourtCalendars);
+
+/**
+ * @route   PUT /api/court-calendars/:jurisdiction
+ * @desc    Create or replace a jurisdiction's calendar
+ * @access  Private (Admin)
+ */
+router.put("/:jurisdiction", protect, authorize("admin"), upsertCourtCalendar);
+
+/**
+ * @route   DELETE /api/court-calendars/:jurisdiction
+ * @desc    Remove a calendar (its cases fall back to "default")
+ * @access  Private (Admin)
+ */
+router.delete("/:jurisdiction", protect, authorize("admin"), deleteCourtCalendar);
+
+export default router;
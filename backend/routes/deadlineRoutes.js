@@ -0,0 +1,100 @@
+/**
+ * backend/routes/deadlineRoutes.js
+ * -------------------------------------------------------------
+ * DEADLINE ROUTES — Rule-based case deadlines
+ * -------------------------------------------------------------
+ * Features:
+ *  ✅ "N court days after X" rules against per-jurisdiction calendars
+ *  ✅ Auto-recompute when the triggering hearing / case date moves
+ *  ✅ Chained deadlines (one deadline triggering another)
+ *  ✅ Calendar feed for the hearings calendar
+ * -------------------------------------------------------------
+ * Base URL: /api/deadlines
+ * Per-case checks (view / manageDeadlines) live in the controller.
+ */
+
+import express from "express";
+import {
+  getDeadlines,
+  getDeadlineById,
+  previewDeadline,
+  getDeadlineCalendar,
+  createDeadline,
+  updateDeadline,
+  completeDeadline,
+  reopenDeadline,
+  cancelDeadline,
+  deleteDeadline,
+} from "../controllers/deadlineController.js";
+
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/* =======================================================
+   📅 CALENDAR & PREVIEW
+   ======================================================= */
+
+/**
+ * @route   GET /api/deadlines/calendar
+ * @desc    Deadlines in a date range, shaped as all-day calendar events
+ * @access  Private (cases the user can view)
+ */
+router.get("/calendar", protect, getDeadlineCalendar);
+
+/**
+ * @route   GET /api/deadlines/preview
+ * @desc    Compute a due day for a rule without saving it
+ * @access  Private (view on the case)
+ */
+router.get("/preview", protect, previewDeadline);
+
+/* =======================================================
+   🧾 DEADLINE CRUD
+   ======================================================= */
+
+/**
+ * @route   GET /api/deadlines
+ * @desc    List deadlines (?caseId, status, from, to, mine, overdue)
+ * @access  Private (cases the user can view)
+ */
+router.get("/", protect, getDeadlines);
+
+/**
+ * @route   POST /api/deadlines
+ * @desc    Add a manual or rule-based deadline to a case
+ * @access  Private (manageDeadlines on the case)
+ */
+router.post("/", protect, createDeadline);
+
+/**
+ * @route   GET /api/deadlines/:id
+ * @desc    Get a deadline with its history
+ * @access  Private (view on the case)
+ */
+router.get("/:id", protect, getDeadlineById);
+
+/**
+ * @route   PATCH /api/deadlines/:id
+ * @desc    Edit a deadline or its rule (dependants are recomputed)
+ * @access  Private (manageDeadlines on the case)
+ */
+router.patch("/:id", protect, updateDeadline);
+
+/**
+ * @route   POST /api/deadlines/:id/complete | /reopen | /cancel
+ * @desc    Change a deadline's status
+ * @access  Private (manageDeadlines on the case)
+ */
+router.post("/:id/complete", protect, completeDeadline);
+router.post("/:id/reopen", protect, reopenDeadline);
+router.post("/:id/cancel", protect, cancelDeadline);
+
+/**
+ * @route   DELETE /api/deadlines/:id
+ * @desc    Soft-delete a deadline
+ * @access  Private (manageDeadlines on the case)
+ */
+router.delete("/:id", protect, deleteDeadline);
+
+export default router;
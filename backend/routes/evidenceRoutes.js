@@ -19,6 +19,14 @@ import {
   restoreEvidence,
   deleteEvidencePermanently,
   searchEvidence,
+  downloadEvidence,
+  checkEvidenceIntegrity,
+  getCustodyReport,
+  getEvidenceVersions,
+  uploadEvidenceVersion,
+  diffEvidenceVersions,
+  restoreEvidenceVersion,
+  fileEvidenceVersion,
 } from "../controllers/evidenceController.js";
 
 import { uploadSingle } from "../controllers/uploadController.js"; // reuse centralized upload middleware
@@ -26,6 +34,11 @@ import { protect, authorize } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+// Roles for the download / integrity / version endpoints; each handler
+// also checks the user can see the evidence's case or arbitration
+const evidenceStaff = ["admin", "advocate", "paralegal"];
+const evidenceReaders = [...evidenceStaff, "arbitrator", "mediator", "client", "respondent"];
+
 // async wrapper to forward errors to express error handler
 const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
@@ -37,11 +50,19 @@ const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, ne
  * GET    /case/:caseId                   -> Get all evidence for a case
  * GET    /arbitration/:arbitrationId     -> Get all evidence for an arbitration
  * GET    /:id                            -> Get single evidence
+ * GET    /:id/download                   -> Stream the stored file (?version=n for an older one; logged to custody ledger)
+ * GET    /:id/versions                   -> Version history
+ * POST   /:id/versions                   -> Upload a new version (field name: "file")
+ * GET    /:id/versions/diff?from=&to=    -> Metadata differences between two versions
+ * POST   /:id/versions/:version/restore  -> Make an older version current again
+ * POST   /:id/versions/:version/file     -> Mark a version as filed with the court (locks it)
+ * GET    /:id/integrity                  -> Re-hash stored file + verify custody chain
+ * GET    /:id/custody-report             -> Printable chain-of-custody PDF
  * PUT    /:id/verify                     -> Verify evidence
  * PUT    /:id/delete                     -> Soft delete evidence
  * PUT    /:id/restore                    -> Restore evidence
  * DELETE /:id/permanent                  -> Permanently delete
- * GET    /search?q=                      -> Search evidence globally
+ * GET    /search?q=                      -> Search evidence the user can access
  */
 
 /* -------------------------
@@ -87,6 +108,16 @@ router.get(
   asyncHandler(getEvidenceByParent)
 );
 
+/* -------------------------
+   4a) Search (Admin / Arbitrator) — must stay above /:id
+   ------------------------- */
+router.get(
+  "/search",
+  protect,
+  authorize("admin", "arbitrator"),
+  asyncHandler(searchEvidence)
+);
+
 /* -------------------------
    5) Get a single evidence record
    ------------------------- */
@@ -97,6 +128,75 @@ router.get(
   asyncHandler(getEvidenceById)
 );
 
+/* -------------------------
+   5a) Download the stored file
+   ------------------------- */
+router.get(
+  "/:id/download",
+  protect,
+  authorize(...evidenceReaders),
+  asyncHandler(downloadEvidence)
+);
+
+/* -------------------------
+   5b) Integrity check (file hash + custody chain)
+   ------------------------- */
+router.get(
+  "/:id/integrity",
+  protect,
+  authorize(...evidenceStaff, "arbitrator"),
+  asyncHandler(checkEvidenceIntegrity)
+);
+
+/* -------------------------
+   5c) Chain-of-custody report (PDF)
+   ------------------------- */
+router.get(
+  "/:id/custody-report",
+  protect,
+  authorize(...evidenceStaff, "arbitrator"),
+  asyncHandler(getCustodyReport)
+);
+
+/* -------------------------
+   5d) Versions
+   ------------------------- */
+router.get(
+  "/:id/versions",
+  protect,
+  authorize(...evidenceReaders),
+  asyncHandler(getEvidenceVersions)
+);
+
+router.post(
+  "/:id/versions",
+  protect,
+  authorize(...evidenceStaff),
+  uploadSingle("file"),
+  asyncHandler(uploadEvidenceVersion)
+);
+
+router.get(
+  "/:id/versions/diff",
+  protect,
+  authorize(...evidenceReaders),
+  asyncHandler(diffEvidenceVersions)
+);
+
+router.post(
+  "/:id/versions/:version/restore",
+  protect,
+  authorize(...evidenceStaff),
+  asyncHandler(restoreEvidenceVersion)
+);
+
+router.post(
+  "/:id/versions/:version/file",
+  protect,
+  authorize(...evidenceStaff),
+  asyncHandler(fileEvidenceVersion)
+);
+
 /* -------------------------
    6) Verify evidence (Admin or Arbitrator)
    ------------------------- */
@@ -138,14 +238,4 @@ router.delete(
   asyncHandler(deleteEvidencePermanently)
 );
 
-/* -------------------------
-   10) Global search (Admin / Arbitrator)
-   ------------------------- */
-router.get(
-  "/search",
-  protect,
-  authorize("admin", "arbitrator"),
-  asyncHandler(searchEvidence)
-);
-
 export default router;
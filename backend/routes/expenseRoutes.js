@@ -0,0 +1,58 @@
+/**
+ * backend/routes/expenseRoutes.js
+ * -------------------------------------------------------------
+ * EXPENSE ROUTES — Case disbursements
+ * -------------------------------------------------------------
+ * Base URL: /api/expenses
+ * Per-case checks (logExpense / approveExpense) live in the controller.
+ */
+
+import express from "express";
+import {
+  getExpenses,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  reviewExpenses,
+} from "../controllers/expenseController.js";
+
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/expenses/review
+ * @desc    Approve or reject expenses ({ ids, decision, note })
+ * @access  Private (approveExpense on each expense's case)
+ */
+router.post("/review", protect, reviewExpenses);
+
+/**
+ * @route   GET /api/expenses
+ * @desc    List expenses (own + cases the user manages)
+ * @access  Private
+ */
+router.get("/", protect, getExpenses);
+
+/**
+ * @route   POST /api/expenses
+ * @desc    Record an expense on a case
+ * @access  Private (logExpense on the case)
+ */
+router.post("/", protect, createExpense);
+
+/**
+ * @route   PATCH /api/expenses/:id
+ * @desc    Edit an expense (author, until approved)
+ * @access  Private
+ */
+router.patch("/:id", protect, updateExpense);
+
+/**
+ * @route   DELETE /api/expenses/:id
+ * @desc    Soft-delete an expense (author or case manager, until approved)
+ * @access  Private
+ */
+router.delete("/:id", protect, deleteExpense);
+
+export default router;
@@ -0,0 +1,114 @@
+/**
+ * backend/routes/invoiceRoutes.js
+ * -------------------------------------------------------------
+ * INVOICE ROUTES — Invoices & credit notes per client / case
+ * -------------------------------------------------------------
+ * Features:
+ *  ✅ Drafts built from approved time entries + expenses
+ *  ✅ Numbering on issue, tax lines, void
+ *  ✅ Partial payments (incl. from the client's trust ledger)
+ *  ✅ Credit notes and PDF download
+ * -------------------------------------------------------------
+ * Base URL: /api/invoices
+ * Per-client access lives in services/billing.js; client accounts
+ * can read (and download) their own issued invoices.
+ */
+
+import express from "express";
+import {
+  getInvoices,
+  getInvoiceById,
+  createInvoice,
+  updateInvoice,
+  deleteInvoice,
+  issue,
+  voidOne,
+  addPayment,
+  addCreditNote,
+  getInvoicePdf,
+} from "../controllers/invoiceController.js";
+
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { BILLING_ROLES } from "../services/billing.js";
+
+const router = express.Router();
+
+/* =======================================================
+   🧾 INVOICE CRUD
+   ======================================================= */
+
+/**
+ * @route   GET /api/invoices
+ * @desc    List invoices and credit notes the user can see
+ * @access  Private
+ */
+router.get("/", protect, getInvoices);
+
+/**
+ * @route   POST /api/invoices
+ * @desc    Create a draft invoice for a client (or a single case)
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.post("/", protect, authorize(...BILLING_ROLES), createInvoice);
+
+/**
+ * @route   GET /api/invoices/:id
+ * @desc    Get an invoice with payments and credit notes
+ * @access  Private
+ */
+router.get("/:id", protect, getInvoiceById);
+
+/**
+ * @route   GET /api/invoices/:id/pdf
+ * @desc    Download the invoice / credit note as PDF
+ * @access  Private
+ */
+router.get("/:id/pdf", protect, getInvoicePdf);
+
+/**
+ * @route   PATCH /api/invoices/:id
+ * @desc    Edit a draft (notes, due date, taxes, lines)
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.patch("/:id", protect, authorize(...BILLING_ROLES), updateInvoice);
+
+/**
+ * @route   DELETE /api/invoices/:id
+ * @desc    Delete a draft and release its time entries / expenses
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.delete("/:id", protect, authorize(...BILLING_ROLES), deleteInvoice);
+
+/* =======================================================
+   📤 LIFECYCLE
+   ======================================================= */
+
+/**
+ * @route   POST /api/invoices/:id/issue
+ * @desc    Number and issue a draft
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.post("/:id/issue", protect, authorize(...BILLING_ROLES), issue);
+
+/**
+ * @route   POST /api/invoices/:id/void
+ * @desc    Void an issued invoice with no payments or credits
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.post("/:id/void", protect, authorize(...BILLING_ROLES), voidOne);
+
+/**
+ * @route   POST /api/invoices/:id/payments
+ * @desc    Record a (partial) payment; method "trust" draws on the trust ledger
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.post("/:id/payments", protect, authorize(...BILLING_ROLES), addPayment);
+
+/**
+ * @route   POST /api/invoices/:id/credit-notes
+ * @desc    Issue a credit note against the invoice
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.post("/:id/credit-notes", protect, authorize(...BILLING_ROLES), addCreditNote);
+
+export default router;
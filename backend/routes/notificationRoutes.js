@@ -4,7 +4,9 @@
  * NOTIFICATION ROUTES
  * -------------------------------------------------------------
  * Handles:
- *  ✅ Create / broadcast notifications
+ *  ✅ Create / broadcast notifications (rate-limited per sender)
+ *  ✅ System banners + dismissal
+ *  ✅ Per-user preferences (channels, quiet hours, digest)
  *  ✅ Fetch user-specific notifications
  *  ✅ Mark one / all as read
  *  ✅ Soft delete or clear read notifications
@@ -12,6 +14,7 @@
  */
 
 import express from "express";
+import rateLimit from "express-rate-limit";
 import {
   createNotification,
   getUserNotifications,
@@ -19,12 +22,35 @@ import {
   markAllAsRead,
   deleteNotification,
   clearReadNotifications,
+  getBanners,
+  dismissBanner,
+  getPreferences,
+  updatePreferences,
 } from "../controllers/notificationController.js";
 
 import { protect } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+/* -------------------- per-sender rate limiters -------------------- */
+// Keyed by the authenticated user, not the IP: the limit is on the sender
+const senderKey = (req) => String(req.user._id);
+
+const sendLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: Number(process.env.NOTIFY_SEND_LIMIT || 30),
+  keyGenerator: senderKey,
+  message: { success: false, message: "You are sending notifications too quickly, please wait a few minutes." },
+});
+
+const broadcastLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: Number(process.env.NOTIFY_BROADCAST_LIMIT || 5),
+  keyGenerator: senderKey,
+  skip: (req) => !(Array.isArray(req.body?.targetRoles) && req.body.targetRoles.length),
+  message: { success: false, message: "Broadcast limit reached, try again later." },
+});
+
 /* =======================================================
    🔔 NOTIFICATION ROUTES
    ======================================================= */
@@ -32,10 +58,11 @@ const router = express.Router();
 /**
  * @route   POST /api/notifications
  * @desc    Create or send a new notification
- * @body    { recipientId, title, message, type, link }
- * @access  Private
+ * @body    { recipientId, relatedCase, message, title?, type, link }
+ *          admins: { targetRoles, level } for a banner broadcast
+ * @access  Private (case participants; role broadcasts admin only)
  */
-router.post("/", protect, createNotification);
+router.post("/", protect, sendLimiter, broadcastLimiter, createNotification);
 
 /**
  * @route   GET /api/notifications
@@ -45,6 +72,36 @@ router.post("/", protect, createNotification);
  */
 router.get("/", protect, getUserNotifications);
 
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    The user's notification preferences, defaults filled in
+ * @access  Private
+ */
+router.get("/preferences", protect, getPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update channels per type, quiet hours, timezone, digest
+ * @body    { timezone?, quietHours?: { enabled, start, end },
+ *            digest?: { frequency, hour, weekday }, channels?: { [type]: { inApp, email, digest } } }
+ * @access  Private
+ */
+router.put("/preferences", protect, updatePreferences);
+
+/**
+ * @route   GET /api/notifications/banners
+ * @desc    Undismissed system banners for the user
+ * @access  Private
+ */
+router.get("/banners", protect, getBanners);
+
+/**
+ * @route   PATCH /api/notifications/banners/:id/dismiss
+ * @desc    Dismiss a banner (notification id or broadcastId)
+ * @access  Private
+ */
+router.patch("/banners/:id/dismiss", protect, dismissBanner);
+
 /**
  * @route   PATCH /api/notifications/read-all
  * @desc    Mark all notifications as read for the user
@@ -0,0 +1,29 @@
+/**
+ * backend/routes/searchRoutes.js
+ * -------------------------------------------------------------
+ * SEARCH ROUTES — Global search
+ * -------------------------------------------------------------
+ * Features:
+ *  ✅ Cases, clients, evidence, hearings, tasks, case notes and awards
+ *  ✅ Same access rules as each type's list endpoint
+ *  ✅ Ranked, typed hits with highlight ranges
+ *  ✅ Facets by type, status, date (month) and case
+ * -------------------------------------------------------------
+ * Base URL: /api/search
+ */
+
+import express from "express";
+import { globalSearch } from "../controllers/searchController.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/search
+ * @desc    Search everything the user can access
+ *          (?q, type=case,task, status, caseId, from, to, page, limit)
+ * @access  Private
+ */
+router.get("/", protect, globalSearch);
+
+export default router;
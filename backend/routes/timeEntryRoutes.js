@@ -0,0 +1,166 @@
+/**
+ * backend/routes/timeEntryRoutes.js
+ * -------------------------------------------------------------
+ * TIME ENTRY ROUTES — Case time tracking
+ * -------------------------------------------------------------
+ * Features:
+ *  ✅ Manual entries and a persistent start/stop timer
+ *  ✅ Approval by whoever manages the case
+ *  ✅ Rollups per user / case / activity / status
+ *  ✅ CSV export
+ * -------------------------------------------------------------
+ * Base URL: /api/time-entries
+ * Per-case checks (logTime / approveTime) live in the controller.
+ */
+
+import express from "express";
+import {
+  getTimeEntries,
+  getTimeEntryById,
+  getActivityCodes,
+  createTimeEntry,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  updateTimeEntry,
+  deleteTimeEntry,
+  reviewTimeEntries,
+  getTimeSummary,
+  exportTimeEntriesCSV,
+} from "../controllers/timeEntryController.js";
+
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/* =======================================================
+   ⏱️ TIMER
+   ======================================================= */
+
+/**
+ * @route   GET /api/time-entries/timer
+ * @desc    Get the current user's running timer (null if none)
+ * @access  Private
+ */
+router.get("/timer", protect, getRunningTimer);
+
+/**
+ * @route   POST /api/time-entries/timer/start
+ * @desc    Start a timer on a case (one running timer per user)
+ * @access  Private (logTime on the case)
+ */
+router.post("/timer/start", protect, startTimer);
+
+/**
+ * @route   POST /api/time-entries/timer/stop
+ * @desc    Stop the running timer and turn it into a pending entry
+ * @access  Private
+ */
+router.post("/timer/stop", protect, stopTimer);
+
+/* =======================================================
+   📊 ROLLUPS, EXPORT & LOOKUPS
+   ======================================================= */
+
+/**
+ * @route   GET /api/time-entries/summary
+ * @desc    Totals grouped by user, case, activity or status
+ * @access  Private
+ */
+router.get("/summary", protect, getTimeSummary);
+
+/**
+ * @route   GET /api/time-entries/export
+ * @desc    Export visible time entries as CSV
+ * @access  Private
+ */
+router.get("/export", protect, exportTimeEntriesCSV);
+
+/**
+ * @route   GET /api/time-entries/activity-codes
+ * @desc    List UTBMS activity codes
+ * @access  Private
+ */
+router.get("/activity-codes", protect, getActivityCodes);
+
+/* =======================================================
+   ✅ APPROVAL
+   ======================================================= */
+
+/**
+ * @route   POST /api/time-entries/review
+ * @desc    Approve or reject several entries ({ ids, decision, note })
+ * @access  Private (approveTime on each entry's case)
+ */
+router.post("/review", protect, reviewTimeEntries);
+
+/**
+ * @route   POST /api/time-entries/:id/approve
+ * @desc    Approve a single entry
+ * @access  Private (approveTime on the case)
+ */
+router.post(
+  "/:id/approve",
+  protect,
+  (req, res, next) => {
+    req.body = { ...req.body, decision: "approve" };
+    next();
+  },
+  reviewTimeEntries
+);
+
+/**
+ * @route   POST /api/time-entries/:id/reject
+ * @desc    Reject a single entry (note required)
+ * @access  Private (approveTime on the case)
+ */
+router.post(
+  "/:id/reject",
+  protect,
+  (req, res, next) => {
+    req.body = { ...req.body, decision: "reject" };
+    next();
+  },
+  reviewTimeEntries
+);
+
+/* =======================================================
+   🧾 TIME ENTRY CRUD
+   ======================================================= */
+
+/**
+ * @route   GET /api/time-entries
+ * @desc    List entries (own + cases the user manages)
+ * @access  Private
+ */
+router.get("/", protect, getTimeEntries);
+
+/**
+ * @route   POST /api/time-entries
+ * @desc    Log time manually
+ * @access  Private (logTime on the case)
+ */
+router.post("/", protect, createTimeEntry);
+
+/**
+ * @route   GET /api/time-entries/:id
+ * @desc    Get a single entry
+ * @access  Private
+ */
+router.get("/:id", protect, getTimeEntryById);
+
+/**
+ * @route   PATCH /api/time-entries/:id
+ * @desc    Edit an entry (author, until approved)
+ * @access  Private
+ */
+router.patch("/:id", protect, updateTimeEntry);
+
+/**
+ * @route   DELETE /api/time-entries/:id
+ * @desc    Soft-delete an entry (author or case manager, until approved)
+ * @access  Private
+ */
+router.delete("/:id", protect, deleteTimeEntry);
+
+export default router;
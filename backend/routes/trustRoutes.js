@@ -0,0 +1,39 @@
+/**
+ * backend/routes/trustRoutes.js
+ * -------------------------------------------------------------
+ * TRUST ROUTES — Client retainer ledger
+ * -------------------------------------------------------------
+ * Base URL: /api/trust
+ * The balance can never go negative (services/trustLedger.js).
+ */
+
+import express from "express";
+import { getTrustLedger, depositToTrust, withdrawFromTrust } from "../controllers/trustController.js";
+
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { BILLING_ROLES } from "../services/billing.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/trust/:clientId
+ * @desc    Trust balance and ledger lines for a client
+ * @access  Private (billing staff for the client, or the client)
+ */
+router.get("/:clientId", protect, getTrustLedger);
+
+/**
+ * @route   POST /api/trust/:clientId/deposits
+ * @desc    Record money received into trust
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.post("/:clientId/deposits", protect, authorize(...BILLING_ROLES), depositToTrust);
+
+/**
+ * @route   POST /api/trust/:clientId/withdrawals
+ * @desc    Pay out of trust (withdrawal or refund to the client)
+ * @access  Private (Admin, Advocate, Lawyer)
+ */
+router.post("/:clientId/withdrawals", protect, authorize(...BILLING_ROLES), withdrawFromTrust);
+
+export default router;
@@ -0,0 +1,161 @@
+// backend/routes/twoFactor.js
+// Mounted by routes/auth.js at /api/auth/2fa
+
+import express from "express";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import {
+  status,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getPolicy,
+  setRequiredRoles,
+} from "../services/twoFactor.js";
+import { revokeUserSessions } from "../services/authSessions.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// Service errors carry status/code; anything else is a 500
+const sendError = (res, err, fallback) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+  }
+  console.error(`🛑 ${fallback}:`, err);
+  return res.status(500).json({ success: false, message: `${fallback}.` });
+};
+
+// Re-check the password before changing how the account signs in
+const passwordMatches = async (userId, password) => {
+  if (!password) return false;
+  const user = await User.findById(userId).select("+password");
+  return !!user && (await user.comparePassword(password));
+};
+
+// =============================
+// 📋 STATUS
+// =============================
+router.get("/", async (req, res) => {
+  try {
+    return res.json({ success: true, data: await status(req.user._id) });
+  } catch (err) {
+    return sendError(res, err, "Unable to load two-factor status");
+  }
+});
+
+// =============================
+// 🆕 SETUP (returns secret + otpauth:// URI for the QR code)
+// =============================
+router.post("/setup", async (req, res) => {
+  try {
+    if (!(await passwordMatches(req.user._id, req.body.password))) {
+      return res.status(401).json({ success: false, message: "Password is incorrect." });
+    }
+
+    const { secret, otpauthUrl } = await beginEnrollment(req.user._id);
+    return res.json({
+      success: true,
+      message: "Scan the code with your authenticator app, then confirm with a code from it.",
+      data: { secret, otpauthUrl },
+    });
+  } catch (err) {
+    return sendError(res, err, "Unable to start two-factor setup");
+  }
+});
+
+// =============================
+// ✅ ENABLE (confirm first code, issue recovery codes)
+// =============================
+router.post("/enable", async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+    return res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe — they are shown only once.",
+      data: { recoveryCodes },
+    });
+  } catch (err) {
+    return sendError(res, err, "Unable to enable two-factor authentication");
+  }
+});
+
+// =============================
+// 🔁 NEW RECOVERY CODES (old ones stop working)
+// =============================
+router.post("/recovery-codes", async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id, req.body.code);
+    return res.json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      data: { recoveryCodes },
+    });
+  } catch (err) {
+    return sendError(res, err, "Unable to regenerate recovery codes");
+  }
+});
+
+// =============================
+// 🚫 DISABLE
+// =============================
+router.post("/disable", async (req, res) => {
+  try {
+    if (!(await passwordMatches(req.user._id, req.body.password))) {
+      return res.status(401).json({ success: false, message: "Password is incorrect." });
+    }
+
+    await disableTwoFactor(req.user._id, { code: req.body.code, recoveryCode: req.body.recoveryCode });
+    return res.json({ success: true, message: "Two-factor authentication disabled." });
+  } catch (err) {
+    return sendError(res, err, "Unable to disable two-factor authentication");
+  }
+});
+
+// =============================
+// 🛡️ ADMIN: ROLE POLICY
+// =============================
+router.get("/policy", authorize("admin"), async (req, res) => {
+  try {
+    return res.json({ success: true, data: await getPolicy() });
+  } catch (err) {
+    return sendError(res, err, "Unable to load two-factor policy");
+  }
+});
+
+router.put("/policy", authorize("admin"), async (req, res) => {
+  try {
+    const policy = await setRequiredRoles(req.body.requireTwoFactorRoles, req.user._id);
+    return res.json({ success: true, message: "Two-factor policy updated.", data: policy });
+  } catch (err) {
+    return sendError(res, err, "Unable to update two-factor policy");
+  }
+});
+
+// =============================
+// 🧯 ADMIN: RESET A USER'S 2FA (lost device + no recovery codes)
+// =============================
+router.delete("/users/:id", authorize("admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid user id." });
+    }
+
+    await disableTwoFactor(req.params.id, { force: true });
+    // Whoever holds the lost device may still be signed in
+    const revoked = await revokeUserSessions(req.params.id, "revoked_by_admin", { revokedBy: req.user._id });
+
+    return res.json({
+      success: true,
+      message: "Two-factor authentication reset. The user must sign in again.",
+      data: { sessionsRevoked: revoked },
+    });
+  } catch (err) {
+    return sendError(res, err, "Unable to reset two-factor authentication");
+  }
+});
+
+export default router;
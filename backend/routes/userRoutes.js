@@ -3,6 +3,7 @@
 import express from "express";
 import User from "../models/User.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { revokeUserSessions } from "../services/authSessions.js";
 import multer from "multer";
 import sharp from "sharp";
 import path from "path";
@@ -109,6 +110,9 @@ router.put("/password", protect, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Keep this device signed in (it refreshes its access token); sign out the rest
+    await revokeUserSessions(user._id, "password_changed", { except: req.authSession?._id, revokedBy: user._id });
+
     res.json({ message: "Password updated successfully" });
   } catch (err) {
     console.error("❌ Password update error:", err);
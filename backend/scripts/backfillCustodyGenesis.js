@@ -0,0 +1,35 @@
+// backend/scripts/backfillCustodyGenesis.js
+/**
+ * One-off: give evidence uploaded before the custody ledger existed its
+ * "upload" genesis entry (from createdAt, uploadedBy and the ingest hash),
+ * so integrity checks don't report those exhibits as broken.
+ *
+ * Safe to re-run: evidence that already has a ledger is skipped.
+ * Usage: node scripts/backfillCustodyGenesis.js
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Evidence from "../models/Evidence.js";
+import { ensureCustodyGenesis } from "../services/custodyService.js";
+
+dotenv.config();
+
+const backfill = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    let written = 0;
+    const cursor = Evidence.find().select("_id uploadedBy createdAt contentHash").cursor();
+    for await (const evidence of cursor) {
+      if (await ensureCustodyGenesis(evidence)) written++;
+    }
+    console.log(`🔗 Wrote ${written} genesis custody entr${written === 1 ? "y" : "ies"}`);
+
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Custody backfill failed:", err.message);
+    process.exit(1);
+  }
+};
+
+backfill();
@@ -0,0 +1,44 @@
+// backend/scripts/backfillEmailVerified.js
+/**
+ * One-off: grandfather accounts created before email verification existed.
+ *
+ * Those users never received a verification email, so requireVerifiedEmail
+ * would lock them out of cases, evidence and awards. Any account that is
+ * unverified and was never sent a link is marked verified.
+ *
+ * Run once when deploying email verification. Pass --before=<date> to only
+ * touch accounts created before that date (e.g. the release date).
+ * Usage: node scripts/backfillEmailVerified.js [--before=2026-01-31]
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const beforeArg = process.argv.find((arg) => arg.startsWith("--before="));
+
+const backfill = async () => {
+  try {
+    const filter = { emailVerified: { $ne: true }, verificationSentAt: { $exists: false } };
+    if (beforeArg) {
+      const before = new Date(beforeArg.slice("--before=".length));
+      if (Number.isNaN(before.getTime())) throw new Error(`Invalid date in ${beforeArg}`);
+      filter.createdAt = { $lt: before };
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const { modifiedCount } = await User.updateMany(filter, {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+    });
+    console.log(`✅ Marked ${modifiedCount} existing account${modifiedCount === 1 ? "" : "s"} as verified`);
+
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Email verification backfill failed:", err.message);
+    process.exit(1);
+  }
+};
+
+backfill();
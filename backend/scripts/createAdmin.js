@@ -27,6 +27,7 @@ const createAdmin = async () => {
       password: "AdminPassword201025!", // will be hashed automatically
       role: "admin",
       status: "active",
+      emailVerified: true,
     });
 
     await admin.save();
@@ -29,6 +29,7 @@ async function createAdvocate() {
       password: "Password123!", // raw password; your system will encrypt on save
       role: "advocate",
       status: "active",
+      emailVerified: true,
     });
 
     console.log("✅ Advocate created successfully!");
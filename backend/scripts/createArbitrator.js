@@ -30,6 +30,7 @@ async function createarbitrator() {
       password: "Password123!", // plain password; hashed by pre-save hook
       role: "arbitrator",
       status: "active",
+      emailVerified: true,
     });
 
     console.log("✅ arbitrator created successfully!");
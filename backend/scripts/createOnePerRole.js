@@ -117,6 +117,7 @@ async function main() {
         password,
         role,
         status: "active",
+        emailVerified: true,
         profileCompleted: false,
       });
 
@@ -30,6 +30,7 @@ async function createParalegal() {
       password: "Password123!", // plain password; hashed by pre-save hook
       role: "paralegal",
       status: "active",
+      emailVerified: true,
     });
 
     console.log("✅ Paralegal created successfully!");
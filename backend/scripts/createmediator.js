@@ -30,6 +30,7 @@ async function createMediator() {
       password: "Password123!", // plain password; hashed by pre-save hook
       role: "Mediator",
       status: "active",
+      emailVerified: true,
     });
 
     console.log("✅ Mediator created successfully!");
@@ -0,0 +1,72 @@
+// backend/scripts/reindexDocuments.js
+/**
+ * One-off: prepare text search over uploaded documents.
+ *
+ *  1. Replaces Evidence's old { title, description } text index with the
+ *     one that includes extracted text (Mongo allows one text index per
+ *     collection, so the old one must go first)
+ *  2. Queues "documents:extract" jobs for evidence and case / client
+ *     attachments uploaded before extraction existed
+ *
+ * The running server's scheduler picks the jobs up.
+ * Usage: node scripts/reindexDocuments.js
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Evidence from "../models/Evidence.js";
+import DocumentText from "../models/DocumentText.js";
+import Case from "../models/Case.js";
+import Client from "../models/Client.js";
+import { queueEvidenceExtraction, queueAttachmentExtraction } from "../services/textExtraction.js";
+
+dotenv.config();
+
+const reindex = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // 1️⃣ Text indexes
+    const indexes = await Evidence.collection.indexes();
+    for (const index of indexes) {
+      if (index.key?._fts === "text" && index.name !== "evidence_text") {
+        await Evidence.collection.dropIndex(index.name);
+        console.log(`🗑️ Dropped old evidence text index ${index.name}`);
+      }
+    }
+    await Evidence.createIndexes();
+    await DocumentText.createIndexes();
+    console.log("✅ Text indexes in place");
+
+    // 2️⃣ Evidence never extracted
+    let queued = 0;
+    const evidence = Evidence.find({ deleted: false, "textExtraction.status": { $exists: false } }).select("_id").cursor();
+    for await (const e of evidence) {
+      if (await queueEvidenceExtraction(e)) queued++;
+    }
+    console.log(`📄 Queued ${queued} evidence file(s)`);
+
+    // 3️⃣ Attachments without a DocumentText row
+    const known = new Set((await DocumentText.find().select("attachmentId").lean()).map((d) => String(d.attachmentId)));
+    const owners = [
+      ["Case", Case.find({ isDeleted: false, "attachments.0": { $exists: true } }).select("attachments").cursor()],
+      ["Client", Client.find({ deletedAt: null, "attachments.0": { $exists: true } }).select("attachments").cursor()],
+    ];
+    for (const [model, cursor] of owners) {
+      queued = 0;
+      for await (const owner of cursor) {
+        for (const attachment of owner.attachments) {
+          if (known.has(String(attachment._id))) continue;
+          if (await queueAttachmentExtraction(model, owner, attachment)) queued++;
+        }
+      }
+      console.log(`📎 Queued ${queued} ${model.toLowerCase()} attachment(s)`);
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Reindex failed:", err.message);
+    process.exit(1);
+  }
+};
+
+reindex();
@@ -31,6 +31,13 @@ import { Server as SocketServer } from "socket.io";
 
 // Auth middleware (keep your actual implementation)
 import { protect } from "./middleware/authMiddleware.js";
+import { requireVerifiedEmail } from "./middleware/requireVerifiedEmail.js";
+import { setIO } from "./utils/socketEmitter.js";
+import { authenticateSocket, joinRoom, joinDefaultRooms } from "./services/socketAccess.js";
+import { startScheduler, stopScheduler } from "./services/scheduler.js";
+import { initReminderJobs } from "./services/reminderService.js";
+import { initNotificationJobs } from "./services/notificationDelivery.js";
+import { assertMailConfigured } from "./utils/mailer.js";
 
 // Load env
 dotenv.config();
@@ -88,13 +95,24 @@ if (envFrontend) {
 import authRoutes from "./routes/auth.js";
 import userRoutes from "./routes/userRoutes.js";
 import clientRoutes from "./routes/clientRoutes.js";
+import intakeRoutes from "./routes/intakeRoutes.js";
+import conflictRoutes from "./routes/conflictRoutes.js";
 import caseRoutes from "./routes/caseRoutes.js";
 import taskRoutes from "./routes/taskRoutes.js";
+import timeEntryRoutes from "./routes/timeEntryRoutes.js";
+import expenseRoutes from "./routes/expenseRoutes.js";
+import invoiceRoutes from "./routes/invoiceRoutes.js";
+import trustRoutes from "./routes/trustRoutes.js";
+import deadlineRoutes from "./routes/deadlineRoutes.js";
+import courtCalendarRoutes from "./routes/courtCalendarRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
 import hearingRoutes from "./routes/hearingRoutes.js";
 import reportRoutes from "./routes/reports.js";
 import arbitrationRoutes from "./routes/arbitrationRoutes.js";
 import evidenceRoutes from "./routes/evidenceRoutes.js";
 import awardRoutes from "./routes/awardRoutes.js";
+import awardVerifyRoutes from "./routes/awardVerifyRoutes.js";
 import reconciliationRoutes from "./routes/reconciliationRoutes.js";
 import sessionRoutes from "./routes/sessionRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
@@ -155,21 +173,48 @@ const io = new SocketServer(server, {
 });
 
 app.set("io", io);
+setIO(io);
 
 /* -------------------------------------------------------------------------- */
 /* ⚡ SOCKET.IO EVENTS */
 /* -------------------------------------------------------------------------- */
+io.use(authenticateSocket);
+
 io.on("connection", (socket) => {
-  logger.info(`🟢 Socket connected → ${socket.id}`);
+  const user = socket.data.user;
+  logger.info(`🟢 Socket connected → ${socket.id} (user ${user._id})`);
+
+  // Own user_<id> and role:<role> rooms come from the verified token, never the client
+  joinDefaultRooms(socket);
+
+  // Every other room is checked against the case/arbitration/session rules and audited
+  const handleJoin = (via) => async (payload, ack) => {
+    const room = typeof payload === "string" ? payload : payload?.room;
+    const decision = await joinRoom(socket, room, via);
+    if (typeof ack === "function") ack({ ok: decision.granted, room, reason: decision.reason });
+  };
+  socket.on("join", handleJoin("join"));
+  socket.on("joinRoom", handleJoin("joinRoom")); // legacy event name
+
+  // Older clients announce their user id; the room is already joined from the token
+  socket.on("register", (_userId, ack) => {
+    if (typeof ack === "function") ack({ ok: true, room: `user_${user._id}` });
+  });
 
-  const userId = socket.handshake.query?.userId;
-  if (userId) socket.join(`user_${userId}`);
+  socket.on("leave", (payload) => {
+    const room = typeof payload === "string" ? payload : payload?.room;
+    if (room && !room.startsWith("user_") && !room.startsWith("role:")) socket.leave(room);
+  });
 
-  socket.on("joinRoom", (room) => {
-    if (room) {
-      socket.join(room);
-      logger.info(`📡 ${socket.id} joined room ${room}`);
-    }
+  // Relay typing indicators only inside arbitration rooms the socket has joined
+  socket.on("hearing:typing", (data = {}) => {
+    const room = data.arbitrationId ? `arbitration:${data.arbitrationId}` : null;
+    if (!room || !socket.rooms.has(room)) return;
+    socket.to(room).emit("hearing:typing", {
+      userId: user._id,
+      name: user.name || data.name,
+      typing: !!data.typing,
+    });
   });
 
   socket.on("disconnect", (reason) => {
@@ -295,16 +340,27 @@ app.use("/api", globalLimiter);
 app.use("/api/auth", authLimiter, authRoutes);
 app.use("/api/users", protect, userRoutes);
 app.use("/api/clients", protect, clientRoutes);
-app.use("/api/cases", protect, caseRoutes);
+app.use("/api/intake", intakeRoutes);
+app.use("/api/conflicts", protect, conflictRoutes);
+app.use("/api/cases", protect, requireVerifiedEmail, caseRoutes);
 app.use("/api/tasks", protect, taskRoutes);
+app.use("/api/time-entries", protect, timeEntryRoutes);
+app.use("/api/expenses", protect, expenseRoutes);
+app.use("/api/invoices", protect, invoiceRoutes);
+app.use("/api/trust", protect, trustRoutes);
+app.use("/api/deadlines", protect, deadlineRoutes);
+app.use("/api/court-calendars", protect, courtCalendarRoutes);
+app.use("/api/calendar", calendarRoutes); // ICS feed is token-authenticated; other routes use protect
 app.use("/api/hearings", protect, hearingRoutes);
 app.use("/api/reports", protect, reportRoutes);
 app.use("/api/arbitrations", protect, arbitrationRoutes);
-app.use("/api/evidence", protect, evidenceRoutes);
-app.use("/api/awards", protect, awardRoutes);
+app.use("/api/evidence", protect, requireVerifiedEmail, evidenceRoutes);
+app.use("/api/awards/verify", awardVerifyRoutes); // public — must precede protected /api/awards
+app.use("/api/awards", protect, requireVerifiedEmail, awardRoutes);
 app.use("/api/reconciliations", protect, reconciliationRoutes);
 app.use("/api/sessions", protect, sessionRoutes);
 app.use("/api/notifications", protect, notificationRoutes);
+app.use("/api/search", protect, requireVerifiedEmail, searchRoutes);
 app.use("/api/dashboard/advocate", protect, advocateDashboardRoutes);
 app.use("/api/upload", uploadRoutes);
 
@@ -354,9 +410,17 @@ app.use((err, req, res, next) => {
 /* -------------------------------------------------------------------------- */
 async function start() {
   try {
+    // Fail fast rather than log reset links through a dev-only mail transport
+    logger.info(`📧 Mail transport: ${assertMailConfigured()}`);
+
     await mongoose.connect(MONGO_URI);
     logger.info("📦 MongoDB connected");
 
+    // Background jobs (reminders, PDF generation, ...)
+    await initReminderJobs();
+    await initNotificationJobs();
+    startScheduler();
+
     server.listen(PORT, () =>
       logger.info(`🚀 Server running at http://localhost:${PORT} in ${NODE_ENV}`)
     );
@@ -374,6 +438,7 @@ const shutdown = async (signal) => {
   logger.warn(`⚠️ Received ${signal}. Shutting down...`);
 
   try {
+    stopScheduler();
     server.close(() => logger.info("HTTP server closed"));
     io.close();
     await mongoose.connection.close(false);
@@ -0,0 +1,104 @@
+/**
+ * backend/services/accessQueries.js
+ * ---------------------------------------------------------------------
+ * Mongo filters for "records this user may list", one per collection.
+ *
+ * List endpoints and GET /api/search both build on these, so a record
+ * can't turn up in search results that its own list would hide.
+ * Admins get an empty filter (everything). Cases live in casePolicy.js
+ * and are re-exported here for convenience.
+ */
+
+import Case from "../models/Case.js";
+import Client from "../models/Client.js";
+import Arbitration from "../models/Arbitration.js";
+import { caseAccessQuery } from "./casePolicy.js";
+
+export { caseAccessQuery };
+
+const isAdmin = (user) => String(user?.role || "").toLowerCase() === "admin";
+
+/** Clients: created by or shared with the user */
+export function clientAccessQuery(user) {
+  if (isAdmin(user)) return {};
+  return { $or: [{ createdBy: user._id }, { sharedWith: user._id }] };
+}
+
+/** Tasks: created by, assigned to or shared with the user */
+export function taskAccessQuery(user) {
+  if (isAdmin(user)) return {};
+  return { $or: [{ createdBy: user._id }, { assignedTo: user._id }, { sharedWith: user._id }] };
+}
+
+/** Hearings: the user is a participant or created it */
+export function hearingAccessQuery(user) {
+  if (isAdmin(user)) return {};
+  const uid = String(user._id);
+  return {
+    $or: [
+      { "participants.advocates": uid },
+      { "participants.arbitrators": uid },
+      { "participants.clients": uid },
+      { "participants.respondents": uid },
+      { createdBy: uid },
+    ],
+  };
+}
+
+/** Arbitrations: same rule as Arbitration#isParticipant (assignee, or a party by id or email) */
+export function arbitrationAccessQuery(user) {
+  if (isAdmin(user)) return {};
+  const parties = [String(user._id)];
+  if (user.email) parties.push(String(user.email).toLowerCase());
+  return { $or: [{ assignedTo: user._id }, { parties: { $in: parties } }] };
+}
+
+const visibleIds = async (user) => {
+  const [cases, arbitrations] = await Promise.all([
+    Case.find({ ...caseAccessQuery(user), isDeleted: false }).distinct("_id"),
+    Arbitration.find({ ...arbitrationAccessQuery(user), deleted: { $ne: true } }).distinct("_id"),
+  ]);
+  return { cases, arbitrations };
+};
+
+/** Evidence: attached to a case or arbitration the user can see */
+export async function evidenceAccessQuery(user) {
+  if (isAdmin(user)) return {};
+  const { cases, arbitrations } = await visibleIds(user);
+  return { $or: [{ case: { $in: cases } }, { arbitration: { $in: arbitrations } }] };
+}
+
+/** Attachment text (DocumentText): the owning case or client is visible */
+export async function documentAccessQuery(user) {
+  if (isAdmin(user)) return {};
+  const [cases, clients] = await Promise.all([
+    Case.find({ ...caseAccessQuery(user), isDeleted: false }).distinct("_id"),
+    Client.find({ ...clientAccessQuery(user), deletedAt: null }).distinct("_id"),
+  ]);
+  return { $or: [{ case: { $in: cases } }, { client: { $in: clients } }] };
+}
+
+/** Awards: issued by or naming the user, or on an arbitration they take part in */
+export async function awardAccessQuery(user) {
+  if (isAdmin(user)) return {};
+  const { arbitrations } = await visibleIds(user);
+  return {
+    $or: [
+      { arbitrator: user._id },
+      { parties: user._id },
+      { createdBy: user._id },
+      { arbitration: { $in: arbitrations } },
+    ],
+  };
+}
+
+export default {
+  caseAccessQuery,
+  clientAccessQuery,
+  taskAccessQuery,
+  hearingAccessQuery,
+  arbitrationAccessQuery,
+  evidenceAccessQuery,
+  documentAccessQuery,
+  awardAccessQuery,
+};
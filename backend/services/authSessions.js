@@ -0,0 +1,237 @@
+/**
+ * backend/services/authSessions.js
+ * ---------------------------------------------------------------------
+ * Short-lived access tokens + rotating refresh tokens.
+ *
+ *  - Access token: JWT `{ id, sid }`, ACCESS_TOKEN_TTL (default 15m),
+ *    sent as a Bearer header; `protect` rejects it once its session is revoked
+ *  - Refresh token: `<sessionId>.<random>` in an httpOnly cookie scoped to
+ *    /api/auth, REFRESH_TOKEN_TTL_DAYS (default 14, sliding)
+ *  - Each refresh swaps the token for a new one. Presenting a token that
+ *    was already swapped means it was copied: the session (and with it the
+ *    whole token family) is revoked.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AuthSession from "../models/AuthSession.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { getIO } from "../utils/socketEmitter.js";
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 14) * 24 * 60 * 60 * 1000;
+const REUSE_GRACE_MS = (Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10) * 1000;
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const IS_PROD = process.env.NODE_ENV === "production";
+export const REFRESH_COOKIE = process.env.REFRESH_COOKIE_NAME || "lb_refresh";
+// The SPA is usually served from another origin in production, which needs SameSite=None
+const COOKIE_SAMESITE = (process.env.REFRESH_COOKIE_SAMESITE || (IS_PROD ? "none" : "lax")).toLowerCase();
+
+const sessionError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+const hashToken = (raw) => crypto.createHash("sha256").update(String(raw)).digest("hex");
+const newSecret = () => crypto.randomBytes(48).toString("hex");
+
+const clientMeta = (req) => ({
+  ip: req.ip || req.socket?.remoteAddress || null,
+  userAgent: req.get("user-agent")?.slice(0, 300) || null,
+});
+
+/* =======================================================
+   🍪 Cookie
+   ======================================================= */
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: IS_PROD || COOKIE_SAMESITE === "none",
+  sameSite: COOKIE_SAMESITE,
+  path: "/api/auth",
+});
+
+export const setRefreshCookie = (res, raw) =>
+  res.cookie(REFRESH_COOKIE, raw, { ...cookieOptions(), maxAge: REFRESH_TTL_MS });
+
+export const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE, cookieOptions());
+
+const parseRefreshToken = (raw) => {
+  const [sid, secret] = String(raw || "").split(".");
+  if (!sid || !secret || !/^[a-f0-9]{24}$/i.test(sid)) return null;
+  return { sid, raw: String(raw) };
+};
+
+/* =======================================================
+   🔑 Tokens
+   ======================================================= */
+export const signAccessToken = (user, session) =>
+  jwt.sign({ id: String(user._id), sid: String(session._id) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+/**
+ * Start a session for a user who just proved who they are, set the
+ * refresh cookie and return the first access token.
+ */
+export async function startSession(user, req, res, { method = "password" } = {}) {
+  const session = new AuthSession({
+    user: user._id,
+    authMethod: method,
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+    ...clientMeta(req),
+  });
+  const raw = `${session._id}.${newSecret()}`;
+  session.tokenHash = hashToken(raw);
+  await session.save();
+
+  setRefreshCookie(res, raw);
+  return { token: signAccessToken(user, session), session };
+}
+
+/**
+ * Exchange the refresh cookie for a new access token and rotate it.
+ * Throws `sessionError`s with `status` / `code`.
+ */
+export async function rotateSession(req, res) {
+  const parsed = parseRefreshToken(req.cookies?.[REFRESH_COOKIE]);
+  if (!parsed) throw sessionError(401, "REFRESH_MISSING", "No valid session. Please log in.");
+
+  const session = await AuthSession.findById(parsed.sid).select("+tokenHash +previousTokenHash");
+  if (!session || !session.isActive()) {
+    clearRefreshCookie(res);
+    throw sessionError(401, "SESSION_ENDED", "Session has ended. Please log in again.");
+  }
+
+  const user = await User.findById(session.user).select("-password -otp -otpExpires");
+  if (!user || user.status !== "active") {
+    await revokeSession(session, "account_inactive");
+    clearRefreshCookie(res);
+    throw sessionError(403, "ACCOUNT_INACTIVE", "User account is not active.");
+  }
+
+  const presented = hashToken(parsed.raw);
+
+  if (presented !== session.tokenHash) {
+    // Another tab just rotated; the browser already holds the new cookie
+    const justRotated =
+      presented === session.previousTokenHash && session.rotatedAt && Date.now() - session.rotatedAt < REUSE_GRACE_MS;
+    if (justRotated) return { user, session, token: signAccessToken(user, session) };
+
+    await revokeSession(session, "reuse_detected");
+    clearRefreshCookie(res);
+    logger.warn(`🚨 Refresh token reuse for user ${user._id}, session ${session._id} revoked (ip ${clientMeta(req).ip})`);
+    throw sessionError(401, "REFRESH_REUSED", "Session revoked for security reasons. Please log in again.");
+  }
+
+  const raw = `${session._id}.${newSecret()}`;
+  const now = new Date();
+  // Conditional on the current hash so two concurrent rotations can't both win
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(raw),
+        previousTokenHash: presented,
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TTL_MS),
+        ...clientMeta(req),
+      },
+      $inc: { rotations: 1 },
+    },
+    { new: true }
+  );
+  if (!rotated) return { user, session, token: signAccessToken(user, session) };
+
+  setRefreshCookie(res, raw);
+  return { user, session: rotated, token: signAccessToken(user, rotated) };
+}
+
+/** Session id carried by the refresh cookie, if any (no validation) */
+export const sessionIdFromCookie = (req) => parseRefreshToken(req.cookies?.[REFRESH_COOKIE])?.sid || null;
+
+/* =======================================================
+   🚫 Revocation
+   ======================================================= */
+// Sockets join `authsession:<id>` at handshake (services/socketAccess.js)
+const disconnectSockets = (sessionIds) => {
+  const io = getIO();
+  if (!io || !sessionIds.length) return;
+  io.in(sessionIds.map((id) => `authsession:${id}`)).disconnectSockets(true);
+};
+
+export async function revokeSession(session, reason, revokedBy = null) {
+  if (session.revokedAt) return session;
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  session.revokedBy = revokedBy;
+  await AuthSession.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: session.revokedAt, revokedReason: reason, revokedBy } }
+  );
+  disconnectSockets([String(session._id)]);
+  return session;
+}
+
+/** Revoke every live session of a user, optionally keeping one (e.g. the current device) */
+export async function revokeUserSessions(userId, reason, { except = null, revokedBy = null } = {}) {
+  const filter = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (except) filter._id = { $ne: except };
+  const ids = (await AuthSession.find(filter).select("_id").lean()).map((s) => String(s._id));
+  if (!ids.length) return 0;
+
+  await AuthSession.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  disconnectSockets(ids);
+  return ids.length;
+}
+
+/* =======================================================
+   📋 Listing
+   ======================================================= */
+export const presentSession = (session, currentSid = null) => ({
+  id: session._id,
+  user: session.user,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  authMethod: session.authMethod,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  active: !session.revokedAt && session.expiresAt > new Date(),
+  revokedAt: session.revokedAt,
+  revokedReason: session.revokedReason,
+  current: !!currentSid && String(session._id) === String(currentSid),
+});
+
+export async function listSessions(userId, { currentSid = null, includeRevoked = false } = {}) {
+  const filter = { user: userId };
+  if (!includeRevoked) Object.assign(filter, { revokedAt: null, expiresAt: { $gt: new Date() } });
+  const sessions = await AuthSession.find(filter).sort({ lastSeenAt: -1 }).limit(100).lean();
+  return sessions.map((s) => presentSession(s, currentSid));
+}
+
+/** Called from `protect` — cheap bump of lastSeenAt at most once a minute */
+export const touchSession = (session) => {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < LAST_SEEN_THROTTLE_MS) return;
+  AuthSession.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } }).catch((err) =>
+    logger.warn(`AuthSession touch failed: ${err.message}`)
+  );
+};
+
+export default {
+  ACCESS_TOKEN_TTL,
+  REFRESH_COOKIE,
+  signAccessToken,
+  startSession,
+  rotateSession,
+  sessionIdFromCookie,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  presentSession,
+  touchSession,
+  setRefreshCookie,
+  clearRefreshCookie,
+};
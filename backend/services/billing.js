@@ -0,0 +1,443 @@
+/**
+ * backend/services/billing.js
+ * ---------------------------------------------------------------------
+ * Invoices and credit notes.
+ *
+ *  - A draft invoice claims the client's approved, billable, unbilled time
+ *    entries and expenses (status -> "billed", invoice -> draft id) so two
+ *    drafts can never bill the same work. Deleting a draft or voiding an
+ *    invoice hands them back ("approved", invoice -> null)
+ *  - Issuing assigns the number (INV-2026-00001) and freezes bill-to details
+ *  - Payments may come from the client's trust ledger (services/trustLedger.js)
+ *  - A credit note is its own numbered document; it can only take off what
+ *    is still owed on the invoice
+ *
+ * Who may bill a client: admins, and advocates/lawyers who created the
+ * client record, are its advocate, or have it shared with them. The
+ * client's own user account gets read access to issued documents.
+ */
+
+import mongoose from "mongoose";
+import Invoice from "../models/Invoice.js";
+import TimeEntry, { ACTIVITY_CODES } from "../models/TimeEntry.js";
+import Expense from "../models/Expense.js";
+import Case, { Counter } from "../models/Case.js";
+import { debit, reverse } from "./trustLedger.js";
+import { deliverNotification } from "./notificationDelivery.js";
+import logger from "../utils/logger.js";
+
+export const BILLING_ROLES = ["admin", "advocate", "paralegal"];
+const DUE_DAYS = Number(process.env.INVOICE_DUE_DAYS) || 30;
+const CURRENCY = () => process.env.BILLING_CURRENCY || "USD";
+
+const billingError = (status, code, message) => Object.assign(new Error(message), { status, code });
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+/* =======================================================
+   🔐 Access
+   ======================================================= */
+/** "manage" | "view" | null */
+export function clientBillingAccess(user, client) {
+  if (!user || !client) return null;
+  if (user.role === "admin") return "manage";
+  if (
+    BILLING_ROLES.includes(user.role) &&
+    (sameId(client.createdBy, user._id) ||
+      sameId(client.advocate, user._id) ||
+      (client.sharedWith || []).some((u) => sameId(u, user._id)))
+  ) {
+    return "manage";
+  }
+  if (sameId(client.user, user._id)) return "view";
+  return null;
+}
+
+/** Client-record filter for list endpoints */
+export function billableClientQuery(user) {
+  if (user.role === "admin") return {};
+  const or = [{ user: user._id }];
+  if (BILLING_ROLES.includes(user.role)) {
+    or.push({ createdBy: user._id }, { advocate: user._id }, { sharedWith: user._id });
+  }
+  return { $or: or };
+}
+
+/** Cases that belong to a client record (linked directly or via its user account) */
+export async function clientCaseIds(client) {
+  const or = [{ _id: { $in: client.cases || [] } }];
+  if (client.user) or.push({ client: client.user });
+  const cases = await Case.find({ $or: or, isDeleted: { $ne: true } }).select("_id").lean();
+  return cases.map((c) => c._id);
+}
+
+/* =======================================================
+   🔢 Numbering + taxes
+   ======================================================= */
+const NUMBER_PREFIX = { invoice: "INV", credit_note: "CN" };
+
+export async function nextNumber(kind, date = new Date()) {
+  const year = date.getFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${kind}:${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return `${NUMBER_PREFIX[kind]}-${year}-${String(counter.seq).padStart(5, "0")}`;
+}
+
+// INVOICE_DEFAULT_TAXES="VAT:16,Levy:1.5"
+export function defaultTaxes() {
+  return String(process.env.INVOICE_DEFAULT_TAXES || "")
+    .split(",")
+    .map((t) => t.split(":"))
+    .filter(([name, rate]) => name && Number.isFinite(Number(rate)))
+    .map(([name, rate]) => ({ name: name.trim(), rate: Number(rate) }));
+}
+
+function normalizeTaxes(taxes) {
+  if (taxes === undefined) return defaultTaxes();
+  if (!Array.isArray(taxes)) throw billingError(400, "INVALID_TAXES", "taxes must be an array of { name, rate }");
+  return taxes.map((t) => {
+    const rate = Number(t.rate);
+    if (!t.name || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+      throw billingError(400, "INVALID_TAXES", "Each tax needs a name and a rate between 0 and 100");
+    }
+    return { name: String(t.name).trim(), rate };
+  });
+}
+
+function normalizeFeeLines(lines = []) {
+  if (!Array.isArray(lines)) throw billingError(400, "INVALID_LINES", "lines must be an array");
+  return lines.map((l) => {
+    const quantity = l.quantity === undefined ? 1 : Number(l.quantity);
+    const unitPrice = Number(l.unitPrice ?? l.amount);
+    if (!l.description || !Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unitPrice)) {
+      throw billingError(400, "INVALID_LINES", "Each line needs a description, a positive quantity and a price");
+    }
+    return {
+      kind: l.kind === "adjustment" ? "adjustment" : "fee",
+      description: String(l.description).trim(),
+      date: l.date ? new Date(l.date) : null,
+      quantity,
+      unit: "item",
+      unitPrice: round2(unitPrice),
+      taxable: l.taxable !== undefined ? !!l.taxable : true,
+    };
+  });
+}
+
+/* =======================================================
+   🧾 Drafts
+   ======================================================= */
+const timeLine = (e) => ({
+  kind: "time",
+  description: [ACTIVITY_CODES[e.activityCode] || e.activityCode, e.narrative].filter(Boolean).join(" — "),
+  date: e.date,
+  quantity: round2(e.durationMinutes / 60),
+  unit: "hour",
+  unitPrice: e.rate,
+  taxable: true,
+  timeEntry: e._id,
+});
+
+const expenseLine = (e) => ({
+  kind: "expense",
+  description: `${e.category.replace(/_/g, " ")} — ${e.description}`,
+  date: e.date,
+  quantity: 1,
+  unit: "item",
+  unitPrice: e.amount,
+  taxable: e.taxable,
+  expense: e._id,
+});
+
+/** Hand time entries / expenses claimed by an invoice back to "approved" */
+export async function releaseInvoiceItems(invoiceId, filter = {}) {
+  const release = { $set: { status: "approved", invoice: null } };
+  await Promise.all([
+    TimeEntry.updateMany({ invoice: invoiceId, ...(filter.timeEntries ? { _id: { $in: filter.timeEntries } } : {}) }, release),
+    Expense.updateMany({ invoice: invoiceId, ...(filter.expenses ? { _id: { $in: filter.expenses } } : {}) }, release),
+  ]);
+}
+
+/**
+ * Build a draft invoice for a client (optionally one case) from everything
+ * approved and not yet billed, plus any extra fee lines.
+ */
+export async function createDraftInvoice(client, user, { caseId, from, to, taxes, lines, notes, dueDate } = {}) {
+  let caseIds = await clientCaseIds(client);
+  if (caseId) {
+    if (!caseIds.some((id) => sameId(id, caseId))) {
+      throw billingError(400, "CASE_NOT_CLIENT", "That case does not belong to this client");
+    }
+    caseIds = [new mongoose.Types.ObjectId(caseId)];
+  }
+
+  const invoiceId = new mongoose.Types.ObjectId();
+  const claimable = { case: { $in: caseIds }, status: "approved", billable: true, invoice: null, isDeleted: false, currency: CURRENCY() };
+  if (from || to) {
+    claimable.date = {};
+    if (from) claimable.date.$gte = new Date(from);
+    if (to) claimable.date.$lte = new Date(to);
+  }
+  const claim = { $set: { status: "billed", invoice: invoiceId } };
+
+  // Claim first, then read back what we got — concurrent drafts can't overlap
+  await Promise.all([TimeEntry.updateMany(claimable, claim), Expense.updateMany(claimable, claim)]);
+
+  try {
+    const [entries, expenses] = await Promise.all([
+      TimeEntry.find({ invoice: invoiceId }).sort({ date: 1 }).lean(),
+      Expense.find({ invoice: invoiceId }).sort({ date: 1 }).lean(),
+    ]);
+
+    const invoiceLines = [...entries.map(timeLine), ...expenses.map(expenseLine), ...normalizeFeeLines(lines)];
+    if (!invoiceLines.length) throw billingError(400, "NOTHING_TO_BILL", "No approved, unbilled time or expenses to invoice");
+
+    const invoice = new Invoice({
+      _id: invoiceId,
+      client: client._id,
+      case: caseId || null,
+      currency: CURRENCY(),
+      lines: invoiceLines,
+      taxes: normalizeTaxes(taxes),
+      periodFrom: from ? new Date(from) : null,
+      periodTo: to ? new Date(to) : null,
+      dueDate: dueDate ? new Date(dueDate) : null,
+      notes: notes || "",
+      createdBy: user._id,
+    });
+    invoice.recalculate();
+    await invoice.save();
+    return invoice;
+  } catch (err) {
+    await releaseInvoiceItems(invoiceId);
+    throw err;
+  }
+}
+
+/** Edit a draft: notes, due date, taxes, add fee lines, drop lines */
+export async function updateDraft(invoice, { notes, dueDate, taxes, addLines, removeLineIds } = {}) {
+  if (invoice.status !== "draft") throw billingError(409, "NOT_DRAFT", "Only draft invoices can be edited");
+
+  if (notes !== undefined) invoice.notes = notes;
+  if (dueDate !== undefined) invoice.dueDate = dueDate ? new Date(dueDate) : null;
+  if (taxes !== undefined) invoice.taxes = normalizeTaxes(taxes);
+
+  if (Array.isArray(removeLineIds) && removeLineIds.length) {
+    const removed = invoice.lines.filter((l) => removeLineIds.map(String).includes(String(l._id)));
+    invoice.lines = invoice.lines.filter((l) => !removed.includes(l));
+    await releaseInvoiceItems(invoice._id, {
+      timeEntries: removed.map((l) => l.timeEntry).filter(Boolean),
+      expenses: removed.map((l) => l.expense).filter(Boolean),
+    });
+  }
+  if (addLines) invoice.lines.push(...normalizeFeeLines(addLines));
+
+  invoice.recalculate();
+  await invoice.save();
+  return invoice;
+}
+
+export async function deleteDraft(invoice) {
+  if (invoice.status !== "draft") throw billingError(409, "NOT_DRAFT", "Only drafts can be deleted; void an issued invoice instead");
+  await releaseInvoiceItems(invoice._id);
+  await invoice.deleteOne();
+}
+
+/* =======================================================
+   📤 Issue / void
+   ======================================================= */
+const billToOf = (client) => ({
+  name: client.name,
+  email: client.email,
+  company: client.company || "",
+  address: client.address || "",
+});
+
+async function notifyClient(client, title, message, invoice) {
+  if (!client.user) return;
+  await deliverNotification(client.user, {
+    title,
+    message,
+    type: "billing",
+    link: `/dashboard/billing?invoice=${invoice._id}`,
+    relatedCase: invoice.case || undefined,
+  });
+}
+
+export async function issueInvoice(invoice, client, user) {
+  if (invoice.status !== "draft") throw billingError(409, "NOT_DRAFT", "Invoice has already been issued");
+  invoice.recalculate();
+  if (invoice.total <= 0) throw billingError(400, "EMPTY_INVOICE", "An invoice must have a positive total");
+
+  const now = new Date();
+  // A number taken by a save that then fails is lost; voids keep theirs
+  invoice.number = await nextNumber("invoice", now);
+  invoice.issueDate = now;
+  invoice.dueDate = invoice.dueDate || new Date(now.getTime() + DUE_DAYS * 24 * 60 * 60 * 1000);
+  invoice.billTo = billToOf(client);
+  invoice.issuedBy = user._id;
+  invoice.status = "issued";
+  invoice.recalculate();
+  await invoice.save();
+
+  await notifyClient(
+    client,
+    `Invoice ${invoice.number}`,
+    `Invoice ${invoice.number} for ${invoice.total.toFixed(2)} ${invoice.currency} is due on ${invoice.dueDate.toDateString()}.`,
+    invoice
+  );
+  return invoice;
+}
+
+export async function voidInvoice(invoice, user, reason = "") {
+  if (!["issued"].includes(invoice.status) || invoice.payments.length || invoice.creditNotes.length) {
+    throw billingError(409, "CANNOT_VOID", "Only issued invoices without payments or credit notes can be voided");
+  }
+  invoice.status = "void";
+  invoice.voidedAt = new Date();
+  invoice.voidedBy = user._id;
+  invoice.voidReason = reason;
+  invoice.balanceDue = 0;
+  await invoice.save();
+  await releaseInvoiceItems(invoice._id);
+  return invoice;
+}
+
+/* =======================================================
+   💵 Payments
+   ======================================================= */
+export async function recordPayment(invoice, user, { amount, method = "bank_transfer", reference = "", receivedAt } = {}) {
+  if (invoice.kind !== "invoice" || !["issued", "partially_paid"].includes(invoice.status)) {
+    throw billingError(409, "NOT_PAYABLE", "Payments can only be recorded on issued, unpaid invoices");
+  }
+  const value = round2(amount);
+  if (!(value > 0)) throw billingError(400, "INVALID_AMOUNT", "Amount must be a positive number");
+  if (value > invoice.balanceDue) {
+    throw billingError(400, "OVERPAYMENT", `Amount exceeds the balance due (${invoice.balanceDue.toFixed(2)})`);
+  }
+
+  let trustTx = null;
+  if (method === "trust") {
+    trustTx = await debit(invoice.client, value, "invoice_payment", {
+      createdBy: user._id,
+      caseId: invoice.case,
+      invoiceId: invoice._id,
+      reference: invoice.number,
+      note: reference,
+    });
+  }
+
+  invoice.payments.push({
+    amount: value,
+    method,
+    reference,
+    receivedAt: receivedAt ? new Date(receivedAt) : new Date(),
+    recordedBy: user._id,
+    trustTransaction: trustTx?._id || null,
+  });
+  invoice.recalculate();
+  // A push alone doesn't version-check the save; force it, so two concurrent
+  // payments can't both pass the balance check above (the loser's trust
+  // debit is reversed below)
+  invoice.increment();
+
+  try {
+    await invoice.save();
+  } catch (err) {
+    if (trustTx) await reverse(trustTx._id, { createdBy: user._id, note: "Payment could not be recorded" });
+    if (err.name === "VersionError") {
+      throw billingError(409, "CONFLICT", "The invoice changed while recording the payment; reload and try again");
+    }
+    throw err;
+  }
+  return invoice;
+}
+
+/* =======================================================
+   ↩️ Credit notes
+   ======================================================= */
+/**
+ * Body: { lines: [{ description, amount, taxable }] } or { amount, description },
+ * plus reason. Amounts are net; the invoice's tax rates are applied on top.
+ */
+export async function createCreditNote(invoice, user, { lines, amount, description, reason = "" } = {}) {
+  if (invoice.kind !== "invoice" || !["issued", "partially_paid"].includes(invoice.status)) {
+    throw billingError(409, "NOT_CREDITABLE", "Credit notes can only be raised against issued invoices with a balance due");
+  }
+  if (!String(reason).trim()) throw billingError(400, "REASON_REQUIRED", "A reason is required for a credit note");
+
+  const creditLines = normalizeFeeLines(
+    lines?.length ? lines : [{ description: description || `Credit against ${invoice.number}`, amount }]
+  ).map((l) => ({ ...l, kind: "adjustment" }));
+
+  const note = new Invoice({
+    kind: "credit_note",
+    status: "issued",
+    client: invoice.client,
+    case: invoice.case,
+    billTo: invoice.billTo,
+    currency: invoice.currency,
+    lines: creditLines,
+    taxes: invoice.taxes.map((t) => ({ name: t.name, rate: t.rate })),
+    relatedInvoice: invoice._id,
+    reason,
+    createdBy: user._id,
+    issuedBy: user._id,
+    issueDate: new Date(),
+  });
+  note.recalculate();
+
+  if (note.total <= 0) throw billingError(400, "INVALID_AMOUNT", "A credit note must have a positive total");
+  if (note.total > invoice.balanceDue) {
+    throw billingError(
+      400,
+      "CREDIT_EXCEEDS_BALANCE",
+      `Credit (${note.total.toFixed(2)}) exceeds the balance due (${invoice.balanceDue.toFixed(2)}); refund paid amounts through the trust ledger`
+    );
+  }
+
+  note.number = await nextNumber("credit_note", note.issueDate);
+  invoice.amountCredited = round2(invoice.amountCredited + note.total);
+  invoice.creditNotes.push(note._id);
+  invoice.recalculate();
+
+  try {
+    await invoice.save();
+  } catch (err) {
+    if (err.name === "VersionError") {
+      throw billingError(409, "CONFLICT", "The invoice changed while crediting it; reload and try again");
+    }
+    throw err;
+  }
+
+  try {
+    await note.save();
+  } catch (err) {
+    invoice.amountCredited = round2(invoice.amountCredited - note.total);
+    invoice.creditNotes.pull(note._id);
+    invoice.recalculate();
+    await invoice.save();
+    throw err;
+  }
+  return note;
+}
+
+export default {
+  BILLING_ROLES,
+  clientBillingAccess,
+  billableClientQuery,
+  clientCaseIds,
+  nextNumber,
+  defaultTaxes,
+  releaseInvoiceItems,
+  createDraftInvoice,
+  updateDraft,
+  deleteDraft,
+  issueInvoice,
+  voidInvoice,
+  recordPayment,
+  createCreditNote,
+};
@@ -0,0 +1,278 @@
+/**
+ * backend/services/calendarSync.js
+ * ---------------------------------------------------------------------
+ * Gets hearings, mediation sessions and reconciliation meetings into
+ * people's own calendars (Outlook, Google, Apple).
+ *
+ *  - Feeds: every user can mint a secret subscription URL; the feed holds
+ *    everything they can access (same rules as the REST API / socket rooms)
+ *  - Invites: attendees get an email with an .ics attachment on create,
+ *    reschedule (METHOD:REQUEST with a higher SEQUENCE) and cancel/delete
+ *    (METHOD:CANCEL). UIDs are stable per record, so calendar apps update
+ *    the existing entry instead of adding a new one.
+ *
+ * Invite failures are logged, never thrown back into the request.
+ */
+
+import crypto from "crypto";
+import Hearing from "../models/Hearing.js";
+import Session from "../models/Session.js";
+import Reconciliation from "../models/Reconciliation.js";
+import Case from "../models/Case.js";
+import Client from "../models/Client.js";
+import User from "../models/User.js";
+import { caseAccessQuery } from "./casePolicy.js";
+import { buildCalendar, toRRule } from "../utils/ical.js";
+import { sendMail } from "../utils/mailer.js";
+import logger from "../utils/logger.js";
+
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || "lawbridge";
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+const FEED_PAST_DAYS = Number(process.env.CALENDAR_FEED_PAST_DAYS || 90);
+const FEED_LIMIT = 2000;
+const ORGANIZER_EMAIL = (process.env.MAIL_FROM || "no-reply@lawbridge.local").replace(/^.*<([^>]+)>.*$/, "$1");
+
+const idOf = (ref) => (ref && ref._id ? String(ref._id) : ref ? String(ref) : null);
+const minutesAfter = (date, minutes) => new Date(new Date(date).getTime() + (minutes || 60) * 60000);
+
+/* =======================================================
+   🗓️ Record → VEVENT
+   ======================================================= */
+const KINDS = {
+  hearing: {
+    label: "Hearing",
+    toEvent: (h) => ({
+      uid: `hearing-${h._id}@${UID_DOMAIN}`,
+      sequence: h.icalSequence,
+      start: h.start,
+      end: h.end || minutesAfter(h.start, 60),
+      summary: h.case?.caseNumber ? `${h.title} (${h.case.caseNumber})` : h.title,
+      description: [h.description, h.meetingLink && `Join: ${h.meetingLink}`].filter(Boolean).join("\n\n"),
+      location: h.meetingLink && h.venue === "Online" ? h.meetingLink : h.venue,
+      url: `${FRONTEND_URL}/dashboard/hearings/page?hearing=${h._id}`,
+      status: h.status === "cancelled" ? "CANCELLED" : h.status === "draft" ? "TENTATIVE" : "CONFIRMED",
+      rrule: toRRule(h.recurrence),
+      updatedAt: h.updatedAt,
+      categories: ["Hearing"],
+    }),
+  },
+  session: {
+    label: "Mediation session",
+    toEvent: (s) => ({
+      uid: `session-${s._id}@${UID_DOMAIN}`,
+      sequence: s.icalSequence,
+      start: s.scheduledAt,
+      end: minutesAfter(s.scheduledAt, s.durationMinutes),
+      summary: s.title,
+      description: s.notes,
+      location: s.locationOrUrl,
+      url: `${FRONTEND_URL}/dashboard/mediator`,
+      status: s.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+      updatedAt: s.updatedAt,
+      categories: ["Mediation"],
+    }),
+  },
+  reconciliation: {
+    label: "Reconciliation meeting",
+    toEvent: (r) => ({
+      uid: `reconciliation-${r._id}@${UID_DOMAIN}`,
+      sequence: r.icalSequence,
+      start: r.scheduledAt,
+      end: minutesAfter(r.scheduledAt, r.durationMinutes),
+      summary: r.title,
+      description: r.notes,
+      location: r.linkOrLocation,
+      url: `${FRONTEND_URL}/dashboard/reconciliator`,
+      status: r.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+      updatedAt: r.updatedAt,
+      categories: ["Reconciliation"],
+    }),
+  },
+};
+
+/* =======================================================
+   👥 Attendees
+   ======================================================= */
+const usersByIds = async (ids) => {
+  const unique = [...new Set(ids.filter(Boolean).map(idOf))];
+  if (!unique.length) return [];
+  return User.find({ _id: { $in: unique }, status: "active" }).select("name email").lean();
+};
+
+async function attendeesFor(kind, doc) {
+  if (kind === "hearing") {
+    const p = doc.participants || {};
+    return usersByIds([doc.createdBy, ...(p.advocates || []), ...(p.arbitrators || []), ...(p.clients || []), ...(p.respondents || [])]);
+  }
+
+  if (kind === "session") {
+    const parties = doc.parties || [];
+    const users = await usersByIds([doc.mediator, doc.createdBy, ...parties.filter((p) => p.model === "User").map((p) => p.ref)]);
+    const clientIds = parties.filter((p) => p.model === "Client").map((p) => p.ref);
+    const clients = clientIds.length ? await Client.find({ _id: { $in: clientIds } }).select("name email").lean() : [];
+    return [...users, ...clients];
+  }
+
+  // Reconciliation participants may be plain contacts with only an email
+  const participants = doc.participants || [];
+  const users = await usersByIds([doc.createdBy, doc.reconciliator, ...participants.map((p) => p.user)]);
+  const contacts = participants.filter((p) => !p.user && p.email).map((p) => ({ name: p.name, email: p.email }));
+  return [...users, ...contacts];
+}
+
+const dedupeByEmail = (people) => {
+  const seen = new Set();
+  return people.filter((p) => {
+    const email = p.email && String(p.email).toLowerCase();
+    if (!email || seen.has(email)) return false;
+    seen.add(email);
+    return true;
+  });
+};
+
+/* =======================================================
+   ✉️ Invites
+   ======================================================= */
+async function deliverInvite(kind, doc, method) {
+  const spec = KINDS[kind];
+  const source = typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+  if (kind === "hearing" && source.case && !source.case.caseNumber) {
+    source.case = await Case.findById(idOf(source.case)).select("caseNumber").lean();
+  }
+
+  const attendees = dedupeByEmail(await attendeesFor(kind, source));
+  if (!attendees.length) return 0;
+
+  const event = {
+    ...spec.toEvent(source),
+    organizer: { name: "LawBridge", email: ORGANIZER_EMAIL },
+    attendees: attendees.map(({ name, email }) => ({ name, email })),
+  };
+  if (method === "CANCEL") event.status = "CANCELLED";
+  const ics = buildCalendar({ method, events: [event] });
+
+  const when = new Date(event.start).toUTCString();
+  const verb = method === "CANCEL" ? "Cancelled" : event.sequence > 0 ? "Updated" : "Invitation";
+  const subject = `${verb}: ${spec.label} — ${source.title} (${when})`;
+  const text =
+    method === "CANCEL"
+      ? `${spec.label} "${source.title}" scheduled for ${when} has been cancelled.`
+      : `${spec.label} "${source.title}"\nWhen: ${when}\n${event.location ? `Where: ${event.location}\n` : ""}\n${event.url}`;
+
+  let sent = 0;
+  for (const attendee of attendees) {
+    try {
+      await sendMail({
+        to: attendee.email,
+        subject,
+        text,
+        attachments: [{ filename: "invite.ics", contentType: `text/calendar; charset=utf-8; method=${method}`, content: ics }],
+      });
+      sent += 1;
+    } catch (err) {
+      logger.warn(`Calendar invite to ${attendee.email} failed: ${err.message}`);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Email attendees an .ics for `doc`.
+ * @param {"hearing"|"session"|"reconciliation"} kind
+ * @param {object} doc the saved record (SEQUENCE already bumped by its pre-save hook)
+ * @param {"REQUEST"|"CANCEL"} [method] defaults to CANCEL for cancelled/deleted records
+ * @returns {Promise<number>} emails sent
+ */
+export function sendCalendarInvite(kind, doc, method) {
+  const resolved = method || (doc.status === "cancelled" || doc.deletedAt ? "CANCEL" : "REQUEST");
+  return deliverInvite(kind, doc, resolved).catch((err) => {
+    logger.error(`Calendar invite (${kind} ${doc?._id}) failed: ${err.message}`);
+    return 0;
+  });
+}
+
+/* =======================================================
+   📡 Subscription feed
+   ======================================================= */
+export const hashFeedToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/** The active user owning a raw feed token, or null */
+export async function userForFeedToken(token) {
+  if (!/^[a-f0-9]{64}$/i.test(String(token || ""))) return null;
+  const user = await User.findOne({ "calendarFeed.tokenHash": hashFeedToken(token), status: "active" });
+  return user || null;
+}
+
+async function accessibleFilters(user) {
+  if (user.role === "admin") return { hearing: {}, session: {}, reconciliation: {} };
+
+  const uid = user._id;
+  const [cases, clients] = await Promise.all([
+    Case.find({ ...caseAccessQuery(user), isDeleted: false }).distinct("_id"),
+    Client.find({ user: uid }).distinct("_id"),
+  ]);
+
+  return {
+    hearing: {
+      $or: [
+        { case: { $in: cases } },
+        { createdBy: uid },
+        { "participants.advocates": uid },
+        { "participants.arbitrators": uid },
+        { "participants.clients": uid },
+        { "participants.respondents": uid },
+      ],
+    },
+    session: {
+      $or: [
+        { mediator: uid },
+        { createdBy: uid },
+        { parties: { $elemMatch: { model: "User", ref: uid } } },
+        ...(clients.length ? [{ parties: { $elemMatch: { model: "Client", ref: { $in: clients } } } }] : []),
+      ],
+    },
+    reconciliation: { $or: [{ createdBy: uid }, { reconciliator: uid }, { "participants.user": uid }] },
+  };
+}
+
+/**
+ * The ICS document for a user's subscription feed.
+ * Cancelled items stay in the feed (STATUS:CANCELLED) so subscribed
+ * calendars strike them through; deleted ones simply drop out.
+ */
+export async function buildFeedForUser(user) {
+  const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  const filters = await accessibleFilters(user);
+
+  const [hearings, sessions, reconciliations] = await Promise.all([
+    Hearing.find({
+      ...filters.hearing,
+      deletedAt: null,
+      $and: [{ $or: [{ start: { $gte: since } }, { "recurrence.freq": { $in: ["daily", "weekly", "monthly"] } }] }],
+    })
+      .populate("case", "caseNumber")
+      .sort({ start: 1 })
+      .limit(FEED_LIMIT)
+      .lean(),
+    Session.find({ ...filters.session, deletedAt: null, scheduledAt: { $gte: since } }).sort({ scheduledAt: 1 }).limit(FEED_LIMIT).lean(),
+    Reconciliation.find({
+      ...filters.reconciliation,
+      // a cancelled meeting gets deletedAt set too, but should still show as cancelled
+      $and: [{ $or: [{ deletedAt: null }, { status: "cancelled" }] }],
+      scheduledAt: { $gte: since },
+    })
+      .sort({ scheduledAt: 1 })
+      .limit(FEED_LIMIT)
+      .lean(),
+  ]);
+
+  const events = [
+    ...hearings.map(KINDS.hearing.toEvent),
+    ...sessions.map(KINDS.session.toEvent),
+    ...reconciliations.map(KINDS.reconciliation.toEvent),
+  ];
+
+  return buildCalendar({ name: `LawBridge — ${user.name}`, method: "PUBLISH", events, refreshMinutes: 60 });
+}
+
+export default { sendCalendarInvite, hashFeedToken, userForFeedToken, buildFeedForUser };
@@ -0,0 +1,238 @@
+/**
+ * backend/services/caseLifecycle.js
+ * ---------------------------------------------------------------------
+ * Case lifecycle state machine.
+ *
+ * Each category has a declarative transition table: which statuses a case
+ * may move from/to, which global roles may make the move, and the
+ * preconditions that must hold first. `other` follows the civil table.
+ *
+ * All status changes go through transitionCase(); Case.setStatus() is the
+ * low-level writer and does not validate the graph itself.
+ */
+
+import Hearing from "../models/Hearing.js";
+import Award from "../models/Award.js";
+
+/* =======================================================
+   Errors
+   ======================================================= */
+const TRANSITION_ERROR_STATUS = {
+  INVALID_STATUS: 400,
+  ROLE_NOT_ALLOWED: 403,
+  ILLEGAL_TRANSITION: 409,
+  PRECONDITION_FAILED: 409,
+};
+
+/**
+ * Error for a rejected status change. Carries `status`, `code` and
+ * `details` ({ from, to, category, allowedTo?, roles?, failed? }).
+ */
+export function transitionError(code, message, details = {}) {
+  const err = new Error(message);
+  err.status = TRANSITION_ERROR_STATUS[code] || 409;
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+export const isTransitionError = (err) => !!err && Object.prototype.hasOwnProperty.call(TRANSITION_ERROR_STATUS, err.code);
+
+/* =======================================================
+   Preconditions
+   ======================================================= */
+const PRECONDITIONS = {
+  hearingExists: {
+    message: "A hearing must be scheduled on the case first",
+    check: async (caseDoc) => {
+      if (caseDoc.hearings?.length) return true;
+      return !!(await Hearing.exists({ case: caseDoc._id, deletedAt: null, status: { $ne: "cancelled" } }));
+    },
+  },
+  awardLinked: {
+    message: "An issued award from the case's arbitration must be linked to the case first",
+    check: async (caseDoc) => {
+      if (!caseDoc.award || !caseDoc.arbitration) return false;
+      return !!(await Award.exists({
+        _id: caseDoc.award._id || caseDoc.award,
+        arbitration: caseDoc.arbitration._id || caseDoc.arbitration,
+        isFinalized: true,
+        isDeleted: { $ne: true },
+        status: { $ne: "Rejected" },
+      }));
+    },
+  },
+  resumesPrevious: {
+    message: "A paused case can only resume to the status it was paused from",
+    // Cases paused before previousStatus was tracked may resume to any pausable status
+    check: async (caseDoc, to) => !caseDoc.previousStatus || caseDoc.previousStatus === to,
+  },
+};
+
+/* =======================================================
+   Transition tables
+   ======================================================= */
+const COUNSEL = ["advocate", "admin"];
+const COUNSEL_AND_BENCH = ["advocate", "arbitrator", "admin"];
+const BENCH = ["arbitrator", "admin"];
+
+const t = (from, to, roles, requires = []) => ({ from: [].concat(from), to: [].concat(to), roles, requires });
+
+// Pausing is allowed from any in-flight status and resumes back to it
+const pauseRules = (pausable, roles) => [t(pausable, "paused", roles), t("paused", pausable, roles, ["resumesPrevious"])];
+
+const CIVIL_PAUSABLE = ["filed", "under_review", "accepted", "hearing_scheduled", "hearing_in_progress"];
+
+const civil = [
+  t("draft", "filed", ["advocate", "client", "admin"]),
+  t("draft", "closed", ["advocate", "client", "admin"]),
+  t("filed", "under_review", COUNSEL),
+  t("under_review", "accepted", COUNSEL),
+  t(["filed", "under_review"], "rejected", COUNSEL_AND_BENCH),
+  t(["filed", "accepted"], "hearing_scheduled", COUNSEL_AND_BENCH, ["hearingExists"]),
+  t("hearing_scheduled", "hearing_in_progress", COUNSEL_AND_BENCH, ["hearingExists"]),
+  t("hearing_in_progress", "hearing_scheduled", COUNSEL_AND_BENCH, ["hearingExists"]),
+  t(["accepted", "hearing_scheduled", "hearing_in_progress"], "resolved", COUNSEL),
+  t(["resolved", "rejected"], "closed", COUNSEL),
+  t("closed", "archived", COUNSEL),
+  ...pauseRules(CIVIL_PAUSABLE, COUNSEL_AND_BENCH),
+];
+
+// Criminal matters are opened by counsel only; otherwise they follow the civil flow
+const criminal = [
+  t("draft", "filed", COUNSEL),
+  t("draft", "closed", COUNSEL),
+  ...civil.filter((r) => !r.from.includes("draft")),
+];
+
+const ADR_PAUSABLE = ["filed", "under_review", "accepted", "hearing_scheduled", "hearing_in_progress", "award_issued"];
+
+const adr = [
+  t("draft", "filed", ["advocate", "client", "admin"]),
+  t("draft", "closed", ["advocate", "client", "admin"]),
+  t("filed", "under_review", COUNSEL_AND_BENCH),
+  t("under_review", "accepted", BENCH),
+  t(["filed", "under_review"], "rejected", BENCH),
+  t("accepted", "hearing_scheduled", COUNSEL_AND_BENCH, ["hearingExists"]),
+  t("hearing_scheduled", "hearing_in_progress", BENCH, ["hearingExists"]),
+  t("hearing_in_progress", "hearing_scheduled", BENCH, ["hearingExists"]),
+  t(["hearing_scheduled", "hearing_in_progress"], "award_issued", BENCH, ["awardLinked"]),
+  // Parties can settle at any point before the award
+  t(["accepted", "hearing_scheduled", "hearing_in_progress", "award_issued"], "resolved", COUNSEL_AND_BENCH),
+  t(["resolved", "rejected"], "closed", COUNSEL_AND_BENCH),
+  t("closed", "archived", COUNSEL),
+  ...pauseRules(ADR_PAUSABLE, COUNSEL_AND_BENCH),
+];
+
+export const LIFECYCLES = { civil, criminal, adr, other: civil };
+
+export const CASE_STATUSES = [
+  "draft",
+  "filed",
+  "under_review",
+  "accepted",
+  "hearing_scheduled",
+  "hearing_in_progress",
+  "award_issued",
+  "resolved",
+  "closed",
+  "rejected",
+  "archived",
+  "paused",
+];
+
+/* =======================================================
+   Queries
+   ======================================================= */
+const tableFor = (caseDoc) => LIFECYCLES[caseDoc.category] || LIFECYCLES.civil;
+
+const rulesFrom = (caseDoc) => tableFor(caseDoc).filter((r) => r.from.includes(caseDoc.status));
+
+const findRule = (caseDoc, to) => rulesFrom(caseDoc).find((r) => r.to.includes(to));
+
+async function failedPreconditions(rule, caseDoc, to) {
+  const failed = [];
+  for (const key of rule.requires) {
+    if (!(await PRECONDITIONS[key].check(caseDoc, to))) failed.push({ key, message: PRECONDITIONS[key].message });
+  }
+  return failed;
+}
+
+/** Statuses reachable from the current one in the table, ignoring role and preconditions */
+export const nextStatuses = (caseDoc) => [...new Set(rulesFrom(caseDoc).flatMap((r) => r.to))];
+
+/**
+ * Every outgoing transition with whether `user` can take it now.
+ * @returns {Promise<Array<{ to, allowed, roles, requires, blockedBy: object[] }>>}
+ */
+export async function availableTransitions(caseDoc, user) {
+  const role = String(user?.role || "").toLowerCase();
+  const out = [];
+  for (const rule of rulesFrom(caseDoc)) {
+    for (const to of rule.to) {
+      const blockedBy = [];
+      if (!rule.roles.includes(role)) blockedBy.push({ key: "role", message: `Requires one of: ${rule.roles.join(", ")}` });
+      blockedBy.push(...(await failedPreconditions(rule, caseDoc, to)));
+      out.push({ to, allowed: blockedBy.length === 0, roles: rule.roles, requires: rule.requires, blockedBy });
+    }
+  }
+  return out;
+}
+
+/**
+ * Throw a transitionError() unless `user` may move the case to `to` now.
+ * Pass `{ system: true }` for transitions the server makes on the user's behalf
+ * (e.g. scheduling the first hearing) — the role check is skipped, the graph
+ * and preconditions are not.
+ */
+export async function assertTransition(caseDoc, to, user, { system = false } = {}) {
+  const from = caseDoc.status;
+  const category = caseDoc.category || "civil";
+
+  if (!CASE_STATUSES.includes(to)) {
+    throw transitionError("INVALID_STATUS", `Unknown status: ${to}`, { from, to, category });
+  }
+
+  const rule = findRule(caseDoc, to);
+  if (!rule) {
+    throw transitionError("ILLEGAL_TRANSITION", `A ${category} case cannot move from ${from} to ${to}`, {
+      from,
+      to,
+      category,
+      allowedTo: nextStatuses(caseDoc),
+    });
+  }
+
+  const role = String(user?.role || "").toLowerCase();
+  if (!system && !rule.roles.includes(role)) {
+    throw transitionError("ROLE_NOT_ALLOWED", `A ${role || "user"} cannot move a case from ${from} to ${to}`, {
+      from,
+      to,
+      category,
+      roles: rule.roles,
+    });
+  }
+
+  const failed = await failedPreconditions(rule, caseDoc, to);
+  if (failed.length) {
+    throw transitionError("PRECONDITION_FAILED", failed[0].message, { from, to, category, failed });
+  }
+  return rule;
+}
+
+/** Validate, then apply via Case.setStatus (records history) */
+export async function transitionCase(caseDoc, to, user, opts = {}) {
+  await assertTransition(caseDoc, to, user, opts);
+  return caseDoc.setStatus(user._id, to);
+}
+
+export default {
+  LIFECYCLES,
+  CASE_STATUSES,
+  transitionError,
+  isTransitionError,
+  nextStatuses,
+  availableTransitions,
+  assertTransition,
+  transitionCase,
+};
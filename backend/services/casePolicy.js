@@ -0,0 +1,149 @@
+/**
+ * backend/services/casePolicy.js
+ * ---------------------------------------------------------------------
+ * Case authorization policy — the single place that decides what a user
+ * may do on a case.
+ *
+ * A user's effective capability is the strongest grant they hold:
+ *   - filedBy / createdBy                  -> manage
+ *   - assignedTo                           -> edit
+ *   - team role (co-counsel, paralegal)    -> edit
+ *     team role (assistant, reviewer)      -> comment
+ *     team role (other)                    -> view
+ *   - sharedWith (latest sharedLogs entry) -> view | comment | edit
+ *   - participants                         -> comment
+ * then capped by global role (clients/respondents never exceed comment);
+ * admins always manage.
+ *
+ * Route-level `authorize()` still decides which roles may call an endpoint
+ * at all; this policy decides which cases they may do it on.
+ */
+
+export const CAPABILITIES = ["none", "view", "comment", "edit", "manage"];
+
+// Minimum capability required per case action
+export const CASE_ACTIONS = {
+  view: "view",
+  comment: "comment",
+  attach: "edit",
+  fileDocuments: "edit",
+  edit: "edit",
+  changeStatus: "edit",
+  scheduleHearing: "edit",
+  runConflictCheck: "edit",
+  logTime: "edit",
+  logExpense: "edit",
+  manageDeadlines: "edit",
+  share: "manage",
+  manageParticipants: "manage",
+  manageTeam: "manage",
+  approveTime: "manage",
+  approveExpense: "manage",
+  delete: "manage",
+  restore: "manage",
+};
+
+const TEAM_ROLE_CAPABILITY = {
+  "co-counsel": "edit",
+  paralegal: "edit",
+  assistant: "comment",
+  reviewer: "comment",
+  other: "view",
+};
+
+const ROLE_CEILING = {
+  client: "comment",
+  respondent: "comment",
+};
+
+const rank = (cap) => Math.max(0, CAPABILITIES.indexOf(cap));
+const stronger = (a, b) => (rank(a) >= rank(b) ? a : b);
+const weaker = (a, b) => (rank(a) <= rank(b) ? a : b);
+
+// Works on populated and unpopulated refs alike
+const refId = (ref) => (ref && ref._id ? String(ref._id) : ref ? String(ref) : null);
+const sameUser = (ref, userId) => !!ref && refId(ref) === userId;
+
+/** Permission granted by the most recent share to this user ("view" if none was logged) */
+function sharePermission(caseDoc, userId) {
+  const logs = (caseDoc.sharedLogs || []).filter((l) => sameUser(l.sharedWith, userId));
+  if (!logs.length) return "view";
+  const latest = logs.reduce((a, b) => (new Date(b.sharedAt) >= new Date(a.sharedAt) ? b : a));
+  return ["view", "comment", "edit"].includes(latest.permission) ? latest.permission : "view";
+}
+
+/**
+ * Resolve a user's capability on a case.
+ * @param {object} user     req.user (needs _id, role)
+ * @param {object} caseDoc  Case document or lean object
+ * @returns {{ capability: string, via: string[] }}
+ */
+export function resolveCaseCapability(user, caseDoc) {
+  if (!user || !caseDoc) return { capability: "none", via: [] };
+  const userId = String(user._id);
+  const role = String(user.role || "").toLowerCase();
+
+  if (role === "admin") return { capability: "manage", via: ["admin"] };
+
+  const grants = [];
+  if (sameUser(caseDoc.filedBy, userId) || sameUser(caseDoc.createdBy, userId)) grants.push(["manage", "owner"]);
+  if (sameUser(caseDoc.assignedTo, userId)) grants.push(["edit", "assigned"]);
+
+  const member = (caseDoc.team || []).find((t) => sameUser(t.user, userId));
+  if (member) grants.push([TEAM_ROLE_CAPABILITY[member.role] || "view", `team:${member.role}`]);
+
+  if ((caseDoc.sharedWith || []).some((u) => sameUser(u, userId))) {
+    const permission = sharePermission(caseDoc, userId);
+    grants.push([permission, `share:${permission}`]);
+  }
+  if ((caseDoc.participants || []).some((u) => sameUser(u, userId))) grants.push(["comment", "participant"]);
+
+  let capability = grants.reduce((cap, [granted]) => stronger(cap, granted), "none");
+  if (ROLE_CEILING[role]) capability = weaker(capability, ROLE_CEILING[role]);
+
+  return { capability, via: grants.map(([, source]) => source) };
+}
+
+/** True when the capability is enough for the given CASE_ACTIONS key */
+export const capabilityAllows = (capability, action) => rank(capability) >= rank(CASE_ACTIONS[action] || "manage");
+
+/** Convenience: can `user` perform `action` on `caseDoc`? */
+export const can = (user, caseDoc, action) => capabilityAllows(resolveCaseCapability(user, caseDoc).capability, action);
+
+/** Per-action flags for the UI */
+export function describeCasePermissions(user, caseDoc) {
+  const { capability, via } = resolveCaseCapability(user, caseDoc);
+  const actions = Object.fromEntries(Object.keys(CASE_ACTIONS).map((a) => [a, capabilityAllows(capability, a)]));
+  // Restoring a soft-deleted case stays an admin operation
+  actions.restore = String(user?.role || "").toLowerCase() === "admin";
+  return { capability, via, actions };
+}
+
+/**
+ * Mongo filter for cases the user can at least view (list endpoints).
+ * Admins get an empty filter.
+ */
+export function caseAccessQuery(user) {
+  if (String(user?.role || "").toLowerCase() === "admin") return {};
+  const userId = user._id;
+  return {
+    $or: [
+      { filedBy: userId },
+      { createdBy: userId },
+      { assignedTo: userId },
+      { sharedWith: userId },
+      { participants: userId },
+      { "team.user": userId },
+    ],
+  };
+}
+
+export default {
+  CAPABILITIES,
+  CASE_ACTIONS,
+  resolveCaseCapability,
+  capabilityAllows,
+  can,
+  describeCasePermissions,
+  caseAccessQuery,
+};
@@ -0,0 +1,337 @@
+/**
+ * backend/services/conflictService.js
+ * ---------------------------------------------------------------------
+ * Conflict-of-interest search.
+ *
+ * Given the parties to a prospective matter ({ name, email, phone, company,
+ * side }), looks for them in:
+ *   - Client records (and the cases on each client file)
+ *   - Users with the "respondent" role
+ *   - Case.client / Case.respondent
+ *   - Reconciliation.participants
+ *   - Session.parties
+ *
+ * Every hit names the matter it was found in and the role the party plays
+ * there. A hit is a "conflict" when the firm would end up on both sides:
+ * an opposing party we already act for, or our client appearing as a
+ * respondent. Everything else is "related" and shown for review.
+ *
+ * Candidates are capped per source (strongest first, see
+ * rankedCandidates() in utils/partyMatching.js); when a cap or the hit
+ * limit cuts anything off, the result says so with `truncated: true`.
+ */
+
+import mongoose from "mongoose";
+import Client from "../models/Client.js";
+import User from "../models/User.js";
+import Case from "../models/Case.js";
+import Reconciliation from "../models/Reconciliation.js";
+import Session from "../models/Session.js";
+import { scoreParty, rankedCandidates, emailPattern, namePattern } from "../utils/partyMatching.js";
+
+const CANDIDATE_LIMIT = 500;
+const DEFAULT_LIMIT = 100;
+const HISTORY_HIT_LIMIT = 20;
+
+export const PARTY_SIDES = ["opposing", "client"];
+export const CHECK_RESOLUTIONS = ["cleared", "waived"];
+
+/* =======================================================
+   Helpers
+   ======================================================= */
+const toProbe = (p = {}) => ({
+  name: p.name ? String(p.name).trim() : null,
+  email: p.email ? String(p.email).trim() : null,
+  phone: p.phone ? String(p.phone).trim() : null,
+  company: p.company ? String(p.company).trim() : null,
+  side: PARTY_SIDES.includes(p.side) ? p.side : "opposing",
+});
+
+const hasSignal = (p) => !!(p.name || p.email || p.phone || p.company);
+
+// "client" roles mean the firm acts for the party; "respondent" means it acts against them
+const severityFor = (side, role) =>
+  (side === "opposing" && role === "client") || (side === "client" && role === "respondent") ? "conflict" : "related";
+
+const caseMatter = (c) => ({
+  type: "case",
+  _id: c._id,
+  ref: c.caseNumber,
+  title: c.title,
+  status: c.status,
+  counsel: [c.filedBy, c.assignedTo]
+    .filter((u) => u && u._id)
+    .map((u) => ({ _id: u._id, name: u.name, email: u.email })),
+});
+
+const idSet = (ids) => new Set(ids.map(String));
+
+/* =======================================================
+   Per-source lookups (each returns raw hits for one probe)
+   ======================================================= */
+async function searchClients(probe, excludeCaseId) {
+  const { docs: clients, truncated } = await rankedCandidates(Client, probe, {
+    match: { deletedAt: null },
+    fields: { name: "name", email: "email", phone: "phone", company: "company" },
+    select: "name email phone company user cases advocate createdBy status",
+    populate: { path: "cases", select: "caseNumber title status filedBy assignedTo isDeleted", populate: { path: "filedBy assignedTo", select: "name email" } },
+    limit: CANDIDATE_LIMIT,
+  });
+
+  const hits = [];
+  const linked = new Map(); // portal User id -> match of its client file
+  for (const c of clients) {
+    const match = scoreParty(probe, c);
+    if (!match.reasons.length) continue;
+    if (c.user) linked.set(String(c.user), match);
+
+    const party = { _id: c._id, model: "Client", name: c.name, email: c.email, company: c.company || null };
+    const cases = (c.cases || []).filter((k) => k && !k.isDeleted && String(k._id) !== String(excludeCaseId));
+    if (!cases.length) {
+      hits.push({ source: "client", role: "client", party, match, matter: { type: "client", _id: c._id, ref: c.name, status: c.status } });
+    }
+    for (const k of cases) hits.push({ source: "client", role: "client", party, match, matter: caseMatter(k) });
+  }
+  return { hits, linked, truncated };
+}
+
+async function searchUsers(probe) {
+  const { docs: users, truncated } = await rankedCandidates(User, probe, {
+    select: "name email phone role",
+    limit: CANDIDATE_LIMIT,
+  });
+  const matched = users
+    .map((u) => ({ user: u, match: scoreParty(probe, u) }))
+    .filter((u) => u.match.reasons.length);
+
+  const hits = matched
+    .filter(({ user }) => user.role === "respondent")
+    .map(({ user, match }) => ({
+      source: "user",
+      role: "respondent",
+      party: { _id: user._id, model: "User", name: user.name, email: user.email },
+      match,
+      matter: null,
+    }));
+
+  return { hits, users: matched, truncated };
+}
+
+async function searchCases(users, excludeCaseId) {
+  if (!users.length) return [];
+  const byId = new Map(users.map((u) => [String(u.user._id), u]));
+  const ids = [...byId.keys()];
+
+  const filter = { isDeleted: { $ne: true }, $or: [{ client: { $in: ids } }, { respondent: { $in: ids } }] };
+  if (excludeCaseId && mongoose.isValidObjectId(excludeCaseId)) filter._id = { $ne: excludeCaseId };
+
+  const cases = await Case.find(filter)
+    .select("caseNumber title status client respondent filedBy assignedTo")
+    .populate("filedBy assignedTo", "name email")
+    .lean();
+
+  const hits = [];
+  for (const c of cases) {
+    for (const role of ["client", "respondent"]) {
+      const hit = c[role] && byId.get(String(c[role]));
+      if (!hit) continue;
+      hits.push({
+        source: "case",
+        role,
+        party: { _id: hit.user._id, model: "User", name: hit.user.name, email: hit.user.email },
+        match: hit.match,
+        matter: caseMatter(c),
+      });
+    }
+  }
+  return hits;
+}
+
+async function searchReconciliations(probe, users) {
+  const userIds = idSet(users.map((u) => u.user._id));
+  const or = [];
+  if (userIds.size) or.push({ "participants.user": { $in: [...userIds] } });
+  const e = emailPattern(probe.email);
+  const n = namePattern(probe.name);
+  if (e) or.push({ "participants.email": e });
+  if (n) or.push({ "participants.name": n });
+  if (!or.length) return { hits: [], truncated: false };
+
+  // Newest first; no per-participant ranking is possible here
+  const recons = await Reconciliation.find({ deletedAt: null, $or: or })
+    .select("title status scheduledAt caseRef participants")
+    .sort({ _id: -1 })
+    .limit(CANDIDATE_LIMIT + 1)
+    .lean();
+  const truncated = recons.length > CANDIDATE_LIMIT;
+  if (truncated) recons.length = CANDIDATE_LIMIT;
+
+  const userMatch = new Map(users.map((u) => [String(u.user._id), u]));
+  const hits = [];
+  for (const r of recons) {
+    for (const p of r.participants || []) {
+      const linked = p.user && userMatch.get(String(p.user));
+      const match = linked ? linked.match : scoreParty(probe, p);
+      if (!match.reasons.length) continue;
+      hits.push({
+        source: "reconciliation",
+        role: (p.role || "participant").toLowerCase(),
+        party: linked
+          ? { _id: linked.user._id, model: "User", name: linked.user.name, email: linked.user.email }
+          : { _id: null, model: "Contact", name: p.name, email: p.email },
+        match,
+        matter: { type: "reconciliation", _id: r._id, ref: r.title, status: r.status, caseRef: r.caseRef || null },
+      });
+    }
+  }
+  return { hits, truncated };
+}
+
+async function searchSessions(users, clientHits) {
+  const userMatch = new Map(users.map((u) => [String(u.user._id), { party: u.user, model: "User", match: u.match }]));
+  const clientMatch = new Map();
+  for (const h of clientHits) clientMatch.set(String(h.party._id), { party: h.party, model: "Client", match: h.match });
+
+  const refs = [...userMatch.keys(), ...clientMatch.keys()];
+  if (!refs.length) return { hits: [], truncated: false };
+
+  const sessions = await Session.find({ deletedAt: null, "parties.ref": { $in: refs } })
+    .select("title status scheduledAt caseRef parties")
+    .sort({ _id: -1 })
+    .limit(CANDIDATE_LIMIT + 1)
+    .lean();
+  const truncated = sessions.length > CANDIDATE_LIMIT;
+  if (truncated) sessions.length = CANDIDATE_LIMIT;
+
+  const hits = [];
+  for (const s of sessions) {
+    for (const p of s.parties || []) {
+      const found = (p.model === "Client" ? clientMatch : userMatch).get(String(p.ref));
+      if (!found) continue;
+      hits.push({
+        source: "session",
+        role: "party",
+        party: { _id: found.party._id, model: found.model, name: found.party.name, email: found.party.email },
+        match: found.match,
+        matter: { type: "session", _id: s._id, ref: s.title, status: s.status, caseRef: s.caseRef || null },
+      });
+    }
+  }
+  return { hits, truncated };
+}
+
+/* =======================================================
+   🔎 Search
+   ======================================================= */
+
+/**
+ * Search every source for the given parties.
+ * @param {{ parties: object[], excludeCaseId?: string, limit?: number }} opts
+ * @returns {Promise<{ clear: boolean, conflicts: number, hits: object[], truncated: boolean }>}
+ *          truncated: some candidates or hits were cut off — review before clearing
+ */
+export async function searchConflicts({ parties = [], excludeCaseId = null, limit = DEFAULT_LIMIT } = {}) {
+  const probes = (Array.isArray(parties) ? parties : []).map(toProbe).filter(hasSignal);
+  const merged = new Map();
+  let truncated = false;
+
+  for (let i = 0; i < probes.length; i++) {
+    const probe = probes[i];
+    const clientRes = await searchClients(probe, excludeCaseId);
+    const userRes = await searchUsers(probe);
+
+    // Client files point at portal Users; treat those as matched users too
+    const known = idSet(userRes.users.map((u) => u.user._id));
+    const extraIds = [...clientRes.linked.keys()].filter((id) => !known.has(id));
+    const linkedUsers = extraIds.length
+      ? (await User.find({ _id: { $in: extraIds } }).select("name email phone role").lean()).map((u) => ({
+          user: u,
+          match: clientRes.linked.get(String(u._id)),
+        }))
+      : [];
+    const users = [...userRes.users, ...linkedUsers];
+
+    const reconRes = await searchReconciliations(probe, users);
+    const sessionRes = await searchSessions(users, clientRes.hits);
+    truncated ||= clientRes.truncated || userRes.truncated || reconRes.truncated || sessionRes.truncated;
+
+    const raw = [
+      ...clientRes.hits,
+      ...userRes.hits,
+      ...(await searchCases(users, excludeCaseId)),
+      ...reconRes.hits,
+      ...sessionRes.hits,
+    ];
+
+    for (const h of raw) {
+      const hit = {
+        ...h,
+        score: h.match.score,
+        reasons: h.match.reasons,
+        severity: severityFor(probe.side, h.role),
+        query: { index: i, side: probe.side, name: probe.name, email: probe.email },
+      };
+      delete hit.match;
+
+      // Same party in the same matter via several sources: keep the strongest
+      const key = [i, hit.party.model, hit.party._id || hit.party.email, hit.matter?.type, hit.matter?._id, hit.role].join(":");
+      const prev = merged.get(key);
+      if (!prev || prev.score < hit.score) merged.set(key, hit);
+    }
+  }
+
+  const hits = [...merged.values()]
+    .sort((a, b) => (a.severity === b.severity ? b.score - a.score : a.severity === "conflict" ? -1 : 1))
+    .slice(0, limit);
+  truncated ||= merged.size > limit;
+
+  const conflicts = hits.filter((h) => h.severity === "conflict").length;
+  return { clear: conflicts === 0, conflicts, hits, truncated };
+}
+
+/* =======================================================
+   🧾 Recording on Case.history
+   ======================================================= */
+
+/**
+ * Record the outcome of a conflict check on the case history.
+ * "cleared" is only allowed when no conflicts were found; "waived" needs a reason.
+ */
+export async function recordConflictCheck(caseDoc, { resolution, parties, result, by, note = "" }) {
+  if (!CHECK_RESOLUTIONS.includes(resolution)) {
+    const err = new Error(`resolution must be one of: ${CHECK_RESOLUTIONS.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  if (resolution === "cleared" && result.conflicts > 0) {
+    const err = new Error("Conflicts were found — the check can only be waived, with a reason");
+    err.status = 409;
+    throw err;
+  }
+  if (resolution === "waived" && !String(note).trim()) {
+    const err = new Error("A reason is required to waive a conflict");
+    err.status = 400;
+    throw err;
+  }
+
+  const action = resolution === "cleared" ? "Conflict Check Cleared" : "Conflict Check Waived";
+  const summary = `${result.hits.length} hit(s), ${result.conflicts} conflict(s)${result.truncated ? " (results truncated)" : ""}`;
+  await caseDoc.addHistory(action, by, note ? `${summary} — ${note}` : summary, {
+    resolution,
+    checkedAt: new Date(),
+    parties: parties.map(toProbe),
+    conflicts: result.conflicts,
+    truncated: !!result.truncated,
+    hits: result.hits.slice(0, HISTORY_HIT_LIMIT).map((h) => ({
+      severity: h.severity,
+      role: h.role,
+      source: h.source,
+      score: h.score,
+      party: h.party,
+      matter: h.matter && { type: h.matter.type, _id: h.matter._id, ref: h.matter.ref },
+    })),
+  });
+  return caseDoc.history[caseDoc.history.length - 1];
+}
+
+export default { searchConflicts, recordConflictCheck, PARTY_SIDES, CHECK_RESOLUTIONS };
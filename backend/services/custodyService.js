@@ -0,0 +1,178 @@
+/**
+ * backend/services/custodyService.js
+ * ---------------------------------------------------------------------
+ * Chain of custody for evidence files.
+ *
+ *  - Files are SHA-256 hashed at ingest (Evidence.contentHash)
+ *  - Every custody event is appended to models/CustodyEvent.js, each entry
+ *    hashing the one before it
+ *  - checkIntegrity() re-hashes the stored object and walks the chain
+ *  - Evidence uploaded before the ledger existed gets a synthetic "upload"
+ *    genesis entry (from createdAt / uploadedBy / the ingest hash) the
+ *    first time anything is recorded for it
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+import CustodyEvent, { GENESIS_HASH } from "../models/CustodyEvent.js";
+import { openStoredFile } from "../controllers/uploadController.js";
+
+const APPEND_RETRIES = 5;
+const BACKFILL_DETAILS = "backfilled: uploaded before the custody ledger existed";
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref || null);
+
+function buildEntry(evidence, tip, fields) {
+  const entry = {
+    evidence: evidence._id,
+    seq: tip ? tip.seq + 1 : 0,
+    prevHash: tip ? tip.entryHash : GENESIS_HASH,
+    ...fields,
+  };
+  entry.entryHash = CustodyEvent.computeHash(entry);
+  return entry;
+}
+
+/* =======================================================
+   #️⃣ Hashing
+   ======================================================= */
+export const hashStream = (readable) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    readable.on("error", reject);
+    readable.on("data", (chunk) => hash.update(chunk));
+    readable.on("end", () => resolve(hash.digest("hex")));
+  });
+
+/** Hash a multer file (memory buffer or disk path) */
+export async function hashUploadedFile(file) {
+  if (file?.buffer) return crypto.createHash("sha256").update(file.buffer).digest("hex");
+  if (file?.path) return hashStream(fs.createReadStream(file.path));
+  throw new Error("Uploaded file has neither buffer nor path");
+}
+
+/* =======================================================
+   🧾 Append
+   ======================================================= */
+
+/** Synthetic "upload" entry at seq 0 for evidence that predates the ledger */
+const createGenesis = (evidence) =>
+  CustodyEvent.create(
+    buildEntry(evidence, null, {
+      action: "upload",
+      actor: refId(evidence.uploadedBy),
+      at: evidence.createdAt || new Date(),
+      ip: null,
+      userAgent: null,
+      contentHash: evidence.contentHash ?? null,
+      details: BACKFILL_DETAILS,
+    })
+  );
+
+/**
+ * Backfill the genesis entry if the evidence has no ledger yet.
+ * @returns {Promise<boolean>} true when an entry was written
+ */
+export async function ensureCustodyGenesis(evidence) {
+  if (await CustodyEvent.exists({ evidence: evidence._id })) return false;
+  try {
+    await createGenesis(evidence);
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false; // someone else started the ledger
+    throw err;
+  }
+}
+
+/**
+ * Append a custody event for an evidence item.
+ * Concurrent appends race on the unique (evidence, seq) index; the loser re-reads the tip and retries.
+ * @param {object} evidence  Evidence document (needs _id, contentHash)
+ * @param {string} action    one of CUSTODY_ACTIONS
+ * @param {object} req       express request (actor, ip, user agent) — optional
+ * @param {{ details?: string, contentHash?: string }} extra
+ */
+export async function recordCustodyEvent(evidence, action, req = null, extra = {}) {
+  for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+    let tip = await CustodyEvent.findOne({ evidence: evidence._id }).sort({ seq: -1 }).select("seq entryHash").lean();
+
+    try {
+      // Legacy evidence: write its upload as the genesis entry first
+      if (!tip && action !== "upload") tip = await createGenesis(evidence);
+
+      const entry = buildEntry(evidence, tip, {
+        action,
+        actor: req?.user?._id || null,
+        at: new Date(),
+        ip: req?.ip || null,
+        userAgent: req?.get?.("user-agent")?.slice(0, 300) || null,
+        contentHash: extra.contentHash ?? evidence.contentHash ?? null,
+        details: extra.details || null,
+      });
+      return await CustodyEvent.create(entry);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error("Could not append custody event (ledger contention)");
+}
+
+/* =======================================================
+   🔍 Verification
+   ======================================================= */
+
+/**
+ * Walk the ledger from genesis; reports the first broken link.
+ * Ledgers started before genesis entries were backfilled begin with some
+ * other action: their links are still checked, but the result is flagged
+ * `legacy` (upload not on the ledger) instead of reported as broken.
+ */
+export async function verifyCustodyChain(evidence) {
+  const events = await CustodyEvent.find({ evidence: evidence._id }).sort({ seq: 1 }).lean();
+  const legacy = events.length > 0 && events[0].action !== "upload";
+
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < events.length; i++) {
+    const e = events[i];
+    let reason = null;
+    if (e.seq !== i) reason = `missing entry before seq ${e.seq}`;
+    else if (e.prevHash !== prevHash) reason = "prevHash does not match previous entry";
+    else if (CustodyEvent.computeHash(e) !== e.entryHash) reason = "entry contents were modified";
+    else if (i === 0 && !legacy && evidence.contentHash && e.contentHash !== evidence.contentHash) {
+      reason = "content hash on the evidence record differs from the one recorded at upload";
+    }
+
+    if (reason) return { valid: false, legacy, length: events.length, brokenAt: e.seq, reason, events };
+    prevHash = e.entryHash;
+  }
+
+  if (!events.length) return { valid: false, legacy: false, length: 0, brokenAt: null, reason: "no custody entries", events };
+  return {
+    valid: true,
+    legacy,
+    length: events.length,
+    brokenAt: null,
+    reason: legacy ? "upload predates the custody ledger; chain verified from its first entry" : null,
+    headHash: prevHash,
+    events,
+  };
+}
+
+/** Re-hash the stored object and verify the ledger */
+export async function checkIntegrity(evidence) {
+  // The stored file is the current version; its hash is the one to match
+  const current = (evidence.versions || []).find((v) => v.version === evidence.currentVersion);
+  const file = { expected: current?.contentHash || evidence.contentHash || null, actual: null, matches: false, error: null };
+  try {
+    file.actual = await hashStream(await openStoredFile(evidence.fileKey, evidence.storageProvider));
+    file.matches = !!file.expected && file.actual === file.expected;
+    if (!file.expected) file.error = "no content hash was recorded at ingest";
+  } catch (err) {
+    file.error = err.message;
+  }
+
+  const { events, ...chain } = await verifyCustodyChain(evidence);
+  return { intact: file.matches && chain.valid, file, chain };
+}
+
+export default { hashStream, hashUploadedFile, recordCustodyEvent, ensureCustodyGenesis, verifyCustodyChain, checkIntegrity };
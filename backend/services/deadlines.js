@@ -0,0 +1,209 @@
+/**
+ * backend/services/deadlines.js
+ * ---------------------------------------------------------------------
+ * Computes and keeps deadline due dates current.
+ *
+ *  - A rule ("10 court days after the hearing") is applied to its trigger
+ *    with the court calendar of the case's jurisdiction (utils/courtDays.js)
+ *  - Triggers: the case's filing date or hearing date, a Hearing's start,
+ *    another Deadline's due day (chains), or a date typed in ("custom")
+ *  - recomputeFor*() are called wherever a trigger can move: case updates,
+ *    hearing updates, calendar edits. A moved due date is logged in the
+ *    deadline's history, assignees are told, and dependants follow
+ *
+ * Recompute failures are logged, never thrown back into the request that
+ * moved the trigger.
+ */
+
+import Deadline from "../models/Deadline.js";
+import CourtCalendar from "../models/CourtCalendar.js";
+import Case from "../models/Case.js";
+import Hearing from "../models/Hearing.js";
+import { computeDueDay, keyToDate, DEFAULT_CALENDAR } from "../utils/courtDays.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+import { deliverNotifications } from "./notificationDelivery.js";
+import logger from "../utils/logger.js";
+
+const CALENDAR_CACHE_MS = 60 * 1000;
+const MAX_CHAIN_DEPTH = 10;
+
+/* =======================================================
+   📅 Calendars
+   ======================================================= */
+const calendarCache = new Map();
+
+export const jurisdictionKey = (value) => String(value || "").trim().toLowerCase() || "default";
+
+/** Calendar for a jurisdiction, falling back to "default", then weekends only */
+export async function calendarFor(jurisdiction) {
+  const key = jurisdictionKey(jurisdiction);
+  const hit = calendarCache.get(key);
+  if (hit && Date.now() - hit.at < CALENDAR_CACHE_MS) return hit.calendar;
+
+  const found =
+    (await CourtCalendar.findOne({ jurisdiction: key }).lean()) ||
+    (key !== "default" && (await CourtCalendar.findOne({ jurisdiction: "default" }).lean())) ||
+    DEFAULT_CALENDAR;
+  calendarCache.set(key, { at: Date.now(), calendar: found });
+  return found;
+}
+
+export const invalidateCalendars = () => calendarCache.clear();
+
+/* =======================================================
+   🧮 Compute
+   ======================================================= */
+async function resolveTrigger(deadline, caseDoc) {
+  const { rule } = deadline;
+  switch (rule.source) {
+    case "custom":
+      return deadline.triggerDate ? { date: deadline.triggerDate } : { error: "No trigger date entered" };
+    case "case_filed":
+      return caseDoc.filedAt ? { date: caseDoc.filedAt } : { error: "Case has not been filed yet" };
+    case "case_hearing":
+      return caseDoc.hearingDate ? { date: caseDoc.hearingDate } : { error: "Case has no hearing date" };
+    case "hearing": {
+      const hearing = rule.hearing && (await Hearing.findById(rule.hearing).select("start status deletedAt").lean());
+      if (!hearing || hearing.deletedAt) return { error: "Triggering hearing no longer exists" };
+      if (hearing.status === "cancelled") return { error: "Triggering hearing was cancelled" };
+      return { date: hearing.start };
+    }
+    case "deadline": {
+      const parent = rule.deadline && (await Deadline.findById(rule.deadline).select("dueDay isDeleted").lean());
+      if (!parent || parent.isDeleted) return { error: "Triggering deadline no longer exists" };
+      if (!parent.dueDay) return { error: "Triggering deadline has no due date yet" };
+      // Use the day itself so chains don't drift across timezones
+      return { date: parent.dueDay };
+    }
+    default:
+      return { error: null };
+  }
+}
+
+/**
+ * Recompute one deadline in memory. Does not save.
+ * @returns {Promise<{ changed: boolean, fromDay: string|null }>}
+ */
+export async function computeDeadline(deadline, { by = null, reason = "Recomputed" } = {}) {
+  const fromDay = deadline.dueDay;
+  if (deadline.rule.source === "manual") return { changed: false, fromDay };
+
+  const caseDoc = await Case.findById(deadline.case).select("jurisdiction filedAt hearingDate").lean();
+  if (!caseDoc) return { changed: false, fromDay };
+
+  deadline.jurisdiction = jurisdictionKey(caseDoc.jurisdiction);
+  const trigger = await resolveTrigger(deadline, caseDoc);
+  deadline.computedAt = new Date();
+
+  if (!trigger.date) {
+    // Keep the last known due date, but flag it so nobody relies on it blindly
+    deadline.computeError = trigger.error;
+    return { changed: false, fromDay };
+  }
+
+  const calendar = await calendarFor(deadline.jurisdiction);
+  const { dueDay, skipped } = computeDueDay(trigger.date, deadline.rule, calendar);
+
+  if (deadline.rule.source !== "custom") {
+    deadline.triggerDate = typeof trigger.date === "string" ? keyToDate(trigger.date) : trigger.date;
+  }
+  deadline.dueDay = dueDay;
+  deadline.dueDate = keyToDate(dueDay);
+  deadline.skipped = skipped;
+  deadline.computeError = null;
+
+  const changed = fromDay !== dueDay;
+  if (changed) {
+    deadline.history.push({ by, fromDay, toDay: dueDay, reason });
+    deadline.remindedDays = [];
+  }
+  return { changed, fromDay };
+}
+
+/** Assignees, or the case's owner and assignee when nobody is assigned */
+async function deadlineRecipients(deadline) {
+  if (deadline.assignedTo?.length) return deadline.assignedTo;
+  const caseDoc = await Case.findById(deadline.case).select("filedBy assignedTo").lean();
+  return [caseDoc?.filedBy, caseDoc?.assignedTo];
+}
+
+async function notifyMoved(deadline, fromDay) {
+  try {
+    await deliverNotifications(await deadlineRecipients(deadline), {
+      title: `Deadline moved: ${deadline.title}`,
+      message: `"${deadline.title}" is now due ${deadline.dueDay}${fromDay ? ` (was ${fromDay})` : ""}.`,
+      type: "case_update",
+      link: `/dashboard/cases/${deadline.case}`,
+      relatedCase: deadline.case,
+    });
+  } catch (err) {
+    logger.warn(`Deadline notification failed for ${deadline._id}: ${err.message}`);
+  }
+}
+
+/**
+ * Recompute every open, rule-based deadline matching `filter`, then follow
+ * chains to deadlines triggered by the ones that moved.
+ * @returns {Promise<number>} how many due dates changed
+ */
+export async function recomputeDeadlines(filter, reason, depth = 0) {
+  const deadlines = await Deadline.find({
+    ...filter,
+    status: "open",
+    isDeleted: false,
+    "rule.source": { $ne: "manual" },
+  });
+
+  let moved = 0;
+  const movedIds = [];
+  for (const deadline of deadlines) {
+    const { changed, fromDay } = await computeDeadline(deadline, { reason });
+    await deadline.save();
+    if (!changed) continue;
+
+    moved += 1;
+    movedIds.push(deadline._id);
+    emitSocketEvent("deadline:updated", `case_${deadline.case}`, deadline.toJSON());
+    // First computation isn't a move
+    if (fromDay) await notifyMoved(deadline, fromDay);
+  }
+
+  if (movedIds.length && depth < MAX_CHAIN_DEPTH) {
+    moved += await recomputeDeadlines({ "rule.deadline": { $in: movedIds } }, "Triggering deadline moved", depth + 1);
+  }
+  return moved;
+}
+
+const safely = (label, fn) =>
+  fn().catch((err) => {
+    logger.error(`Deadline recompute (${label}) failed: ${err.message}`);
+    return 0;
+  });
+
+export const recomputeForCase = (caseId) => safely(`case ${caseId}`, () => recomputeDeadlines({ case: caseId }, "Case dates changed"));
+
+export const recomputeForHearing = (hearingId) =>
+  safely(`hearing ${hearingId}`, () => recomputeDeadlines({ "rule.hearing": hearingId }, "Hearing rescheduled"));
+
+/** After a calendar edit; "default" also covers jurisdictions without their own calendar */
+export async function recomputeForJurisdiction(jurisdiction) {
+  invalidateCalendars();
+  const key = jurisdictionKey(jurisdiction);
+  let filter = { jurisdiction: key };
+  if (key === "default") {
+    const own = (await CourtCalendar.find({}).select("jurisdiction").lean()).map((c) => c.jurisdiction);
+    filter = { jurisdiction: { $nin: own.filter((j) => j !== "default") } };
+  }
+  return safely(`jurisdiction ${key}`, () => recomputeDeadlines(filter, "Court calendar changed"));
+}
+
+export default {
+  jurisdictionKey,
+  calendarFor,
+  invalidateCalendars,
+  computeDeadline,
+  recomputeDeadlines,
+  recomputeForCase,
+  recomputeForHearing,
+  recomputeForJurisdiction,
+};
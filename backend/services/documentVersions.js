@@ -0,0 +1,195 @@
+/**
+ * backend/services/documentVersions.js
+ * ---------------------------------------------------------------------
+ * Version history for stored documents: case attachments and evidence.
+ *
+ *  - Each owner keeps `versions` (models/DocumentVersion.js) and a
+ *    `currentVersion`; the owner's own file fields always mirror the
+ *    current version, so existing readers keep working unchanged
+ *  - Records created before versioning get their current file seeded as v1
+ *    the first time they're touched
+ *  - Restoring appends a copy of the old version instead of rewinding
+ *  - Filing a version with a court locks it
+ *
+ * Functions mutate the document; callers save it. Errors are plain
+ * Errors with a `status`.
+ */
+
+/* =======================================================
+   🔌 Owner adapters — owner field ← version field
+   ======================================================= */
+const ADAPTERS = {
+  attachment: {
+    mirror: {
+      name: "name",
+      fileUrl: "fileUrl",
+      fileKey: "fileKey",
+      fileType: "fileType",
+      size: "size",
+      uploadedBy: "uploadedBy",
+      uploadedAt: "uploadedAt",
+    },
+    seed: () => ({}),
+  },
+  evidence: {
+    // uploadedBy / contentHash stay as recorded at ingest (chain of custody)
+    mirror: {
+      fileName: "name",
+      fileUrl: "fileUrl",
+      fileKey: "fileKey",
+      fileType: "fileType",
+      fileSize: "size",
+      storageProvider: "storageProvider",
+    },
+    seed: (e) => ({ contentHash: e.contentHash, uploadedBy: e.uploadedBy, uploadedAt: e.createdAt }),
+  },
+};
+
+const FILE_FIELDS = ["name", "fileUrl", "fileKey", "fileType", "size", "storageProvider", "contentHash"];
+const DIFF_FIELDS = ["name", "fileType", "size", "contentHash", "uploadedBy", "uploadedAt", "note", "restoredFrom", "filing"];
+
+const versionError = (status, message) => Object.assign(new Error(message), { status });
+
+const adapterFor = (kind) => {
+  const adapter = ADAPTERS[kind];
+  if (!adapter) throw new Error(`Unknown versioned document kind: ${kind}`);
+  return adapter;
+};
+
+/** Seed v1 from the owner's current file if it has no history yet */
+export function ensureVersions(doc, kind) {
+  if (doc.versions?.length) return doc;
+  const { mirror, seed } = adapterFor(kind);
+  const first = { version: 1, ...seed(doc) };
+  for (const [ownerField, versionField] of Object.entries(mirror)) {
+    if (doc[ownerField] !== undefined && first[versionField] === undefined) first[versionField] = doc[ownerField];
+  }
+  doc.versions = [first];
+  doc.currentVersion = 1;
+  return doc;
+}
+
+function mirrorVersion(doc, kind, version) {
+  for (const [ownerField, versionField] of Object.entries(adapterFor(kind).mirror)) {
+    doc[ownerField] = version[versionField];
+  }
+  doc.currentVersion = version.version;
+}
+
+export const hasFiledVersion = (doc) => (doc.versions || []).some((v) => v.filing?.filedAt);
+
+export const currentVersionOf = (doc) => (doc.versions || []).find((v) => v.version === doc.currentVersion) || null;
+
+/** Version `n` of a document, or a 404 error */
+export function findVersion(doc, n) {
+  const version = (doc.versions || []).find((v) => v.version === Number(n));
+  if (!version) throw versionError(404, `Version ${n} not found`);
+  return version;
+}
+
+/* =======================================================
+   ✍️ Mutations
+   ======================================================= */
+
+/**
+ * Append a new version and make it current.
+ * @param {object} doc attachment subdocument or Evidence
+ * @param {"attachment"|"evidence"} kind
+ * @param {{ name?, fileUrl?, fileKey?, fileType?, size?, storageProvider?, contentHash? }} file
+ * @param {string} userId
+ * @param {{ note?: string, restoredFrom?: number }} [opts]
+ * @returns {object} the new version
+ */
+export function addVersion(doc, kind, file, userId, { note = "", restoredFrom = null } = {}) {
+  if (!file?.fileUrl && !file?.fileKey) throw versionError(400, "fileUrl or fileKey is required");
+  ensureVersions(doc, kind);
+
+  const current = currentVersionOf(doc);
+  const next = { version: Math.max(...doc.versions.map((v) => v.version)) + 1 };
+  for (const field of FILE_FIELDS) {
+    next[field] = file[field] ?? (field === "name" ? current?.name : null);
+  }
+  Object.assign(next, { uploadedBy: userId, uploadedAt: new Date(), note: String(note || "").slice(0, 500), restoredFrom });
+
+  doc.versions.push(next);
+  const saved = doc.versions[doc.versions.length - 1];
+  mirrorVersion(doc, kind, saved);
+  return saved;
+}
+
+/** Make an older version current again by appending a copy of it */
+export function restoreVersion(doc, kind, n, userId) {
+  ensureVersions(doc, kind);
+  const source = findVersion(doc, n);
+  if (source.version === doc.currentVersion) throw versionError(409, `Version ${n} is already the current version`);
+
+  const file = Object.fromEntries(FILE_FIELDS.map((f) => [f, source[f]]));
+  return addVersion(doc, kind, file, userId, { note: `Restored from v${source.version}`, restoredFrom: source.version });
+}
+
+/** Record that version `n` was filed with a court; locks it */
+export function fileVersion(doc, kind, n, userId, { court = "", reference = "", filedAt } = {}) {
+  ensureVersions(doc, kind);
+  const version = findVersion(doc, n);
+  if (version.filing?.filedAt) throw versionError(409, `Version ${n} was already filed and is locked`);
+
+  const when = filedAt ? new Date(filedAt) : new Date();
+  if (isNaN(when)) throw versionError(400, "Invalid filedAt date");
+  version.filing = { filedAt: when, filedBy: userId, court: String(court).trim(), reference: String(reference).trim() };
+  return version;
+}
+
+/* =======================================================
+   🔍 Reading
+   ======================================================= */
+const comparable = (value) => {
+  if (value == null || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === "ObjectId" || value._bsontype === "ObjectID") return String(value);
+  if (typeof value === "object") return JSON.stringify(typeof value.toObject === "function" ? value.toObject() : value);
+  return value;
+};
+
+/** Metadata differences between two versions */
+export function diffVersions(doc, kind, from, to) {
+  ensureVersions(doc, kind);
+  const a = findVersion(doc, from);
+  const b = findVersion(doc, to);
+
+  const changes = DIFF_FIELDS.filter((field) => comparable(a[field]) !== comparable(b[field])).map((field) => ({
+    field,
+    from: a[field] ?? null,
+    to: b[field] ?? null,
+  }));
+
+  return {
+    from: a.version,
+    to: b.version,
+    // null when either side has no recorded hash
+    sameContent: a.contentHash && b.contentHash ? a.contentHash === b.contentHash : null,
+    changes,
+  };
+}
+
+/** Versions newest first, without storage keys */
+export function serializeVersions(doc, kind) {
+  ensureVersions(doc, kind);
+  return [...doc.versions]
+    .map((v) => {
+      const { fileKey, ...rest } = typeof v.toObject === "function" ? v.toObject() : { ...v };
+      return { ...rest, current: v.version === doc.currentVersion, locked: !!v.filing?.filedAt };
+    })
+    .sort((a, b) => b.version - a.version);
+}
+
+export default {
+  ensureVersions,
+  addVersion,
+  restoreVersion,
+  fileVersion,
+  findVersion,
+  currentVersionOf,
+  hasFiledVersion,
+  diffVersions,
+  serializeVersions,
+};
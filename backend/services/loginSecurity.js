@@ -0,0 +1,207 @@
+/**
+ * backend/services/loginSecurity.js
+ * ---------------------------------------------------------------------
+ * Per-account brute-force protection and sign-in auditing.
+ *
+ *  - Every password / 2FA attempt is written to LoginAttempt with IP and UA
+ *  - After LOGIN_FREE_ATTEMPTS failures each further try must wait
+ *    1s, 2s, 4s … (max 60s) after the previous failure
+ *  - At LOGIN_LOCK_THRESHOLD failures the account locks for
+ *    LOGIN_LOCK_MINUTES, doubling with each consecutive lock (max 24h)
+ *  - A successful sign-in from a device or network the user has never
+ *    signed in from before raises an `alert` notification
+ *
+ * The lock lives in User.loginSecurity; `status` is left to admins.
+ */
+
+import crypto from "crypto";
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { deliverNotification } from "./notificationDelivery.js";
+import logger from "../utils/logger.js";
+
+const FREE_ATTEMPTS = Number(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 10;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 60;
+
+const loginError = (status, code, message, retryAfterMs) =>
+  Object.assign(new Error(message), { status, code, retryAfter: Math.ceil(retryAfterMs / 1000) });
+
+/* =======================================================
+   🧭 Device / location fingerprint
+   ======================================================= */
+// Version numbers change with every browser update; the browser + OS family doesn't
+const deviceHashOf = (userAgent) =>
+  userAgent
+    ? crypto.createHash("sha256").update(userAgent.replace(/[\d._]+/g, "").toLowerCase()).digest("hex").slice(0, 32)
+    : null;
+
+const COUNTRY_HEADERS = ["cf-ipcountry", "cloudfront-viewer-country", "x-vercel-ip-country", "x-country-code"];
+
+// Country when a CDN tells us, otherwise the IP's network (/16 for IPv4, /48 for IPv6)
+function locationOf(req, ip) {
+  for (const header of COUNTRY_HEADERS) {
+    const country = req.get(header);
+    if (country && country !== "XX") return `country:${country.toUpperCase()}`;
+  }
+  if (!ip) return null;
+  const bare = ip.replace(/^::ffff:/, "");
+  if (bare.includes(".")) return `net:${bare.split(".").slice(0, 2).join(".")}`;
+  return `net:${bare.split(":").slice(0, 3).join(":")}`;
+}
+
+const clientOf = (req) => {
+  const ip = req.ip || req.socket?.remoteAddress || null;
+  const userAgent = req.get("user-agent")?.slice(0, 300) || null;
+  return { ip, userAgent, deviceHash: deviceHashOf(userAgent), location: locationOf(req, ip) };
+};
+
+/* =======================================================
+   📝 Audit
+   ======================================================= */
+export function recordAttempt(req, { email, user = null, stage = "password", success, outcome }) {
+  return LoginAttempt.create({
+    email: email || user?.email || null,
+    user: user?._id || null,
+    stage,
+    success,
+    outcome,
+    ...clientOf(req),
+  }).catch((err) => logger.warn(`LoginAttempt write failed: ${err.message}`));
+}
+
+export async function recentAttempts(userId, limit = 50) {
+  return LoginAttempt.find({ user: userId }).sort({ at: -1 }).limit(Math.min(limit, 200)).lean();
+}
+
+/* =======================================================
+   ⏳ Throttle + lock
+   ======================================================= */
+export const delayFor = (failed) =>
+  failed < FREE_ATTEMPTS ? 0 : Math.min(2 ** (failed - FREE_ATTEMPTS), MAX_DELAY_SECONDS) * 1000;
+
+/** Throws 423 (locked) or 429 (too soon after the last failure) */
+export function assertCanAttempt(user, now = Date.now()) {
+  const sec = user.loginSecurity || {};
+
+  if (sec.lockedUntil && sec.lockedUntil.getTime() > now) {
+    const ms = sec.lockedUntil.getTime() - now;
+    throw loginError(
+      423,
+      "ACCOUNT_LOCKED",
+      `Account temporarily locked after repeated failed sign-ins. Try again in ${Math.ceil(ms / 60000)} minute(s) or reset your password.`,
+      ms
+    );
+  }
+
+  // A lock that has run out starts a fresh count (see registerFailure)
+  if (sec.lockedUntil) return;
+
+  const wait = sec.lastFailedAt ? sec.lastFailedAt.getTime() + delayFor(sec.failedAttempts || 0) - now : 0;
+  if (wait > 0) {
+    throw loginError(429, "LOGIN_THROTTLED", `Too many failed attempts. Try again in ${Math.ceil(wait / 1000)}s.`, wait);
+  }
+}
+
+async function notify(user, title, message) {
+  await deliverNotification(user._id, { title, message, type: "alert", link: "/dashboard/settings" });
+}
+
+/**
+ * Count a failed password / code. Locks the account once the threshold is hit.
+ * @returns {Promise<{ locked: boolean, lockedUntil?: Date, retryAfterMs: number }>}
+ */
+export async function registerFailure(user, now = new Date()) {
+  const sec = user.loginSecurity || {};
+  const lockExpired = sec.lockedUntil && sec.lockedUntil <= now;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    lockExpired
+      ? { $set: { "loginSecurity.failedAttempts": 1, "loginSecurity.lastFailedAt": now, "loginSecurity.lockedUntil": null } }
+      : { $inc: { "loginSecurity.failedAttempts": 1 }, $set: { "loginSecurity.lastFailedAt": now } },
+    { new: true }
+  ).select("name email loginSecurity");
+  if (!updated) return { locked: false, retryAfterMs: 0 };
+
+  const { failedAttempts, lockCount = 0 } = updated.loginSecurity;
+  if (failedAttempts < LOCK_THRESHOLD) return { locked: false, retryAfterMs: delayFor(failedAttempts) };
+
+  const minutes = Math.min(LOCK_MINUTES * 2 ** lockCount, MAX_LOCK_MINUTES);
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "loginSecurity.lockedUntil": lockedUntil }, $inc: { "loginSecurity.lockCount": 1 } }
+  );
+
+  logger.warn(`🔒 Account ${updated.email} locked for ${minutes} min after ${failedAttempts} failed sign-ins`);
+  await notify(
+    updated,
+    "Account temporarily locked",
+    `Your account was locked for ${minutes} minutes after ${failedAttempts} failed sign-in attempts. ` +
+      "If this wasn't you, reset your password and enable two-factor authentication."
+  );
+  return { locked: true, lockedUntil, retryAfterMs: minutes * 60 * 1000 };
+}
+
+/**
+ * Record a completed sign-in: clear the failure counters and alert the
+ * user if the device or network is one they have not used before.
+ */
+export async function registerSuccess(user, req, { stage = "password" } = {}) {
+  const client = clientOf(req);
+
+  // Compare against earlier successes before this one is recorded
+  const [hasHistory, knownDevice, knownLocation] = await Promise.all([
+    LoginAttempt.exists({ user: user._id, success: true }),
+    client.deviceHash ? LoginAttempt.exists({ user: user._id, success: true, deviceHash: client.deviceHash }) : true,
+    client.location ? LoginAttempt.exists({ user: user._id, success: true, location: client.location }) : true,
+  ]);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "loginSecurity.failedAttempts": 0,
+        "loginSecurity.lockedUntil": null,
+        "loginSecurity.lockCount": 0,
+        lastLogin: new Date(),
+      },
+    }
+  );
+  await recordAttempt(req, { user, stage, success: true, outcome: "success" });
+
+  // First ever sign-in has nothing to compare against
+  if (hasHistory && (!knownDevice || !knownLocation)) {
+    const what = !knownDevice && !knownLocation ? "a new device and location" : !knownDevice ? "a new device" : "a new location";
+    await notify(
+      user,
+      "New sign-in to your account",
+      `Your account was signed in from ${what} (IP ${client.ip || "unknown"}, ${client.userAgent || "unknown browser"}) ` +
+        `at ${new Date().toISOString()}. If this wasn't you, sign out that session in Settings and change your password.`
+    );
+  }
+}
+
+/** Admin override — clear a lock early */
+export async function unlockAccount(userId) {
+  const res = await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "loginSecurity.failedAttempts": 0, "loginSecurity.lockedUntil": null, "loginSecurity.lockCount": 0 },
+    }
+  );
+  return res.matchedCount > 0;
+}
+
+export default {
+  recordAttempt,
+  recentAttempts,
+  delayFor,
+  assertCanAttempt,
+  registerFailure,
+  registerSuccess,
+  unlockAccount,
+};
@@ -0,0 +1,358 @@
+/**
+ * backend/services/notificationDelivery.js
+ * ---------------------------------------------------------------------
+ * The one way notifications are created. Every sender (controllers,
+ * reminders, deadlines, billing, security alerts) goes through
+ * deliverNotifications(), which applies each recipient's preferences
+ * (User.notificationPreferences):
+ *
+ *  - Channels per notification type: in-app, email, digest. A type with
+ *    no channel on is dropped; digest-only items are stored but kept out
+ *    of the in-app list until the digest picks them up
+ *  - Quiet hours, in the user's timezone: no socket push, and emails are
+ *    held until the quiet window ends ("notifications:email" job).
+ *    Security alerts ignore quiet hours.
+ *  - Digests: a recurring "notifications:digest" sweep mails each user's
+ *    unread digest items once a day or once a week at their chosen hour
+ */
+
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { defineJob, enqueue, every } from "./scheduler.js";
+import { emitSocketEvent } from "../utils/socketEmitter.js";
+import { sendMail } from "../utils/mailer.js";
+import { dayKey, weekday } from "../utils/courtDays.js";
+import logger from "../utils/logger.js";
+
+const DIGEST_SWEEP_MS = Number(process.env.DIGEST_SWEEP_MS || 15 * 60 * 1000);
+const DIGEST_MAX_ITEMS = 50;
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+/* =======================================================
+   ⚙️ Preference model
+   ======================================================= */
+export const NOTIFICATION_TYPES = Notification.schema.path("type").enumValues;
+export const CHANNELS = ["inApp", "email", "digest"];
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+const DEFAULT_CHANNELS = { inApp: true, email: false, digest: false };
+const TYPE_DEFAULTS = {
+  alert: { inApp: true, email: true, digest: false },
+  billing: { inApp: true, email: true, digest: false },
+};
+
+// Admin notices and security alerts can't be muted in the app
+export const LOCKED_IN_APP = ["system", "alert"];
+const IGNORES_QUIET_HOURS = ["alert"];
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const prefError = (message) => Object.assign(new Error(message), { status: 400 });
+
+export const isValidTimezone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const channelMap = (prefs) => {
+  const channels = prefs?.channels;
+  if (!channels) return {};
+  return channels instanceof Map ? Object.fromEntries(channels) : channels;
+};
+
+/** Effective channels for one type */
+export function resolveChannels(prefs, type) {
+  const stored = channelMap(prefs)[type];
+  const plain = stored && typeof stored.toObject === "function" ? stored.toObject() : stored || {};
+  const channels = { ...DEFAULT_CHANNELS, ...TYPE_DEFAULTS[type], ...plain };
+  if (LOCKED_IN_APP.includes(type)) channels.inApp = true;
+  return channels;
+}
+
+/** Full preferences with defaults filled in, as shown to the user */
+export function describePreferences(prefs = {}) {
+  return {
+    timezone: prefs.timezone || "UTC",
+    quietHours: {
+      enabled: !!prefs.quietHours?.enabled,
+      start: prefs.quietHours?.start || "22:00",
+      end: prefs.quietHours?.end || "07:00",
+    },
+    digest: {
+      frequency: prefs.digest?.frequency || "off",
+      hour: prefs.digest?.hour ?? 8,
+      weekday: prefs.digest?.weekday ?? 1,
+      lastSentAt: prefs.digest?.lastSentAt || null,
+    },
+    channels: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, resolveChannels(prefs, type)])),
+    lockedInApp: LOCKED_IN_APP,
+  };
+}
+
+/**
+ * Validate a preferences update and merge it over the current ones.
+ * Unknown types / channels are rejected rather than silently stored.
+ */
+export function mergePreferences(current = {}, input = {}) {
+  const next = describePreferences(current);
+
+  if (input.timezone !== undefined) {
+    if (!isValidTimezone(input.timezone)) throw prefError(`Unknown timezone: ${input.timezone}`);
+    next.timezone = input.timezone;
+  }
+
+  if (input.quietHours) {
+    const { enabled, start, end } = input.quietHours;
+    for (const value of [start, end]) {
+      if (value !== undefined && !HHMM.test(value)) throw prefError("Quiet hours must be HH:MM (24h)");
+    }
+    if (enabled !== undefined) next.quietHours.enabled = !!enabled;
+    if (start !== undefined) next.quietHours.start = start;
+    if (end !== undefined) next.quietHours.end = end;
+  }
+
+  if (input.digest) {
+    const { frequency, hour, weekday: day } = input.digest;
+    if (frequency !== undefined && !DIGEST_FREQUENCIES.includes(frequency)) throw prefError("Unknown digest frequency");
+    if (hour !== undefined && !(Number.isInteger(Number(hour)) && hour >= 0 && hour <= 23)) throw prefError("Digest hour must be 0-23");
+    if (day !== undefined && !(Number.isInteger(Number(day)) && day >= 0 && day <= 6)) throw prefError("Digest weekday must be 0-6");
+    if (frequency !== undefined) next.digest.frequency = frequency;
+    if (hour !== undefined) next.digest.hour = Number(hour);
+    if (day !== undefined) next.digest.weekday = Number(day);
+  }
+
+  for (const [type, channels] of Object.entries(input.channels || {})) {
+    if (!NOTIFICATION_TYPES.includes(type)) throw prefError(`Unknown notification type: ${type}`);
+    for (const [channel, on] of Object.entries(channels || {})) {
+      if (!CHANNELS.includes(channel)) throw prefError(`Unknown channel: ${channel}`);
+      next.channels[type][channel] = !!on;
+    }
+    if (LOCKED_IN_APP.includes(type)) next.channels[type].inApp = true;
+  }
+
+  const { lockedInApp, ...stored } = next;
+  stored.digest = { ...stored.digest, lastSentAt: current.digest?.lastSentAt || null, lastSentKey: current.digest?.lastSentKey || null };
+  return stored;
+}
+
+/* =======================================================
+   🌙 Quiet hours
+   ======================================================= */
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).formatToParts(date);
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value || 0);
+  return get("hour") * 60 + get("minute");
+}
+
+/**
+ * When the current quiet window ends, or null if it's not quiet now.
+ * @returns {Date|null}
+ */
+export function quietUntil(prefs, now = new Date()) {
+  const quiet = prefs?.quietHours;
+  if (!quiet?.enabled || !HHMM.test(quiet.start || "") || !HHMM.test(quiet.end || "")) return null;
+
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  if (start === end) return null;
+
+  const minute = localMinutes(now, prefs.timezone || "UTC");
+  const inside = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - minute + 1440) % 1440;
+  const until = new Date(now.getTime() + minutesLeft * 60000);
+  until.setSeconds(0, 0);
+  return until;
+}
+
+/* =======================================================
+   🚚 Delivery
+   ======================================================= */
+
+/**
+ * Insert what can be inserted: with ordered: false a bad row only costs its
+ * own recipient. Validation failures are dropped by insertMany itself; write
+ * errors reject with the rows that did go in on `insertedDocs`.
+ */
+async function insertNotifications(docs) {
+  try {
+    const inserted = await Notification.insertMany(docs, { ordered: false });
+    if (inserted.length < docs.length) {
+      logger.warn(`Stored ${inserted.length} of ${docs.length} notifications; the rest failed validation`);
+    }
+    return inserted;
+  } catch (err) {
+    if (!Array.isArray(err.insertedDocs)) throw err;
+    logger.warn(`Stored ${err.insertedDocs.length} of ${docs.length} notifications: ${err.message}`);
+    return err.insertedDocs;
+  }
+}
+
+/**
+ * Create notifications for each recipient according to their preferences.
+ * @param {Array<string|ObjectId>} recipientIds
+ * @param {{ title, message, type?, link?, sender?, relatedCase?, relatedTask?, ...rest }} data
+ * @param {{ push?: boolean }} [opts] push: false when the caller signals
+ *   recipients another way (e.g. a system:notice broadcast)
+ * @returns {Promise<object[]>} the created notifications
+ */
+export async function deliverNotifications(recipientIds, data, { push = true } = {}) {
+  const ids = [...new Set([].concat(recipientIds || []).filter(Boolean).map(String))];
+  if (!ids.length) return [];
+
+  const type = data.type || "general";
+  const users = await User.find({ _id: { $in: ids } }).select("notificationPreferences").lean();
+  const prefsById = new Map(users.map((u) => [String(u._id), u.notificationPreferences || {}]));
+
+  const now = new Date();
+  const plans = [];
+  for (const id of ids) {
+    const prefs = prefsById.get(id);
+    if (!prefs) continue; // deleted user
+    const channels = resolveChannels(prefs, type);
+    if (!channels.inApp && !channels.email && !channels.digest) continue;
+    const quiet = IGNORES_QUIET_HOURS.includes(type) ? null : quietUntil(prefs, now);
+    plans.push({ recipient: id, channels, quiet });
+  }
+  if (!plans.length) return [];
+
+  const notifications = await insertNotifications(plans.map(({ recipient, channels }) => ({ ...data, type, recipient, channels })));
+
+  // Rejected rows leave gaps, so pair each stored notification with its plan by recipient
+  const planByRecipient = new Map(plans.map((plan) => [plan.recipient, plan]));
+  for (const notification of notifications) {
+    const { recipient, channels, quiet } = planByRecipient.get(String(notification.recipient));
+    if (push && channels.inApp && !quiet) {
+      emitSocketEvent("notification:new", `user_${recipient}`, notification.toJSON());
+    }
+    if (channels.email) {
+      await enqueue("notifications:email", { notificationId: String(notification._id) }, { runAt: quiet || now, maxAttempts: 3 }).catch(
+        (err) => logger.warn(`Could not queue notification email for ${recipient}: ${err.message}`)
+      );
+    }
+  }
+  return notifications;
+}
+
+/** Single-recipient convenience; never throws (a notice must not break its caller) */
+export async function deliverNotification(recipientId, data, opts) {
+  try {
+    const [notification] = await deliverNotifications([recipientId], data, opts);
+    return notification || null;
+  } catch (err) {
+    logger.warn(`Notification for ${recipientId} failed: ${err.message}`);
+    return null;
+  }
+}
+
+/* =======================================================
+   ✉️ Jobs
+   ======================================================= */
+const linkLine = (link) => (link ? `\n${link.startsWith("http") ? link : `${FRONTEND_URL}${link}`}` : "");
+
+defineJob("notifications:email", async ({ notificationId }) => {
+  const notification = await Notification.findById(notificationId);
+  if (!notification || notification.isDeleted || notification.emailedAt) return { skipped: true };
+
+  const user = await User.findById(notification.recipient).select("email name status").lean();
+  if (!user?.email || user.status !== "active") return { skipped: true };
+
+  await sendMail({
+    to: user.email,
+    subject: notification.title,
+    text: `Hello ${user.name || ""},\n\n${notification.message}${linkLine(notification.link)}\n\n— LawBridge\nManage notification settings: ${FRONTEND_URL}/dashboard/settings\n`,
+  });
+  notification.emailedAt = new Date();
+  await notification.save();
+  return { sent: true };
+});
+
+/** Is the user's digest due at `now`? Returns the local day key to claim, or null */
+function digestDueKey(prefs, now) {
+  const digest = prefs?.digest;
+  if (!digest || !["daily", "weekly"].includes(digest.frequency)) return null;
+
+  const timezone = prefs.timezone || "UTC";
+  const today = dayKey(now, timezone);
+  if (digest.lastSentKey === today) return null;
+  if (localMinutes(now, timezone) < (digest.hour ?? 8) * 60) return null;
+  if (digest.frequency === "weekly" && weekday(today) !== (digest.weekday ?? 1)) return null;
+  return today;
+}
+
+async function sendDigest(user, key, now) {
+  // Claim the day first so a second sweeper skips this user
+  const claimed = await User.updateOne(
+    { _id: user._id, "notificationPreferences.digest.lastSentKey": user.notificationPreferences.digest.lastSentKey ?? null },
+    { $set: { "notificationPreferences.digest.lastSentKey": key, "notificationPreferences.digest.lastSentAt": now } }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  const items = await Notification.find({
+    recipient: user._id,
+    "channels.digest": true,
+    digestedAt: null,
+    isRead: false,
+    isDeleted: false,
+  })
+    .sort({ createdAt: -1 })
+    .limit(DIGEST_MAX_ITEMS)
+    .lean();
+  if (!items.length) return false;
+
+  const period = user.notificationPreferences.digest.frequency === "weekly" ? "weekly" : "daily";
+  const lines = items.map((n) => `• ${n.title}\n  ${n.message}${linkLine(n.link).replace("\n", "\n  ")}`);
+  await sendMail({
+    to: user.email,
+    subject: `Your ${period} LawBridge digest — ${items.length} unread update${items.length === 1 ? "" : "s"}`,
+    text: `Hello ${user.name || ""},\n\nHere is what you haven't read yet:\n\n${lines.join("\n\n")}\n\n— LawBridge\nManage notification settings: ${FRONTEND_URL}/dashboard/settings\n`,
+  });
+  await Notification.updateMany({ _id: { $in: items.map((n) => n._id) } }, { $set: { digestedAt: now } });
+  return true;
+}
+
+defineJob("notifications:digest", async () => {
+  const now = new Date();
+  const users = User.find({
+    status: "active",
+    email: { $ne: null },
+    "notificationPreferences.digest.frequency": { $in: ["daily", "weekly"] },
+  })
+    .select("email name notificationPreferences")
+    .lean()
+    .cursor();
+
+  let sent = 0;
+  for await (const user of users) {
+    const key = digestDueKey(user.notificationPreferences, now);
+    if (!key) continue;
+    try {
+      if (await sendDigest(user, key, now)) sent++;
+    } catch (err) {
+      logger.warn(`Digest for ${user._id} failed: ${err.message}`);
+    }
+  }
+  if (sent) logger.info(`📬 Sent ${sent} notification digest(s)`);
+  return { sent };
+});
+
+export async function initNotificationJobs() {
+  await every("notifications:digest", DIGEST_SWEEP_MS);
+}
+
+export default {
+  deliverNotifications,
+  deliverNotification,
+  resolveChannels,
+  describePreferences,
+  mergePreferences,
+  quietUntil,
+  initNotificationJobs,
+};
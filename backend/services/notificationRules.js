@@ -0,0 +1,140 @@
+/**
+ * backend/services/notificationRules.js
+ * ---------------------------------------------------------------------
+ * Who may notify whom, and what the notification says.
+ *
+ *  - Admins may notify any active user, and broadcast to whole roles
+ *  - Everyone else notifies people through a case: they need at least
+ *    comment access to `relatedCase`, and every recipient must have
+ *    access to that case too (see services/casePolicy.js)
+ *  - Each `type` has a template: title and message wording, and whether
+ *    only admins may send it
+ *
+ * Errors are plain Errors with a `status`.
+ */
+
+import mongoose from "mongoose";
+import Case from "../models/Case.js";
+import User from "../models/User.js";
+import { can, resolveCaseCapability } from "./casePolicy.js";
+
+export const BROADCAST_ROLES = User.schema.path("role").enumValues;
+export const BANNER_LEVELS = ["info", "warning", "critical"];
+
+// Direct (non-broadcast) sends from non-admins are also capped per request
+const MAX_DIRECT_RECIPIENTS = 25;
+
+/* =======================================================
+   🧾 Templates — {{placeholders}} come from renderVars()
+   ======================================================= */
+export const NOTIFICATION_TEMPLATES = {
+  general: { title: "Message from {{sender}}", message: "{{note}}" },
+  message: { title: "New message from {{sender}}", message: "{{note}}" },
+  case_update: { title: "Case update: {{case}}", message: "{{sender}} posted an update on {{case}}. {{note}}" },
+  task_update: { title: "Task update on {{case}}", message: "{{sender}}: {{note}}" },
+  adr_update: { title: "ADR update on {{case}}", message: "{{sender}}: {{note}}" },
+  document: { title: "Document shared on {{case}}", message: "{{sender}} shared a document on {{case}}. {{note}}" },
+  reminder: { title: "Reminder: {{case}}", message: "{{note}}" },
+  // Operational notices are admin-only
+  system: { title: "System notice", message: "{{note}}", adminOnly: true },
+  alert: { title: "Important notice", message: "{{note}}", adminOnly: true },
+  billing: { title: "Billing notice", message: "{{note}}", adminOnly: true },
+};
+
+const ruleError = (status, message) => Object.assign(new Error(message), { status });
+
+const isAdmin = (user) => String(user?.role || "").toLowerCase() === "admin";
+
+const interpolate = (text, vars) =>
+  text
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => vars[key] ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+function renderVars(sender, caseDoc, note) {
+  return {
+    sender: sender?.name || "A colleague",
+    case: caseDoc ? caseDoc.caseNumber || caseDoc.title || "your case" : "",
+    note: String(note || "").trim(),
+  };
+}
+
+/**
+ * Title and message for a notification of `type`.
+ * The sender's text becomes {{note}} in the template message; an explicit
+ * `title` replaces the template title.
+ */
+export function renderNotification(type, { title, message } = {}, { sender, caseDoc } = {}) {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) throw ruleError(400, `Unknown notification type: ${type}`);
+
+  const vars = renderVars(sender, caseDoc, message);
+  if (!vars.note) throw ruleError(400, "Message is required.");
+  return {
+    title: (String(title || "").trim() || interpolate(template.title, vars)).slice(0, 200),
+    message: interpolate(template.message, vars).slice(0, 1000),
+  };
+}
+
+/* =======================================================
+   🎯 Recipients
+   ======================================================= */
+const toIds = (value) => [...new Set([].concat(value || []).map(String).filter(Boolean))];
+
+async function loadCase(caseId) {
+  if (!mongoose.isValidObjectId(caseId)) throw ruleError(400, "relatedCase must be a valid case id.");
+  const caseDoc = await Case.findOne({ _id: caseId, isDeleted: { $ne: true } })
+    .select("title caseNumber filedBy createdBy assignedTo team sharedWith sharedLogs participants")
+    .lean();
+  if (!caseDoc) throw ruleError(404, "Related case not found.");
+  return caseDoc;
+}
+
+/**
+ * Decide who a notification may go to.
+ * @param {object} sender req.user
+ * @param {{ type?, recipientId?, targetRoles?, relatedCase? }} body
+ * @returns {Promise<{ type, recipients: ObjectId[], broadcastRoles: string[], caseDoc: object|null }>}
+ */
+export async function resolveRecipients(sender, { type = "general", recipientId, targetRoles, relatedCase } = {}) {
+  const admin = isAdmin(sender);
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) throw ruleError(400, `Unknown notification type: ${type}`);
+  if (template.adminOnly && !admin) throw ruleError(403, `Only administrators can send "${type}" notifications.`);
+
+  const caseDoc = relatedCase ? await loadCase(relatedCase) : null;
+
+  // 📢 Role broadcasts
+  const roles = toIds(targetRoles);
+  if (roles.length) {
+    if (!admin) throw ruleError(403, "Only administrators can broadcast to roles.");
+    const unknown = roles.filter((r) => !BROADCAST_ROLES.includes(r));
+    if (unknown.length) throw ruleError(400, `Unknown role(s): ${unknown.join(", ")}`);
+
+    const users = await User.find({ role: { $in: roles }, status: "active" }).select("_id").lean();
+    return { type, recipients: users.map((u) => u._id), broadcastRoles: roles, caseDoc };
+  }
+
+  // 👤 Direct recipients
+  const ids = toIds(recipientId);
+  if (!ids.length) throw ruleError(400, "No valid recipients found.");
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw ruleError(400, "recipientId must contain valid user ids.");
+
+  if (!admin) {
+    if (!caseDoc) throw ruleError(400, "relatedCase is required to notify other users.");
+    if (!can(sender, caseDoc, "comment")) throw ruleError(403, "You cannot send notifications on this case.");
+    if (ids.length > MAX_DIRECT_RECIPIENTS) throw ruleError(400, `At most ${MAX_DIRECT_RECIPIENTS} recipients per notification.`);
+  }
+
+  const users = await User.find({ _id: { $in: ids }, status: "active" }).select("_id role").lean();
+  if (users.length !== ids.length) throw ruleError(404, "One or more recipients were not found.");
+
+  if (!admin) {
+    const outsiders = users.filter((u) => resolveCaseCapability(u, caseDoc).capability === "none");
+    if (outsiders.length) throw ruleError(403, "Recipients must be participants of the related case.");
+  }
+
+  return { type, recipients: users.map((u) => u._id), broadcastRoles: [], caseDoc };
+}
+
+export default { NOTIFICATION_TEMPLATES, BROADCAST_ROLES, BANNER_LEVELS, renderNotification, resolveRecipients };
@@ -0,0 +1,190 @@
+/**
+ * backend/services/reminderService.js
+ * ---------------------------------------------------------------------
+ * Dispatches hearing, task and deadline reminders from the scheduler.
+ *
+ * A recurring "reminders:sweep" job looks for due reminders. Each reminder
+ * is claimed with a compare-and-set update on the source document, so even
+ * if two instances sweep at once only one of them sends it.
+ *
+ *  - Hearings: reminder.nextReminderAt is advanced to the next occurrence
+ *    (recurring series) or cleared
+ *  - Tasks:    reminder.sentFor records which remindAt was already sent;
+ *    one more than TASK_REMINDER_GRACE_MS overdue is marked but not sent
+ *  - Deadlines: remindedDays records which "N days before" thresholds
+ *    were already sent (reset when the due date moves)
+ */
+
+import Hearing from "../models/Hearing.js";
+import Task from "../models/Task.js";
+import Deadline from "../models/Deadline.js";
+import Case from "../models/Case.js";
+import { defineJob, every } from "./scheduler.js";
+import { deliverNotifications } from "./notificationDelivery.js";
+import logger from "../utils/logger.js";
+import { dayKey, addDays, keyToDate } from "../utils/courtDays.js";
+
+const SWEEP_INTERVAL_MS = Number(process.env.REMINDER_SWEEP_MS || 60 * 1000);
+const SWEEP_BATCH = 100;
+// A task reminder this far past its remindAt (downtime, or set in the past) is stale
+const TASK_REMINDER_GRACE_MS = Number(process.env.TASK_REMINDER_GRACE_MS || 6 * 60 * 60 * 1000);
+const DEADLINE_REMINDER_DAYS = String(process.env.DEADLINE_REMINDER_DAYS || "7,3,1,0")
+  .split(",")
+  .map(Number)
+  .filter((n) => Number.isInteger(n) && n >= 0)
+  .sort((a, b) => a - b);
+
+/* =======================================================
+   🔔 Notification fan-out
+   ======================================================= */
+// Recipients' channel / quiet-hour preferences apply (services/notificationDelivery.js)
+async function notifyUsers(userIds, data) {
+  const delivered = await deliverNotifications(userIds, { ...data, type: "reminder" });
+  return delivered.length;
+}
+
+const hearingRecipients = (h) => {
+  const p = h.participants || {};
+  return [h.createdBy, ...(p.advocates || []), ...(p.arbitrators || []), ...(p.clients || []), ...(p.respondents || [])];
+};
+
+/* =======================================================
+   ⚖️ Hearing reminders
+   ======================================================= */
+async function dispatchHearingReminders(now) {
+  const due = await Hearing.find({
+    deletedAt: null,
+    status: "scheduled",
+    "reminder.enabled": true,
+    "reminder.nextReminderAt": { $ne: null, $lte: now },
+  }).limit(SWEEP_BATCH);
+
+  let sent = 0;
+  for (const hearing of due) {
+    const firedAt = hearing.reminder.nextReminderAt;
+    const occurrence = new Date(firedAt.getTime() + (hearing.reminder.minutesBefore ?? 30) * 60000);
+    const next = hearing.computeNextReminderAt(new Date(firedAt.getTime() + 1));
+
+    // Claim: only the instance that moves nextReminderAt off `firedAt` sends it
+    const claimed = await Hearing.updateOne(
+      { _id: hearing._id, "reminder.nextReminderAt": firedAt },
+      { $set: { "reminder.nextReminderAt": next } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    // Skip silently if we were down long enough for the hearing to have started
+    if (occurrence < now) continue;
+
+    await notifyUsers(hearingRecipients(hearing), {
+      title: `Hearing reminder: ${hearing.title}`,
+      message: `"${hearing.title}" starts at ${occurrence.toISOString()}${hearing.venue ? ` (${hearing.venue})` : ""}.`,
+      link: `/hearings/${hearing._id}`,
+      relatedCase: hearing.case || null,
+    });
+    sent++;
+  }
+  return sent;
+}
+
+/* =======================================================
+   ✅ Task reminders
+   ======================================================= */
+async function dispatchTaskReminders(now) {
+  const due = await Task.find({
+    isDeleted: false,
+    status: { $nin: ["completed", "archived"] },
+    "reminder.enabled": true,
+    "reminder.remindAt": { $ne: null, $lte: now },
+    $expr: { $ne: ["$reminder.sentFor", "$reminder.remindAt"] },
+  }).limit(SWEEP_BATCH);
+
+  let sent = 0;
+  for (const task of due) {
+    const remindAt = task.reminder.remindAt;
+
+    const claimed = await Task.updateOne(
+      { _id: task._id, "reminder.remindAt": remindAt, "reminder.sentFor": { $ne: remindAt } },
+      { $set: { "reminder.sentFor": remindAt } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    // Claimed either way, so a stale reminder isn't picked up again
+    if (now - remindAt > TASK_REMINDER_GRACE_MS) continue;
+
+    await notifyUsers([task.createdBy, ...(task.assignedTo || [])], {
+      title: `Task reminder: ${task.title}`,
+      message: task.dueDate
+        ? `"${task.title}" is due ${new Date(task.dueDate).toISOString()}.`
+        : `Reminder for task "${task.title}".`,
+      link: `/tasks/${task._id}`,
+      relatedCase: task.case || null,
+      relatedTask: task._id,
+    });
+    sent++;
+  }
+  return sent;
+}
+
+/* =======================================================
+   ⏳ Deadline reminders
+   ======================================================= */
+async function dispatchDeadlineReminders(now) {
+  if (!DEADLINE_REMINDER_DAYS.length) return 0;
+  const today = dayKey(now, process.env.COURT_TIMEZONE || "UTC");
+  const horizon = addDays(today, DEADLINE_REMINDER_DAYS[DEADLINE_REMINDER_DAYS.length - 1]);
+
+  const due = await Deadline.find({
+    isDeleted: false,
+    status: "open",
+    dueDate: { $gte: keyToDate(today), $lte: keyToDate(horizon) },
+  }).limit(SWEEP_BATCH);
+
+  let sent = 0;
+  for (const deadline of due) {
+    const daysLeft = Math.round((keyToDate(deadline.dueDay) - keyToDate(today)) / 86400000);
+    // The tightest threshold we're inside, e.g. 5 days left -> the 7-day reminder
+    const threshold = DEADLINE_REMINDER_DAYS.find((d) => d >= daysLeft);
+    if (threshold === undefined || deadline.remindedDays.includes(threshold)) continue;
+
+    const claimed = await Deadline.updateOne(
+      { _id: deadline._id, dueDay: deadline.dueDay, remindedDays: { $ne: threshold } },
+      { $addToSet: { remindedDays: threshold } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    let recipients = deadline.assignedTo || [];
+    if (!recipients.length) {
+      const caseDoc = await Case.findById(deadline.case).select("filedBy assignedTo").lean();
+      recipients = [caseDoc?.filedBy, caseDoc?.assignedTo];
+    }
+
+    await notifyUsers(recipients, {
+      title: `Deadline ${daysLeft === 0 ? "today" : `in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`}: ${deadline.title}`,
+      message: `"${deadline.title}" is due ${deadline.dueDay}.`,
+      link: `/dashboard/cases/${deadline.case}`,
+      relatedCase: deadline.case,
+    });
+    sent++;
+  }
+  return sent;
+}
+
+/* =======================================================
+   ⏰ Registration
+   ======================================================= */
+defineJob("reminders:sweep", async () => {
+  const now = new Date();
+  const hearings = await dispatchHearingReminders(now);
+  const tasks = await dispatchTaskReminders(now);
+  const deadlines = await dispatchDeadlineReminders(now);
+  if (hearings || tasks || deadlines) {
+    logger.info(`🔔 Reminders sent — hearings: ${hearings}, tasks: ${tasks}, deadlines: ${deadlines}`);
+  }
+  return { hearings, tasks, deadlines };
+});
+
+export async function initReminderJobs() {
+  await every("reminders:sweep", SWEEP_INTERVAL_MS);
+}
+
+export default { initReminderJobs };
@@ -0,0 +1,210 @@
+/**
+ * backend/services/scheduler.js
+ * ---------------------------------------------------------------------
+ * In-process, Mongo-backed job scheduler.
+ *
+ * ✅ Jobs persist in the `jobs` collection (models/Job.js) and survive restarts
+ * ✅ Safe with several server instances: jobs are claimed atomically and
+ *    held under a lease (lockedUntil); expired leases are reclaimed
+ * ✅ Retries with exponential backoff, recurring jobs via `every()`
+ *
+ * Usage:
+ *   defineJob("award:pdf", async (payload, job) => { ... });
+ *   await enqueue("award:pdf", { awardId }, { maxAttempts: 3 });
+ *   await every("reminders:sweep", 60_000);
+ *   startScheduler();
+ */
+
+import os from "os";
+import crypto from "crypto";
+import Job from "../models/Job.js";
+import logger from "../utils/logger.js";
+
+/* =======================================================
+   1️⃣ Config
+   ======================================================= */
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_MS || 5000);
+const LOCK_MS = Number(process.env.SCHEDULER_LOCK_MS || 5 * 60 * 1000);
+const BATCH_SIZE = Number(process.env.SCHEDULER_BATCH_SIZE || 10);
+const BACKOFF_BASE_MS = Number(process.env.SCHEDULER_BACKOFF_MS || 30 * 1000);
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const handlers = new Map();
+let timer = null;
+let running = false;
+let ticking = false;
+
+/* =======================================================
+   2️⃣ Registration & enqueueing
+   ======================================================= */
+
+/**
+ * Register the handler for a job type.
+ * @param {string} type
+ * @param {(payload: object, job: object) => Promise<any>} handler
+ */
+export function defineJob(type, handler) {
+  if (typeof handler !== "function") throw new Error(`Job handler for ${type} must be a function`);
+  handlers.set(type, handler);
+}
+
+/**
+ * Persist a one-off job.
+ * @param {string} type
+ * @param {object} payload
+ * @param {{ runAt?: Date, maxAttempts?: number }} opts
+ */
+export async function enqueue(type, payload = {}, { runAt = new Date(), maxAttempts = 5 } = {}) {
+  return Job.create({ type, payload, runAt, maxAttempts });
+}
+
+/**
+ * Ensure a single recurring job exists (idempotent across instances).
+ * @param {string} type
+ * @param {number} intervalMs
+ * @param {object} payload
+ */
+export async function every(type, intervalMs, payload = {}) {
+  try {
+    await Job.updateOne(
+      { uniqueKey: `recurring:${type}` },
+      {
+        $set: { repeatEveryMs: intervalMs },
+        $setOnInsert: { type, payload, status: "queued", runAt: new Date(), maxAttempts: 1 },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Another instance inserted it first — that's fine
+    if (err.code !== 11000) throw err;
+  }
+}
+
+/* =======================================================
+   3️⃣ Claim / run / settle
+   ======================================================= */
+async function claimNext() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } }, // lease expired (crashed worker)
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+function backoffDelay(attempts) {
+  return BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1);
+}
+
+async function settle(job, error, result) {
+  const now = new Date();
+  const owned = { _id: job._id, lockedBy: WORKER_ID };
+  const release = { lockedBy: null, lockedUntil: null, finishedAt: now };
+
+  // Recurring jobs always go back to the queue
+  if (job.repeatEveryMs) {
+    await Job.updateOne(owned, {
+      $set: {
+        ...release,
+        status: "queued",
+        attempts: 0,
+        runAt: new Date(now.getTime() + job.repeatEveryMs),
+        lastError: error ? String(error.message || error) : null,
+      },
+    });
+    return;
+  }
+
+  if (!error) {
+    await Job.updateOne(owned, {
+      $set: { ...release, status: "succeeded", result: result ?? null, lastError: null, expiresAt: new Date(now.getTime() + RETENTION_MS) },
+    });
+    return;
+  }
+
+  if (job.attempts < job.maxAttempts) {
+    await Job.updateOne(owned, {
+      $set: {
+        ...release,
+        status: "queued",
+        runAt: new Date(now.getTime() + backoffDelay(job.attempts)),
+        lastError: String(error.message || error),
+      },
+    });
+    return;
+  }
+
+  await Job.updateOne(owned, {
+    $set: { ...release, status: "failed", lastError: String(error.message || error), expiresAt: new Date(now.getTime() + RETENTION_MS) },
+  });
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    const result = await handler(job.payload || {}, job);
+    await settle(job, null, result);
+  } catch (err) {
+    logger.error(`⏰ Job ${job.type} (${job._id}) failed on attempt ${job.attempts}: ${err.message}`);
+    await settle(job, err);
+  }
+}
+
+async function tick() {
+  if (ticking || !handlers.size) return;
+  ticking = true;
+  try {
+    for (let i = 0; i < BATCH_SIZE && running; i++) {
+      const job = await claimNext();
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (err) {
+    logger.error(`⏰ Scheduler tick error: ${err.message}`);
+  } finally {
+    ticking = false;
+  }
+}
+
+/* =======================================================
+   4️⃣ Lifecycle
+   ======================================================= */
+export function startScheduler() {
+  if (running) return;
+  running = true;
+
+  const loop = async () => {
+    await tick();
+    if (running) {
+      timer = setTimeout(loop, POLL_INTERVAL_MS);
+      timer.unref?.();
+    }
+  };
+  loop();
+
+  logger.info(`⏰ Scheduler started (${WORKER_ID}) with ${handlers.size} job type(s)`);
+}
+
+export function stopScheduler() {
+  running = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+export default { defineJob, enqueue, every, startScheduler, stopScheduler };
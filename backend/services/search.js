@@ -0,0 +1,478 @@
+/**
+ * backend/services/search.js
+ * ---------------------------------------------------------------------
+ * Unified search across cases, clients, evidence, case / client documents,
+ * hearings, tasks, case notes and awards (GET /api/search).
+ *
+ *  - Every type is filtered with its list endpoint's access predicate
+ *    (services/accessQueries.js) before anything is matched
+ *  - Matching uses each collection's text index; case notes are embedded
+ *    in Case and have none, so they are matched by term instead
+ *  - Text scores aren't comparable between collections, so each type's
+ *    scores are normalised to 0..1 before ranking, then nudged by a title
+ *    match, the type's weight and recency
+ *  - Highlights are [start, end) character ranges, not markup, so the
+ *    client decides how to render them
+ *  - Evidence and documents also match on text extracted from the file
+ *    (services/textExtraction.js); their snippets come from that text when
+ *    the title / description don't contain the terms
+ */
+
+import mongoose from "mongoose";
+import Case from "../models/Case.js";
+import Client from "../models/Client.js";
+import Evidence from "../models/Evidence.js";
+import Hearing from "../models/Hearing.js";
+import Task from "../models/Task.js";
+import Award from "../models/Award.js";
+import DocumentText from "../models/DocumentText.js";
+import {
+  caseAccessQuery,
+  clientAccessQuery,
+  evidenceAccessQuery,
+  documentAccessQuery,
+  hearingAccessQuery,
+  taskAccessQuery,
+  awardAccessQuery,
+} from "./accessQueries.js";
+
+export const SEARCH_TYPES = ["case", "client", "evidence", "document", "hearing", "task", "note", "award"];
+
+const POOL_PER_TYPE = 50; // candidates fetched per type before ranking
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 160;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const searchError = (status, message) => Object.assign(new Error(message), { status });
+const escapeRegex = (s) => s.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
+const idOf = (ref) => (ref && ref._id ? String(ref._id) : ref ? String(ref) : null);
+
+/* =======================================================
+   ✨ Highlighting
+   ======================================================= */
+/** Terms to highlight: words and "quoted phrases", minus -excluded ones */
+export function queryTerms(q) {
+  const terms = [];
+  const re = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let m;
+  while ((m = re.exec(q))) {
+    const negated = m[1] || m[3];
+    const term = (m[2] || m[4] || "").trim().toLowerCase();
+    if (!negated && term.length >= 2) terms.push(term);
+  }
+  return [...new Set(terms)];
+}
+
+/** Merged [start, end) ranges where any term occurs in `text` */
+export function matchRanges(text, terms) {
+  if (!text || !terms.length) return [];
+  const lower = String(text).toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + term.length)) {
+      ranges.push([i, i + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, r) => {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+    return merged;
+  }, []);
+}
+
+/**
+ * A window around the first match, with ranges relative to the window.
+ * `texts` are tried in order; the first one containing a term wins.
+ */
+function snippetFor(texts, terms) {
+  const candidates = [].concat(texts).filter(Boolean).map(String);
+  const text = candidates.find((t) => matchRanges(t, terms).length) || candidates[0];
+  const source = String(text || "").replace(/\s+/g, " ").trim();
+  if (!source) return { snippet: "", ranges: [] };
+
+  const first = matchRanges(source, terms)[0];
+  let start = first ? Math.max(0, first[0] - Math.floor(SNIPPET_LENGTH / 3)) : 0;
+  // start on a word boundary
+  if (start > 0) {
+    const space = source.indexOf(" ", start);
+    if (space !== -1 && space < (first?.[0] ?? start + 20)) start = space + 1;
+  }
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const snippet = `${prefix}${source.slice(start, end)}${end < source.length ? "…" : ""}`;
+  return { snippet, ranges: matchRanges(snippet, terms) };
+}
+
+/* =======================================================
+   🗂️ Per-type configuration
+   ======================================================= */
+const STATUS_BY_FIELD = (field) => ({
+  of: (doc) => doc[field] || null,
+  match: (values) => ({ [field]: { $in: values } }),
+});
+
+/**
+ * model     — collection searched with $text
+ * access    — (user) => filter (may be async); merged with `base`
+ * status    — how a hit's status is read / filtered (omit: type has none)
+ * dateField — used for date facets and from/to filtering
+ * caseField — used for case facets and the caseId filter (omit: not case-bound)
+ * toHit     — doc → { title, subtitle, body, url, caseId }
+ * loadText  — ids → Map(id → extracted text), fetched only for the page
+ *             being returned (the text can be large)
+ */
+const TYPES = {
+  case: {
+    model: Case,
+    weight: 1,
+    base: { isDeleted: false },
+    access: caseAccessQuery,
+    select: "title description caseNumber status category filedAt createdAt",
+    status: STATUS_BY_FIELD("status"),
+    dateField: "filedAt",
+    caseField: "_id",
+    toHit: (c) => ({
+      title: c.title,
+      subtitle: [c.caseNumber, c.category].filter(Boolean).join(" · "),
+      body: c.description,
+      url: `/dashboard/cases/${c._id}`,
+      caseId: c._id,
+      date: c.filedAt || c.createdAt,
+    }),
+  },
+  client: {
+    model: Client,
+    weight: 0.95,
+    base: { deletedAt: null },
+    access: clientAccessQuery,
+    select: "name email phone status company createdAt",
+    status: STATUS_BY_FIELD("status"),
+    dateField: "createdAt",
+    toHit: (c) => ({
+      title: c.name,
+      subtitle: [c.email, c.phone].filter(Boolean).join(" · "),
+      body: [c.company, c.email].filter(Boolean).join(" "),
+      url: `/dashboard/clients?client=${c._id}`,
+      date: c.createdAt,
+    }),
+  },
+  hearing: {
+    model: Hearing,
+    weight: 0.9,
+    base: { deletedAt: null },
+    access: hearingAccessQuery,
+    select: "title description start venue status case",
+    status: STATUS_BY_FIELD("status"),
+    dateField: "start",
+    caseField: "case",
+    toHit: (h) => ({
+      title: h.title,
+      subtitle: [h.start && new Date(h.start).toISOString().slice(0, 16).replace("T", " "), h.venue].filter(Boolean).join(" · "),
+      body: h.description,
+      url: `/dashboard/hearings/page?hearing=${h._id}`,
+      caseId: h.case,
+      date: h.start,
+    }),
+  },
+  task: {
+    model: Task,
+    weight: 0.9,
+    base: { isDeleted: false },
+    access: taskAccessQuery,
+    select: "title description status priority dueDate case createdAt",
+    status: STATUS_BY_FIELD("status"),
+    dateField: "dueDate",
+    caseField: "case",
+    toHit: (t) => ({
+      title: t.title,
+      subtitle: [t.priority, t.dueDate && `due ${new Date(t.dueDate).toISOString().slice(0, 10)}`].filter(Boolean).join(" · "),
+      body: t.description,
+      url: `/dashboard/tasks?task=${t._id}`,
+      caseId: t.case,
+      date: t.dueDate || t.createdAt,
+    }),
+  },
+  evidence: {
+    model: Evidence,
+    weight: 0.85,
+    base: { deleted: false },
+    access: evidenceAccessQuery,
+    select: "title description fileName fileType verified case arbitration createdAt",
+    status: {
+      of: (e) => (e.verified ? "verified" : "unverified"),
+      match: (values) => {
+        const wanted = values.filter((v) => v === "verified" || v === "unverified");
+        // nothing matches a status evidence doesn't have
+        if (!wanted.length) return { _id: null };
+        return wanted.length === 2 ? {} : { verified: wanted[0] === "verified" };
+      },
+    },
+    dateField: "createdAt",
+    caseField: "case",
+    toHit: (e) => ({
+      title: e.title || e.fileName,
+      subtitle: [e.fileName, e.fileType].filter(Boolean).join(" · "),
+      body: e.description,
+      url: e.case ? `/dashboard/cases/${e.case}` : `/dashboard/arbitrations/${e.arbitration}`,
+      caseId: e.case,
+      date: e.createdAt,
+    }),
+    loadText: async (ids) => {
+      const rows = await Evidence.find({ _id: { $in: ids } }).select("+extractedText").lean();
+      return new Map(rows.map((r) => [String(r._id), r.extractedText]));
+    },
+  },
+  document: {
+    model: DocumentText,
+    weight: 0.8,
+    base: {},
+    access: documentAccessQuery,
+    select: "name fileType ownerModel case client uploadedAt",
+    dateField: "uploadedAt",
+    caseField: "case",
+    toHit: (d) => ({
+      title: d.name || "Document",
+      subtitle: [d.ownerModel === "Case" ? "Case attachment" : "Client document", d.fileType].filter(Boolean).join(" · "),
+      url: d.case ? `/dashboard/cases/${d.case}` : `/dashboard/clients?client=${d.client}`,
+      caseId: d.case,
+      date: d.uploadedAt,
+    }),
+    loadText: async (ids) => {
+      const rows = await DocumentText.find({ _id: { $in: ids } }).select("text").lean();
+      return new Map(rows.map((r) => [String(r._id), r.text]));
+    },
+  },
+  award: {
+    model: Award,
+    weight: 0.85,
+    base: { isDeleted: false },
+    access: awardAccessQuery,
+    select: "title summary decisionText status arbitration createdAt",
+    status: STATUS_BY_FIELD("status"),
+    dateField: "createdAt",
+    toHit: (a) => ({
+      title: a.title,
+      subtitle: a.status,
+      body: a.summary || a.decisionText,
+      url: `/dashboard/arbitrations/${a.arbitration}/award`,
+      date: a.createdAt,
+    }),
+  },
+};
+
+const NOTE_WEIGHT = 0.8;
+
+/* =======================================================
+   🔎 Per-type search
+   ======================================================= */
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? range : null;
+};
+
+async function searchType(type, user, opts) {
+  const spec = TYPES[type];
+  const and = [await spec.access(user)];
+  if (opts.status) and.push(spec.status.match(opts.status));
+  if (opts.caseId) and.push({ [spec.caseField]: opts.caseId });
+  const range = dateRange(opts.from, opts.to);
+  if (range) and.push({ [spec.dateField]: range });
+
+  const filter = { ...spec.base, $text: { $search: opts.q }, $and: and };
+  const [docs, total] = await Promise.all([
+    spec.model
+      .find(filter, { score: { $meta: "textScore" } })
+      .select(spec.select)
+      .sort({ score: { $meta: "textScore" } })
+      .limit(POOL_PER_TYPE)
+      .lean(),
+    spec.model.countDocuments(filter),
+  ]);
+
+  const top = docs[0]?.score || 1;
+  const hits = docs.map((doc) => ({
+    type,
+    id: doc._id,
+    status: spec.status ? spec.status.of(doc) : null,
+    relevance: doc.score / top,
+    weight: spec.weight,
+    ...spec.toHit(doc),
+  }));
+  return { type, total, hits };
+}
+
+/** Notes are embedded in Case: unwind the visible cases' notes and match terms */
+async function searchNotes(user, opts) {
+  const pattern = new RegExp(opts.terms.map(escapeRegex).join("|"), "i");
+  const caseMatch = { ...caseAccessQuery(user), isDeleted: false, "notes.content": pattern };
+  if (opts.caseId) caseMatch._id = new mongoose.Types.ObjectId(opts.caseId);
+
+  const noteMatch = { "notes.content": pattern };
+  // Private notes stay private to their author, even from case collaborators
+  if (user.role !== "admin") noteMatch.$or = [{ "notes.visibility": { $ne: "private" } }, { "notes.createdBy": user._id }];
+  const range = dateRange(opts.from, opts.to);
+  if (range) noteMatch["notes.createdAt"] = range;
+
+  const rows = await Case.aggregate([
+    { $match: caseMatch },
+    { $unwind: "$notes" },
+    { $match: noteMatch },
+    { $sort: { "notes.createdAt": -1 } },
+    { $limit: POOL_PER_TYPE },
+    { $project: { title: 1, caseNumber: 1, note: "$notes" } },
+  ]);
+
+  const hits = rows.map((row) => {
+    const lower = row.note.content.toLowerCase();
+    const matched = opts.terms.filter((t) => lower.includes(t)).length;
+    return {
+      type: "note",
+      id: row.note._id,
+      status: null,
+      relevance: matched / opts.terms.length,
+      weight: NOTE_WEIGHT,
+      title: `Note on ${row.title}`,
+      subtitle: [row.caseNumber, row.note.visibility].filter(Boolean).join(" · "),
+      body: row.note.content,
+      url: `/dashboard/cases/${row._id}`,
+      caseId: row._id,
+      date: row.note.createdAt,
+    };
+  });
+  return { type: "note", total: hits.length, hits };
+}
+
+/* =======================================================
+   📊 Ranking & facets
+   ======================================================= */
+function rank(hit, q, now) {
+  const title = String(hit.title || "").toLowerCase();
+  const phrase = q.toLowerCase().replace(/"/g, "").trim();
+  const titleBoost = title === phrase ? 0.6 : title.includes(phrase) ? 0.4 : 0;
+  const ageDays = hit.date ? Math.abs(now - new Date(hit.date).getTime()) / DAY_MS : 365;
+  const recency = 0.15 * Math.exp(-ageDays / 180);
+  return Number(((hit.relevance + titleBoost) * hit.weight + recency).toFixed(4));
+}
+
+const countBy = (items, keyFn) => {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+};
+
+/* =======================================================
+   🚪 Public API
+   ======================================================= */
+const csv = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean)
+    : null;
+
+const parseDate = (value, label) => {
+  if (!value) return null;
+  const d = new Date(value);
+  if (isNaN(d)) throw searchError(400, `Invalid ${label} date`);
+  return d;
+};
+
+/**
+ * Search everything `user` may see.
+ * @param {object} user
+ * @param {{ q: string, type?: string, status?: string, caseId?: string, from?: string, to?: string,
+ *           page?: number|string, limit?: number|string }} params — type / status are comma-separated
+ * @returns {Promise<{ query, total, page, limit, hits, facets }>}
+ */
+export async function search(user, params = {}) {
+  const q = String(params.q || "").trim().slice(0, 200);
+  if (q.length < 2) throw searchError(400, "Search query must be at least 2 characters");
+
+  const terms = queryTerms(q);
+  if (!terms.length) throw searchError(400, "Search query has no searchable terms");
+
+  const requested = csv(params.type) || SEARCH_TYPES;
+  const unknown = requested.filter((t) => !SEARCH_TYPES.includes(t));
+  if (unknown.length) throw searchError(400, `Unknown search type: ${unknown.join(", ")}`);
+
+  if (params.caseId && !mongoose.isValidObjectId(params.caseId)) throw searchError(400, "Invalid caseId");
+  const opts = {
+    q,
+    terms,
+    status: csv(params.status),
+    caseId: params.caseId || null,
+    from: parseDate(params.from, "from"),
+    to: parseDate(params.to, "to"),
+  };
+
+  // Types that can't satisfy a filter (no status, not tied to a case) drop out
+  const types = requested.filter((t) => {
+    if (t === "note") return !opts.status;
+    if (opts.status && !TYPES[t].status) return false;
+    if (opts.caseId && !TYPES[t].caseField) return false;
+    return true;
+  });
+
+  const results = await Promise.all(types.map((t) => (t === "note" ? searchNotes(user, opts) : searchType(t, user, opts))));
+
+  const now = Date.now();
+  const pool = results
+    .flatMap((r) => r.hits)
+    .map((hit) => ({ ...hit, score: rank(hit, q, now) }))
+    .sort((a, b) => b.score - a.score);
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const pageHits = pool.slice((page - 1) * limit, page * limit);
+
+  // Extracted file text, for snippets on this page only
+  const texts = new Map();
+  await Promise.all(
+    Object.entries(TYPES)
+      .filter(([, spec]) => spec.loadText)
+      .map(async ([type, spec]) => {
+        const ids = pageHits.filter((h) => h.type === type).map((h) => h.id);
+        if (ids.length) for (const [id, text] of await spec.loadText(ids)) texts.set(`${type}:${id}`, text);
+      })
+  );
+
+  // Case titles for hits and the case facet, in one query
+  const caseIds = [...new Set(pool.map((h) => idOf(h.caseId)).filter(Boolean))];
+  const cases = caseIds.length ? await Case.find({ _id: { $in: caseIds } }).select("title caseNumber").lean() : [];
+  const caseById = new Map(cases.map((c) => [String(c._id), c]));
+
+  const hits = pageHits.map(({ relevance, weight, body, caseId, ...hit }) => {
+    const { snippet, ranges } = snippetFor([body, texts.get(`${hit.type}:${hit.id}`)], terms);
+    const caseDoc = caseById.get(idOf(caseId));
+    return {
+      ...hit,
+      snippet,
+      case: caseDoc ? { id: caseDoc._id, title: caseDoc.title, caseNumber: caseDoc.caseNumber } : null,
+      highlights: { title: matchRanges(hit.title, terms), snippet: ranges },
+    };
+  });
+
+  const facets = {
+    type: Object.fromEntries(SEARCH_TYPES.map((t) => [t, results.find((r) => r.type === t)?.total || 0])),
+    status: countBy(pool, (h) => h.status),
+    case: countBy(pool, (h) => idOf(h.caseId))
+      .slice(0, 10)
+      .map(({ value, count }) => ({ id: value, title: caseById.get(value)?.title, caseNumber: caseById.get(value)?.caseNumber, count })),
+    date: countBy(pool, (h) => (h.date ? new Date(h.date).toISOString().slice(0, 7) : null)).sort((a, b) =>
+      b.value.localeCompare(a.value)
+    ),
+  };
+
+  return { query: q, total: pool.length, page, limit, hits, facets };
+}
+
+export default { SEARCH_TYPES, search, queryTerms, matchRanges };
@@ -0,0 +1,264 @@
+/**
+ * backend/services/socketAccess.js
+ * ---------------------------------------------------------------------
+ * Socket.IO authentication and room authorization.
+ *
+ *  - authenticateSocket: io.use() middleware; verifies the JWT from
+ *    `handshake.auth.token` (or a Bearer header) and sets socket.data.user
+ *  - joinRoom: checks a requested room against the same rules the REST API
+ *    uses, joins it and writes a SocketJoinLog entry either way
+ *  - *Rooms helpers: the rooms controllers should emit a record's events to
+ *
+ * Rooms
+ *   user_<id>            the user themself (joined at handshake)
+ *   authsession:<id>     the sign-in session (joined at handshake, server-only;
+ *                        used to drop the sockets of a revoked session)
+ *   role:<role>          everyone with that role (joined at handshake)
+ *   <role>:<id>          dashboard rooms, e.g. "arbitrator:<id>" — self only
+ *   case_<id>            casePolicy view access
+ *   arbitration:<id>     Arbitration.isParticipant()
+ *   session:<id>         mediator, creator or a party to the session
+ *   reconciliation:<id>  creator, reconciliator or a participant
+ */
+
+import Case from "../models/Case.js";
+import Arbitration from "../models/Arbitration.js";
+import Session from "../models/Session.js";
+import Reconciliation from "../models/Reconciliation.js";
+import Client from "../models/Client.js";
+import SocketJoinLog from "../models/SocketJoinLog.js";
+import { verifyAccessToken } from "../middleware/authMiddleware.js";
+import { resolveCaseCapability } from "./casePolicy.js";
+import logger from "../utils/logger.js";
+
+const DASHBOARD_ROLES = ["advocate", "paralegal", "mediator", "arbitrator", "reconciliator", "client", "respondent", "admin"];
+
+export const userRoom = (id) => `user_${id}`;
+export const roleRoom = (role) => `role:${role}`;
+export const ADMIN_ROOM = roleRoom("admin");
+export const authSessionRoom = (id) => `authsession:${id}`;
+
+const idOf = (ref) => (ref && ref._id ? String(ref._id) : ref ? String(ref) : null);
+const uniqueRooms = (rooms) => [...new Set(rooms.filter(Boolean))];
+
+/* =======================================================
+   🔑 Handshake
+   ======================================================= */
+const tokenFromHandshake = (handshake = {}) => {
+  if (handshake.auth?.token) return String(handshake.auth.token);
+  const header = handshake.headers?.authorization;
+  if (header?.startsWith("Bearer ")) return header.split(" ")[1];
+  return null;
+};
+
+/** io.use() middleware — refuses the connection without a valid token */
+export async function authenticateSocket(socket, next) {
+  const token = tokenFromHandshake(socket.handshake);
+  if (!token) return next(Object.assign(new Error("Authentication required"), { data: { status: 401 } }));
+
+  try {
+    const { user, session } = await verifyAccessToken(token);
+    socket.data.user = user;
+    socket.data.sessionId = String(session._id);
+    next();
+  } catch (err) {
+    next(Object.assign(new Error(err.message || "Authentication failed"), { data: { status: err.status || 401 } }));
+  }
+}
+
+/* =======================================================
+   🛂 Room rules
+   ======================================================= */
+async function canAccessSession(user, session) {
+  if (!session || session.deletedAt) return false;
+  const uid = String(user._id);
+  if (idOf(session.mediator) === uid || idOf(session.createdBy) === uid) return true;
+
+  const parties = session.parties || [];
+  if (parties.some((p) => p.model === "User" && idOf(p.ref) === uid)) return true;
+
+  // Client parties count through the portal account linked to the client file
+  const clientIds = parties.filter((p) => p.model === "Client").map((p) => p.ref);
+  return clientIds.length ? !!(await Client.exists({ _id: { $in: clientIds }, user: user._id })) : false;
+}
+
+const canAccessReconciliation = (user, recon) => {
+  if (!recon || recon.deletedAt) return false;
+  const uid = String(user._id);
+  return (
+    idOf(recon.createdBy) === uid ||
+    idOf(recon.reconciliator) === uid ||
+    (recon.participants || []).some((p) => idOf(p.user) === uid)
+  );
+};
+
+const ROOM_RULES = [
+  {
+    pattern: /^user_([a-f0-9]{24})$/i,
+    check: async (user, [, id]) => id === String(user._id) || "not your user room",
+  },
+  {
+    pattern: /^role:([a-z]+)$/,
+    check: async (user, [, role]) => role === user.role || "not your role",
+  },
+  {
+    pattern: new RegExp(`^(${DASHBOARD_ROLES.join("|")}):([a-f0-9]{24})$`, "i"),
+    check: async (user, [, role, id]) => (role === user.role && id === String(user._id)) || "not your dashboard room",
+  },
+  {
+    pattern: /^case_([a-f0-9]{24})$/i,
+    check: async (user, [, id]) => {
+      const caseDoc = await Case.findById(id).select("filedBy createdBy assignedTo sharedWith sharedLogs participants team isDeleted").lean();
+      if (!caseDoc || caseDoc.isDeleted) return "case not found";
+      return resolveCaseCapability(user, caseDoc).capability !== "none" || "no access to case";
+    },
+  },
+  {
+    pattern: /^arbitration:([a-f0-9]{24})$/i,
+    check: async (user, [, id]) => {
+      const arbitration = await Arbitration.findById(id).select("parties assignedTo deleted");
+      if (!arbitration || arbitration.deleted) return "arbitration not found";
+      return arbitration.isParticipant(user) || "not a party to the arbitration";
+    },
+  },
+  {
+    pattern: /^session:([a-f0-9]{24})$/i,
+    check: async (user, [, id]) => (await canAccessSession(user, await Session.findById(id).lean())) || "no access to session",
+  },
+  {
+    pattern: /^reconciliation:([a-f0-9]{24})$/i,
+    check: async (user, [, id]) =>
+      canAccessReconciliation(user, await Reconciliation.findById(id).select("createdBy reconciliator participants deletedAt").lean()) ||
+      "no access to reconciliation",
+  },
+];
+
+/**
+ * Decide whether `user` may join `room`.
+ * @returns {Promise<{ granted: boolean, reason: string|null }>}
+ */
+export async function authorizeRoom(user, room) {
+  if (!user || typeof room !== "string" || !room) return { granted: false, reason: "invalid room" };
+
+  for (const rule of ROOM_RULES) {
+    const m = room.match(rule.pattern);
+    if (!m) continue;
+    // Admins may observe any existing room except another user's private one
+    if (user.role === "admin" && !room.startsWith("user_")) return { granted: true, reason: "admin" };
+    const result = await rule.check(user, m);
+    return result === true ? { granted: true, reason: null } : { granted: false, reason: result };
+  }
+  return { granted: false, reason: "unknown room" };
+}
+
+/* =======================================================
+   🚪 Join + audit
+   ======================================================= */
+const audit = (socket, room, granted, reason, via) =>
+  SocketJoinLog.create({
+    user: socket.data.user._id,
+    room,
+    granted,
+    reason,
+    via,
+    socketId: socket.id,
+    ip: socket.handshake.address || null,
+    userAgent: socket.handshake.headers?.["user-agent"]?.slice(0, 300) || null,
+  }).catch((err) => logger.warn(`SocketJoinLog write failed: ${err.message}`));
+
+/** Join after authorization; always audited */
+export async function joinRoom(socket, room, via = "join") {
+  const user = socket.data.user;
+  let decision;
+  try {
+    decision = await authorizeRoom(user, room);
+  } catch (err) {
+    decision = { granted: false, reason: `error: ${err.message}` };
+  }
+
+  if (decision.granted) socket.join(room);
+  audit(socket, String(room).slice(0, 200), decision.granted, decision.reason, via);
+  if (!decision.granted) logger.warn(`🚫 ${user._id} refused room ${room} (${decision.reason})`);
+  return decision;
+}
+
+/** Rooms every authenticated socket gets without asking */
+export function joinDefaultRooms(socket) {
+  const user = socket.data.user;
+  for (const room of [userRoom(user._id), roleRoom(user.role)]) {
+    socket.join(room);
+    audit(socket, room, true, null, "handshake");
+  }
+  // Not in ROOM_RULES, so clients can never ask for it
+  if (socket.data.sessionId) socket.join(authSessionRoom(socket.data.sessionId));
+}
+
+/* =======================================================
+   📡 Emit targets
+   ======================================================= */
+export async function sessionRooms(session) {
+  const parties = session.parties || [];
+  const clientIds = parties.filter((p) => p.model === "Client").map((p) => p.ref);
+  const clientUsers = clientIds.length
+    ? (await Client.find({ _id: { $in: clientIds }, user: { $ne: null } }).select("user").lean()).map((c) => c.user)
+    : [];
+
+  return uniqueRooms([
+    `session:${session._id}`,
+    ADMIN_ROOM,
+    ...[session.mediator, session.createdBy, ...parties.filter((p) => p.model === "User").map((p) => p.ref), ...clientUsers]
+      .map(idOf)
+      .filter(Boolean)
+      .map(userRoom),
+  ]);
+}
+
+export const reconciliationRooms = (recon) =>
+  uniqueRooms([
+    `reconciliation:${recon._id}`,
+    ADMIN_ROOM,
+    ...[recon.createdBy, recon.reconciliator, ...(recon.participants || []).map((p) => p.user)]
+      .map(idOf)
+      .filter(Boolean)
+      .map(userRoom),
+  ]);
+
+export const clientRooms = (client) =>
+  uniqueRooms([
+    ADMIN_ROOM,
+    ...[
+      client.createdBy,
+      client.user,
+      client.advocate,
+      client.paralegal,
+      client.mediator,
+      client.arbitrator,
+      ...(client.sharedWith || []),
+    ]
+      .map(idOf)
+      .filter(Boolean)
+      .map(userRoom),
+  ]);
+
+export const evidenceRooms = (evidence) =>
+  uniqueRooms([
+    evidence.case ? `case_${idOf(evidence.case)}` : null,
+    evidence.arbitration ? `arbitration:${idOf(evidence.arbitration)}` : null,
+    evidence.uploadedBy ? userRoom(idOf(evidence.uploadedBy)) : null,
+    ADMIN_ROOM,
+  ]);
+
+export default {
+  authenticateSocket,
+  authorizeRoom,
+  joinRoom,
+  joinDefaultRooms,
+  sessionRooms,
+  reconciliationRooms,
+  clientRooms,
+  evidenceRooms,
+  userRoom,
+  roleRoom,
+  authSessionRoom,
+  ADMIN_ROOM,
+};
@@ -0,0 +1,184 @@
+/**
+ * backend/services/textExtraction.js
+ * ---------------------------------------------------------------------
+ * Background text extraction for uploaded documents.
+ *
+ *  - Uploads only enqueue a "documents:extract" job, so they stay fast
+ *  - The job reads the stored object back (local disk or S3), runs
+ *    utils/textExtract.js and stores the text:
+ *      · evidence → Evidence.extractedText (part of its text index)
+ *      · case / client attachments → models/DocumentText.js
+ *  - Missing files, oversized files and unsupported types are recorded
+ *    as such and not retried; storage errors are retried by the scheduler
+ */
+
+import path from "path";
+import Evidence from "../models/Evidence.js";
+import DocumentText from "../models/DocumentText.js";
+import { openStoredFile } from "../controllers/uploadController.js";
+import { defineJob, enqueue } from "./scheduler.js";
+import { extractText } from "../utils/textExtract.js";
+import logger from "../utils/logger.js";
+
+const JOB_TYPE = "documents:extract";
+const MAX_ATTEMPTS = 3;
+const MAX_BYTES = Number(process.env.TEXT_EXTRACT_MAX_BYTES || 25 * 1024 * 1024);
+const MAX_CHARS = Number(process.env.TEXT_EXTRACT_MAX_CHARS || 200000);
+
+// Media never carries extractable text; don't download it just to find out
+const SKIP_MIME = /^(image|video|audio)\//i;
+
+/** Attachments saved before fileKey existed only have a URL; our keys are its last segment */
+export const keyFromUrl = (fileUrl) => {
+  if (!fileUrl) return null;
+  try {
+    return path.basename(new URL(fileUrl, "http://local").pathname) || null;
+  } catch {
+    return null;
+  }
+};
+
+async function readStoredFile(fileKey, provider) {
+  const stream = await openStoredFile(fileKey, provider);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > MAX_BYTES) {
+      stream.destroy?.();
+      const err = new Error(`File is larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`);
+      err.permanent = true;
+      throw err;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/* =======================================================
+   🎯 Targets — where a file comes from and where its text goes
+   ======================================================= */
+async function loadTarget(payload) {
+  if (payload.evidenceId) {
+    const evidence = await Evidence.findById(payload.evidenceId).select("fileKey fileName fileType storageProvider deleted").lean();
+    if (!evidence || evidence.deleted) return null;
+    return {
+      fileKey: evidence.fileKey,
+      provider: evidence.storageProvider,
+      fileName: evidence.fileName,
+      mimeType: evidence.fileType,
+      store: (text, extraction) =>
+        Evidence.updateOne({ _id: evidence._id }, { $set: { extractedText: text, textExtraction: extraction } }),
+    };
+  }
+
+  const row = await DocumentText.findOne({ owner: payload.ownerId, attachmentId: payload.attachmentId }).lean();
+  if (!row) return null; // attachment removed before the job ran
+  return {
+    fileKey: payload.fileKey,
+    fileName: row.name,
+    mimeType: row.fileType,
+    store: (text, extraction) => DocumentText.updateOne({ _id: row._id }, { $set: { text, extraction } }),
+  };
+}
+
+/* =======================================================
+   ⚙️ Job
+   ======================================================= */
+defineJob(JOB_TYPE, async (payload, job) => {
+  const target = await loadTarget(payload);
+  if (!target) return { skipped: true };
+
+  const record = (status, extra = {}) =>
+    target.store(extra.text || "", {
+      status,
+      format: extra.format || null,
+      chars: (extra.text || "").length,
+      truncated: !!extra.truncated,
+      error: extra.error || null,
+      extractedAt: new Date(),
+    });
+
+  if (!target.fileKey || SKIP_MIME.test(target.mimeType || "")) {
+    await record("unsupported");
+    return { status: "unsupported" };
+  }
+
+  try {
+    const buffer = await readStoredFile(target.fileKey, target.provider);
+    const { format, text, truncated } = await extractText({ buffer, mimeType: target.mimeType, fileName: target.fileName, maxChars: MAX_CHARS });
+    const status = !format ? "unsupported" : text ? "done" : "empty";
+    await record(status, { format, text, truncated });
+    return { status, chars: text.length };
+  } catch (err) {
+    const permanent = err.permanent || err.status === 404;
+    if (permanent || job.attempts >= job.maxAttempts) {
+      await record("failed", { error: err.message });
+      logger.warn(`Text extraction failed for ${target.fileName}: ${err.message}`);
+    }
+    if (permanent) return { status: "failed" };
+    throw err;
+  }
+});
+
+/* =======================================================
+   🚪 Public API (never throws — an upload must not fail over indexing)
+   ======================================================= */
+
+/** Queue extraction for an evidence record */
+export async function queueEvidenceExtraction(evidence) {
+  try {
+    await Evidence.updateOne({ _id: evidence._id }, { $set: { "textExtraction.status": "pending" } });
+    return await enqueue(JOB_TYPE, { evidenceId: String(evidence._id) }, { maxAttempts: MAX_ATTEMPTS });
+  } catch (err) {
+    logger.error(`Could not queue text extraction for evidence ${evidence?._id}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Queue extraction for an attachment embedded in a Case or Client.
+ * @param {"Case"|"Client"} ownerModel
+ * @param {object} owner the case / client document
+ * @param {object} attachment the embedded attachment (must have _id)
+ */
+export async function queueAttachmentExtraction(ownerModel, owner, attachment) {
+  try {
+    const fileKey = attachment.fileKey || keyFromUrl(attachment.fileUrl);
+    await DocumentText.updateOne(
+      { owner: owner._id, attachmentId: attachment._id },
+      {
+        $set: {
+          ownerModel,
+          case: ownerModel === "Case" ? owner._id : null,
+          client: ownerModel === "Client" ? owner._id : null,
+          name: attachment.name || "",
+          fileType: attachment.fileType || "",
+          uploadedAt: attachment.uploadedAt || new Date(),
+          text: "",
+          extraction: { status: "pending" },
+        },
+      },
+      { upsert: true }
+    );
+    return await enqueue(
+      JOB_TYPE,
+      { ownerId: String(owner._id), attachmentId: String(attachment._id), fileKey },
+      { maxAttempts: MAX_ATTEMPTS }
+    );
+  } catch (err) {
+    logger.error(`Could not queue text extraction for attachment ${attachment?._id}: ${err.message}`);
+    return null;
+  }
+}
+
+/** Forget the text of attachments that were removed from their owner */
+export async function removeAttachmentText(ownerId, attachmentIds) {
+  const ids = [].concat(attachmentIds).filter(Boolean);
+  if (!ids.length) return;
+  await DocumentText.deleteMany({ owner: ownerId, attachmentId: { $in: ids } }).catch((err) =>
+    logger.error(`Could not remove attachment text for ${ownerId}: ${err.message}`)
+  );
+}
+
+export default { queueEvidenceExtraction, queueAttachmentExtraction, removeAttachmentText, keyFromUrl };
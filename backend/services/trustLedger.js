@@ -0,0 +1,136 @@
+/**
+ * backend/services/trustLedger.js
+ * ---------------------------------------------------------------------
+ * Per-client trust (retainer) ledger.
+ *
+ *  - Client.trustBalanceCents is the running balance; each movement is a
+ *    conditional $inc, so a debit larger than the balance simply matches
+ *    nothing and the balance can never go below zero
+ *  - Every movement writes an append-only TrustTransaction carrying the
+ *    balance after it
+ *  - Amounts come in as decimals (12.5) and are stored as cents (1250)
+ */
+
+import mongoose from "mongoose";
+import Client from "../models/Client.js";
+import TrustTransaction, { TRUST_CREDIT_TYPES, TRUST_DEBIT_TYPES } from "../models/TrustTransaction.js";
+import logger from "../utils/logger.js";
+
+const ledgerError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+export const toCents = (amount) => {
+  const cents = Math.round(Number(amount) * 100);
+  if (!Number.isFinite(cents) || cents <= 0) throw ledgerError(400, "INVALID_AMOUNT", "Amount must be a positive number");
+  return cents;
+};
+
+async function writeTransaction(client, cents, type, details) {
+  try {
+    return await TrustTransaction.create({
+      client: client._id,
+      case: details.caseId || null,
+      invoice: details.invoiceId || null,
+      reverses: details.reverses || null,
+      type,
+      amountCents: cents,
+      balanceAfterCents: client.trustBalanceCents,
+      reference: details.reference || "",
+      note: details.note || "",
+      createdBy: details.createdBy,
+    });
+  } catch (err) {
+    // No ledger line, no movement: undo the balance change
+    const undo = TRUST_CREDIT_TYPES.includes(type) ? -cents : cents;
+    await Client.updateOne({ _id: client._id }, { $inc: { trustBalanceCents: undo } }).catch((e) =>
+      logger.error(`Trust balance rollback failed for client ${client._id}: ${e.message}`)
+    );
+    throw err;
+  }
+}
+
+/**
+ * Money into trust.
+ * @param {{ createdBy, caseId?, invoiceId?, reference?, note?, reverses? }} details
+ */
+export async function credit(clientId, amount, type = "deposit", details = {}) {
+  if (!TRUST_CREDIT_TYPES.includes(type)) throw ledgerError(400, "INVALID_TYPE", `Not a credit type: ${type}`);
+  const cents = toCents(amount);
+
+  const client = await Client.findOneAndUpdate({ _id: clientId }, { $inc: { trustBalanceCents: cents } }, { new: true });
+  if (!client) throw ledgerError(404, "CLIENT_NOT_FOUND", "Client not found");
+
+  return writeTransaction(client, cents, type, details);
+}
+
+/** Money out of trust — fails with 409 rather than overdrawing */
+export async function debit(clientId, amount, type = "withdrawal", details = {}) {
+  if (!TRUST_DEBIT_TYPES.includes(type)) throw ledgerError(400, "INVALID_TYPE", `Not a debit type: ${type}`);
+  const cents = toCents(amount);
+
+  const client = await Client.findOneAndUpdate(
+    { _id: clientId, trustBalanceCents: { $gte: cents } },
+    { $inc: { trustBalanceCents: -cents } },
+    { new: true }
+  );
+  if (!client) {
+    const existing = await Client.findById(clientId).select("trustBalanceCents");
+    if (!existing) throw ledgerError(404, "CLIENT_NOT_FOUND", "Client not found");
+    throw ledgerError(
+      409,
+      "INSUFFICIENT_TRUST_FUNDS",
+      `Insufficient trust funds: balance is ${(existing.trustBalanceCents / 100).toFixed(2)}`
+    );
+  }
+
+  return writeTransaction(client, cents, type, details);
+}
+
+/** Put a debit back (e.g. an invoice payment that could not be recorded) */
+export async function reverse(transactionId, { createdBy, note = "" } = {}) {
+  const original = await TrustTransaction.findById(transactionId);
+  if (!original) throw ledgerError(404, "NOT_FOUND", "Trust transaction not found");
+  if (!TRUST_DEBIT_TYPES.includes(original.type)) {
+    throw ledgerError(400, "NOT_REVERSIBLE", "Only withdrawals and payments can be reversed; record a withdrawal instead");
+  }
+  if (await TrustTransaction.exists({ reverses: original._id })) {
+    throw ledgerError(409, "ALREADY_REVERSED", "This transaction was already reversed");
+  }
+
+  try {
+    return await credit(original.client, original.amountCents / 100, "reversal", {
+      createdBy,
+      caseId: original.case,
+      invoiceId: original.invoice,
+      reverses: original._id,
+      note: note || `Reversal of ${original.type}`,
+    });
+  } catch (err) {
+    // Lost a race with another reversal (unique index on `reverses`); the credit was rolled back
+    if (err.code === 11000) throw ledgerError(409, "ALREADY_REVERSED", "This transaction was already reversed");
+    throw err;
+  }
+}
+
+/** Balance + most recent ledger lines for a client */
+export async function getLedger(clientId, { limit = 100, before } = {}) {
+  if (!mongoose.isValidObjectId(clientId)) throw ledgerError(400, "INVALID_ID", "Invalid client id");
+  const client = await Client.findById(clientId).select("name trustBalanceCents");
+  if (!client) throw ledgerError(404, "CLIENT_NOT_FOUND", "Client not found");
+
+  const filter = { client: client._id };
+  if (before) filter.createdAt = { $lt: new Date(before) };
+  const transactions = await TrustTransaction.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .populate("createdBy", "name email")
+    .populate("invoice", "number");
+
+  return {
+    client: { _id: client._id, name: client.name },
+    balance: client.trustBalanceCents / 100,
+    currency: process.env.BILLING_CURRENCY || "USD",
+    transactions,
+  };
+}
+
+export default { toCents, credit, debit, reverse, getLedger };
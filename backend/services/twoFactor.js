@@ -0,0 +1,248 @@
+/**
+ * backend/services/twoFactor.js
+ * ---------------------------------------------------------------------
+ * TOTP two-factor authentication.
+ *
+ *  - Enrollment: beginEnrollment() stores an encrypted pending secret and
+ *    returns the otpauth:// URI; confirmEnrollment() turns it on once the
+ *    user proves their app works, and hands out one-time recovery codes
+ *  - Login: a correct password yields a short-lived challenge token
+ *    (signChallenge); /login/2fa redeems it with a TOTP or recovery code
+ *  - Policy: admins may require 2FA per role (SecurityPolicy). Users in
+ *    those roles who have not enrolled are limited to /api/auth until they do.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import { generateSecret, verifyTotp, keyUri, encryptSecret, decryptSecret } from "../utils/totp.js";
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "LawBridge";
+const RECOVERY_CODE_COUNT = 10;
+const POLICY_CACHE_MS = 30 * 1000;
+
+// Separate secret + purpose claim so a challenge token can never pass `protect`
+const CHALLENGE_SECRET = process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET}:2fa-challenge`;
+export const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+
+const twoFactorError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes";
+
+/* =======================================================
+   Policy
+   ======================================================= */
+let policyCache = { at: 0, roles: [] };
+
+export async function requiredRoles() {
+  if (Date.now() - policyCache.at < POLICY_CACHE_MS) return policyCache.roles;
+  const policy = await SecurityPolicy.current();
+  policyCache = { at: Date.now(), roles: policy.requireTwoFactorRoles || [] };
+  return policyCache.roles;
+}
+
+export async function getPolicy() {
+  const policy = await SecurityPolicy.current();
+  return {
+    requireTwoFactorRoles: policy.requireTwoFactorRoles,
+    availableRoles: User.schema.path("role").enumValues,
+    updatedAt: policy.updatedAt,
+    updatedBy: policy.updatedBy,
+  };
+}
+
+export async function setRequiredRoles(roles, updatedBy) {
+  const valid = User.schema.path("role").enumValues;
+  const list = [...new Set([].concat(roles || []).map((r) => String(r).toLowerCase().trim()))];
+  const unknown = list.filter((r) => !valid.includes(r));
+  if (unknown.length) throw twoFactorError(400, "INVALID_ROLE", `Unknown role(s): ${unknown.join(", ")}`);
+
+  await SecurityPolicy.current();
+  await SecurityPolicy.updateOne({ key: "global" }, { $set: { requireTwoFactorRoles: list, updatedBy } });
+  policyCache = { at: 0, roles: [] };
+  return getPolicy();
+}
+
+export const isTwoFactorRequired = async (user) => (await requiredRoles()).includes(String(user.role).toLowerCase());
+
+export const needsEnrollment = async (user) => !user.twoFactor?.enabled && (await isTwoFactorRequired(user));
+
+/* =======================================================
+   Recovery codes
+   ======================================================= */
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[^a-f0-9]/g, "");
+const hashRecoveryCode = (code) => crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+function newRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, stored: codes.map((c) => ({ hash: hashRecoveryCode(c), usedAt: null })) };
+}
+
+/* =======================================================
+   Enrollment
+   ======================================================= */
+export async function status(userId) {
+  const user = await User.findById(userId).select("role twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes");
+  if (!user) throw twoFactorError(404, "USER_NOT_FOUND", "User not found.");
+  return {
+    enabled: !!user.twoFactor?.enabled,
+    enabledAt: user.twoFactor?.enabledAt || null,
+    required: await isTwoFactorRequired(user),
+    recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter((c) => !c.usedAt).length,
+  };
+}
+
+export async function beginEnrollment(userId) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw twoFactorError(404, "USER_NOT_FOUND", "User not found.");
+  if (user.twoFactor?.enabled) throw twoFactorError(409, "ALREADY_ENABLED", "Two-factor authentication is already enabled.");
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  return { secret, otpauthUrl: keyUri({ secret, account: user.email, issuer: ISSUER }) };
+}
+
+export async function confirmEnrollment(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw twoFactorError(404, "USER_NOT_FOUND", "User not found.");
+  if (user.twoFactor?.enabled) throw twoFactorError(409, "ALREADY_ENABLED", "Two-factor authentication is already enabled.");
+  if (!user.twoFactor?.pendingSecret) throw twoFactorError(400, "NO_PENDING_ENROLLMENT", "Start two-factor setup first.");
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) throw twoFactorError(400, "INVALID_CODE", "That code is not valid. Check your authenticator app and try again.");
+
+  const { codes, stored } = newRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = stored;
+  await user.save({ validateBeforeSave: false });
+
+  return codes;
+}
+
+/* =======================================================
+   Verification
+   ======================================================= */
+/**
+ * Check a TOTP code or an unused recovery code for a user with 2FA on.
+ * Consumes what it accepts (the TOTP step, or the recovery code).
+ * @returns {Promise<"totp"|"recovery">}
+ */
+export async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+    throw twoFactorError(400, "NOT_ENABLED", "Two-factor authentication is not enabled.");
+  }
+
+  if (code) {
+    const secret = decryptSecret(user.twoFactor.secret);
+    const step = verifyTotp(secret, code, { afterStep: user.twoFactor.lastUsedStep ?? -1 });
+    if (step === null) throw twoFactorError(401, "INVALID_CODE", "Invalid or already used authentication code.");
+    // Conditional write so the same code can't be redeemed twice in parallel
+    const res = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": { $exists: false } }],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    if (!res.modifiedCount) throw twoFactorError(401, "INVALID_CODE", "Invalid or already used authentication code.");
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const res = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": { $elemMatch: { hash, usedAt: null } } },
+      { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date() } }
+    );
+    if (!res.modifiedCount) throw twoFactorError(401, "INVALID_CODE", "Invalid or already used recovery code.");
+    return "recovery";
+  }
+
+  throw twoFactorError(400, "CODE_REQUIRED", "An authentication code or recovery code is required.");
+}
+
+export async function regenerateRecoveryCodes(userId, code) {
+  await verifySecondFactor(userId, { code });
+  const { codes, stored } = newRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { "twoFactor.recoveryCodes": stored } });
+  return codes;
+}
+
+/** Turn 2FA off. Users must prove a second factor; admins resetting someone else pass `{ force: true }`. */
+export async function disableTwoFactor(userId, { code, recoveryCode, force = false } = {}) {
+  const user = await User.findById(userId).select("role twoFactor.enabled");
+  if (!user) throw twoFactorError(404, "USER_NOT_FOUND", "User not found.");
+  if (!user.twoFactor?.enabled) throw twoFactorError(400, "NOT_ENABLED", "Two-factor authentication is not enabled.");
+
+  if (!force) {
+    if (await isTwoFactorRequired(user)) {
+      throw twoFactorError(403, "TWO_FACTOR_REQUIRED", `Two-factor authentication is required for ${user.role} accounts.`);
+    }
+    await verifySecondFactor(userId, { code, recoveryCode });
+  }
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.recoveryCodes": 1,
+      },
+    }
+  );
+}
+
+/* =======================================================
+   Login challenge
+   ======================================================= */
+export const signChallenge = (user) =>
+  jwt.sign({ sub: String(user._id), purpose: "2fa-challenge" }, CHALLENGE_SECRET, { expiresIn: CHALLENGE_TTL });
+
+/** @returns {string} the user id the challenge was issued for */
+export function readChallenge(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ""), CHALLENGE_SECRET);
+  } catch (err) {
+    throw twoFactorError(
+      401,
+      "CHALLENGE_INVALID",
+      err.name === "TokenExpiredError" ? "Sign-in attempt expired. Please log in again." : "Invalid sign-in attempt."
+    );
+  }
+  if (decoded.purpose !== "2fa-challenge") throw twoFactorError(401, "CHALLENGE_INVALID", "Invalid sign-in attempt.");
+  return decoded.sub;
+}
+
+export default {
+  CHALLENGE_TTL,
+  requiredRoles,
+  getPolicy,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  needsEnrollment,
+  status,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  signChallenge,
+  readChallenge,
+};
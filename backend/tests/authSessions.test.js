@@ -0,0 +1,102 @@
+// backend/tests/authSessions.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AuthSession from "../models/AuthSession.js";
+import { rotateSession, REFRESH_COOKIE } from "../services/authSessions.js";
+import { verifyAccessToken } from "../middleware/authMiddleware.js";
+import { stubSessionStore, signIn, newUser } from "./helpers/sessions.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+async function refresh(cookie) {
+  const res = mockRes();
+  const req = mockReq({ cookies: { [REFRESH_COOKIE]: cookie } });
+  try {
+    return { res, ...(await rotateSession(req, res)) };
+  } catch (error) {
+    return { res, error };
+  }
+}
+
+test("sign-in sets an httpOnly refresh cookie and stores only its hash", async (t) => {
+  const { store, token, session, cookie } = await signIn(t);
+
+  assert.ok(cookie.startsWith(`${session._id}.`));
+  assert.equal(store.record(session._id).tokenHash, sha256(cookie));
+  assert.equal(jwt.decode(token).sid, String(session._id));
+
+  const { session: verified } = await verifyAccessToken(token);
+  assert.equal(String(verified._id), String(session._id));
+});
+
+test("each refresh rotates the cookie and keeps the session", async (t) => {
+  const { store, session, cookie } = await signIn(t);
+
+  const first = await refresh(cookie);
+  const next = first.res.cookies[REFRESH_COOKIE].value;
+  assert.equal(first.error, undefined);
+  assert.notEqual(next, cookie);
+  assert.equal(first.res.cookies[REFRESH_COOKIE].options.httpOnly, true);
+  assert.equal(first.res.cookies[REFRESH_COOKIE].options.path, "/api/auth");
+  assert.equal(String(jwt.decode(first.token).sid), String(session._id));
+
+  const rec = store.record(session._id);
+  assert.equal(rec.tokenHash, sha256(next));
+  assert.equal(rec.previousTokenHash, sha256(cookie));
+  assert.equal(rec.rotations, 1);
+
+  const second = await refresh(next);
+  assert.equal(second.error, undefined);
+  assert.equal(store.record(session._id).rotations, 2);
+});
+
+test("a parallel tab replaying the previous cookie within the grace window is let through", async (t) => {
+  const { store, session, cookie } = await signIn(t);
+  await refresh(cookie);
+
+  const replay = await refresh(cookie);
+  assert.equal(replay.error, undefined);
+  assert.ok(replay.token);
+  assert.equal(replay.res.cookies[REFRESH_COOKIE], undefined);
+  assert.equal(store.record(session._id).revokedAt, null);
+});
+
+test("replaying a rotated cookie later revokes the whole session", async (t) => {
+  const { store, session, token, cookie } = await signIn(t);
+  const rotated = await refresh(cookie);
+  const latest = rotated.res.cookies[REFRESH_COOKIE].value;
+  store.record(session._id).rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  const stolen = await refresh(cookie);
+  assert.equal(stolen.error.code, "REFRESH_REUSED");
+  assert.equal(stolen.error.status, 401);
+  assert.equal(stolen.res.cookies[REFRESH_COOKIE].cleared, true);
+  assert.equal(store.record(session._id).revokedReason, "reuse_detected");
+
+  // Every token of the family is dead: the legitimate cookie and the access tokens
+  const legit = await refresh(latest);
+  assert.equal(legit.error.code, "SESSION_ENDED");
+  await assert.rejects(verifyAccessToken(token), (err) => err.status === 401);
+  await assert.rejects(verifyAccessToken(rotated.token), (err) => err.status === 401);
+});
+
+test("a missing or malformed cookie is refused without touching the store", async (t) => {
+  stubSessionStore(t, newUser());
+  assert.equal((await refresh(undefined)).error.code, "REFRESH_MISSING");
+  assert.equal((await refresh("not-a-session.secret")).error.code, "REFRESH_MISSING");
+  assert.equal(AuthSession.findById.mock.callCount(), 0);
+});
+
+test("refreshing for a suspended account revokes the session", async (t) => {
+  const { user, store, session, cookie } = await signIn(t);
+  user.status = "suspended";
+
+  const { error } = await refresh(cookie);
+  assert.equal(error.code, "ACCOUNT_INACTIVE");
+  assert.equal(error.status, 403);
+  assert.equal(store.record(session._id).revokedReason, "account_inactive");
+});
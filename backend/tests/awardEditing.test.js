@@ -0,0 +1,80 @@
+// backend/tests/awardEditing.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Award from "../models/Award.js";
+import Arbitration from "../models/Arbitration.js";
+import { updateAward } from "../controllers/awardController.js";
+import { saveAwardDraft } from "../controllers/arbitrationAwardController.js";
+import { oid, fakeQuery } from "./helpers/db.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+const arbitrator = { _id: oid(), role: "arbitrator" };
+
+const newAward = (fields = {}) =>
+  new Award({ arbitration: oid(), title: "Award", decisionText: "Draft text", arbitrator: arbitrator._id, createdBy: arbitrator._id, ...fields });
+
+async function update(t, award, body) {
+  t.mock.method(Award, "findById", () => fakeQuery(award));
+  const save = t.mock.method(award, "save", async () => award);
+  const res = mockRes();
+  await updateAward(mockReq({ user: arbitrator, params: { id: String(award._id) }, body }), res);
+  return { res, save };
+}
+
+test("a draft award takes edits to its text fields only", async (t) => {
+  const award = newAward();
+  const { res, save } = await update(t, award, {
+    decisionText: "Revised text",
+    status: "Finalized",
+    isFinalized: true,
+    verificationCode: "FORGED12",
+    signatureHash: "00".repeat(32),
+    awardPdfKey: "someone-else.pdf",
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(award.decisionText, "Revised text");
+  assert.equal(award.status, "Draft");
+  assert.equal(award.isFinalized, false);
+  assert.equal(award.verificationCode, undefined);
+  assert.equal(award.signatureHash, null);
+  assert.equal(award.awardPdfKey, null);
+});
+
+test("an issued award can't be edited", async (t) => {
+  const award = newAward({ isFinalized: true, status: "Finalized", decisionText: "Issued text" });
+  const { res, save } = await update(t, award, { decisionText: "Rewritten after issue" });
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(award.decisionText, "Issued text");
+});
+
+test("a signed award can't be edited", async (t) => {
+  const award = newAward({ signatureHash: "ab".repeat(32), signature: "sig" });
+  const { res, save } = await update(t, award, { title: "New title" });
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("an update with no editable field is rejected", async (t) => {
+  const { res, save } = await update(t, newAward(), { status: "Approved" });
+  assert.equal(res.statusCode, 400);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("the arbitration draft is locked once the award is issued", async (t) => {
+  const arbitration = new Arbitration({ assignedTo: arbitrator._id });
+  arbitration.award = { decisionText: "Issued", issued: true };
+  t.mock.method(Arbitration, "findById", async () => arbitration);
+  const save = t.mock.method(arbitration, "save", async () => arbitration);
+
+  const res = mockRes();
+  await saveAwardDraft(mockReq({ user: arbitrator, params: { id: String(arbitration._id) }, body: { awardText: "Changed" } }), res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(save.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+// backend/tests/awardSigning.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Award from "../models/Award.js";
+import Arbitration from "../models/Arbitration.js";
+import { StorageService } from "../services/storage.js";
+import { signPdf, verifySignature, sha256 } from "../utils/awardSigner.js";
+import { generateAwardPdf, triggerAwardPdf } from "../controllers/awardPdfJob.js";
+import { verifyAwardPublic } from "../controllers/awardController.js";
+import { oid, fakeQuery } from "./helpers/db.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+const newAward = (fields = {}) =>
+  new Award({ arbitration: oid(), title: "Final Award", decisionText: "The claim succeeds.", createdBy: oid(), ...fields });
+
+function signedAward(fields = {}) {
+  const pdf = Buffer.from("%PDF-1.7 issued award");
+  const { hash, signature, algorithm, keyId } = signPdf(pdf);
+  const award = newAward({
+    isFinalized: true,
+    status: "Finalized",
+    signatureHash: hash,
+    signature,
+    signatureAlgorithm: algorithm,
+    signingKeyId: keyId,
+    signedAt: new Date(),
+    verificationCode: "ABCD2345",
+    awardPdfKey: "award_1.pdf",
+    ...fields,
+  });
+  return { award, pdf };
+}
+
+/* ---------------- signatures ---------------- */
+test("a signature verifies for its own digest and nothing else", () => {
+  const { hash, signature } = signPdf(Buffer.from("award"));
+  assert.equal(verifySignature(hash, signature), true);
+  assert.equal(verifySignature(sha256(Buffer.from("award, edited")), signature), false);
+  assert.equal(verifySignature(hash, null), false);
+});
+
+/* ---------------- generation ---------------- */
+test("a draft award is never rendered or signed", async (t) => {
+  const draft = newAward();
+  t.mock.method(Award, "findById", () => fakeQuery(draft));
+  const save = t.mock.method(StorageService, "saveFile", async () => ({ key: "x.pdf" }));
+
+  await assert.rejects(generateAwardPdf(draft._id), (err) => err.status === 409 && err.permanent === true);
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(draft.signatureHash, null);
+});
+
+test("an issued award is signed once and regeneration returns the same file", async (t) => {
+  const award = newAward({ isFinalized: true, status: "Finalized" });
+  t.mock.method(Award, "findById", () => fakeQuery(award));
+  t.mock.method(award, "save", async () => award);
+  t.mock.method(Arbitration, "updateOne", async () => ({ modifiedCount: 1 }));
+  const saveFile = t.mock.method(StorageService, "saveFile", async () => ({ key: "award_1.pdf" }));
+  t.mock.method(StorageService, "getFileURL", async (key) => `https://files.test/${key}?sig=${Date.now()}`);
+
+  const first = await generateAwardPdf(award._id);
+  const { signatureHash, signature, verificationCode } = award;
+  assert.ok(signatureHash && signature && verificationCode);
+  assert.equal(verifySignature(signatureHash, signature), true);
+
+  const second = await generateAwardPdf(award._id);
+  assert.equal(saveFile.mock.callCount(), 1);
+  assert.equal(second.key, first.key);
+  assert.equal(award.signatureHash, signatureHash);
+  assert.equal(award.verificationCode, verificationCode);
+});
+
+test("POST /api/awards/:id/pdf refuses drafts", async (t) => {
+  const draft = newAward();
+  t.mock.method(Award, "findById", () => fakeQuery(draft));
+  const res = mockRes();
+  await triggerAwardPdf(mockReq({ user: { _id: oid(), role: "arbitrator" }, params: { id: String(draft._id) } }), res);
+  assert.equal(res.statusCode, 409);
+});
+
+test("issuing clears a signature made while the award was a draft", () => {
+  const { award } = signedAward({ isFinalized: false, status: "Draft" });
+  award.clearSignature();
+  assert.equal(award.signatureHash, null);
+  assert.equal(award.signature, null);
+  assert.equal(award.verificationCode, undefined);
+  assert.equal(award.awardPdfKey, null);
+});
+
+/* ---------------- public verification ---------------- */
+function verifyWith(t, award) {
+  const find = t.mock.method(Award, "findOne", () => fakeQuery(award));
+  return find;
+}
+
+test("public verification only looks at issued awards", async (t) => {
+  const find = verifyWith(t, null);
+  const res = mockRes();
+  await verifyAwardPublic(mockReq({ params: { code: "abcd2345" } }), res);
+  assert.equal(res.statusCode, 404);
+  assert.equal(find.mock.calls[0].arguments[0].isFinalized, true);
+  assert.equal(find.mock.calls[0].arguments[0].verificationCode, "ABCD2345");
+});
+
+test("public verification is valid only when the document matches", async (t) => {
+  const { award, pdf } = signedAward();
+  verifyWith(t, award);
+
+  const nothing = mockRes();
+  await verifyAwardPublic(mockReq({ params: { code: "ABCD2345" } }), nothing);
+  assert.equal(nothing.body.valid, false);
+  assert.equal(nothing.body.result, "not_compared");
+  assert.equal(nothing.body.signatureValid, true);
+
+  const same = mockRes();
+  await verifyAwardPublic(mockReq({ params: { code: "ABCD2345" }, file: { buffer: pdf } }), same);
+  assert.equal(same.body.valid, true);
+  assert.equal(same.body.result, "match");
+
+  const edited = mockRes();
+  await verifyAwardPublic(mockReq({ params: { code: "ABCD2345" }, query: { sha256: sha256(Buffer.from("forged")) } }), edited);
+  assert.equal(edited.body.valid, false);
+  assert.equal(edited.body.result, "mismatch");
+});
+
+test("a tampered stored signature never verifies, even for the right document", async (t) => {
+  const { award, pdf } = signedAward();
+  award.signature = signPdf(Buffer.from("another pdf")).signature;
+  verifyWith(t, award);
+
+  const res = mockRes();
+  await verifyAwardPublic(mockReq({ params: { code: "ABCD2345" }, file: { buffer: pdf } }), res);
+  assert.equal(res.body.valid, false);
+  assert.equal(res.body.result, "signature_invalid");
+});
@@ -0,0 +1,199 @@
+// backend/tests/billing.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Client from "../models/Client.js";
+import Invoice from "../models/Invoice.js";
+import TrustTransaction from "../models/TrustTransaction.js";
+import { Counter } from "../models/Case.js";
+import { toCents, credit, debit, reverse } from "../services/trustLedger.js";
+import { clientBillingAccess, recordPayment, createCreditNote, voidInvoice, issueInvoice } from "../services/billing.js";
+import { oid, fakeQuery } from "./helpers/db.js";
+
+const user = { _id: oid(), role: "advocate" };
+
+// Client balances and ledger lines in memory; the $gte guard is what stops overdrafts
+function stubTrust(t, balanceCents = 0) {
+  const client = { _id: oid(), name: "Acme Ltd", trustBalanceCents: balanceCents };
+  const ledger = [];
+
+  t.mock.method(Client, "findOneAndUpdate", async (filter, update) => {
+    if (String(filter._id) !== String(client._id)) return null;
+    if (filter.trustBalanceCents && client.trustBalanceCents < filter.trustBalanceCents.$gte) return null;
+    client.trustBalanceCents += update.$inc.trustBalanceCents;
+    return { ...client };
+  });
+  t.mock.method(Client, "findById", () => fakeQuery(client));
+  t.mock.method(Client, "updateOne", async (filter, update) => {
+    client.trustBalanceCents += update.$inc.trustBalanceCents;
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(TrustTransaction, "create", async (doc) => {
+    if (doc.reverses && ledger.some((l) => String(l.reverses) === String(doc.reverses))) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    const line = { _id: oid(), ...doc };
+    ledger.push(line);
+    return line;
+  });
+  t.mock.method(TrustTransaction, "findById", async (id) => ledger.find((l) => String(l._id) === String(id)) || null);
+  t.mock.method(TrustTransaction, "exists", async (filter) =>
+    ledger.some((l) => String(l.reverses) === String(filter.reverses)) ? { _id: oid() } : null
+  );
+  return { client, ledger };
+}
+
+// An issued invoice for 1000.00 + 16% VAT, saved nowhere
+function issued(t, clientId = oid()) {
+  const invoice = new Invoice({
+    client: clientId,
+    status: "issued",
+    number: "INV-2026-00007",
+    currency: "USD",
+    lines: [{ description: "Drafting the claim", quantity: 4, unitPrice: 250 }],
+    taxes: [{ name: "VAT", rate: 16 }],
+    createdBy: user._id,
+  });
+  invoice.recalculate();
+  t.mock.method(invoice, "save", async () => invoice);
+  return invoice;
+}
+
+/* =======================================================
+   Trust ledger
+   ======================================================= */
+test("amounts are taken in decimals and kept in whole cents", () => {
+  assert.equal(toCents("12.5"), 1250);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  for (const bad of [0, -5, "abc", undefined]) assert.throws(() => toCents(bad), (err) => err.code === "INVALID_AMOUNT");
+});
+
+test("each movement records the balance after it, and a debit can't overdraw", async (t) => {
+  const { client, ledger } = stubTrust(t);
+
+  await credit(client._id, 500, "deposit", { createdBy: user._id });
+  await debit(client._id, 120.25, "withdrawal", { createdBy: user._id });
+  assert.deepEqual(ledger.map((l) => [l.type, l.amountCents, l.balanceAfterCents]), [
+    ["deposit", 50000, 50000],
+    ["withdrawal", 12025, 37975],
+  ]);
+
+  await assert.rejects(debit(client._id, 400, "withdrawal", { createdBy: user._id }), (err) => {
+    assert.equal(err.status, 409);
+    assert.equal(err.code, "INSUFFICIENT_TRUST_FUNDS");
+    assert.match(err.message, /balance is 379\.75/);
+    return true;
+  });
+  assert.equal(client.trustBalanceCents, 37975);
+  await assert.rejects(credit(client._id, 10, "withdrawal"), (err) => err.code === "INVALID_TYPE");
+});
+
+test("a movement whose ledger line can't be written is rolled back", async (t) => {
+  const { client } = stubTrust(t, 10000);
+  t.mock.method(TrustTransaction, "create", async () => {
+    throw new Error("write concern timeout");
+  });
+
+  await assert.rejects(debit(client._id, 40, "withdrawal", { createdBy: user._id }), /write concern/);
+  assert.equal(client.trustBalanceCents, 10000);
+});
+
+test("only debits can be reversed, and only once", async (t) => {
+  const { client, ledger } = stubTrust(t);
+  const deposit = await credit(client._id, 100, "deposit", { createdBy: user._id });
+  const payment = await debit(client._id, 60, "invoice_payment", { createdBy: user._id });
+
+  await assert.rejects(reverse(deposit._id, { createdBy: user._id }), (err) => err.code === "NOT_REVERSIBLE");
+
+  const back = await reverse(payment._id, { createdBy: user._id });
+  assert.equal(back.type, "reversal");
+  assert.equal(String(back.reverses), String(payment._id));
+  assert.equal(client.trustBalanceCents, 10000);
+
+  await assert.rejects(reverse(payment._id, { createdBy: user._id }), (err) => err.status === 409 && err.code === "ALREADY_REVERSED");
+  assert.equal(ledger.length, 3);
+});
+
+/* =======================================================
+   Invoices
+   ======================================================= */
+test("a client is billed by admins and the advocates on its record, and only read by its own account", () => {
+  const owner = { _id: oid(), role: "advocate" };
+  const shared = { _id: oid(), role: "paralegal" };
+  const account = { _id: oid(), role: "client" };
+  const client = { createdBy: owner._id, sharedWith: [shared._id], user: account._id };
+
+  assert.equal(clientBillingAccess({ _id: oid(), role: "admin" }, client), "manage");
+  assert.equal(clientBillingAccess(owner, client), "manage");
+  assert.equal(clientBillingAccess(shared, client), "manage");
+  assert.equal(clientBillingAccess(account, client), "view");
+  assert.equal(clientBillingAccess({ _id: oid(), role: "advocate" }, client), null);
+  assert.equal(clientBillingAccess({ _id: shared._id, role: "mediator" }, client), null);
+});
+
+test("issuing numbers the invoice, freezes the bill-to and sets a due date", async (t) => {
+  t.mock.method(Counter, "findOneAndUpdate", async () => ({ seq: 42 }));
+  const invoice = issued(t);
+  invoice.status = "draft";
+  invoice.number = undefined;
+
+  await issueInvoice(invoice, { name: "Acme Ltd", email: "ap@acme.test" }, user);
+  assert.match(invoice.number, /^INV-\d{4}-00042$/);
+  assert.equal(invoice.billTo.name, "Acme Ltd");
+  assert.equal(invoice.total, 1160);
+  assert.ok(invoice.dueDate > invoice.issueDate);
+  await assert.rejects(issueInvoice(invoice, {}, user), (err) => err.code === "NOT_DRAFT");
+});
+
+test("payments can't exceed what is owed and move the status along", async (t) => {
+  const invoice = issued(t);
+  assert.equal(invoice.balanceDue, 1160);
+
+  await assert.rejects(recordPayment(invoice, user, { amount: 1160.01 }), (err) => err.code === "OVERPAYMENT");
+  await recordPayment(invoice, user, { amount: 160 });
+  assert.equal(invoice.status, "partially_paid");
+  await recordPayment(invoice, user, { amount: 1000 });
+  assert.equal(invoice.status, "paid");
+  assert.equal(invoice.balanceDue, 0);
+  await assert.rejects(recordPayment(invoice, user, { amount: 1 }), (err) => err.code === "NOT_PAYABLE");
+});
+
+test("a trust payment that loses the save race puts the money back", async (t) => {
+  const { client, ledger } = stubTrust(t, 200000);
+  const invoice = issued(t, client._id);
+  t.mock.method(invoice, "save", async () => {
+    throw Object.assign(new Error("No matching document"), { name: "VersionError" });
+  });
+
+  await assert.rejects(recordPayment(invoice, user, { amount: 500, method: "trust" }), (err) => err.status === 409 && err.code === "CONFLICT");
+  assert.deepEqual(ledger.map((l) => l.type), ["invoice_payment", "reversal"]);
+  assert.equal(client.trustBalanceCents, 200000);
+});
+
+test("a credit note adds tax at the invoice's rates and can't exceed the balance due", async (t) => {
+  t.mock.method(Counter, "findOneAndUpdate", async () => ({ seq: 3 }));
+  t.mock.method(Invoice.prototype, "save", async function () {
+    return this;
+  });
+  const invoice = issued(t);
+
+  await assert.rejects(createCreditNote(invoice, user, { amount: 100 }), (err) => err.code === "REASON_REQUIRED");
+  await assert.rejects(
+    createCreditNote(invoice, user, { amount: 1000.01, reason: "Goodwill" }),
+    (err) => err.code === "CREDIT_EXCEEDS_BALANCE"
+  );
+
+  const note = await createCreditNote(invoice, user, { amount: 100, reason: "Goodwill" });
+  assert.equal(note.kind, "credit_note");
+  assert.match(note.number, /^CN-\d{4}-00003$/);
+  assert.equal(note.total, 116);
+  assert.equal(invoice.amountCredited, 116);
+  assert.equal(invoice.balanceDue, 1044);
+  assert.deepEqual(invoice.creditNotes.map(String), [String(note._id)]);
+});
+
+test("an invoice with payments can't be voided", async (t) => {
+  const invoice = issued(t);
+  await recordPayment(invoice, user, { amount: 10 });
+  await assert.rejects(voidInvoice(invoice, user, "typo"), (err) => err.code === "CANNOT_VOID");
+});
@@ -0,0 +1,96 @@
+// backend/tests/caseLifecycle.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Case from "../models/Case.js";
+import Award from "../models/Award.js";
+import Hearing from "../models/Hearing.js";
+import { assertTransition, availableTransitions, nextStatuses } from "../services/caseLifecycle.js";
+import { oid } from "./helpers/db.js";
+
+const advocate = { _id: oid(), role: "advocate" };
+const arbitrator = { _id: oid(), role: "arbitrator" };
+const client = { _id: oid(), role: "client" };
+
+const rejects = (promise, code) => assert.rejects(promise, (err) => err.code === code);
+
+// Award.exists against an in-memory list, honouring plain and $ne conditions
+function stubAwards(t, awards) {
+  const matches = (award, filter) =>
+    Object.entries(filter).every(([key, cond]) =>
+      cond && typeof cond === "object" && "$ne" in cond ? award[key] !== cond.$ne : String(award[key]) === String(cond)
+    );
+  t.mock.method(Award, "exists", async (filter) => (awards.some((a) => matches(a, filter)) ? { _id: oid() } : null));
+}
+
+test("a civil case follows its table and rejects skipped steps", async () => {
+  const doc = { status: "filed", category: "civil" };
+  assert.deepEqual(nextStatuses(doc).sort(), ["hearing_scheduled", "paused", "rejected", "under_review"]);
+
+  await assertTransition(doc, "under_review", advocate);
+  await rejects(assertTransition(doc, "resolved", advocate), "ILLEGAL_TRANSITION");
+  await rejects(assertTransition(doc, "nonsense", advocate), "INVALID_STATUS");
+});
+
+test("roles are checked unless the server moves the case itself", async (t) => {
+  t.mock.method(Hearing, "exists", async () => null);
+  const doc = { status: "filed", category: "civil", hearings: [oid()] };
+
+  await rejects(assertTransition(doc, "under_review", client), "ROLE_NOT_ALLOWED");
+  await assertTransition(doc, "hearing_scheduled", client, { system: true });
+});
+
+test("scheduling a hearing needs one on record", async (t) => {
+  t.mock.method(Hearing, "exists", async () => null);
+  const doc = { _id: oid(), status: "accepted", category: "civil", hearings: [] };
+
+  const err = await assertTransition(doc, "hearing_scheduled", advocate).catch((e) => e);
+  assert.equal(err.code, "PRECONDITION_FAILED");
+  assert.equal(err.status, 409);
+  assert.deepEqual(err.details.failed.map((f) => f.key), ["hearingExists"]);
+});
+
+test("a paused case resumes only to the status it was paused from", async () => {
+  const doc = { status: "paused", category: "civil", previousStatus: "under_review" };
+  await assertTransition(doc, "under_review", advocate);
+  await rejects(assertTransition(doc, "filed", advocate), "PRECONDITION_FAILED");
+});
+
+test("award_issued needs an issued award from the case's own arbitration", async (t) => {
+  const arbitration = oid();
+  const issued = { _id: oid(), arbitration, isFinalized: true, isDeleted: false, status: "Finalized" };
+  const draft = { _id: oid(), arbitration, isFinalized: false, isDeleted: false, status: "Draft" };
+  const foreign = { _id: oid(), arbitration: oid(), isFinalized: true, isDeleted: false, status: "Finalized" };
+  stubAwards(t, [issued, draft, foreign]);
+
+  const adrCase = (award, arb = arbitration) => ({ status: "hearing_in_progress", category: "adr", arbitration: arb, award });
+
+  await assertTransition(adrCase(issued._id), "award_issued", arbitrator);
+  await rejects(assertTransition(adrCase(draft._id), "award_issued", arbitrator), "PRECONDITION_FAILED");
+  await rejects(assertTransition(adrCase(foreign._id), "award_issued", arbitrator), "PRECONDITION_FAILED");
+  await rejects(assertTransition(adrCase(issued._id, null), "award_issued", arbitrator), "PRECONDITION_FAILED");
+  await rejects(assertTransition(adrCase(null), "award_issued", arbitrator), "PRECONDITION_FAILED");
+});
+
+test("available transitions explain what blocks each move", async (t) => {
+  stubAwards(t, []);
+  const doc = { status: "hearing_in_progress", category: "adr", hearings: [oid()], arbitration: oid(), award: oid() };
+
+  const moves = await availableTransitions(doc, advocate);
+  const awardMove = moves.find((m) => m.to === "award_issued");
+  assert.equal(awardMove.allowed, false);
+  assert.deepEqual(awardMove.blockedBy.map((b) => b.key), ["role", "awardLinked"]);
+  assert.equal(moves.find((m) => m.to === "resolved").allowed, true);
+});
+
+test("a case update can't link an award or arbitration by hand", async (t) => {
+  const doc = new Case({ title: "Smith v Jones", caseNumber: "CASE-1", filedBy: advocate._id, category: "adr" });
+  t.mock.method(doc, "save", async () => doc);
+
+  await doc.updateCaseFields({ title: "Smith v Jones (amended)", award: oid(), arbitration: oid() }, advocate._id);
+
+  assert.equal(doc.title, "Smith v Jones (amended)");
+  assert.equal(doc.award, undefined);
+  assert.equal(doc.arbitration, undefined);
+  assert.equal(doc.history.at(-1).note, "Updated: title");
+});
@@ -0,0 +1,125 @@
+// backend/tests/casePolicy.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Case from "../models/Case.js";
+import { resolveCaseCapability, can, describeCasePermissions, caseAccessQuery } from "../services/casePolicy.js";
+import { requireCaseAccess } from "../middleware/hasCaseAccess.js";
+import { oid, fakeQuery } from "./helpers/db.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+const user = (role = "advocate") => ({ _id: oid(), role });
+
+const caseFor = ({ owner, assigned, team = [], shared = [], participants = [] } = {}) => ({
+  _id: oid(),
+  filedBy: owner?._id || oid(),
+  assignedTo: assigned?._id || null,
+  team,
+  sharedWith: shared.map(([u]) => u._id),
+  sharedLogs: shared.map(([u, permission, sharedAt = new Date()]) => ({ sharedWith: u._id, permission, sharedAt })),
+  participants: participants.map((u) => u._id),
+});
+
+test("owners manage, assignees edit and participants comment", () => {
+  const owner = user();
+  const assignee = user();
+  const participant = user();
+  const stranger = user();
+  const doc = caseFor({ owner, assigned: assignee, participants: [participant] });
+
+  assert.equal(resolveCaseCapability(owner, doc).capability, "manage");
+  assert.equal(resolveCaseCapability(assignee, doc).capability, "edit");
+  assert.equal(resolveCaseCapability(participant, doc).capability, "comment");
+  assert.equal(resolveCaseCapability(stranger, doc).capability, "none");
+  assert.equal(resolveCaseCapability(user("admin"), doc).capability, "manage");
+});
+
+test("team roles map to their capability and the strongest grant wins", () => {
+  const coCounsel = user();
+  const reviewer = user();
+  const doc = caseFor({
+    team: [
+      { user: coCounsel._id, role: "co-counsel" },
+      { user: reviewer._id, role: "reviewer" },
+    ],
+    participants: [reviewer],
+  });
+
+  assert.equal(resolveCaseCapability(coCounsel, doc).capability, "edit");
+  const { capability, via } = resolveCaseCapability(reviewer, doc);
+  assert.equal(capability, "comment");
+  assert.deepEqual(via, ["team:reviewer", "participant"]);
+});
+
+test("a share grants the permission from its latest log entry", () => {
+  const colleague = user();
+  const doc = caseFor({
+    shared: [
+      [colleague, "edit", new Date("2026-01-01")],
+      [colleague, "view", new Date("2026-02-01")],
+    ],
+  });
+  assert.equal(resolveCaseCapability(colleague, doc).capability, "view");
+});
+
+test("clients and respondents never exceed comment, even as owners", () => {
+  const client = user("client");
+  const respondent = user("respondent");
+  assert.equal(resolveCaseCapability(client, caseFor({ owner: client })).capability, "comment");
+  assert.equal(resolveCaseCapability(respondent, caseFor({ assigned: respondent })).capability, "comment");
+});
+
+test("managing participants needs manage, not edit", () => {
+  const owner = user();
+  const assignee = user();
+  const coCounsel = user();
+  const doc = caseFor({ owner, assigned: assignee, team: [{ user: coCounsel._id, role: "co-counsel" }] });
+
+  assert.equal(can(owner, doc, "manageParticipants"), true);
+  assert.equal(can(assignee, doc, "manageParticipants"), false);
+  assert.equal(can(coCounsel, doc, "manageParticipants"), false);
+  assert.equal(can(assignee, doc, "edit"), true);
+  assert.equal(describeCasePermissions(assignee, doc).actions.manageParticipants, false);
+});
+
+test("restore stays admin-only in the UI flags", () => {
+  const owner = user();
+  const doc = caseFor({ owner });
+  assert.equal(describeCasePermissions(owner, doc).actions.restore, false);
+  assert.equal(describeCasePermissions(user("admin"), doc).actions.restore, true);
+});
+
+test("list filter covers every relationship and is empty for admins", () => {
+  const me = user();
+  const fields = caseAccessQuery(me).$or.map((clause) => Object.keys(clause)[0]);
+  assert.deepEqual(fields.sort(), ["assignedTo", "createdBy", "filedBy", "participants", "sharedWith", "team.user"]);
+  assert.deepEqual(caseAccessQuery(user("admin")), {});
+});
+
+async function callParticipantsRoute(t, actor, doc) {
+  t.mock.method(Case, "findById", () => fakeQuery(doc));
+  const res = mockRes();
+  let passed = false;
+  await requireCaseAccess("manageParticipants")(mockReq({ user: actor, params: { id: String(doc._id) } }), res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test("the participants routes refuse editors with 403 and hide the case from strangers", async (t) => {
+  const owner = user();
+  const assignee = user();
+  const doc = caseFor({ owner, assigned: assignee });
+
+  const asAssignee = await callParticipantsRoute(t, assignee, doc);
+  assert.equal(asAssignee.passed, false);
+  assert.equal(asAssignee.res.statusCode, 403);
+  assert.equal(asAssignee.res.body.required, "manage");
+
+  const asStranger = await callParticipantsRoute(t, user(), doc);
+  assert.equal(asStranger.passed, false);
+  assert.equal(asStranger.res.statusCode, 404);
+
+  const asOwner = await callParticipantsRoute(t, owner, doc);
+  assert.equal(asOwner.passed, true);
+});
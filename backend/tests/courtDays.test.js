@@ -0,0 +1,63 @@
+// backend/tests/courtDays.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dayKey, addMonths, closedReason, computeDueDay } from "../utils/courtDays.js";
+
+const calendar = {
+  timezone: "UTC",
+  weekendDays: [0, 6],
+  holidays: [
+    { date: "2000-12-25", name: "Christmas Day", recurring: true },
+    { date: "2026-10-12", name: "Court closure", recurring: false },
+  ],
+};
+
+const due = (trigger, rule) => computeDueDay(trigger, rule, calendar).dueDay;
+
+test("day keys follow the court's timezone", () => {
+  assert.equal(dayKey(new Date("2026-10-19T02:00:00Z"), "UTC"), "2026-10-19");
+  assert.equal(dayKey(new Date("2026-10-19T02:00:00Z"), "America/New_York"), "2026-10-18");
+  assert.equal(dayKey("2026-10-19", "Asia/Tokyo"), "2026-10-19");
+});
+
+test("weekends, one-off and recurring holidays close the court", () => {
+  assert.equal(closedReason("2026-10-17", calendar), "weekend");
+  assert.equal(closedReason("2026-10-12", calendar), "Court closure");
+  assert.equal(closedReason("2027-10-12", calendar), null);
+  assert.equal(closedReason("2026-12-25", calendar), "Christmas Day");
+  assert.equal(closedReason("2026-10-19", calendar), null);
+});
+
+test("court days are counted one by one, skipping closed days", () => {
+  const result = computeDueDay("2026-10-16", { offset: 3, unit: "court_days", direction: "after" }, calendar);
+  assert.equal(result.dueDay, "2026-10-21");
+  assert.deepEqual(result.skipped.map((s) => s.day), ["2026-10-17", "2026-10-18"]);
+
+  assert.equal(due("2026-12-24", { offset: 1, unit: "court_days", direction: "after" }), "2026-12-28");
+  assert.equal(due("2026-10-14", { offset: 2, unit: "court_days", direction: "before" }), "2026-10-09");
+});
+
+test("zero court days means the trigger day, or the next open one", () => {
+  assert.equal(due("2026-10-19", { offset: 0, unit: "court_days", direction: "after" }), "2026-10-19");
+  assert.equal(due("2026-10-17", { offset: 0, unit: "court_days", direction: "after" }), "2026-10-19");
+});
+
+test("calendar-day rules roll forward after and backward before", () => {
+  assert.equal(due("2026-10-14", { offset: 10, unit: "calendar_days", direction: "after" }), "2026-10-26");
+  assert.equal(due("2026-10-25", { offset: 1, unit: "weeks", direction: "before" }), "2026-10-16");
+  assert.equal(due("2026-10-14", { offset: 10, unit: "calendar_days", direction: "after", roll: "previous" }), "2026-10-23");
+  assert.equal(due("2026-10-14", { offset: 10, unit: "calendar_days", direction: "after", roll: "none" }), "2026-10-24");
+});
+
+test("months clamp to the end of shorter months before rolling", () => {
+  assert.equal(addMonths("2026-01-31", 1), "2026-02-28");
+  assert.equal(addMonths("2028-01-31", 1), "2028-02-29");
+  assert.equal(due("2026-01-31", { offset: 1, unit: "months", direction: "after" }), "2026-03-02");
+  assert.equal(due("2026-01-31", { offset: 1, unit: "months", direction: "after", roll: "none" }), "2026-02-28");
+});
+
+test("a calendar with no open days is reported instead of looping", () => {
+  const closed = { weekendDays: [0, 1, 2, 3, 4, 5, 6], holidays: [] };
+  assert.throws(() => computeDueDay("2026-10-19", { offset: 0, unit: "calendar_days", direction: "after" }, closed), /No court day/);
+});
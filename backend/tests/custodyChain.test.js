@@ -0,0 +1,188 @@
+// backend/tests/custodyChain.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import CustodyEvent, { GENESIS_HASH } from "../models/CustodyEvent.js";
+import {
+  hashUploadedFile,
+  recordCustodyEvent,
+  ensureCustodyGenesis,
+  verifyCustodyChain,
+  checkIntegrity,
+} from "../services/custodyService.js";
+import { oid, fakeQuery } from "./helpers/db.js";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// CustodyEvent backed by an array, enforcing the unique (evidence, seq) index
+function stubLedger(t) {
+  const ledger = [];
+  const of = (filter) => ledger.filter((e) => String(e.evidence) === String(filter.evidence)).sort((a, b) => a.seq - b.seq);
+
+  t.mock.method(CustodyEvent, "create", async (entry) => {
+    if (ledger.some((e) => String(e.evidence) === String(entry.evidence) && e.seq === entry.seq)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    const stored = { ...entry };
+    ledger.push(stored);
+    return stored;
+  });
+  t.mock.method(CustodyEvent, "findOne", (filter) => fakeQuery(of(filter).at(-1) || null));
+  t.mock.method(CustodyEvent, "find", (filter) => fakeQuery(of(filter).map((e) => ({ ...e }))));
+  t.mock.method(CustodyEvent, "exists", async (filter) => (of(filter).length ? { _id: oid() } : null));
+  return ledger;
+}
+
+const newEvidence = (content = "exhibit A") => ({
+  _id: oid(),
+  uploadedBy: oid(),
+  createdAt: new Date("2026-01-05T10:00:00Z"),
+  contentHash: sha256(content),
+});
+
+const req = { user: { _id: oid() }, ip: "10.0.0.1", get: () => "test-agent" };
+
+async function pick(evidence) {
+  const { valid, brokenAt, reason } = await verifyCustodyChain(evidence);
+  return { valid, brokenAt, reason };
+}
+
+test("uploads are hashed from memory or disk alike", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "custody-"));
+  const file = path.join(dir, "exhibit.txt");
+  fs.writeFileSync(file, "exhibit A");
+  try {
+    assert.equal(await hashUploadedFile({ buffer: Buffer.from("exhibit A") }), sha256("exhibit A"));
+    assert.equal(await hashUploadedFile({ path: file }), sha256("exhibit A"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("each entry links to the one before it", async (t) => {
+  const ledger = stubLedger(t);
+  const evidence = newEvidence();
+
+  await recordCustodyEvent(evidence, "upload", req);
+  await recordCustodyEvent(evidence, "view", req);
+  await recordCustodyEvent(evidence, "download", req, { details: "for hearing bundle" });
+
+  assert.deepEqual(ledger.map((e) => e.seq), [0, 1, 2]);
+  assert.equal(ledger[0].prevHash, GENESIS_HASH);
+  assert.equal(ledger[1].prevHash, ledger[0].entryHash);
+  assert.equal(ledger[2].prevHash, ledger[1].entryHash);
+  assert.equal(String(ledger[2].actor), String(req.user._id));
+
+  const chain = await verifyCustodyChain(evidence);
+  assert.equal(chain.valid, true);
+  assert.equal(chain.legacy, false);
+  assert.equal(chain.headHash, ledger[2].entryHash);
+});
+
+test("editing, removing or re-linking an entry breaks the chain at that entry", async (t) => {
+  const evidence = newEvidence();
+  const build = async () => {
+    const ledger = stubLedger(t);
+    for (const action of ["upload", "view", "download", "verify"]) await recordCustodyEvent(evidence, action, req);
+    return ledger;
+  };
+
+  let ledger = await build();
+  ledger[1].actor = oid();
+  assert.deepEqual(await pick(evidence), { valid: false, brokenAt: 1, reason: "entry contents were modified" });
+
+  ledger = await build();
+  ledger.splice(2, 1);
+  assert.deepEqual(await pick(evidence), { valid: false, brokenAt: 3, reason: "missing entry before seq 3" });
+
+  ledger = await build();
+  ledger[2].prevHash = GENESIS_HASH;
+  ledger[2].entryHash = CustodyEvent.computeHash(ledger[2]);
+  assert.deepEqual(await pick(evidence), { valid: false, brokenAt: 2, reason: "prevHash does not match previous entry" });
+});
+
+test("a record whose content hash was swapped after upload fails verification", async (t) => {
+  stubLedger(t);
+  const evidence = newEvidence();
+  await recordCustodyEvent(evidence, "upload", req);
+
+  evidence.contentHash = sha256("a different exhibit");
+  const chain = await verifyCustodyChain(evidence);
+  assert.equal(chain.valid, false);
+  assert.equal(chain.brokenAt, 0);
+  assert.match(chain.reason, /differs from the one recorded at upload/);
+});
+
+test("evidence from before the ledger gets a backfilled upload entry first", async (t) => {
+  const ledger = stubLedger(t);
+  const evidence = newEvidence();
+
+  await recordCustodyEvent(evidence, "view", req);
+  assert.deepEqual(ledger.map((e) => e.action), ["upload", "view"]);
+  assert.equal(String(ledger[0].actor), String(evidence.uploadedBy));
+  assert.equal(ledger[0].at.getTime(), evidence.createdAt.getTime());
+  assert.match(ledger[0].details, /backfilled/);
+  assert.equal(await ensureCustodyGenesis(evidence), false);
+  assert.equal((await verifyCustodyChain(evidence)).valid, true);
+});
+
+test("a concurrent append that loses the race retries on the new tip", async (t) => {
+  const ledger = stubLedger(t);
+  const evidence = newEvidence();
+  await recordCustodyEvent(evidence, "upload", req);
+
+  // Another request appends between our tip read and our insert
+  let raced = false;
+  const findOne = CustodyEvent.findOne;
+  t.mock.method(CustodyEvent, "findOne", (filter) => {
+    const query = findOne(filter);
+    if (!raced) {
+      raced = true;
+      ledger.push({ ...ledger[0], seq: 1, action: "view", prevHash: ledger[0].entryHash, entryHash: "f".repeat(64) });
+    }
+    return query;
+  });
+
+  await recordCustodyEvent(evidence, "download", req);
+  assert.deepEqual(ledger.map((e) => [e.seq, e.action]), [
+    [0, "upload"],
+    [1, "view"],
+    [2, "download"],
+  ]);
+  assert.equal(ledger[2].prevHash, "f".repeat(64));
+});
+
+test("an integrity check re-hashes the stored file against the current version", async (t) => {
+  stubLedger(t);
+  fs.mkdirSync(process.env.UPLOAD_DIR, { recursive: true });
+  const fileKey = `custody-${crypto.randomBytes(6).toString("hex")}.txt`;
+  const filePath = path.join(process.env.UPLOAD_DIR, fileKey);
+  fs.writeFileSync(filePath, "exhibit A, revised");
+  t.after(() => fs.rmSync(filePath, { force: true }));
+
+  const evidence = {
+    ...newEvidence("exhibit A"),
+    fileKey,
+    storageProvider: "local",
+    currentVersion: 2,
+    versions: [
+      { version: 1, contentHash: sha256("exhibit A") },
+      { version: 2, contentHash: sha256("exhibit A, revised") },
+    ],
+  };
+  await recordCustodyEvent(evidence, "upload", req);
+
+  const ok = await checkIntegrity(evidence);
+  assert.equal(ok.intact, true);
+  assert.equal(ok.file.actual, sha256("exhibit A, revised"));
+
+  fs.writeFileSync(filePath, "tampered");
+  const tampered = await checkIntegrity(evidence);
+  assert.equal(tampered.intact, false);
+  assert.equal(tampered.file.matches, false);
+  assert.equal(tampered.chain.valid, true);
+});
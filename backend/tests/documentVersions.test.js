@@ -0,0 +1,116 @@
+// backend/tests/documentVersions.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Evidence from "../models/Evidence.js";
+import {
+  ensureVersions,
+  addVersion,
+  restoreVersion,
+  fileVersion,
+  hasFiledVersion,
+  diffVersions,
+  serializeVersions,
+} from "../services/documentVersions.js";
+import { oid } from "./helpers/db.js";
+
+const editor = oid();
+
+// A case attachment from before versioning existed
+const legacyAttachment = () => ({
+  name: "claim.pdf",
+  fileUrl: "/uploads/claim.pdf",
+  fileKey: "claim.pdf",
+  fileType: "application/pdf",
+  size: 1200,
+  uploadedBy: oid(),
+  uploadedAt: new Date("2026-03-01T09:00:00Z"),
+});
+
+const v2File = { fileUrl: "/uploads/claim-v2.pdf", fileKey: "claim-v2.pdf", fileType: "application/pdf", size: 1500, contentHash: "b".repeat(64) };
+
+test("a record from before versioning is seeded as v1 from its own file", () => {
+  const attachment = legacyAttachment();
+  ensureVersions(attachment, "attachment");
+
+  assert.equal(attachment.currentVersion, 1);
+  assert.equal(attachment.versions.length, 1);
+  assert.equal(attachment.versions[0].fileKey, "claim.pdf");
+  assert.equal(attachment.versions[0].uploadedAt, attachment.uploadedAt);
+  assert.throws(() => ensureVersions({}, "contract"), /Unknown versioned document kind/);
+});
+
+test("a new version becomes current and the owner's file fields follow it", () => {
+  const attachment = legacyAttachment();
+  const v2 = addVersion(attachment, "attachment", v2File, editor, { note: "Amended claim" });
+
+  assert.equal(v2.version, 2);
+  assert.equal(v2.name, "claim.pdf");
+  assert.equal(attachment.currentVersion, 2);
+  assert.equal(attachment.fileKey, "claim-v2.pdf");
+  assert.equal(attachment.size, 1500);
+  assert.equal(attachment.uploadedBy, editor);
+  assert.throws(() => addVersion(attachment, "attachment", { name: "x" }, editor), (err) => err.status === 400);
+});
+
+test("restoring appends a copy of the old version rather than rewinding", () => {
+  const attachment = legacyAttachment();
+  addVersion(attachment, "attachment", v2File, editor);
+
+  const v3 = restoreVersion(attachment, "attachment", 1, editor);
+  assert.equal(v3.version, 3);
+  assert.equal(v3.restoredFrom, 1);
+  assert.equal(v3.note, "Restored from v1");
+  assert.equal(attachment.fileKey, "claim.pdf");
+  assert.deepEqual(attachment.versions.map((v) => v.version), [1, 2, 3]);
+
+  assert.throws(() => restoreVersion(attachment, "attachment", 3, editor), (err) => err.status === 409);
+  assert.throws(() => restoreVersion(attachment, "attachment", 9, editor), (err) => err.status === 404);
+});
+
+test("a filed version is locked and marks the document as filed", () => {
+  const attachment = legacyAttachment();
+  addVersion(attachment, "attachment", v2File, editor);
+  assert.equal(hasFiledVersion(attachment), false);
+
+  const filed = fileVersion(attachment, "attachment", 2, editor, { court: " High Court ", reference: "HCCC 12/2026", filedAt: "2026-04-02" });
+  assert.equal(filed.filing.court, "High Court");
+  assert.equal(hasFiledVersion(attachment), true);
+  assert.throws(() => fileVersion(attachment, "attachment", 2, editor), (err) => err.status === 409);
+  assert.throws(() => fileVersion(attachment, "attachment", 1, editor, { filedAt: "not a date" }), (err) => err.status === 400);
+
+  const listed = serializeVersions(attachment, "attachment");
+  assert.deepEqual(listed.map((v) => [v.version, v.current, v.locked]), [
+    [2, true, true],
+    [1, false, false],
+  ]);
+  assert.ok(listed.every((v) => !("fileKey" in v)));
+});
+
+test("evidence keeps its ingest hash and uploader while versions change the file", () => {
+  const uploader = oid();
+  const evidence = new Evidence({
+    case: oid(),
+    title: "Site photos",
+    fileName: "photos.pdf",
+    fileUrl: "/uploads/photos.pdf",
+    fileKey: "photos.pdf",
+    fileType: "application/pdf",
+    fileSize: 900,
+    uploadedBy: uploader,
+    contentHash: "a".repeat(64),
+  });
+  evidence.createdAt = new Date("2026-03-01T09:00:00Z");
+
+  addVersion(evidence, "evidence", { ...v2File, name: "photos-redacted.pdf" }, editor);
+  assert.equal(evidence.currentVersion, 2);
+  assert.equal(evidence.fileName, "photos-redacted.pdf");
+  assert.equal(evidence.fileSize, 1500);
+  assert.equal(String(evidence.uploadedBy), String(uploader));
+  assert.equal(evidence.contentHash, "a".repeat(64));
+  assert.equal(evidence.versions[0].contentHash, "a".repeat(64));
+
+  const diff = diffVersions(evidence, "evidence", 1, 2);
+  assert.equal(diff.sameContent, false);
+  assert.deepEqual(diff.changes.map((c) => c.field).sort(), ["contentHash", "name", "size", "uploadedAt", "uploadedBy"].sort());
+});
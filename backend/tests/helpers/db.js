@@ -0,0 +1,34 @@
+// backend/tests/helpers/db.js
+/**
+ * Tiny stand-ins for Mongoose queries, so services can run without MongoDB.
+ */
+import mongoose from "mongoose";
+
+export const oid = () => new mongoose.Types.ObjectId();
+
+/** A chainable query that resolves to `result` (select/sort/lean/… are no-ops) */
+export function fakeQuery(result) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result),
+  };
+  for (const method of ["select", "sort", "limit", "skip", "lean", "populate", "session", "cursor"]) {
+    query[method] = () => query;
+  }
+  return query;
+}
+
+/**
+ * Stub the driver-level insertMany of a model's collection, so Mongoose still
+ * casts and validates documents but nothing reaches a server. Returns the
+ * array the raw inserted documents are collected in.
+ */
+export function captureInserts(t, Model) {
+  const stored = [];
+  t.mock.method(Model.collection, "insertMany", async (docs) => {
+    stored.push(...docs);
+    return { acknowledged: true, insertedCount: docs.length };
+  });
+  return stored;
+}
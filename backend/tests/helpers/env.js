@@ -0,0 +1,28 @@
+// backend/tests/helpers/env.js
+/**
+ * Imported first by every test file: the environment the app modules read
+ * at import time, and no real database (queries that aren't stubbed fail
+ * straight away instead of buffering).
+ */
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET ||= "test-jwt-secret";
+process.env.LOG_DIR ||= path.join(os.tmpdir(), "legal-justice-test-logs");
+process.env.LOG_LEVEL_CONSOLE ||= "error";
+process.env.LOG_LEVEL_FILE ||= "error";
+process.env.MAIL_TRANSPORT ||= "console";
+process.env.STORAGE_PROVIDER ||= "local";
+process.env.UPLOAD_DIR ||= path.join(os.tmpdir(), "legal-justice-test-uploads");
+
+// In-memory award signing keys (utils/awardSigner.js would otherwise write ./keys)
+if (!process.env.AWARD_SIGNING_PRIVATE_KEY) {
+  const pair = crypto.generateKeyPairSync("ed25519");
+  process.env.AWARD_SIGNING_PRIVATE_KEY = pair.privateKey.export({ type: "pkcs8", format: "pem" });
+  process.env.AWARD_SIGNING_PUBLIC_KEY = pair.publicKey.export({ type: "spki", format: "pem" });
+}
+
+mongoose.set("bufferCommands", false);
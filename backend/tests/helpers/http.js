@@ -0,0 +1,58 @@
+// backend/tests/helpers/http.js
+/**
+ * Minimal Express req/res doubles for calling controllers directly.
+ */
+
+export function mockRes() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    cookies: {},
+    cookie(name, value, options = {}) {
+      res.cookies[name] = { value, options };
+      return res;
+    },
+    clearCookie(name) {
+      res.cookies[name] = { value: null, cleared: true };
+      return res;
+    },
+  };
+  return res;
+}
+
+export const mockReq = ({ user = null, params = {}, query = {}, body = {}, file = null, ...rest } = {}) => ({
+  user,
+  params,
+  query,
+  body,
+  file,
+  headers: {},
+  cookies: {},
+  get: () => undefined,
+  app: { get: () => null },
+  ...rest,
+});
+
+/** The final handler an Express router registered for `method path` */
+export function routeHandler(router, method, path) {
+  const layer = router.stack.find((l) => l.route?.path === path && l.route.methods[method]);
+  if (!layer) throw new Error(`No ${method.toUpperCase()} ${path} route`);
+  return layer.route.stack.at(-1).handle;
+}
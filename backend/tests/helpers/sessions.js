@@ -0,0 +1,47 @@
+// backend/tests/helpers/sessions.js
+/**
+ * Sign-in sessions without MongoDB: AuthSession and User.findById are
+ * backed by in-memory records, so the real authSessions service and
+ * verifyAccessToken run unchanged.
+ */
+import User from "../../models/User.js";
+import AuthSession from "../../models/AuthSession.js";
+import { startSession, REFRESH_COOKIE } from "../../services/authSessions.js";
+import { fakeQuery } from "./db.js";
+import { mockReq, mockRes } from "./http.js";
+
+export function stubSessionStore(t, user) {
+  const sessions = new Map();
+  const record = (id) => sessions.get(String(id));
+
+  t.mock.method(AuthSession.prototype, "save", async function () {
+    sessions.set(String(this._id), this.toObject());
+    return this;
+  });
+  t.mock.method(AuthSession, "findById", (id) => fakeQuery(record(id) ? AuthSession.hydrate({ ...record(id) }) : null));
+  t.mock.method(AuthSession, "findOneAndUpdate", async (filter, update) => {
+    const rec = record(filter._id);
+    if (!rec || rec.tokenHash !== filter.tokenHash || rec.revokedAt) return null;
+    Object.assign(rec, update.$set);
+    rec.rotations += update.$inc.rotations;
+    return AuthSession.hydrate({ ...rec });
+  });
+  t.mock.method(AuthSession, "updateOne", async (filter, update) => {
+    const rec = record(filter._id);
+    if (rec && !(filter.revokedAt === null && rec.revokedAt)) Object.assign(rec, update.$set);
+    return { matchedCount: rec ? 1 : 0 };
+  });
+  t.mock.method(User, "findById", () => fakeQuery(user));
+
+  return { record };
+}
+
+export const newUser = (fields = {}) => new User({ name: "Ada", email: "ada@example.com", password: "password", role: "advocate", ...fields });
+
+/** Start a real session for a new user; returns its access token and refresh cookie */
+export async function signIn(t, user = newUser()) {
+  const store = stubSessionStore(t, user);
+  const res = mockRes();
+  const { token, session } = await startSession(user, mockReq(), res);
+  return { user, store, token, session, cookie: res.cookies[REFRESH_COOKIE].value };
+}
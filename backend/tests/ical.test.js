@@ -0,0 +1,65 @@
+// backend/tests/ical.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import User from "../models/User.js";
+import { escapeText, formatUTC, foldLine, toRRule, buildCalendar } from "../utils/ical.js";
+import { userForFeedToken, hashFeedToken } from "../services/calendarSync.js";
+import { fakeQuery } from "./helpers/db.js";
+
+test("text values are escaped and times written in UTC", () => {
+  assert.equal(escapeText("Smith, J; re: a\\b\nnext"), "Smith\\, J\\; re: a\\\\b\\nnext");
+  assert.equal(formatUTC(new Date("2026-10-19T09:30:00.123Z")), "20261019T093000Z");
+});
+
+test("long lines fold at 75 octets without splitting characters", () => {
+  const line = `SUMMARY:${"é".repeat(60)}`;
+  const folded = foldLine(line);
+  const parts = folded.split("\r\n");
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every((p, i) => Buffer.byteLength(p) <= 75 && (i === 0 || p.startsWith(" "))));
+  assert.equal(parts.map((p, i) => (i ? p.slice(1) : p)).join(""), line);
+});
+
+test("recurrence maps to an RRULE and one-offs have none", () => {
+  assert.equal(toRRule({ freq: "weekly", interval: 2, count: 6 }), "FREQ=WEEKLY;INTERVAL=2;COUNT=6");
+  assert.equal(toRRule({ freq: "daily", interval: 1 }), "FREQ=DAILY");
+  assert.equal(toRRule(null), null);
+});
+
+test("a calendar carries the method, UID, sequence and attendees", () => {
+  const ics = buildCalendar({
+    method: "REQUEST",
+    events: [
+      {
+        uid: "hearing-1@lawbridge",
+        sequence: 3,
+        start: new Date("2026-11-02T10:00:00Z"),
+        summary: "Hearing",
+        status: "CANCELLED",
+        attendees: [{ name: "Ada", email: "ada@example.com" }],
+      },
+    ],
+  });
+
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  for (const line of ["METHOD:REQUEST", "UID:hearing-1@lawbridge", "SEQUENCE:3", "DTEND:20261102T110000Z", "STATUS:CANCELLED"]) {
+    assert.ok(ics.includes(`\r\n${line}\r\n`), line);
+  }
+  assert.match(ics.replace(/\r\n /g, ""), /ATTENDEE;CN="Ada";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:ada@example.com/);
+});
+
+test("feed tokens are looked up by hash and malformed ones never reach the database", async (t) => {
+  const findOne = t.mock.method(User, "findOne", () => fakeQuery({ _id: "u1" }));
+  const token = crypto.randomBytes(32).toString("hex");
+
+  assert.deepEqual(await userForFeedToken(token), { _id: "u1" });
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { "calendarFeed.tokenHash": hashFeedToken(token), status: "active" });
+
+  assert.equal(await userForFeedToken("not-a-token"), null);
+  assert.equal(await userForFeedToken({ $ne: null }), null);
+  assert.equal(findOne.mock.callCount(), 1);
+});
@@ -0,0 +1,121 @@
+// backend/tests/loginSecurity.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import Notification from "../models/Notification.js";
+import Job from "../models/Job.js";
+import authRoutes from "../routes/auth.js";
+import { delayFor, assertCanAttempt, registerFailure, registerSuccess } from "../services/loginSecurity.js";
+import { newUser } from "./helpers/sessions.js";
+import { fakeQuery, captureInserts } from "./helpers/db.js";
+import { mockReq, mockRes, routeHandler } from "./helpers/http.js";
+
+const MINUTE = 60 * 1000;
+const login = routeHandler(authRoutes, "post", "/login");
+
+// User update operators applied to the user document itself
+function stubUserUpdates(t, user) {
+  const apply = (update) => {
+    for (const [path, value] of Object.entries(update.$set || {})) user.set(path, value);
+    for (const [path, by] of Object.entries(update.$inc || {})) user.set(path, (user.get(path) || 0) + by);
+  };
+  t.mock.method(User, "findByIdAndUpdate", (id, update) => {
+    apply(update);
+    return fakeQuery(user);
+  });
+  t.mock.method(User, "updateOne", async (filter, update) => {
+    apply(update);
+    return { matchedCount: 1 };
+  });
+  t.mock.method(User, "find", () => fakeQuery([{ _id: user._id, notificationPreferences: {} }]));
+  t.mock.method(Job, "create", async (doc) => doc);
+  return captureInserts(t, Notification);
+}
+
+async function fail(user, times, now = new Date()) {
+  let result;
+  for (let i = 0; i < times; i++) result = await registerFailure(user, now);
+  return result;
+}
+
+test("the first failures are free, then each try waits twice as long up to a minute", () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 8].map(delayFor), [0, 0, 0, 1000, 2000, 4000, 32000]);
+  assert.equal(delayFor(20), 60000);
+});
+
+test("a throttled account must wait out the delay since the last failure", () => {
+  const now = Date.now();
+  const user = newUser({ loginSecurity: { failedAttempts: 5, lastFailedAt: new Date(now - 1000) } });
+
+  assert.throws(() => assertCanAttempt(user, now), (err) => err.status === 429 && err.code === "LOGIN_THROTTLED" && err.retryAfter === 3);
+  assertCanAttempt(user, now + 3000);
+});
+
+test("the tenth failure locks the account for 15 minutes and tells the user", async (t) => {
+  const user = newUser();
+  const stored = stubUserUpdates(t, user);
+  const now = new Date();
+
+  const ninth = await fail(user, 9, now);
+  assert.equal(ninth.locked, false);
+  assert.equal(stored.length, 0);
+
+  const tenth = await registerFailure(user, now);
+  assert.equal(tenth.locked, true);
+  assert.equal(tenth.lockedUntil.getTime(), now.getTime() + 15 * MINUTE);
+  assert.equal(user.loginSecurity.lockCount, 1);
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].type, "alert");
+  assert.equal(String(stored[0].recipient), String(user._id));
+
+  assert.throws(() => assertCanAttempt(user, now.getTime() + 14 * MINUTE), (err) => err.status === 423 && err.code === "ACCOUNT_LOCKED");
+});
+
+test("a lock that ran out starts a fresh count, and the next lock doubles", async (t) => {
+  const user = newUser();
+  stubUserUpdates(t, user);
+  const first = new Date();
+  await fail(user, 10, first);
+
+  const later = new Date(first.getTime() + 16 * MINUTE);
+  assertCanAttempt(user, later.getTime());
+  await registerFailure(user, later);
+  assert.equal(user.loginSecurity.failedAttempts, 1);
+  assert.equal(user.loginSecurity.lockedUntil, null);
+
+  const second = await fail(user, 9, later);
+  assert.equal(second.locked, true);
+  assert.equal(second.lockedUntil.getTime(), later.getTime() + 30 * MINUTE);
+});
+
+test("a successful sign-in clears the counters and flags a new device", async (t) => {
+  const user = newUser({ loginSecurity: { failedAttempts: 4, lockCount: 2, lastFailedAt: new Date() } });
+  const stored = stubUserUpdates(t, user);
+  t.mock.method(LoginAttempt, "create", async (doc) => doc);
+  // Known account, known network, never seen this browser
+  t.mock.method(LoginAttempt, "exists", async (filter) => (filter.deviceHash ? null : { _id: user._id }));
+
+  const headers = { "user-agent": "Mozilla/5.0 (X11; Linux x86_64) Firefox/131.0" };
+  await registerSuccess(user, mockReq({ ip: "10.1.2.3", get: (name) => headers[name] }));
+
+  assert.equal(user.loginSecurity.failedAttempts, 0);
+  assert.equal(user.loginSecurity.lockCount, 0);
+  assert.equal(stored.length, 1);
+  assert.match(stored[0].message, /a new device/);
+});
+
+test("a locked account refuses even the right password without checking it", async (t) => {
+  const user = newUser({ loginSecurity: { failedAttempts: 10, lockedUntil: new Date(Date.now() + 5 * MINUTE) } });
+  t.mock.method(User, "findOne", () => fakeQuery(user));
+  const compare = t.mock.method(user, "comparePassword", async () => true);
+  const audit = t.mock.method(LoginAttempt, "create", async (doc) => doc);
+
+  const res = mockRes();
+  await login(mockReq({ body: { email: user.email, password: "password" } }), res);
+
+  assert.equal(res.statusCode, 423);
+  assert.equal(compare.mock.callCount(), 0);
+  assert.equal(audit.mock.calls[0].arguments[0].outcome, "locked");
+});
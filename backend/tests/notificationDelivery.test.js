@@ -0,0 +1,63 @@
+// backend/tests/notificationDelivery.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import { deliverNotifications } from "../services/notificationDelivery.js";
+import { resolveRecipients } from "../services/notificationRules.js";
+import { oid, fakeQuery, captureInserts } from "./helpers/db.js";
+
+const admin = { _id: oid(), role: "admin", name: "Admin" };
+
+test("a role broadcast to respondents stores a banner row for each of them", async (t) => {
+  const respondent = { _id: oid(), notificationPreferences: {} };
+  t.mock.method(User, "find", () => fakeQuery([respondent]));
+  const stored = captureInserts(t, Notification);
+
+  const { recipients, broadcastRoles } = await resolveRecipients(admin, { type: "system", targetRoles: ["respondent"] });
+  assert.deepEqual(broadcastRoles, ["respondent"]);
+
+  const delivered = await deliverNotifications(
+    recipients,
+    { type: "system", title: "Maintenance", message: "Down at 22:00", targetRoles: broadcastRoles, banner: true, broadcastId: oid() },
+    { push: false }
+  );
+
+  assert.equal(delivered.length, 1);
+  assert.equal(stored.length, 1);
+  assert.equal(String(stored[0].recipient), String(respondent._id));
+  assert.equal(stored[0].banner, true);
+  assert.deepEqual([...stored[0].targetRoles], ["respondent"]);
+});
+
+test("every User role is a valid broadcast target on the Notification model", () => {
+  const roles = User.schema.path("role").enumValues;
+  const doc = new Notification({ recipient: oid(), title: "t", message: "m", type: "system", targetRoles: roles });
+  assert.equal(doc.validateSync(), undefined);
+});
+
+test("when some rows fail to insert, the rest are delivered to their own recipients", async (t) => {
+  const wantsEmail = { _id: oid(), notificationPreferences: { channels: { general: { email: true } } } };
+  const appOnly = { _id: oid(), notificationPreferences: {} };
+  t.mock.method(User, "find", () => fakeQuery([wantsEmail, appOnly]));
+
+  // The first row (the email recipient) is rejected by the server
+  t.mock.method(Notification.collection, "insertMany", async () => {
+    const err = new mongoose.mongo.MongoBulkWriteError(
+      { message: "E11000 duplicate key", code: 11000, writeErrors: [{ index: 0, code: 11000, errmsg: "E11000 duplicate key" }] },
+      { insertedCount: 1 }
+    );
+    throw err;
+  });
+  const queued = t.mock.method(Job, "create", async (doc) => ({ _id: oid(), ...doc }));
+
+  const delivered = await deliverNotifications([wantsEmail._id, appOnly._id], { type: "general", title: "Hi", message: "Hello" });
+
+  assert.equal(delivered.length, 1);
+  assert.equal(String(delivered[0].recipient), String(appOnly._id));
+  // appOnly has no email channel, so nothing may be queued for its notification
+  assert.equal(queued.mock.callCount(), 0);
+});
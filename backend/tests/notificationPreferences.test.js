@@ -0,0 +1,117 @@
+// backend/tests/notificationPreferences.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import {
+  resolveChannels,
+  describePreferences,
+  mergePreferences,
+  quietUntil,
+  deliverNotifications,
+} from "../services/notificationDelivery.js";
+import { oid, fakeQuery, captureInserts } from "./helpers/db.js";
+
+const nightOwl = {
+  timezone: "Africa/Nairobi",
+  quietHours: { enabled: true, start: "22:00", end: "07:00" },
+};
+
+/* =======================================================
+   Channels
+   ======================================================= */
+test("each type starts from its defaults and stored choices override them", () => {
+  assert.deepEqual(resolveChannels({}, "general"), { inApp: true, email: false, digest: false });
+  assert.deepEqual(resolveChannels({}, "billing"), { inApp: true, email: true, digest: false });
+
+  const prefs = { channels: new Map([["general", { inApp: false, digest: true }]]) };
+  assert.deepEqual(resolveChannels(prefs, "general"), { inApp: false, email: false, digest: true });
+});
+
+test("system notices and security alerts can't be muted in the app", () => {
+  const prefs = { channels: { alert: { inApp: false, email: false } } };
+  assert.equal(resolveChannels(prefs, "alert").inApp, true);
+
+  const merged = mergePreferences({}, { channels: { system: { inApp: false, email: true } } });
+  assert.deepEqual(merged.channels.system, { inApp: true, email: true, digest: false });
+  assert.equal("lockedInApp" in merged, false);
+  assert.deepEqual(describePreferences().lockedInApp, ["system", "alert"]);
+});
+
+/* =======================================================
+   Updates
+   ======================================================= */
+test("updates are validated before anything is merged", () => {
+  const bad = [
+    { timezone: "Mars/Olympus" },
+    { quietHours: { start: "7pm" } },
+    { digest: { frequency: "hourly" } },
+    { digest: { hour: 24 } },
+    { digest: { weekday: 7 } },
+    { channels: { gossip: { inApp: true } } },
+    { channels: { general: { sms: true } } },
+  ];
+  for (const input of bad) assert.throws(() => mergePreferences({}, input), (err) => err.status === 400, JSON.stringify(input));
+});
+
+test("a partial update keeps the rest and never resets when the last digest went out", () => {
+  const lastSentAt = new Date("2026-10-18T05:00:00Z");
+  const current = { ...nightOwl, digest: { frequency: "daily", hour: 6, lastSentAt, lastSentKey: "2026-10-18" } };
+
+  const next = mergePreferences(current, { quietHours: { end: "06:30" }, digest: { hour: "9", lastSentKey: "2026-01-01" } });
+  assert.equal(next.timezone, "Africa/Nairobi");
+  assert.deepEqual(next.quietHours, { enabled: true, start: "22:00", end: "06:30" });
+  assert.deepEqual(next.digest, { frequency: "daily", hour: 9, weekday: 1, lastSentAt, lastSentKey: "2026-10-18" });
+});
+
+/* =======================================================
+   Quiet hours
+   ======================================================= */
+test("quiet hours are read in the user's timezone, including windows that cross midnight", () => {
+  // 23:30 in Nairobi (UTC+3) is quiet until 07:00 local
+  assert.equal(quietUntil(nightOwl, new Date("2026-10-19T20:30:45Z")).toISOString(), "2026-10-20T04:00:00.000Z");
+  assert.equal(quietUntil(nightOwl, new Date("2026-10-20T02:15:00Z")).toISOString(), "2026-10-20T04:00:00.000Z");
+  assert.equal(quietUntil(nightOwl, new Date("2026-10-19T10:00:00Z")), null);
+  assert.equal(quietUntil(nightOwl, new Date("2026-10-20T04:00:00Z")), null);
+
+  const lunch = { quietHours: { enabled: true, start: "12:00", end: "13:00" } };
+  assert.equal(quietUntil(lunch, new Date("2026-10-19T12:20:00Z")).toISOString(), "2026-10-19T13:00:00.000Z");
+  assert.equal(quietUntil({ quietHours: { ...lunch.quietHours, enabled: false } }, new Date("2026-10-19T12:20:00Z")), null);
+  assert.equal(quietUntil({ quietHours: { enabled: true, start: "08:00", end: "08:00" } }), null);
+});
+
+/* =======================================================
+   Delivery
+   ======================================================= */
+function stubRecipients(t, users) {
+  t.mock.method(User, "find", () => fakeQuery(users));
+  const jobs = t.mock.method(Job, "create", async (doc) => doc);
+  const stored = captureInserts(t, Notification);
+  return { stored, jobs };
+}
+
+test("recipients who turned every channel off get nothing stored", async (t) => {
+  const muted = { _id: oid(), notificationPreferences: { channels: { general: { inApp: false, email: false, digest: false } } } };
+  const listening = { _id: oid(), notificationPreferences: {} };
+  const { stored } = stubRecipients(t, [muted, listening]);
+
+  const delivered = await deliverNotifications([muted._id, listening._id], { title: "Hi", message: "Hello" }, { push: false });
+  assert.equal(delivered.length, 1);
+  assert.deepEqual(stored.map((n) => String(n.recipient)), [String(listening._id)]);
+});
+
+test("during quiet hours email waits for the window to end, except for alerts", async (t) => {
+  const user = { _id: oid(), notificationPreferences: { ...nightOwl, channels: { reminder: { email: true } } } };
+  const { jobs } = stubRecipients(t, [user]);
+
+  t.mock.timers.enable({ apis: ["Date"], now: new Date("2026-10-19T20:30:00Z") });
+  await deliverNotifications([user._id], { type: "reminder", title: "Hearing", message: "Tomorrow at 09:00" }, { push: false });
+  await deliverNotifications([user._id], { type: "alert", title: "Sign-in", message: "New device" }, { push: false });
+
+  assert.deepEqual(
+    jobs.mock.calls.map((c) => c.arguments[0].runAt.toISOString()),
+    ["2026-10-20T04:00:00.000Z", "2026-10-19T20:30:00.000Z"]
+  );
+});
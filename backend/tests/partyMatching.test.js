@@ -0,0 +1,134 @@
+// backend/tests/partyMatching.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  NAME_MATCH_THRESHOLD,
+  normalizeEmail,
+  emailPattern,
+  normalizePhone,
+  phonePattern,
+  normalizeName,
+  namePattern,
+  jaroWinkler,
+  nameSimilarity,
+  scoreParty,
+  candidateClauses,
+  rankedCandidates,
+} from "../utils/partyMatching.js";
+
+/* =======================================================
+   Normalization
+   ======================================================= */
+test("emails compare by mailbox: case, +tags and Gmail dots don't matter", () => {
+  assert.equal(normalizeEmail("  Jane.Doe+intake@Example.com "), "jane.doe@example.com");
+  assert.equal(normalizeEmail("J.Smith+x@googlemail.com"), "jsmith@gmail.com");
+  assert.equal(normalizeEmail(""), null);
+  assert.equal(normalizeEmail("not-an-email"), "not-an-email");
+
+  const re = emailPattern("jsmith@gmail.com");
+  assert.ok(["J.Smith@gmail.com", "jsmith+court@googlemail.com", "j.s.m.i.t.h@GMAIL.com"].every((e) => re.test(e)));
+  assert.ok(!re.test("jsmithe@gmail.com"));
+  assert.ok(!emailPattern("a.b@example.com").test("ab@example.com"));
+  assert.equal(emailPattern("no-at-sign"), null);
+});
+
+test("phones compare on their trailing digits, whatever the formatting", () => {
+  assert.equal(normalizePhone("+254 712-345 678"), "712345678");
+  assert.equal(normalizePhone("0712345678"), "712345678");
+  assert.equal(normalizePhone("12-34"), null);
+
+  const re = phonePattern("0712345678");
+  assert.ok(re.test("+254 (712) 345-678"));
+  assert.ok(!re.test("+254 712 345 679"));
+  assert.equal(phonePattern("ext. 12"), null);
+});
+
+test("names drop accents, punctuation and honorifics, and ignore token order", () => {
+  assert.equal(normalizeName("Dr. José Núñez"), "jose nunez");
+  assert.equal(normalizeName("Núñez, José (Esq.)"), "jose nunez");
+  assert.equal(normalizeName("Mr."), "");
+
+  const re = namePattern("Hon. Wanjiku Kamau");
+  assert.ok(re.test("Kamau-Otieno"));
+  assert.ok(re.test("WANJIRU"));
+  assert.ok(!re.test("Mkamau"));
+  assert.equal(namePattern("Mr. J"), null);
+});
+
+/* =======================================================
+   Similarity
+   ======================================================= */
+test("Jaro-Winkler matches the textbook values", () => {
+  assert.equal(jaroWinkler("martha", "martha"), 1);
+  assert.equal(jaroWinkler("martha", "marhta").toFixed(4), "0.9611");
+  assert.equal(jaroWinkler("abc", "xyz"), 0);
+  assert.equal(jaroWinkler("", "abc"), 0);
+});
+
+test("reordered, misspelt or middle-initialled names still match; a lone surname doesn't fully", () => {
+  assert.ok(nameSimilarity("Smith, John", "Jon Smith") >= NAME_MATCH_THRESHOLD);
+  assert.equal(nameSimilarity("John A. Smith", "John Smith"), 1);
+  assert.equal(nameSimilarity("Dr. José Núñez", "jose nunez"), 1);
+  assert.ok(nameSimilarity("Smith", "John Smith") < 1);
+  assert.ok(nameSimilarity("John Smith", "Mary Jones") < NAME_MATCH_THRESHOLD);
+  assert.equal(nameSimilarity("Mr.", "John Smith"), 0);
+});
+
+/* =======================================================
+   Record comparison
+   ======================================================= */
+test("independent signals agreeing push the score up, and each is named", () => {
+  const probe = { name: "John Smith", email: "J.Smith+x@googlemail.com", phone: "+254 712-345 678" };
+  const record = { name: "Smith John", email: "jsmith@gmail.com", phone: "0712345678" };
+  assert.deepEqual(scoreParty(probe, record), { score: 1, reasons: ["email", "phone", "name"] });
+
+  const phoneOnly = scoreParty({ phone: "0712345678" }, { phone: "+254712345678", name: "Someone Else" });
+  assert.deepEqual(phoneOnly, { score: 0.95, reasons: ["phone"] });
+
+  const nameOnly = scoreParty({ name: "Jon Smith" }, { name: "John Smith" });
+  assert.deepEqual(nameOnly.reasons, ["name"]);
+  assert.ok(nameOnly.score < 0.95);
+
+  assert.deepEqual(scoreParty({ name: "Mary" }, { name: "John Smith", email: "a@b.co" }), { score: 0, reasons: [] });
+});
+
+test("companies are only compared when both sides have one", () => {
+  const probe = { name: "Ann Otieno", company: "Acme Holdings Ltd" };
+  assert.deepEqual(scoreParty(probe, { name: "Peter Mwangi", company: "ACME Holdings Limited." }).reasons, ["company"]);
+  assert.deepEqual(scoreParty(probe, { name: "Peter Mwangi" }).reasons, []);
+});
+
+/* =======================================================
+   Candidate pre-selection
+   ======================================================= */
+test("pre-filter clauses use only the signals the probe has and the fields the model maps", () => {
+  assert.deepEqual(candidateClauses({ name: "Mr." }), []);
+  const clauses = candidateClauses(
+    { name: "Ann Otieno", email: "ann@example.com", company: "Acme" },
+    { name: "fullName", email: "contact.email", company: "org" }
+  );
+  assert.deepEqual(clauses.map((c) => Object.keys(c)[0]), ["contact.email", "fullName", "org"]);
+});
+
+test("ranked candidates are capped in the database and report what was cut", async (t) => {
+  const rows = [{ _id: 1 }, { _id: 2 }, { _id: 3 }];
+  const Model = { aggregate: async () => rows.map((r) => ({ ...r })), populate: async (docs) => docs };
+  const aggregate = t.mock.method(Model, "aggregate");
+
+  const { docs, truncated } = await rankedCandidates(Model, { email: "ann@example.com" }, {
+    match: { isDeleted: false },
+    select: "name email",
+    limit: 2,
+  });
+  assert.deepEqual(docs.map((d) => d._id), [1, 2]);
+  assert.equal(truncated, true);
+
+  const [stages] = aggregate.mock.calls[0].arguments;
+  assert.equal(stages[0].$match.isDeleted, false);
+  assert.equal(stages.find((s) => s.$limit).$limit, 3);
+  assert.deepEqual(stages.at(-1).$project, { name: 1, email: 1 });
+
+  assert.deepEqual(await rankedCandidates(Model, { name: "Mr." }, { select: "name", limit: 2 }), { docs: [], truncated: false });
+  assert.equal(aggregate.mock.callCount(), 1);
+});
@@ -0,0 +1,160 @@
+// backend/tests/passwordReset.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import User from "../models/User.js";
+import AuthSession from "../models/AuthSession.js";
+import authRoutes from "../routes/auth.js";
+import { sendMail, registerTransport, assertMailConfigured } from "../utils/mailer.js";
+import { oid, fakeQuery } from "./helpers/db.js";
+import { mockReq, mockRes, routeHandler } from "./helpers/http.js";
+
+const forgotPassword = routeHandler(authRoutes, "post", "/forgot-password");
+const resetPassword = routeHandler(authRoutes, "post", "/reset-password");
+
+const outbox = [];
+registerTransport("capture", async (message) => {
+  outbox.push(message);
+  return { transport: "capture", id: message.id };
+});
+
+function withEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  t.after(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+}
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/* =======================================================
+   Mailer
+   ======================================================= */
+test("production refuses the console transport, by default or by name", async (t) => {
+  withEnv(t, { NODE_ENV: "production", MAIL_TRANSPORT: "" });
+  assert.throws(() => assertMailConfigured(), /development only/);
+  await assert.rejects(sendMail({ to: "a@example.com", subject: "Hi", text: "secret link" }), /development only/);
+
+  process.env.MAIL_TRANSPORT = "console";
+  assert.throws(() => assertMailConfigured(), /development only/);
+});
+
+test("production sends through a registered provider", async (t) => {
+  withEnv(t, { NODE_ENV: "production", MAIL_TRANSPORT: "capture" });
+  outbox.length = 0;
+  assert.equal(assertMailConfigured(), "capture");
+  await sendMail({ to: "a@example.com", subject: "Hi", text: "Body" });
+  assert.equal(outbox.length, 1);
+  assert.equal(outbox[0].to, "a@example.com");
+});
+
+test("an unknown transport is rejected everywhere", (t) => {
+  withEnv(t, { NODE_ENV: "development", MAIL_TRANSPORT: "carrier-pigeon" });
+  assert.throws(() => assertMailConfigured(), /Unknown mail transport/);
+});
+
+/* =======================================================
+   Forgot / reset password
+   ======================================================= */
+// User.findOne that behaves like the collection holding one user
+function stubUserStore(t, user) {
+  t.mock.method(User, "findOne", (filter) => {
+    if (filter.email) return fakeQuery(filter.email === user.email ? user : null);
+    const live =
+      filter.passwordResetToken === user.passwordResetToken &&
+      user.passwordResetExpires > filter.passwordResetExpires.$gt;
+    return fakeQuery(live ? user : null);
+  });
+  t.mock.method(user, "save", async () => user);
+}
+
+async function requestReset(t, user) {
+  withEnv(t, { MAIL_TRANSPORT: "capture" });
+  outbox.length = 0;
+  const res = mockRes();
+  await forgotPassword(mockReq({ body: { email: user.email.toUpperCase() } }), res);
+  const token = outbox[0]?.text.match(/token=([0-9a-f]+)/)?.[1];
+  return { res, token };
+}
+
+test("a reset link is mailed and only its hash is stored", async (t) => {
+  const user = new User({ name: "Ada", email: "ada@example.com", password: "old-password", role: "advocate" });
+  stubUserStore(t, user);
+
+  const { res, token } = await requestReset(t, user);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(outbox.length, 1);
+  assert.ok(token);
+  assert.equal(user.passwordResetToken, sha256(token));
+  assert.ok(user.passwordResetExpires > new Date());
+});
+
+test("unknown emails get the same answer and no mail", async (t) => {
+  const user = new User({ name: "Ada", email: "ada@example.com", password: "old-password", role: "advocate" });
+  stubUserStore(t, user);
+  withEnv(t, { MAIL_TRANSPORT: "capture" });
+  outbox.length = 0;
+
+  const res = mockRes();
+  await forgotPassword(mockReq({ body: { email: "nobody@example.com" } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.message, /If an account exists/);
+  assert.equal(outbox.length, 0);
+});
+
+test("a token that can't be mailed is rolled back", async (t) => {
+  const user = new User({ name: "Ada", email: "ada@example.com", password: "old-password", role: "advocate" });
+  stubUserStore(t, user);
+  withEnv(t, { NODE_ENV: "production", MAIL_TRANSPORT: "console" });
+  t.mock.method(console, "error", () => {});
+
+  const res = mockRes();
+  await forgotPassword(mockReq({ body: { email: user.email } }), res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(user.passwordResetToken, undefined);
+  assert.equal(user.passwordResetExpires, undefined);
+});
+
+test("a reset token works once, then revokes sessions and lifts the lock", async (t) => {
+  const user = new User({ name: "Ada", email: "ada@example.com", password: "old-password", role: "advocate" });
+  stubUserStore(t, user);
+  const session = { _id: oid() };
+  t.mock.method(AuthSession, "find", () => fakeQuery([session]));
+  const revoke = t.mock.method(AuthSession, "updateMany", async () => ({ modifiedCount: 1 }));
+  const unlock = t.mock.method(User, "updateOne", async () => ({ matchedCount: 1 }));
+
+  const { token } = await requestReset(t, user);
+
+  const first = mockRes();
+  await resetPassword(mockReq({ body: { token, newPassword: "new-password" } }), first);
+  assert.equal(first.statusCode, 200);
+  assert.equal(user.password, "new-password");
+  assert.equal(user.passwordResetToken, undefined);
+  assert.equal(revoke.mock.calls[0].arguments[1].$set.revokedReason, "password_reset");
+  assert.equal(unlock.mock.calls[0].arguments[1].$set["loginSecurity.lockedUntil"], null);
+
+  const replay = mockRes();
+  await resetPassword(mockReq({ body: { token, newPassword: "another-password" } }), replay);
+  assert.equal(replay.statusCode, 400);
+  assert.equal(user.password, "new-password");
+});
+
+test("an expired reset token is refused", async (t) => {
+  const user = new User({ name: "Ada", email: "ada@example.com", password: "old-password", role: "advocate" });
+  stubUserStore(t, user);
+  const { token } = await requestReset(t, user);
+  user.passwordResetExpires = new Date(Date.now() - 1000);
+
+  const res = mockRes();
+  await resetPassword(mockReq({ body: { token, newPassword: "new-password" } }), res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(user.password, "old-password");
+});
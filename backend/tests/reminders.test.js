@@ -0,0 +1,187 @@
+// backend/tests/reminders.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Job from "../models/Job.js";
+import Hearing from "../models/Hearing.js";
+import Task from "../models/Task.js";
+import Deadline from "../models/Deadline.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { defineJob, startScheduler, stopScheduler } from "../services/scheduler.js";
+import "../services/reminderService.js";
+import { dayKey, addDays } from "../utils/courtDays.js";
+import { oid, fakeQuery, captureInserts } from "./helpers/db.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Let the scheduler claim `job` once and run it; resolves with the $set the
+ * job was settled with.
+ */
+async function runOnce(t, job) {
+  const claimed = { _id: oid(), attempts: 1, maxAttempts: 5, payload: {}, ...job };
+  let handedOut = false;
+  t.mock.method(Job, "findOneAndUpdate", async () => {
+    if (handedOut) return null;
+    handedOut = true;
+    return claimed;
+  });
+
+  const settled = new Promise((resolve) => {
+    t.mock.method(Job, "updateOne", async (filter, update) => {
+      resolve({ filter, set: update.$set });
+      return { modifiedCount: 1 };
+    });
+  });
+  startScheduler();
+  try {
+    return await settled;
+  } finally {
+    stopScheduler();
+  }
+}
+
+/* =======================================================
+   Scheduler
+   ======================================================= */
+test("a finished job is kept for a week with its result, only by the worker holding it", async (t) => {
+  defineJob("test:ok", async (payload) => ({ echoed: payload.n }));
+  const { filter, set } = await runOnce(t, { type: "test:ok", payload: { n: 3 } });
+
+  assert.ok(filter.lockedBy);
+  assert.equal(set.status, "succeeded");
+  assert.deepEqual(set.result, { echoed: 3 });
+  assert.equal(set.lockedUntil, null);
+  assert.ok(set.expiresAt - Date.now() > 6 * 24 * 60 * MINUTE);
+});
+
+test("a failing job backs off exponentially, then fails for good", async (t) => {
+  t.mock.method(console, "error", () => {});
+  defineJob("test:flaky", async () => {
+    throw new Error("provider down");
+  });
+
+  const before = Date.now();
+  const third = await runOnce(t, { type: "test:flaky", attempts: 3, maxAttempts: 5 });
+  assert.equal(third.set.status, "queued");
+  assert.equal(third.set.lastError, "provider down");
+  assert.ok(third.set.runAt - before >= 2 * MINUTE);
+
+  const last = await runOnce(t, { type: "test:flaky", attempts: 5, maxAttempts: 5 });
+  assert.equal(last.set.status, "failed");
+});
+
+test("a recurring job goes back to the queue whatever happened", async (t) => {
+  t.mock.method(console, "error", () => {});
+  defineJob("test:sweep", async () => {
+    throw new Error("boom");
+  });
+
+  const before = Date.now();
+  const { set } = await runOnce(t, { type: "test:sweep", repeatEveryMs: 10 * MINUTE, attempts: 1, maxAttempts: 1 });
+  assert.equal(set.status, "queued");
+  assert.equal(set.attempts, 0);
+  assert.equal(set.lastError, "boom");
+  assert.ok(set.runAt - before >= 10 * MINUTE);
+});
+
+/* =======================================================
+   Reminder sweep
+   ======================================================= */
+// Nothing due unless a test says otherwise; every reminder recipient exists
+function stubSweep(t) {
+  for (const Model of [Hearing, Task, Deadline]) t.mock.method(Model, "find", () => fakeQuery([]));
+  t.mock.method(User, "find", (filter) => fakeQuery(filter._id.$in.map((_id) => ({ _id, notificationPreferences: {} }))));
+  return captureInserts(t, Notification);
+}
+
+// Run as a one-off so the settled job carries the sweep's counts
+const sweep = (t) => runOnce(t, { type: "reminders:sweep" });
+
+test("a due hearing reminder is claimed, sent to everyone on it and moved to the next occurrence", async (t) => {
+  const stored = stubSweep(t);
+  const owner = oid();
+  const advocate = oid();
+  const firedAt = new Date(Date.now() - MINUTE);
+  const next = new Date(Date.now() + 7 * 24 * 60 * MINUTE);
+  const hearing = {
+    _id: oid(),
+    title: "Mention",
+    venue: "Court 4",
+    createdBy: owner,
+    participants: { advocates: [advocate] },
+    reminder: { nextReminderAt: firedAt, minutesBefore: 30 },
+    computeNextReminderAt: () => next,
+  };
+  t.mock.method(Hearing, "find", () => fakeQuery([hearing]));
+  const claim = t.mock.method(Hearing, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  const { set } = await sweep(t);
+  assert.deepEqual(set.result, { hearings: 1, tasks: 0, deadlines: 0 });
+  assert.deepEqual(claim.mock.calls[0].arguments, [
+    { _id: hearing._id, "reminder.nextReminderAt": firedAt },
+    { $set: { "reminder.nextReminderAt": next } },
+  ]);
+  assert.deepEqual(stored.map((n) => String(n.recipient)).sort(), [String(owner), String(advocate)].sort());
+  assert.equal(stored[0].type, "reminder");
+  assert.match(stored[0].message, /\(Court 4\)/);
+});
+
+test("a reminder another instance claimed first is not sent twice", async (t) => {
+  const stored = stubSweep(t);
+  const hearing = {
+    _id: oid(),
+    title: "Mention",
+    createdBy: oid(),
+    reminder: { nextReminderAt: new Date(Date.now() - MINUTE), minutesBefore: 30 },
+    computeNextReminderAt: () => null,
+  };
+  t.mock.method(Hearing, "find", () => fakeQuery([hearing]));
+  t.mock.method(Hearing, "updateOne", async () => ({ modifiedCount: 0 }));
+
+  const { set } = await sweep(t);
+  assert.equal(set.result.hearings, 0);
+  assert.equal(stored.length, 0);
+});
+
+test("a task reminder found long after it was due is marked sent but not delivered", async (t) => {
+  const stored = stubSweep(t);
+  const task = (hoursAgo) => ({
+    _id: oid(),
+    title: `Task from ${hoursAgo}h ago`,
+    createdBy: oid(),
+    assignedTo: [],
+    reminder: { remindAt: new Date(Date.now() - hoursAgo * 60 * MINUTE) },
+  });
+  const fresh = task(1);
+  const stale = task(12);
+  t.mock.method(Task, "find", () => fakeQuery([fresh, stale]));
+  const claim = t.mock.method(Task, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  const { set } = await sweep(t);
+  assert.equal(set.result.tasks, 1);
+  assert.equal(claim.mock.callCount(), 2);
+  assert.deepEqual(stored.map((n) => String(n.relatedTask)), [String(fresh._id)]);
+});
+
+test("a deadline is reminded at the tightest threshold it is inside, once", async (t) => {
+  const stored = stubSweep(t);
+  const today = dayKey(new Date(), "UTC");
+  const assignee = oid();
+  const deadline = (days, remindedDays = []) => ({
+    _id: oid(),
+    case: oid(),
+    title: `Reply in ${days}`,
+    dueDay: addDays(today, days),
+    assignedTo: [assignee],
+    remindedDays,
+  });
+  t.mock.method(Deadline, "find", () => fakeQuery([deadline(5), deadline(2, [7]), deadline(1, [7, 3, 1])]));
+  const claim = t.mock.method(Deadline, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  const { set } = await sweep(t);
+  assert.equal(set.result.deadlines, 2);
+  assert.deepEqual(claim.mock.calls.map((c) => c.arguments[1].$addToSet.remindedDays), [7, 3]);
+  assert.deepEqual(stored.map((n) => n.title), ["Deadline in 5 days: Reply in 5", "Deadline in 2 days: Reply in 2"]);
+});
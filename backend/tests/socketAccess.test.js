@@ -0,0 +1,95 @@
+// backend/tests/socketAccess.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Case from "../models/Case.js";
+import SocketJoinLog from "../models/SocketJoinLog.js";
+import { authenticateSocket, authorizeRoom, joinRoom, joinDefaultRooms } from "../services/socketAccess.js";
+import { signIn } from "./helpers/sessions.js";
+import { oid, fakeQuery } from "./helpers/db.js";
+
+const fakeSocket = (auth = {}, headers = {}) => {
+  const rooms = new Set();
+  return { id: "s1", handshake: { auth, headers }, data: {}, rooms, join: (room) => rooms.add(room) };
+};
+
+async function handshake(socket) {
+  let error;
+  await authenticateSocket(socket, (err) => (error = err));
+  return error;
+}
+
+test("the handshake accepts a live access token from auth or a Bearer header", async (t) => {
+  const { token, session, user } = await signIn(t);
+
+  const viaAuth = fakeSocket({ token });
+  assert.equal(await handshake(viaAuth), undefined);
+  assert.equal(String(viaAuth.data.user._id), String(user._id));
+  assert.equal(viaAuth.data.sessionId, String(session._id));
+
+  const viaHeader = fakeSocket({}, { authorization: `Bearer ${token}` });
+  assert.equal(await handshake(viaHeader), undefined);
+});
+
+test("the handshake refuses missing, forged and revoked tokens", async (t) => {
+  const { token, session, store } = await signIn(t);
+
+  assert.equal((await handshake(fakeSocket())).data.status, 401);
+  assert.equal((await handshake(fakeSocket({ token: `${token}x` }))).data.status, 401);
+
+  store.record(session._id).revokedAt = new Date();
+  const revoked = fakeSocket({ token });
+  assert.equal((await handshake(revoked)).data.status, 401);
+  assert.equal(revoked.data.user, undefined);
+});
+
+test("default rooms are the user's own, their role and their sign-in session", async (t) => {
+  t.mock.method(SocketJoinLog, "create", async () => ({}));
+  const { token, session, user } = await signIn(t);
+  const socket = fakeSocket({ token });
+  await handshake(socket);
+
+  joinDefaultRooms(socket);
+  assert.deepEqual([...socket.rooms].sort(), [`authsession:${session._id}`, `role:${user.role}`, `user_${user._id}`].sort());
+});
+
+test("private and dashboard rooms are self-only, and admins can't read other users' rooms", async () => {
+  const me = { _id: oid(), role: "mediator" };
+  const admin = { _id: oid(), role: "admin" };
+
+  assert.equal((await authorizeRoom(me, `user_${me._id}`)).granted, true);
+  assert.equal((await authorizeRoom(me, `user_${oid()}`)).granted, false);
+  assert.equal((await authorizeRoom(me, `mediator:${me._id}`)).granted, true);
+  assert.equal((await authorizeRoom(me, `arbitrator:${me._id}`)).granted, false);
+  assert.equal((await authorizeRoom(me, "role:admin")).granted, false);
+  assert.equal((await authorizeRoom(admin, `user_${me._id}`)).granted, false);
+  assert.equal((await authorizeRoom(admin, "role:mediator")).granted, true);
+  assert.deepEqual(await authorizeRoom(me, "lobby"), { granted: false, reason: "unknown room" });
+});
+
+test("case rooms follow the case policy and every join is audited", async (t) => {
+  const owner = { _id: oid(), role: "advocate" };
+  const stranger = { _id: oid(), role: "advocate" };
+  const caseDoc = { _id: oid(), filedBy: owner._id, isDeleted: false };
+  t.mock.method(Case, "findById", () => fakeQuery(caseDoc));
+  const audit = t.mock.method(SocketJoinLog, "create", async () => ({}));
+
+  const mine = fakeSocket();
+  mine.data.user = owner;
+  assert.equal((await joinRoom(mine, `case_${caseDoc._id}`)).granted, true);
+  assert.ok(mine.rooms.has(`case_${caseDoc._id}`));
+
+  const theirs = fakeSocket();
+  theirs.data.user = stranger;
+  const refused = await joinRoom(theirs, `case_${caseDoc._id}`);
+  assert.deepEqual(refused, { granted: false, reason: "no access to case" });
+  assert.equal(theirs.rooms.size, 0);
+
+  assert.deepEqual(
+    audit.mock.calls.map((c) => [String(c.arguments[0].user), c.arguments[0].granted]),
+    [
+      [String(owner._id), true],
+      [String(stranger._id), false],
+    ]
+  );
+});
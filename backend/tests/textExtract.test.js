@@ -0,0 +1,140 @@
+// backend/tests/textExtract.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { detectFormat, extractText, unzipEntries } from "../utils/textExtract.js";
+
+/** A zip archive of deflated entries (CRCs left at 0; the reader doesn't check them) */
+function zip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(entries)) {
+    const nameBuf = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(raw.length, 24);
+    header.writeUInt16LE(nameBuf.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBuf);
+
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/** A one-page PDF showing `line` in Helvetica */
+function pdf(line) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${line}) Tj ET`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>",
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
+
+const docx = (bodyXml, extra = {}) =>
+  zip({
+    "[Content_Types].xml": "<Types/>",
+    "word/document.xml": `<w:document><w:body>${bodyXml}</w:body></w:document>`,
+    ...extra,
+  });
+
+test("the format comes from the file's magic bytes, mime type or extension", () => {
+  assert.equal(detectFormat({ buffer: Buffer.from("%PDF-1.7"), fileName: "upload.bin" }), "pdf");
+  assert.equal(detectFormat({ mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" }), "docx");
+  assert.equal(detectFormat({ fileName: "Letter.HTM" }), "html");
+  assert.equal(detectFormat({ buffer: Buffer.from("{\\rtf1 hi}") }), "rtf");
+  assert.equal(detectFormat({ mimeType: "application/json" }), "text");
+  assert.equal(detectFormat({ mimeType: "image/png", fileName: "scan.png" }), null);
+});
+
+test("text files are decoded whatever their byte-order mark, with whitespace tidied", async () => {
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("Affidavit\r\n\r\n\r\nof  service", "utf16le")]);
+  assert.deepEqual(await extractText({ buffer: utf16, fileName: "a.txt" }), { format: "text", text: "Affidavit\n\nof service", truncated: false });
+
+  const bom = Buffer.from("\ufeffPlaint\u0007iff", "utf8");
+  assert.equal((await extractText({ buffer: bom, mimeType: "text/plain" })).text, "Plaint iff");
+});
+
+test("html and rtf are flattened to their visible text", async () => {
+  const html = "<html><style>p{color:red}</style><p>Tom &amp; Jerry&#39;s</p><script>alert(1)</script><p>v.&nbsp;ACME</p></html>";
+  assert.equal((await extractText({ buffer: Buffer.from(html), fileName: "x.html" })).text, "Tom & Jerry's\nv. ACME");
+
+  const rtf = "{\\rtf1\\ansi{\\*\\generator Writer;}\\b Ruling\\b0\\par Caf\\'e9 lease}";
+  assert.equal((await extractText({ buffer: Buffer.from(rtf, "latin1"), fileName: "x.rtf" })).text, "Ruling\nCafé lease");
+});
+
+test("docx text is read from the body first, then headers and notes", async () => {
+  const file = docx('<w:p><w:r><w:t>In the High Court</w:t></w:r></w:p><w:p><w:r><w:t>Claim &lt;No. 12&gt;</w:t></w:r></w:p>', {
+    "word/header1.xml": "<w:hdr><w:p><w:r><w:t>Confidential</w:t></w:r></w:p></w:hdr>",
+    "word/media/image1.png": "not text",
+  });
+  const { format, text } = await extractText({ buffer: file, fileName: "claim.docx" });
+  assert.equal(format, "docx");
+  assert.equal(text, "In the High Court\nClaim <No. 12>\n\nConfidential");
+
+  await assert.rejects(extractText({ buffer: zip({ "a.txt": "x" }), fileName: "broken.docx" }), /no word\/document\.xml/);
+  await assert.rejects(extractText({ buffer: Buffer.from("plain"), fileName: "fake.docx" }), /Not a zip archive/);
+});
+
+test("an archive that inflates past the limit is refused for good", () => {
+  const bomb = zip({ "word/document.xml": "0".repeat(2 * 1024 * 1024) });
+  assert.ok(bomb.length < 10 * 1024);
+  assert.throws(
+    () => unzipEntries(bomb, () => true, { maxBytes: 1024 * 1024 }),
+    (err) => err.permanent === true && /size limit/.test(err.message)
+  );
+  assert.equal(unzipEntries(bomb, () => true).get("word/document.xml").length, 2 * 1024 * 1024);
+});
+
+test("a pdf is recognised by its header and its text read out", async () => {
+  const { format, text } = await extractText({ buffer: pdf("Notice of Motion"), mimeType: "application/octet-stream" });
+  assert.equal(format, "pdf");
+  assert.equal(text, "Notice of Motion");
+});
+
+test("long text is cut at maxChars and says so; unsupported files come back empty", async () => {
+  const long = await extractText({ buffer: Buffer.from("word ".repeat(100)), fileName: "a.txt", maxChars: 20 });
+  assert.equal(long.text.length, 20);
+  assert.equal(long.truncated, true);
+  assert.deepEqual(await extractText({ buffer: Buffer.from([0x89, 0x50]), fileName: "scan.png" }), { format: null, text: "", truncated: false });
+});
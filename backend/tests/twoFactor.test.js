@@ -0,0 +1,162 @@
+// backend/tests/twoFactor.test.js
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/User.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import { protect, verifyAccessToken } from "../middleware/authMiddleware.js";
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  setRequiredRoles,
+  needsEnrollment,
+  signChallenge,
+  readChallenge,
+} from "../services/twoFactor.js";
+import { base32Encode, hotp, verifyTotp, currentStep, encryptSecret, decryptSecret } from "../utils/totp.js";
+import { newUser, signIn } from "./helpers/sessions.js";
+import { fakeQuery } from "./helpers/db.js";
+import { mockReq, mockRes } from "./helpers/http.js";
+
+/* =======================================================
+   TOTP
+   ======================================================= */
+// RFC 6238 appendix B (SHA-1 seed), truncated to our 6 digits
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("codes match the RFC 6238 test vectors", () => {
+  assert.equal(hotp(RFC_SECRET, Math.floor(59 / 30)), "287082");
+  assert.equal(hotp(RFC_SECRET, Math.floor(1111111109 / 30)), "081804");
+  assert.equal(hotp(RFC_SECRET, Math.floor(2000000000 / 30)), "279037");
+});
+
+test("a code is accepted one step either side, never at or before the last used step", () => {
+  const at = 1111111109 * 1000;
+  const step = currentStep(at);
+
+  assert.equal(verifyTotp(RFC_SECRET, "081804", { at }), step);
+  assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 1), { at }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 2), { at }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "081804", { at, afterStep: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "08180", { at }), null);
+});
+
+test("secrets are encrypted at rest and tampering is detected", () => {
+  const stored = encryptSecret(RFC_SECRET);
+  assert.ok(!stored.includes(RFC_SECRET));
+  assert.equal(decryptSecret(stored), RFC_SECRET);
+
+  const [iv, tag, data] = stored.split(".");
+  const flipped = Buffer.from(data, "base64");
+  flipped[0] ^= 1;
+  assert.throws(() => decryptSecret([iv, tag, flipped.toString("base64")].join(".")));
+});
+
+/* =======================================================
+   Enrollment + verification
+   ======================================================= */
+// User.findById / updateOne acting on one user document
+function stubUser(t, user) {
+  t.mock.method(User, "findById", () => fakeQuery(user));
+  t.mock.method(user, "save", async () => user);
+  t.mock.method(User, "updateOne", async (filter, update) => {
+    const tf = user.twoFactor;
+    if (filter.$or) {
+      const step = update.$set["twoFactor.lastUsedStep"];
+      if (tf.lastUsedStep != null && tf.lastUsedStep >= step) return { modifiedCount: 0 };
+      tf.lastUsedStep = step;
+      return { modifiedCount: 1 };
+    }
+    const match = filter["twoFactor.recoveryCodes"]?.$elemMatch;
+    if (match) {
+      const entry = tf.recoveryCodes.find((c) => c.hash === match.hash && !c.usedAt);
+      if (!entry) return { modifiedCount: 0 };
+      entry.usedAt = new Date();
+      return { modifiedCount: 1 };
+    }
+    return { modifiedCount: 1 };
+  });
+}
+
+async function enroll(t) {
+  const user = newUser();
+  stubUser(t, user);
+  const { secret, otpauthUrl } = await beginEnrollment(user._id);
+  // Confirm with the previous step's code so the next test code is still fresh
+  const codes = await confirmEnrollment(user._id, hotp(secret, currentStep() - 1));
+  return { user, secret, otpauthUrl, codes };
+}
+
+test("enrollment turns 2FA on only after a valid code and hands out hashed recovery codes", async (t) => {
+  const user = newUser();
+  stubUser(t, user);
+  const { secret, otpauthUrl } = await beginEnrollment(user._id);
+
+  assert.match(otpauthUrl, /^otpauth:\/\/totp\/LawBridge%3Aada%40example.com\?secret=/);
+  assert.equal(decryptSecret(user.twoFactor.pendingSecret), secret);
+  await assert.rejects(confirmEnrollment(user._id, "000000"), (err) => err.code === "INVALID_CODE");
+  assert.equal(user.twoFactor.enabled, false);
+
+  const codes = await confirmEnrollment(user._id, hotp(secret, currentStep()));
+  assert.equal(user.twoFactor.enabled, true);
+  assert.equal(user.twoFactor.pendingSecret, undefined);
+  assert.equal(codes.length, 10);
+  assert.equal(user.twoFactor.recoveryCodes.length, 10);
+  assert.ok(user.twoFactor.recoveryCodes.every((c) => !codes.includes(c.hash)));
+});
+
+test("an authenticator code can't be used twice", async (t) => {
+  const { user, secret } = await enroll(t);
+  const code = hotp(secret, currentStep());
+
+  assert.equal(await verifySecondFactor(user._id, { code }), "totp");
+  await assert.rejects(verifySecondFactor(user._id, { code }), (err) => err.status === 401 && err.code === "INVALID_CODE");
+});
+
+test("each recovery code works once, in any formatting", async (t) => {
+  const { user, codes } = await enroll(t);
+
+  assert.equal(await verifySecondFactor(user._id, { recoveryCode: codes[0].toUpperCase().replace("-", " ") }), "recovery");
+  await assert.rejects(verifySecondFactor(user._id, { recoveryCode: codes[0] }), (err) => err.code === "INVALID_CODE");
+  assert.equal(await verifySecondFactor(user._id, { recoveryCode: codes[1] }), "recovery");
+});
+
+/* =======================================================
+   Login challenge + policy
+   ======================================================= */
+test("a login challenge names its user and is never an access token", async (t) => {
+  const user = newUser();
+  const challenge = signChallenge(user);
+
+  assert.equal(readChallenge(challenge), String(user._id));
+  await assert.rejects(verifyAccessToken(challenge), (err) => err.status === 401);
+
+  const { token } = await signIn(t);
+  assert.throws(() => readChallenge(token), (err) => err.code === "CHALLENGE_INVALID");
+});
+
+test("roles under the policy are held at /api/auth until they enroll", async (t) => {
+  t.mock.method(SecurityPolicy, "current", async () => ({ requireTwoFactorRoles: ["admin"] }));
+  t.mock.method(SecurityPolicy, "updateOne", async () => ({}));
+  await setRequiredRoles(["admin"]);
+  await assert.rejects(setRequiredRoles(["wizard"]), (err) => err.code === "INVALID_ROLE");
+
+  assert.equal(await needsEnrollment(newUser({ role: "admin" })), true);
+  assert.equal(await needsEnrollment(newUser({ role: "admin", twoFactor: { enabled: true } })), false);
+  assert.equal(await needsEnrollment(newUser({ role: "advocate" })), false);
+
+  const { token } = await signIn(t, newUser({ role: "admin" }));
+  const call = async (originalUrl) => {
+    const res = mockRes();
+    let passed = false;
+    await protect(mockReq({ originalUrl, headers: { authorization: `Bearer ${token}` } }), res, () => (passed = true));
+    return { res, passed };
+  };
+
+  const blocked = await call("/api/cases");
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 403);
+  assert.equal(blocked.res.body.code, "TWO_FACTOR_SETUP_REQUIRED");
+  assert.equal((await call("/api/auth/2fa/setup")).passed, true);
+});
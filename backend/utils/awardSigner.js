@@ -0,0 +1,103 @@
+// backend/utils/awardSigner.js
+/**
+ * Award PDF signing
+ * ---------------------------------------------------------------------
+ * Hashes generated award PDFs (SHA-256) and signs the digest with a
+ * server-held Ed25519 key pair so third parties can confirm a PDF is the
+ * one that was issued.
+ *
+ * Keys (first match wins):
+ *   1. AWARD_SIGNING_PRIVATE_KEY / AWARD_SIGNING_PUBLIC_KEY  (PEM, "\n" escapes allowed)
+ *   2. PEM files in AWARD_SIGNING_KEY_DIR (default ./keys)
+ *   3. Generated on first use and written to AWARD_SIGNING_KEY_DIR
+ *      (development only — every instance must share the same pair)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import logger from "./logger.js";
+
+export const SIGNATURE_ALGORITHM = "Ed25519/SHA-256";
+
+const KEY_DIR = process.env.AWARD_SIGNING_KEY_DIR || path.join(process.cwd(), "keys");
+const PRIVATE_FILE = path.join(KEY_DIR, "award-signing-private.pem");
+const PUBLIC_FILE = path.join(KEY_DIR, "award-signing-public.pem");
+
+let cached = null;
+
+const fromEnv = (value) => (value ? value.replace(/\\n/g, "\n") : null);
+
+function loadKeys() {
+  if (cached) return cached;
+
+  let privatePem = fromEnv(process.env.AWARD_SIGNING_PRIVATE_KEY);
+  let publicPem = fromEnv(process.env.AWARD_SIGNING_PUBLIC_KEY);
+
+  if (!privatePem && fs.existsSync(PRIVATE_FILE)) {
+    privatePem = fs.readFileSync(PRIVATE_FILE, "utf8");
+    publicPem = fs.existsSync(PUBLIC_FILE) ? fs.readFileSync(PUBLIC_FILE, "utf8") : null;
+  }
+
+  if (!privatePem) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("Award signing key not configured (AWARD_SIGNING_PRIVATE_KEY)");
+    }
+    const pair = crypto.generateKeyPairSync("ed25519");
+    privatePem = pair.privateKey.export({ type: "pkcs8", format: "pem" });
+    publicPem = pair.publicKey.export({ type: "spki", format: "pem" });
+    fs.mkdirSync(KEY_DIR, { recursive: true });
+    fs.writeFileSync(PRIVATE_FILE, privatePem, { mode: 0o600 });
+    fs.writeFileSync(PUBLIC_FILE, publicPem);
+    logger.warn(`🔑 Generated development award signing key pair in ${KEY_DIR}`);
+  }
+
+  const privateKey = crypto.createPrivateKey(privatePem);
+  const publicKey = publicPem ? crypto.createPublicKey(publicPem) : crypto.createPublicKey(privateKey);
+  const publicKeyPem = publicKey.export({ type: "spki", format: "pem" });
+  const keyId = crypto.createHash("sha256").update(publicKeyPem).digest("hex").slice(0, 16);
+
+  cached = { privateKey, publicKey, publicKeyPem, keyId };
+  return cached;
+}
+
+/** SHA-256 hex digest of a buffer */
+export const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * Hash and sign a PDF buffer.
+ * @returns {{ hash: string, signature: string, algorithm: string, keyId: string }}
+ */
+export function signPdf(buffer) {
+  const { privateKey, keyId } = loadKeys();
+  const hash = sha256(buffer);
+  const signature = crypto.sign(null, Buffer.from(hash, "hex"), privateKey).toString("base64");
+  return { hash, signature, algorithm: SIGNATURE_ALGORITHM, keyId };
+}
+
+/** Verify a stored signature against a SHA-256 hex digest */
+export function verifySignature(hash, signature) {
+  if (!hash || !signature) return false;
+  try {
+    const { publicKey } = loadKeys();
+    return crypto.verify(null, Buffer.from(hash, "hex"), publicKey, Buffer.from(signature, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/** Public key (PEM) and id, so verifiers can check signatures offline */
+export function getPublicKey() {
+  const { publicKeyPem, keyId } = loadKeys();
+  return { publicKey: publicKeyPem, keyId, algorithm: SIGNATURE_ALGORITHM };
+}
+
+/** Short human-typable verification code, e.g. "7KQ2-M9XD-4HTR" */
+export function generateVerificationCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, (b) => alphabet[b % alphabet.length]).join("");
+  return `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+}
+
+export default { sha256, signPdf, verifySignature, getPublicKey, generateVerificationCode };
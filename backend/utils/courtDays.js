@@ -0,0 +1,106 @@
+// backend/utils/courtDays.js
+/**
+ * Court-day arithmetic on plain "YYYY-MM-DD" day keys.
+ *
+ * A calendar is { timezone, weekendDays: [0..6], holidays: [{ date, name, recurring }] }
+ * where recurring holidays match on month-day every year. Everything here is
+ * pure so deadline rules can be checked without a database.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_CALENDAR = { jurisdiction: "default", timezone: "UTC", weekendDays: [0, 6], holidays: [] };
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Local calendar day of an instant in the court's timezone (day keys pass through) */
+export function dayKey(date, timeZone = "UTC") {
+  if (typeof date === "string" && DAY_KEY.test(date)) return date;
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(
+    new Date(date)
+  );
+}
+
+const toUTC = (key) => Date.UTC(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, Number(key.slice(8, 10)));
+const fromUTC = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+export const addDays = (key, n) => fromUTC(toUTC(key) + n * DAY_MS);
+export const weekday = (key) => new Date(toUTC(key)).getUTCDay();
+export const keyToDate = (key) => new Date(toUTC(key));
+
+/** Add calendar months, clamping to the last day (Jan 31 + 1 month = Feb 28/29) */
+export function addMonths(key, n) {
+  const y = Number(key.slice(0, 4));
+  const m = Number(key.slice(5, 7)) - 1 + n;
+  const d = Number(key.slice(8, 10));
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return fromUTC(Date.UTC(y, m, Math.min(d, lastDay)));
+}
+
+/** Why `key` is not a court day ("weekend" / holiday name), or null if it is one */
+export function closedReason(key, calendar = DEFAULT_CALENDAR) {
+  const weekend = calendar.weekendDays || DEFAULT_CALENDAR.weekendDays;
+  if (weekend.includes(weekday(key))) return "weekend";
+  const monthDay = key.slice(5);
+  const holiday = (calendar.holidays || []).find((h) => h.date === key || (h.recurring && h.date.slice(5) === monthDay));
+  return holiday ? holiday.name || "holiday" : null;
+}
+
+export const isCourtDay = (key, calendar) => !closedReason(key, calendar);
+
+/** Step to the nearest court day in `step` direction (+1 / -1), recording what was skipped */
+function roll(key, step, calendar, skipped) {
+  let current = key;
+  for (let guard = 0; guard < 366; guard += 1) {
+    const reason = closedReason(current, calendar);
+    if (!reason) return current;
+    skipped.push({ day: current, reason });
+    current = addDays(current, step);
+  }
+  throw new Error("No court day within a year — check the calendar's weekend days");
+}
+
+/**
+ * Apply a deadline rule to a trigger (a Date, or a day key such as another
+ * deadline's due day).
+ *
+ * rule: { offset, unit: "court_days" | "calendar_days" | "weeks" | "months",
+ *         direction: "after" | "before", roll: "auto" | "next" | "previous" | "none" }
+ *
+ * Court days are counted one by one, skipping closed days. Other units
+ * land on a date first and are then rolled off a closed day: forward for
+ * "after" rules, backward for "before" rules (so the filing is never late).
+ *
+ * @returns {{ triggerDay: string, dueDay: string, skipped: { day, reason }[] }}
+ */
+export function computeDueDay(triggerDate, rule, calendar = DEFAULT_CALENDAR) {
+  const triggerDay = dayKey(triggerDate, calendar.timezone || "UTC");
+  const sign = rule.direction === "before" ? -1 : 1;
+  const offset = Math.abs(Number(rule.offset) || 0);
+  const skipped = [];
+
+  if (rule.unit === "court_days") {
+    let current = triggerDay;
+    let counted = 0;
+    while (counted < offset) {
+      current = addDays(current, sign);
+      const reason = closedReason(current, calendar);
+      if (reason) skipped.push({ day: current, reason });
+      else counted += 1;
+    }
+    // "0 court days" means the trigger day itself, or the next open one
+    if (offset === 0) current = roll(current, sign, calendar, skipped);
+    return { triggerDay, dueDay: current, skipped };
+  }
+
+  let landed;
+  if (rule.unit === "months") landed = addMonths(triggerDay, sign * offset);
+  else landed = addDays(triggerDay, sign * offset * (rule.unit === "weeks" ? 7 : 1));
+
+  const mode = !rule.roll || rule.roll === "auto" ? (sign > 0 ? "next" : "previous") : rule.roll;
+  if (mode === "none") return { triggerDay, dueDay: landed, skipped };
+  return { triggerDay, dueDay: roll(landed, mode === "next" ? 1 : -1, calendar, skipped), skipped };
+}
+
+export default { DEFAULT_CALENDAR, dayKey, addDays, addMonths, weekday, keyToDate, closedReason, isCourtDay, computeDueDay };
@@ -0,0 +1,118 @@
+// backend/utils/ical.js
+/**
+ * Minimal RFC 5545 (iCalendar) writer.
+ *
+ * Only what our feeds and invites need: VEVENTs with UID / SEQUENCE /
+ * STATUS / RRULE, organizer + attendees, and METHOD for iTIP
+ * (REQUEST / CANCEL / PUBLISH). Times are always written in UTC.
+ */
+
+const PRODID = "-//LawBridge//Legal Dashboard//EN";
+
+/** Escape TEXT values (RFC 5545 §3.3.11) */
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/** 20261019T093000Z */
+export const formatUTC = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/** Fold lines longer than 75 octets (continuation lines start with a space) */
+export function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const len = Buffer.byteLength(char, "utf8");
+    // first line may hold 75 octets, continuations 74 plus the leading space
+    if (size + len > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const FREQ = { daily: "DAILY", weekly: "WEEKLY", monthly: "MONTHLY" };
+
+/** Hearing.recurrence → "FREQ=WEEKLY;INTERVAL=2;COUNT=6" (null when not recurring) */
+export function toRRule(recurrence) {
+  const freq = FREQ[recurrence?.freq];
+  if (!freq) return null;
+  const parts = [`FREQ=${freq}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  return parts.join(";");
+}
+
+const mailto = (person) => {
+  const params = [];
+  if (person.name) params.push(`CN="${String(person.name).replace(/"/g, "'")}"`);
+  if (person.role) params.push(`ROLE=${person.role}`);
+  if (person.partstat) params.push(`PARTSTAT=${person.partstat}`);
+  if (person.rsvp) params.push("RSVP=TRUE");
+  return `${params.length ? `;${params.join(";")}` : ""}:mailto:${person.email}`;
+};
+
+/**
+ * One VEVENT.
+ * @param {{ uid: string, sequence?: number, start: Date, end?: Date, summary: string,
+ *           description?: string, location?: string, url?: string,
+ *           status?: "CONFIRMED"|"TENTATIVE"|"CANCELLED", rrule?: string|null,
+ *           organizer?: { name, email }, attendees?: { name, email }[],
+ *           updatedAt?: Date, categories?: string[] }} event
+ * @returns {string[]} unfolded lines
+ */
+export function eventLines(event) {
+  const start = new Date(event.start);
+  const end = event.end ? new Date(event.end) : new Date(start.getTime() + 60 * 60 * 1000);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatUTC(new Date())}`,
+    `DTSTART:${formatUTC(start)}`,
+    `DTEND:${formatUTC(end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUTC(event.updatedAt)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(",")}`);
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  lines.push(`STATUS:${event.status || "CONFIRMED"}`);
+  if (event.organizer?.email) lines.push(`ORGANIZER${mailto(event.organizer)}`);
+  for (const attendee of event.attendees || []) {
+    if (attendee.email) lines.push(`ATTENDEE${mailto({ role: "REQ-PARTICIPANT", partstat: "NEEDS-ACTION", rsvp: true, ...attendee })}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document.
+ * @param {{ name?: string, method?: "PUBLISH"|"REQUEST"|"CANCEL", events: object[], refreshMinutes?: number }} opts
+ */
+export function buildCalendar({ name, method = "PUBLISH", events = [], refreshMinutes }) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", `METHOD:${method}`];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  for (const event of events) lines.push(...eventLines(event));
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+export default { escapeText, formatUTC, foldLine, toRRule, eventLines, buildCalendar };
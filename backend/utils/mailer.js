@@ -0,0 +1,130 @@
+// backend/utils/mailer.js
+/**
+ * Pluggable outbound mailer
+ * ---------------------------------------------------------------------
+ * Transports are selected with MAIL_TRANSPORT:
+ *   - "console" (default) → logs the message through the app logger
+ *   - "file"              → writes each message as a .eml file to MAIL_DIR
+ *
+ * Real providers (SMTP, SES, Postmark, …) can be plugged in at startup
+ * with registerTransport(name, sendFn) without touching callers.
+ *
+ * The console transport logs whole messages, reset and verification links
+ * included, so production refuses it (assertMailConfigured).
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import logger from "./logger.js";
+
+const MAIL_FROM = process.env.MAIL_FROM || "LawBridge <no-reply@lawbridge.local>";
+const MAIL_DIR = process.env.MAIL_DIR || path.join(process.env.LOG_DIR || "logs", "mail");
+const DEV_ONLY_TRANSPORTS = ["console"];
+
+/* =======================================================
+   1️⃣ Built-in transports
+   ======================================================= */
+function buildRaw(message) {
+  const headers = [
+    `Message-ID: <${message.id}@lawbridge>`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    "MIME-Version: 1.0",
+  ];
+  if (!message.attachments?.length) {
+    headers.push("Content-Type: text/plain; charset=utf-8");
+    return `${headers.join("\r\n")}\r\n\r\n${message.text || ""}\r\n`;
+  }
+
+  // multipart/mixed: the text body, then each attachment base64-encoded
+  const boundary = `lb-${message.id}`;
+  headers.push(`Content-Type: multipart/mixed; boundary="${boundary}"`);
+  const parts = [
+    `--${boundary}\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n${message.text || ""}\r\n`,
+    ...message.attachments.map((a) => {
+      const body = Buffer.from(a.content || "").toString("base64").replace(/.{76}/g, "$&\r\n");
+      return [
+        `--${boundary}`,
+        `Content-Type: ${a.contentType || "application/octet-stream"}`,
+        "Content-Transfer-Encoding: base64",
+        `Content-Disposition: attachment; filename="${a.filename || "attachment"}"`,
+        "",
+        body,
+        "",
+      ].join("\r\n");
+    }),
+  ];
+  return `${headers.join("\r\n")}\r\n\r\n${parts.join("")}--${boundary}--\r\n`;
+}
+
+const transports = {
+  console: async (message) => {
+    const files = (message.attachments || []).map((a) => a.filename).join(", ");
+    logger.info(`📧 Mail to ${message.to}: ${message.subject}${files ? ` [${files}]` : ""}\n${message.text || ""}`);
+    return { transport: "console", id: message.id };
+  },
+
+  file: async (message) => {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    const file = path.join(MAIL_DIR, `${Date.now()}-${message.id}.eml`);
+    await fs.promises.writeFile(file, buildRaw(message), "utf8");
+    return { transport: "file", id: message.id, path: file };
+  },
+};
+
+/* =======================================================
+   2️⃣ Public API
+   ======================================================= */
+
+/**
+ * Register (or override) a transport.
+ * @param {string} name
+ * @param {(message: object) => Promise<object>} sendFn
+ */
+export function registerTransport(name, sendFn) {
+  if (typeof sendFn !== "function") throw new Error("Mail transport must be a function");
+  transports[name] = sendFn;
+}
+
+/**
+ * Resolve the configured transport, or throw if it is unknown or not fit
+ * for this environment. server.js calls this at startup; sendMail checks
+ * again so a misconfigured worker refuses to send rather than log mail.
+ * @returns {string} transport name
+ */
+export function assertMailConfigured() {
+  const name = (process.env.MAIL_TRANSPORT || "console").toLowerCase();
+  if (!transports[name]) throw new Error(`Unknown mail transport: ${name}`);
+  if (process.env.NODE_ENV === "production" && DEV_ONLY_TRANSPORTS.includes(name)) {
+    throw new Error(`Mail transport "${name}" is for development only; set MAIL_TRANSPORT to a real provider`);
+  }
+  return name;
+}
+
+/**
+ * Send an email through the configured transport.
+ * @param {{ to: string, subject: string, text?: string, html?: string,
+ *           attachments?: { filename: string, contentType?: string, content: string|Buffer }[] }} opts
+ */
+export async function sendMail({ to, subject, text, html, attachments = [] }) {
+  if (!to || !subject) throw new Error("sendMail requires 'to' and 'subject'");
+
+  const transport = transports[assertMailConfigured()];
+
+  const message = {
+    id: crypto.randomBytes(8).toString("hex"),
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    attachments,
+  };
+
+  return transport(message);
+}
+
+export default { sendMail, registerTransport, assertMailConfigured };
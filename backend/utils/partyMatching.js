@@ -0,0 +1,286 @@
+// backend/utils/partyMatching.js
+/**
+ * Party matching helpers
+ * ---------------------------------------------------------------------
+ * Normalization + fuzzy comparison for people/organisations, shared by
+ * intake duplicate detection and conflict checks.
+ *
+ *  - Emails: lowercased, "+tag" stripped, dots ignored for Gmail
+ *  - Phones: digits only, compared on the trailing 9 digits so
+ *    "+254 712-345 678" and "0712345678" are the same number
+ *  - Names:  accents/punctuation/honorifics removed, token order ignored,
+ *            scored with Jaro-Winkler (companies use the same scorer)
+ *
+ * The *Pattern helpers build loose Mongo regexes used as a cheap
+ * pre-filter. rankedCandidates() orders that pre-filter in the database
+ * by how many signals each record shares with the probe, so a capped
+ * candidate list keeps the strongest ones; final ranking always happens
+ * in JS with the scorers below.
+ */
+
+const HONORIFICS = new Set([
+  "mr", "mrs", "ms", "miss", "dr", "prof", "adv", "hon", "esq", "jr", "sr", "ii", "iii",
+]);
+const GMAIL_DOMAINS = new Set(["gmail.com", "googlemail.com"]);
+const PHONE_KEY_DIGITS = 9;
+
+export const NAME_MATCH_THRESHOLD = 0.86;
+
+const escapeRegex = (s) => String(s).replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
+
+/* =======================================================
+   ✉️ Email
+   ======================================================= */
+export function normalizeEmail(email) {
+  if (!email) return null;
+  const lower = String(email).trim().toLowerCase();
+  const at = lower.lastIndexOf("@");
+  if (at < 1) return lower || null;
+
+  let local = lower.slice(0, at).split("+")[0];
+  let domain = lower.slice(at + 1);
+  if (GMAIL_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, "");
+    domain = "gmail.com";
+  }
+  return `${local}@${domain}`;
+}
+
+/** Regex matching any stored spelling of the same mailbox */
+export function emailPattern(email) {
+  const canonical = normalizeEmail(email);
+  if (!canonical || !canonical.includes("@")) return null;
+  const [local, domain] = canonical.split("@");
+  const localRe = GMAIL_DOMAINS.has(domain)
+    ? local.split("").map(escapeRegex).join("\\.?")
+    : escapeRegex(local);
+  const domainRe = GMAIL_DOMAINS.has(domain) ? "(gmail|googlemail)\\.com" : escapeRegex(domain);
+  return new RegExp(`^${localRe}(\\+[^@]*)?@${domainRe}$`, "i");
+}
+
+/* =======================================================
+   ☎️ Phone
+   ======================================================= */
+export function normalizePhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-PHONE_KEY_DIGITS) : null;
+}
+
+/** Regex matching stored numbers ending in the same digits, whatever the formatting */
+export function phonePattern(phone) {
+  const key = normalizePhone(phone);
+  if (!key) return null;
+  return new RegExp(`${key.split("").join("\\D*")}\\D*$`);
+}
+
+/* =======================================================
+   👤 Names
+   ======================================================= */
+export function nameTokens(name) {
+  if (!name) return [];
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !HONORIFICS.has(t));
+}
+
+export const normalizeName = (name) => nameTokens(name).sort().join(" ");
+
+/** Regex hitting any stored name that shares a token prefix */
+export function namePattern(name) {
+  const prefixes = [...new Set(nameTokens(name).filter((t) => t.length >= 2).map((t) => t.slice(0, 3)))];
+  if (!prefixes.length) return null;
+  return new RegExp(`(^|[^a-z])(${prefixes.map(escapeRegex).join("|")})`, "i");
+}
+
+export function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aHit = new Array(a.length).fill(false);
+  const bHit = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const lo = Math.max(0, i - range);
+    const hi = Math.min(i + range + 1, b.length);
+    for (let j = lo; j < hi; j++) {
+      if (bHit[j] || a[i] !== b[j]) continue;
+      aHit[i] = bHit[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let k = 0;
+  let transpositions = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aHit[i]) continue;
+    while (!bHit[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const m = matches;
+  const jaro = (m / a.length + m / b.length + (m - transpositions / 2) / m) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * 0..1 similarity between two names.
+ * Takes the better of whole-name and per-token comparison, so "Smith, John"
+ * vs "Jon Smith" and "John A. Smith" vs "John Smith" both score high.
+ */
+export function nameSimilarity(a, b) {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (!ta.length || !tb.length) return 0;
+
+  const whole = jaroWinkler([...ta].sort().join(" "), [...tb].sort().join(" "));
+
+  const [short, long] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+  const perToken = short.reduce((sum, t) => sum + Math.max(...long.map((u) => jaroWinkler(t, u))), 0) / short.length;
+  // A single shared token (e.g. surname only) shouldn't look like a full match
+  const coverage = short.length === 1 && long.length > 1 ? 0.9 : 1;
+
+  return Math.max(whole, perToken * coverage);
+}
+
+/* =======================================================
+   🧮 Record comparison
+   ======================================================= */
+
+/**
+ * Compare a probe { name, email, phone, company } against a stored record.
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export function scoreParty(probe, record) {
+  const reasons = [];
+  let score = 0;
+
+  const pe = normalizeEmail(probe.email);
+  if (pe && pe === normalizeEmail(record.email)) {
+    reasons.push("email");
+    score = Math.max(score, 1);
+  }
+
+  const pp = normalizePhone(probe.phone);
+  if (pp && pp === normalizePhone(record.phone)) {
+    reasons.push("phone");
+    score = Math.max(score, 0.95);
+  }
+
+  if (probe.name && record.name) {
+    const ns = nameSimilarity(probe.name, record.name);
+    if (ns >= NAME_MATCH_THRESHOLD) {
+      reasons.push("name");
+      score = Math.max(score, ns * 0.9);
+    }
+  }
+
+  if (probe.company && record.company) {
+    const cs = nameSimilarity(probe.company, record.company);
+    if (cs >= NAME_MATCH_THRESHOLD) {
+      reasons.push("company");
+      score = Math.max(score, cs * 0.85);
+    }
+  }
+
+  // Several independent signals agreeing is stronger than any one of them
+  if (reasons.length > 1) score = Math.min(1, score + 0.05 * (reasons.length - 1));
+  return { score: Number(score.toFixed(3)), reasons };
+}
+
+/** Mongo $or clauses that pre-select candidates for scoreParty() */
+export function candidateClauses({ name, email, phone, company }, fields = { name: "name", email: "email", phone: "phone" }) {
+  const clauses = [];
+  const e = emailPattern(email);
+  const p = phonePattern(phone);
+  const n = namePattern(name);
+  const c = namePattern(company);
+  if (e && fields.email) clauses.push({ [fields.email]: e });
+  if (p && fields.phone) clauses.push({ [fields.phone]: p });
+  if (n && fields.name) clauses.push({ [fields.name]: n });
+  if (c && fields.company) clauses.push({ [fields.company]: c });
+  return clauses;
+}
+
+/* =======================================================
+   🗂️ Candidate pre-selection
+   ======================================================= */
+// Rough weights: a shared mailbox or number beats any number of name tokens
+const RANK_WEIGHTS = { email: 8, phone: 8, token: 2, prefix: 1 };
+
+const regexHit = (field, regex, weight) => ({
+  $cond: [{ $regexMatch: { input: { $ifNull: [{ $toString: `$${field}` }, ""] }, regex } }, weight, 0],
+});
+
+function tokenRanks(value, field) {
+  return [...new Set(nameTokens(value).filter((t) => t.length >= 2))].flatMap((t) => [
+    regexHit(field, new RegExp(`(^|[^a-z])${escapeRegex(t)}([^a-z]|$)`, "i"), RANK_WEIGHTS.token),
+    regexHit(field, new RegExp(`(^|[^a-z])${escapeRegex(t.slice(0, 3))}`, "i"), RANK_WEIGHTS.prefix),
+  ]);
+}
+
+/** Aggregation expression: how strongly a stored record resembles the probe */
+export function candidateRank({ name, email, phone, company }, fields = { name: "name", email: "email", phone: "phone" }) {
+  const e = emailPattern(email);
+  const p = phonePattern(phone);
+  const terms = [
+    ...(e && fields.email ? [regexHit(fields.email, e, RANK_WEIGHTS.email)] : []),
+    ...(p && fields.phone ? [regexHit(fields.phone, p, RANK_WEIGHTS.phone)] : []),
+    ...(fields.name ? tokenRanks(name, fields.name) : []),
+    ...(fields.company ? tokenRanks(company, fields.company) : []),
+  ];
+  return terms.length ? { $add: terms } : 0;
+}
+
+/**
+ * Pre-filtered records for scoreParty(), strongest first.
+ * At most `limit` come back; `truncated` says weaker candidates were left out.
+ * @returns {Promise<{ docs: object[], truncated: boolean }>}
+ */
+export async function rankedCandidates(Model, probe, { match = {}, fields, select, populate, limit }) {
+  const clauses = candidateClauses(probe, fields);
+  if (!clauses.length) return { docs: [], truncated: false };
+
+  const projection = Object.fromEntries(String(select).split(/\s+/).filter(Boolean).map((f) => [f, 1]));
+  const docs = await Model.aggregate([
+    { $match: { ...match, $or: clauses } },
+    { $addFields: { _rank: candidateRank(probe, fields) } },
+    { $sort: { _rank: -1, _id: 1 } },
+    { $limit: limit + 1 },
+    { $project: projection },
+  ]);
+
+  const truncated = docs.length > limit;
+  if (truncated) docs.length = limit;
+  if (populate) await Model.populate(docs, populate);
+  return { docs, truncated };
+}
+
+export default {
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  nameTokens,
+  nameSimilarity,
+  jaroWinkler,
+  scoreParty,
+  candidateClauses,
+  candidateRank,
+  rankedCandidates,
+  emailPattern,
+  phonePattern,
+  namePattern,
+  NAME_MATCH_THRESHOLD,
+};
@@ -13,11 +13,15 @@
  *  - Safe no-op if io not set (useful during startup & tests)
  *  - Optional per-room or global emit helpers
  *  - Logs emissions in non-production for visibility
+ *  - A bare user id as room is sent to that user's `user_<id>` room
+ *    (the only per-user room sockets are joined to)
  * ------------------------------------------------------------
  */
 
 let _io = null;
 
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+
 /**
  * Register the Socket.IO instance (call once in server.js after io created)
  * @param {import("socket.io").Server} io
@@ -40,6 +44,7 @@ export function getIO() {
  * Emit a Socket.IO event safely.
  * @param {string} event - event name
  * @param {string|string[]|null} room - room string, array of rooms, or null for global
+ *   (global is for system-wide notices only — record events go to authorized rooms)
  * @param {object} payload - event payload
  * @returns {boolean} emitted
  */
@@ -63,8 +68,8 @@ export function emitSocketEvent(event, room = null, payload = {}) {
     const rooms = Array.isArray(room) ? room : [room];
     for (const r of rooms) {
       if (!r) continue;
-      // ensure string
-      const roomId = typeof r === "string" ? r : String(r);
+      // ensure string; bare user ids address the user's own room
+      const roomId = OBJECT_ID_RE.test(String(r)) ? `user_${r}` : String(r);
       _io.to(roomId).emit(event, payload);
       _logEvent(roomId, event, payload);
     }
@@ -107,14 +112,23 @@ export function emitSocketExcept(event, excludeSocketId, payload = {}) {
 }
 
 /**
- * Broadcast a system notice to everyone
+ * Broadcast a system notice to everyone, or only to the given rooms
+ * (e.g. role rooms for a role-targeted admin broadcast).
+ * @param {string} message
+ * @param {string} [level] info | warning | critical
+ * @param {{ title?: string, id?: string, rooms?: string[] }} [opts]
  */
-export function broadcastSystemNotice(message, level = "info") {
+export function broadcastSystemNotice(message, level = "info", { title = null, id = null, rooms = null } = {}) {
   try {
     if (!_io) return false;
-    const payload = { type: "system", message, level, timestamp: new Date().toISOString() };
-    _io.emit("system:notice", payload);
-    _logEvent("GLOBAL", "system:notice", payload);
+    const payload = { type: "system", id, title, message, level, timestamp: new Date().toISOString() };
+    if (Array.isArray(rooms) && rooms.length) {
+      _io.to(rooms.map(String)).emit("system:notice", payload);
+      _logEvent(rooms.join(","), "system:notice", payload);
+    } else {
+      _io.emit("system:notice", payload);
+      _logEvent("GLOBAL", "system:notice", payload);
+    }
     return true;
   } catch (err) {
     console.error("[socketEmitter] Failed to broadcast system notice:", err.message || err);
@@ -0,0 +1,235 @@
+// backend/utils/textExtract.js
+/**
+ * Plain-text extraction for uploaded documents.
+ *
+ * Enough to make documents searchable, not a rendering engine.
+ *
+ *  - Text-like files (txt, md, csv, json, xml, html, rtf) are decoded
+ *  - DOCX is unzipped and the WordprocessingML flattened to paragraphs.
+ *    Inflated output is capped so a zip bomb can't exhaust memory
+ *  - PDF text comes from pdfjs-dist (legacy build, runs in Node). Scanned
+ *    pages (images) come back empty; there is no OCR here.
+ */
+
+import path from "path";
+import zlib from "zlib";
+import { createRequire } from "module";
+
+/* =======================================================
+   🧭 Format detection
+   ======================================================= */
+const TEXT_EXTENSIONS = new Set([".txt", ".text", ".md", ".csv", ".tsv", ".json", ".xml", ".log", ".eml"]);
+const HTML_EXTENSIONS = new Set([".html", ".htm"]);
+
+/**
+ * Which extractor handles a file, or null if none does.
+ * @returns {"pdf"|"docx"|"html"|"rtf"|"text"|null}
+ */
+export function detectFormat({ buffer, mimeType = "", fileName = "" }) {
+  const mime = String(mimeType).toLowerCase();
+  const ext = path.extname(String(fileName)).toLowerCase();
+  const head = buffer ? buffer.subarray(0, 8).toString("latin1") : "";
+
+  if (head.startsWith("%PDF") || mime === "application/pdf" || ext === ".pdf") return "pdf";
+  if (mime.includes("wordprocessingml") || ext === ".docx") return "docx";
+  if (mime === "text/html" || HTML_EXTENSIONS.has(ext)) return "html";
+  if (mime.includes("rtf") || ext === ".rtf" || head.startsWith("{\\rtf")) return "rtf";
+  if (mime.startsWith("text/") || mime === "application/json" || mime === "application/xml" || TEXT_EXTENSIONS.has(ext)) {
+    return "text";
+  }
+  return null;
+}
+
+/* =======================================================
+   🔤 Shared helpers
+   ======================================================= */
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+export const decodeEntities = (s) =>
+  s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+
+/** Collapse runs of spaces, keep paragraph breaks */
+export const normalizeWhitespace = (s) =>
+  s
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.subarray(2).toString("utf16le");
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.subarray(2)).swap16().toString("utf16le");
+  const text = buffer.toString("utf8");
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+const htmlToText = (html) =>
+  decodeEntities(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+  );
+
+const rtfToText = (rtf) =>
+  rtf
+    .replace(/\\'([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\(par|line)\b ?/g, "\n")
+    .replace(/\\tab\b ?/g, "\t")
+    .replace(/\{\\\*[^{}]*\}/g, "")
+    .replace(/\\[a-z]+-?\d* ?/gi, "")
+    .replace(/[{}]/g, "");
+
+/* =======================================================
+   📦 DOCX (zip + WordprocessingML)
+   ======================================================= */
+// Total bytes one archive may inflate to (DOCX text parts are far smaller)
+const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+// Retrying won't shrink the archive; textExtraction records it as failed
+const tooLarge = () => Object.assign(new Error("Archive inflates past the size limit"), { permanent: true });
+
+/** Read named entries out of a zip archive */
+export function unzipEntries(buffer, wanted, { maxBytes = MAX_INFLATED_BYTES } = {}) {
+  // End of central directory: last occurrence of PK\x05\x06
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a zip archive");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const out = new Map();
+  let inflated = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString("utf8");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!wanted(name)) continue;
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    const remaining = maxBytes - inflated;
+
+    let entry;
+    if (method === 0) entry = data;
+    else if (method === 8) {
+      try {
+        entry = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+      } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge();
+        throw err;
+      }
+    } else continue;
+
+    inflated += entry.length;
+    if (inflated > maxBytes) throw tooLarge();
+    out.set(name, entry);
+  }
+  return out;
+}
+
+const DOCX_PARTS = /^word\/(document|footnotes|endnotes|header\d*|footer\d*)\.xml$/;
+
+const wordXmlToText = (xml) =>
+  decodeEntities(
+    xml
+      .replace(/<w:tab\/>/g, "\t")
+      .replace(/<w:(br|cr)\/>/g, "\n")
+      .replace(/<\/w:p>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  );
+
+function extractDocx(buffer) {
+  const parts = unzipEntries(buffer, (name) => DOCX_PARTS.test(name));
+  const body = parts.get("word/document.xml");
+  if (!body) throw new Error("DOCX has no word/document.xml");
+  // body first, then headers / footers / notes
+  const rest = [...parts.entries()].filter(([name]) => name !== "word/document.xml").map(([, xml]) => xml);
+  return [body, ...rest].map((xml) => wordXmlToText(xml.toString("utf8"))).join("\n");
+}
+
+/* =======================================================
+   📄 PDF (pdfjs-dist)
+   ======================================================= */
+const PDFJS_DIR = path.dirname(createRequire(import.meta.url).resolve("pdfjs-dist/package.json"));
+const MAX_PDF_PAGES = 500;
+
+let pdfjs;
+const loadPdfjs = async () => (pdfjs ??= await import("pdfjs-dist/legacy/build/pdf.mjs"));
+
+async function extractPdf(buffer, maxChars) {
+  const { getDocument } = await loadPdfjs();
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    cMapUrl: `${PDFJS_DIR}/cmaps/`,
+    cMapPacked: true,
+    standardFontDataUrl: `${PDFJS_DIR}/standard_fonts/`,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pages = [];
+    let length = 0;
+    for (let n = 1; n <= Math.min(doc.numPages, MAX_PDF_PAGES) && length <= maxChars; n++) {
+      const page = await doc.getPage(n);
+      const { items } = await page.getTextContent();
+      const text = items.map((item) => (item.str ?? "") + (item.hasEOL ? "\n" : "")).join("");
+      page.cleanup();
+      pages.push(text);
+      length += text.length;
+    }
+    return pages.join("\n\n");
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/* =======================================================
+   🚪 Public API
+   ======================================================= */
+/**
+ * Extract plain text from a file.
+ * @param {{ buffer: Buffer, mimeType?: string, fileName?: string, maxChars?: number }} file
+ * @returns {Promise<{ format: string|null, text: string, truncated: boolean }>}
+ *          format is null when the type isn't supported (text is then "")
+ */
+export async function extractText({ buffer, mimeType, fileName, maxChars = 200000 }) {
+  const format = detectFormat({ buffer, mimeType, fileName });
+  if (!format || !buffer?.length) return { format, text: "", truncated: false };
+
+  let text;
+  if (format === "pdf") text = await extractPdf(buffer, maxChars);
+  else if (format === "docx") text = extractDocx(buffer);
+  else if (format === "html") text = htmlToText(decodeText(buffer));
+  else if (format === "rtf") text = rtfToText(buffer.toString("latin1"));
+  else text = decodeText(buffer);
+
+  // drop control characters other than tab / newline
+  text = normalizeWhitespace(text.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, " "));
+  const truncated = text.length > maxChars;
+  return { format, text: truncated ? text.slice(0, maxChars) : text, truncated };
+}
+
+export default { detectFormat, extractText, unzipEntries };
@@ -0,0 +1,138 @@
+// backend/utils/totp.js
+/**
+ * totp.js
+ * ------------------------------------------------------------
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits,
+ * 30 s step — the defaults every authenticator app supports),
+ * plus at-rest encryption for the shared secrets.
+ *
+ * Env:
+ *   TWO_FACTOR_ENCRYPTION_KEY  any string; defaults to a key derived
+ *                              from JWT_SECRET
+ * ------------------------------------------------------------
+ */
+
+import crypto from "crypto";
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/* =======================================================
+   Base32 (RFC 4648, no padding)
+   ======================================================= */
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/* =======================================================
+   HOTP / TOTP
+   ======================================================= */
+export const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+export const currentStep = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS);
+
+export function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code against the current step ± `window` steps (clock drift).
+ * Steps at or before `afterStep` are refused so a code can't be replayed.
+ * @returns {number|null} the matching step, or null
+ */
+export function verifyTotp(secret, code, { window = 1, afterStep = -1, at = Date.now() } = {}) {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const now = currentStep(at);
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+/** otpauth:// URI for authenticator apps / QR codes */
+export function keyUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/* =======================================================
+   Secret encryption (AES-256-GCM)
+   ======================================================= */
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:two-factor`)
+    .digest();
+
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString("base64")).join(".");
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, data] = String(stored).split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+export default {
+  generateSecret,
+  currentStep,
+  hotp,
+  verifyTotp,
+  keyUri,
+  encryptSecret,
+  decryptSecret,
+  base32Encode,
+  base32Decode,
+};
@@ -35,6 +35,7 @@ const Cases = lazy(() => import("./pages/Cases.jsx"));
 const CaseDetails = lazy(() => import("./pages/CaseDetails.jsx"));
 const Clients = lazy(() => import("./pages/Clients.jsx"));
 const Tasks = lazy(() => import("./pages/Tasks.jsx"));
+const Billing = lazy(() => import("./pages/Billing.jsx"));
 const ReportsPage = lazy(() => import("./pages/ReportsPage.jsx"));
 const Analytics = lazy(() => import("./pages/Analytics.jsx"));
 const Profile = lazy(() => import("./pages/Profile.jsx"));
@@ -141,6 +142,7 @@ export default function App() {
             <Route path="analytics" element={<Analytics />} />
             <Route path="reports" element={<ReportsPage />} />
             <Route path="tasks" element={<Tasks />} />
+            <Route path="billing" element={<Billing />} />
             <Route path="notifications" element={<NotificationsCenter />} />
             <Route path="settings" element={<Settings />} />
             <Route path="test-ui" element={<TestUI />} />
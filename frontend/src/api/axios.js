@@ -1,6 +1,7 @@
 // frontend/src/utils/api.js
 
 import axios from "axios";
+import { getAccessToken, refreshAccessToken } from "../utils/api";
 
 // 🧭 Determine backend base URL from environment
 const rawBaseURL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
@@ -19,7 +20,7 @@ const api = axios.create({
 // 🛠️ Request Interceptor — Attach JWT token automatically
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem("token");
+    const token = getAccessToken();
     if (token && typeof token === "string") {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -31,12 +32,26 @@ api.interceptors.request.use(
 // 🚨 Response Interceptor — Handle expired sessions / unauthorized
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     const status = error.response?.status;
+    const original = error.config;
+
+    // Access tokens are short-lived: refresh once via the httpOnly cookie and retry
+    if (status === 401 && original && !original._retry && !original.url?.includes("/auth/")) {
+      original._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch {
+        // fall through to logout
+      }
+    }
 
     if (status === 401) {
       console.warn("Unauthorized: clearing session and redirecting...");
-      localStorage.removeItem("token");
+      localStorage.removeItem("authToken");
+      sessionStorage.removeItem("authToken");
       localStorage.removeItem("role");
 
       // Optional: Redirect to login if using React Router
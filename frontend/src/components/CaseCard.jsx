@@ -104,23 +104,28 @@ export default function CaseCard({
   };
 
   /* =======================================================
-     📎 Upload Attachment (via /api/cases/:id/attachments)
+     📎 Upload Attachment (/api/upload, then /api/cases/:id/attachments)
      Owner, admin, client, arbitrator allowed.
   ======================================================= */
   const handleUpload = async () => {
     if (!file) return toast.error("Please select a file first.");
     setUploading(true);
     try {
+      // 1) store the file, 2) attach its metadata to the case
       const form = new FormData();
-      form.append("fileUrl", file);
-      form.append("name", file.name);
+      form.append("file", file);
+      const headers = { Authorization: `Bearer ${token}` };
 
-      await axios.post(`/api/cases/${c._id}/attachments`, form, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "multipart/form-data",
-        },
+      const { data } = await axios.post("/api/upload", form, {
+        headers: { ...headers, "Content-Type": "multipart/form-data" },
       });
+      const [stored] = data.files || [];
+
+      await axios.post(
+        `/api/cases/${c._id}/attachments`,
+        { name: file.name, fileUrl: stored.fileUrl, fileKey: stored.fileKey, fileType: stored.fileType, size: stored.size },
+        { headers }
+      );
 
       toast.success(`📁 ${file.name} uploaded`);
       setFile(null);
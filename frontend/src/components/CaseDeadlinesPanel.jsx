@@ -0,0 +1,225 @@
+/**
+ * CaseDeadlinesPanel.jsx
+ * ------------------------------------------------------------
+ * Deadlines for a single case. A deadline is either a fixed
+ * date or a rule ("10 court days after the hearing") that the
+ * server recomputes whenever the triggering date moves, using
+ * the court calendar of the case's jurisdiction.
+ * ------------------------------------------------------------
+ */
+
+import React, { useEffect, useState } from "react";
+import { AlarmClock, Check, RotateCcw, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+import API from "@/utils/api";
+
+const SOURCES = [
+  { value: "manual", label: "Fixed date" },
+  { value: "case_filed", label: "Case filing date" },
+  { value: "case_hearing", label: "Case hearing date" },
+  { value: "hearing", label: "A hearing" },
+  { value: "deadline", label: "Another deadline" },
+  { value: "custom", label: "Date I enter" },
+];
+
+const UNITS = [
+  { value: "court_days", label: "court days" },
+  { value: "calendar_days", label: "calendar days" },
+  { value: "weeks", label: "weeks" },
+  { value: "months", label: "months" },
+];
+
+const KINDS = ["filing", "response", "limitation", "appeal", "discovery", "service", "other"];
+
+const EMPTY_FORM = {
+  title: "",
+  kind: "filing",
+  source: "manual",
+  dueDate: "",
+  triggerDate: "",
+  offset: 10,
+  unit: "court_days",
+  direction: "after",
+  hearingId: "",
+  deadlineId: "",
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export default function CaseDeadlinesPanel({ caseId, canManage }) {
+  const [deadlines, setDeadlines] = useState([]);
+  const [hearings, setHearings] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const fetchDeadlines = async () => {
+    try {
+      const { data } = await API.get("/deadlines", { params: { caseId, status: "open,completed" } });
+      setDeadlines(data.data || []);
+    } catch (err) {
+      console.error("❌ Fetch deadlines error:", err);
+    }
+  };
+
+  useEffect(() => {
+    fetchDeadlines();
+    API.get("/hearings", { params: { caseId } })
+      .then(({ data }) => setHearings(data.data || []))
+      .catch(() => setHearings([]));
+  }, [caseId]);
+
+  const handleCreate = async () => {
+    if (!form.title.trim()) return toast.error("Give the deadline a title");
+    try {
+      await API.post("/deadlines", { caseId, ...form, offset: Number(form.offset) });
+      toast.success("Deadline added");
+      setForm(EMPTY_FORM);
+      fetchDeadlines();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to add deadline");
+    }
+  };
+
+  const handleAction = async (deadlineId, action) => {
+    try {
+      if (action === "delete") {
+        if (!window.confirm("Delete this deadline?")) return;
+        await API.delete(`/deadlines/${deadlineId}`);
+      } else {
+        await API.post(`/deadlines/${deadlineId}/${action}`);
+      }
+      fetchDeadlines();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Update failed");
+    }
+  };
+
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const isRule = form.source !== "manual";
+
+  return (
+    <div className="bg-white rounded-xl shadow p-5 mt-6">
+      <h2 className="font-semibold text-gray-700 flex items-center gap-2 mb-3">
+        <AlarmClock size={18} /> Deadlines
+      </h2>
+
+      {canManage && (
+        <div className="flex flex-wrap gap-2 mb-4 text-sm">
+          <input
+            type="text"
+            value={form.title}
+            onChange={set("title")}
+            placeholder="e.g. File defence"
+            className="flex-grow border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-400"
+          />
+          <select value={form.kind} onChange={set("kind")} className="border rounded-lg px-2 py-2 capitalize">
+            {KINDS.map((k) => (
+              <option key={k} value={k}>
+                {k}
+              </option>
+            ))}
+          </select>
+          <select value={form.source} onChange={set("source")} className="border rounded-lg px-2 py-2">
+            {SOURCES.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+
+          {!isRule && <input type="date" value={form.dueDate} onChange={set("dueDate")} className="border rounded-lg px-2 py-2" />}
+
+          {isRule && (
+            <>
+              <input type="number" min="0" value={form.offset} onChange={set("offset")} className="w-20 border rounded-lg px-2 py-2" />
+              <select value={form.unit} onChange={set("unit")} className="border rounded-lg px-2 py-2">
+                {UNITS.map((u) => (
+                  <option key={u.value} value={u.value}>
+                    {u.label}
+                  </option>
+                ))}
+              </select>
+              <select value={form.direction} onChange={set("direction")} className="border rounded-lg px-2 py-2">
+                <option value="after">after</option>
+                <option value="before">before</option>
+              </select>
+            </>
+          )}
+          {form.source === "custom" && (
+            <input type="date" value={form.triggerDate} onChange={set("triggerDate")} className="border rounded-lg px-2 py-2" />
+          )}
+          {form.source === "hearing" && (
+            <select value={form.hearingId} onChange={set("hearingId")} className="border rounded-lg px-2 py-2">
+              <option value="">Select hearing</option>
+              {hearings.map((h) => (
+                <option key={h._id} value={h._id}>
+                  {h.title} — {new Date(h.start).toLocaleDateString()}
+                </option>
+              ))}
+            </select>
+          )}
+          {form.source === "deadline" && (
+            <select value={form.deadlineId} onChange={set("deadlineId")} className="border rounded-lg px-2 py-2">
+              <option value="">Select deadline</option>
+              {deadlines.map((d) => (
+                <option key={d._id} value={d._id}>
+                  {d.title} — {d.dueDay}
+                </option>
+              ))}
+            </select>
+          )}
+          <button onClick={handleCreate} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+            Add
+          </button>
+        </div>
+      )}
+
+      <div className="max-h-72 overflow-y-auto text-sm divide-y">
+        {deadlines.length > 0 ? (
+          deadlines.map((d) => {
+            const overdue = d.status === "open" && d.dueDay && d.dueDay < today();
+            return (
+              <div key={d._id} className="py-2 flex items-start justify-between gap-3">
+                <div>
+                  <p className={`font-medium ${d.status === "completed" ? "line-through text-gray-400" : "text-gray-700"}`}>
+                    {d.title} <span className="text-xs text-gray-500 capitalize">· {d.kind}</span>
+                  </p>
+                  {d.rule?.source !== "manual" && (
+                    <p className="text-xs text-gray-500">
+                      {d.rule.offset} {d.rule.unit.replace("_", " ")} {d.rule.direction}{" "}
+                      {SOURCES.find((s) => s.value === d.rule.source)?.label.toLowerCase()}
+                      {d.rule.hearing?.title && ` (${d.rule.hearing.title})`}
+                      {d.skipped?.length > 0 && ` · skipped ${d.skipped.map((s) => s.reason).filter((r) => r !== "weekend").join(", ") || "weekends"}`}
+                    </p>
+                  )}
+                  {d.computeError && <p className="text-xs text-amber-600">⚠ {d.computeError}</p>}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${overdue ? "bg-red-100 text-red-700" : "bg-gray-100 text-gray-700"}`}>
+                    {d.dueDay || "—"}
+                  </span>
+                  {canManage &&
+                    (d.status === "open" ? (
+                      <button onClick={() => handleAction(d._id, "complete")} title="Mark done" className="text-green-600 hover:text-green-800">
+                        <Check size={16} />
+                      </button>
+                    ) : (
+                      <button onClick={() => handleAction(d._id, "reopen")} title="Reopen" className="text-gray-500 hover:text-gray-700">
+                        <RotateCcw size={16} />
+                      </button>
+                    ))}
+                  {canManage && (
+                    <button onClick={() => handleAction(d._id, "delete")} title="Delete" className="text-red-500 hover:text-red-700">
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })
+        ) : (
+          <p className="text-gray-500">No deadlines yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
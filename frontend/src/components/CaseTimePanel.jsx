@@ -0,0 +1,290 @@
+/**
+ * CaseTimePanel.jsx
+ * ------------------------------------------------------------
+ * Time tracking for a single case: start/stop timer, manual
+ * entries, per-user totals and approval for case managers.
+ * The running timer is stored server-side, so a page reload
+ * picks it back up from GET /time-entries/timer.
+ * ------------------------------------------------------------
+ */
+
+import React, { useEffect, useState } from "react";
+import { Timer, Play, Square, Check, X, Download } from "lucide-react";
+import toast from "react-hot-toast";
+import API from "@/utils/api";
+
+const formatMinutes = (m) => `${Math.floor(m / 60)}h ${String(Math.round(m % 60)).padStart(2, "0")}m`;
+
+const formatElapsed = (ms) => {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(s / 3600))}:${pad(Math.floor((s % 3600) / 60))}:${pad(s % 60)}`;
+};
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-700",
+  approved: "bg-green-100 text-green-700",
+  rejected: "bg-red-100 text-red-700",
+  billed: "bg-blue-100 text-blue-700",
+};
+
+export default function CaseTimePanel({ caseId, canLog, canApprove }) {
+  const [entries, setEntries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [codes, setCodes] = useState([]);
+  const [timer, setTimer] = useState(null);
+  const [clockSkew, setClockSkew] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [form, setForm] = useState({ durationMinutes: "", activityCode: "A111", narrative: "", billable: true });
+
+  /* =======================================================
+     Fetch entries, totals and the running timer
+  ======================================================= */
+  const fetchAll = async () => {
+    try {
+      const [list, totals, running] = await Promise.all([
+        API.get("/time-entries", { params: { caseId, limit: 100 } }),
+        API.get("/time-entries/summary", { params: { caseId, groupBy: "user" } }),
+        API.get("/time-entries/timer"),
+      ]);
+      setEntries(list.data.data || []);
+      setSummary(totals.data.data);
+      setTimer(running.data.data);
+      // Elapsed time is measured against the server clock
+      setClockSkew(new Date(running.data.serverTime).getTime() - Date.now());
+    } catch (err) {
+      console.error("❌ Fetch time entries error:", err);
+    }
+  };
+
+  useEffect(() => {
+    fetchAll();
+    API.get("/time-entries/activity-codes")
+      .then(({ data }) => setCodes(data.data || []))
+      .catch(() => setCodes([]));
+  }, [caseId]);
+
+  useEffect(() => {
+    if (!timer) return undefined;
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tick);
+  }, [timer]);
+
+  /* =======================================================
+     Timer
+  ======================================================= */
+  const handleStart = async () => {
+    try {
+      await API.post("/time-entries/timer/start", {
+        caseId,
+        activityCode: form.activityCode,
+        narrative: form.narrative,
+        billable: form.billable,
+      });
+      toast.success("⏱️ Timer started");
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to start timer");
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      await API.post("/time-entries/timer/stop", form.narrative ? { narrative: form.narrative } : {});
+      toast.success("Timer stopped");
+      setForm((f) => ({ ...f, narrative: "" }));
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to stop timer");
+    }
+  };
+
+  /* =======================================================
+     Manual entry + review
+  ======================================================= */
+  const handleLog = async () => {
+    if (!Number(form.durationMinutes)) return toast.error("Enter the minutes spent");
+    try {
+      await API.post("/time-entries", { caseId, ...form, durationMinutes: Number(form.durationMinutes) });
+      toast.success("Time logged");
+      setForm((f) => ({ ...f, durationMinutes: "", narrative: "" }));
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to log time");
+    }
+  };
+
+  const handleReview = async (entryId, decision) => {
+    const note = decision === "reject" ? window.prompt("Reason for rejecting this entry?") : "";
+    if (decision === "reject" && !note) return;
+    try {
+      await API.post(`/time-entries/${entryId}/${decision}`, { note });
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Review failed");
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const res = await API.get("/time-entries/export", { params: { caseId }, responseType: "blob" });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "time_entries_export.csv";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error("Export failed");
+    }
+  };
+
+  const timerHere = timer && String(timer.case?._id || timer.case) === String(caseId);
+
+  return (
+    <div className="bg-white rounded-xl shadow p-5 mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-semibold text-gray-700 flex items-center gap-2">
+          <Timer size={18} /> Time
+        </h2>
+        <button
+          onClick={handleExport}
+          className="text-sm text-gray-600 hover:text-blue-600 flex items-center gap-1"
+        >
+          <Download size={14} /> CSV
+        </button>
+      </div>
+
+      {canLog && (
+        <div className="space-y-2 mb-4">
+          {timer && !timerHere && (
+            <p className="text-xs text-amber-700 bg-amber-50 rounded px-2 py-1">
+              A timer is running on {timer.case?.title || "another case"}. Stop it before starting one here.
+            </p>
+          )}
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={form.activityCode}
+              onChange={(e) => setForm({ ...form, activityCode: e.target.value })}
+              className="border rounded-lg px-2 py-2 text-sm"
+            >
+              {codes.map((c) => (
+                <option key={c.code} value={c.code}>
+                  {c.code} — {c.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={form.narrative}
+              onChange={(e) => setForm({ ...form, narrative: e.target.value })}
+              placeholder="What did you work on?"
+              className="flex-grow border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-400"
+            />
+            <label className="flex items-center gap-1 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={form.billable}
+                onChange={(e) => setForm({ ...form, billable: e.target.checked })}
+              />
+              Billable
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {timerHere ? (
+              <button
+                onClick={handleStop}
+                className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 flex items-center gap-2"
+              >
+                <Square size={14} /> Stop {formatElapsed(now + clockSkew - new Date(timer.startedAt).getTime())}
+              </button>
+            ) : (
+              <button
+                onClick={handleStart}
+                disabled={!!timer}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+              >
+                <Play size={14} /> Start timer
+              </button>
+            )}
+            <span className="text-gray-400 text-sm">or</span>
+            <input
+              type="number"
+              min="1"
+              value={form.durationMinutes}
+              onChange={(e) => setForm({ ...form, durationMinutes: e.target.value })}
+              placeholder="Minutes"
+              className="w-24 border rounded-lg px-3 py-2 text-sm"
+            />
+            <button onClick={handleLog} className="border px-4 py-2 rounded-lg text-sm hover:bg-gray-50">
+              Log
+            </button>
+          </div>
+        </div>
+      )}
+
+      {summary?.rows?.length > 0 && (
+        <div className="flex flex-wrap gap-3 mb-3 text-sm">
+          {summary.rows.map((r) => (
+            <span key={r._id} className="bg-gray-50 border rounded-lg px-2 py-1">
+              {r.label}: <strong>{formatMinutes(r.totalMinutes)}</strong>
+              <span className="text-gray-500"> ({formatMinutes(r.billableMinutes)} billable)</span>
+            </span>
+          ))}
+          <span className="bg-blue-50 border border-blue-200 rounded-lg px-2 py-1">
+            Total: <strong>{formatMinutes(summary.totals.totalMinutes)}</strong>
+          </span>
+        </div>
+      )}
+
+      <div className="max-h-72 overflow-y-auto text-sm divide-y">
+        {entries.filter((e) => !e.running).length > 0 ? (
+          entries
+            .filter((e) => !e.running)
+            .map((e) => (
+              <div key={e._id} className="py-2 flex items-start justify-between gap-3">
+                <div>
+                  <p className="text-gray-700">
+                    <span className="font-medium">{formatMinutes(e.durationMinutes)}</span>{" "}
+                    <span className="text-gray-500">
+                      {e.activityCode} · {e.user?.name} · {new Date(e.date).toLocaleDateString()}
+                      {!e.billable && " · non-billable"}
+                    </span>
+                  </p>
+                  {e.narrative && <p className="text-gray-600 text-xs">{e.narrative}</p>}
+                  {e.status === "rejected" && e.reviewNote && (
+                    <p className="text-red-600 text-xs">Rejected: {e.reviewNote}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[e.status] || ""}`}>
+                    {e.status}
+                  </span>
+                  {canApprove && e.status === "pending" && (
+                    <>
+                      <button
+                        onClick={() => handleReview(e._id, "approve")}
+                        title="Approve"
+                        className="text-green-600 hover:text-green-800"
+                      >
+                        <Check size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleReview(e._id, "reject")}
+                        title="Reject"
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <X size={16} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))
+        ) : (
+          <p className="text-gray-500 text-sm">No time logged yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -29,6 +29,9 @@ export default function EditCaseModal({ isOpen, onClose, caseData, onUpdated })
   const [clients, setClients] = useState([]);
   const [respondents, setRespondents] = useState([]);
   const [saving, setSaving] = useState(false);
+  const [transitions, setTransitions] = useState([]);
+
+  const statusLabel = (s) => s.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
 
   /* ===========================================================
      Load initial case data
@@ -72,6 +75,28 @@ export default function EditCaseModal({ isOpen, onClose, caseData, onUpdated })
     fetchParties();
   }, [isOpen]);
 
+  /* ===========================================================
+     Fetch allowed status transitions (server-side lifecycle)
+  =========================================================== */
+  useEffect(() => {
+    if (!isOpen || !caseData?._id) return;
+
+    const fetchTransitions = async () => {
+      try {
+        const token = localStorage.getItem("token");
+        const res = await api.get(`/cases/${caseData._id}/transitions`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        setTransitions((res.data?.data?.transitions || []).filter((t) => t.allowed));
+      } catch (err) {
+        console.error("❌ Failed to load status transitions", err);
+        setTransitions([]);
+      }
+    };
+
+    fetchTransitions();
+  }, [isOpen, caseData?._id]);
+
   /* ===========================================================
      Handle input
   =========================================================== */
@@ -206,13 +231,14 @@ export default function EditCaseModal({ isOpen, onClose, caseData, onUpdated })
                   onChange={handleChange}
                   className="w-full border border-gray-300 rounded-lg px-3 py-2 mt-1"
                 >
-                  <option value="draft">Draft</option>
-                  <option value="filed">Filed</option>
-                  <option value="under_review">Under Review</option>
-                  <option value="accepted">Accepted</option>
-                  <option value="hearing_in_progress">Hearing in Progress</option>
-                  <option value="award_issued">Award Issued</option>
-                  <option value="closed">Closed</option>
+                  <option value={caseData?.status || "draft"}>
+                    {statusLabel(caseData?.status || "draft")} (current)
+                  </option>
+                  {transitions.map((t) => (
+                    <option key={t.to} value={t.to}>
+                      {statusLabel(t.to)}
+                    </option>
+                  ))}
                 </select>
               </div>
 
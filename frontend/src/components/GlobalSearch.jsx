@@ -0,0 +1,193 @@
+/**
+ * GlobalSearch.jsx
+ * ------------------------------------------------------------
+ * Search box for the top bar. Queries GET /api/search (cases,
+ * clients, evidence, documents, hearings, tasks, case notes,
+ * awards — file contents included) and
+ * shows ranked hits with the matched terms highlighted, plus
+ * per-type counts that double as filters.
+ * ------------------------------------------------------------
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Search, X, Briefcase, User, FileText, Paperclip, Gavel, CheckSquare, StickyNote, Award } from "lucide-react";
+import API from "@/utils/api";
+
+const TYPE_META = {
+  case: { label: "Case", icon: Briefcase },
+  client: { label: "Client", icon: User },
+  evidence: { label: "Evidence", icon: FileText },
+  document: { label: "Document", icon: Paperclip },
+  hearing: { label: "Hearing", icon: Gavel },
+  task: { label: "Task", icon: CheckSquare },
+  note: { label: "Note", icon: StickyNote },
+  award: { label: "Award", icon: Award },
+};
+
+/** Render `text` with the server's [start, end) ranges wrapped in <mark> */
+function Highlighted({ text = "", ranges = [] }) {
+  if (!ranges.length) return text;
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return parts;
+}
+
+export default function GlobalSearch() {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [type, setType] = useState("");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const debounceRef = useRef(null);
+  const boxRef = useRef(null);
+
+  useEffect(() => {
+    if (debounceRef.current) clearTimeout(debounceRef.current);
+    if (query.trim().length < 2) {
+      setResult(null);
+      return;
+    }
+    debounceRef.current = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const { data } = await API.get("/search", { params: { q: query.trim(), type: type || undefined, limit: 10 } });
+        setResult(data.data);
+        setActive(0);
+      } catch (err) {
+        console.error("❌ Search error:", err);
+        setResult(null);
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(debounceRef.current);
+  }, [query, type]);
+
+  // close when clicking outside
+  useEffect(() => {
+    const onClick = (e) => boxRef.current && !boxRef.current.contains(e.target) && setOpen(false);
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, []);
+
+  const hits = result?.hits || [];
+
+  const go = (hit) => {
+    setOpen(false);
+    setQuery("");
+    navigate(hit.url);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") return setOpen(false);
+    if (!hits.length) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => (i + 1) % hits.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i - 1 + hits.length) % hits.length);
+    } else if (e.key === "Enter") {
+      go(hits[active]);
+    }
+  };
+
+  return (
+    <div ref={boxRef} className="relative w-full max-w-md">
+      <div className="flex items-center gap-2 border border-blue-100 bg-white rounded-lg px-3 py-1.5 focus-within:ring-2 focus-within:ring-blue-300">
+        <Search size={16} className="text-slate-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={onKeyDown}
+          placeholder="Search cases, clients, evidence…"
+          aria-label="Search"
+          className="flex-1 bg-transparent text-sm outline-none"
+        />
+        {query && (
+          <button onClick={() => setQuery("")} aria-label="Clear search" className="text-slate-400 hover:text-slate-600">
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      {open && query.trim().length >= 2 && (
+        <div className="absolute z-50 mt-2 w-full bg-white border border-blue-100 rounded-xl shadow-lg overflow-hidden">
+          {result && (
+            <div className="flex flex-wrap gap-1 px-3 py-2 border-b text-xs">
+              <button
+                onClick={() => setType("")}
+                className={`px-2 py-0.5 rounded-full ${!type ? "bg-blue-600 text-white" : "bg-slate-100 text-slate-600"}`}
+              >
+                All
+              </button>
+              {Object.entries(result.facets.type)
+                .filter(([t, count]) => count > 0 || t === type)
+                .map(([t, count]) => (
+                  <button
+                    key={t}
+                    onClick={() => setType(t === type ? "" : t)}
+                    className={`px-2 py-0.5 rounded-full ${t === type ? "bg-blue-600 text-white" : "bg-slate-100 text-slate-600"}`}
+                  >
+                    {TYPE_META[t]?.label || t} {count}
+                  </button>
+                ))}
+            </div>
+          )}
+
+          <ul className="max-h-96 overflow-y-auto divide-y text-sm">
+            {loading && !hits.length && <li className="px-3 py-3 text-slate-500">Searching…</li>}
+            {!loading && result && !hits.length && <li className="px-3 py-3 text-slate-500">No results.</li>}
+            {hits.map((hit, i) => {
+              const Icon = TYPE_META[hit.type]?.icon || Search;
+              return (
+                <li
+                  key={`${hit.type}-${hit.id}`}
+                  onMouseEnter={() => setActive(i)}
+                  onClick={() => go(hit)}
+                  className={`px-3 py-2 cursor-pointer flex gap-3 ${i === active ? "bg-blue-50" : ""}`}
+                >
+                  <Icon size={16} className="mt-0.5 shrink-0 text-blue-600" />
+                  <div className="min-w-0">
+                    <p className="font-medium text-slate-800 truncate">
+                      <Highlighted text={hit.title} ranges={hit.highlights.title} />
+                    </p>
+                    <p className="text-xs text-slate-500 truncate">
+                      {TYPE_META[hit.type]?.label}
+                      {hit.status && ` · ${hit.status}`}
+                      {hit.case && hit.type !== "case" && ` · ${hit.case.caseNumber || hit.case.title}`}
+                      {hit.subtitle && ` · ${hit.subtitle}`}
+                    </p>
+                    {hit.snippet && (
+                      <p className="text-xs text-slate-600 line-clamp-2">
+                        <Highlighted text={hit.snippet} ranges={hit.highlights.snippet} />
+                      </p>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
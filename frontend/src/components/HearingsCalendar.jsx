@@ -8,6 +8,7 @@
  * - Drag/drop + resize -> optimistic PATCH with rollback
  * - Export visible range (uses calendar ref)
  * - Socket updates (create/update/delete)
+ * - Case deadlines shown as read-only all-day events
  * - Defensive abort handling
  */
 
@@ -21,7 +22,7 @@ import { motion } from "framer-motion";
 import { CalendarDays, Clock, DownloadCloud, RefreshCw } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-hot-toast";
-import api from "@/utils/api";
+import api, { getAccessToken } from "@/utils/api";
 import { io } from "socket.io-client";
 import { useAuth } from "@/context/AuthContext";
 
@@ -35,6 +36,13 @@ const DEFAULT_STATUS_COLORS = {
   tentative: "bg-indigo-500",
 };
 
+// Deadlines from /deadlines/calendar (status: due | overdue | completed)
+const DEADLINE_COLORS = {
+  due: "bg-rose-500",
+  overdue: "bg-red-800",
+  completed: "bg-slate-400",
+};
+
 const NON_FATAL_ABORT_NAMES = new Set(["AbortError", "CanceledError", "ERR_CANCELED"]);
 
 /* ------------------------------- Helpers ------------------------------ */
@@ -86,6 +94,25 @@ const formatHearing = (h) => {
   };
 };
 
+const formatDeadline = (d) => {
+  if (!d?.id || !d.start) return null;
+  return {
+    id: d.id,
+    title: d.title,
+    start: d.start,
+    allDay: true,
+    editable: false,
+    extendedProps: {
+      kind: "deadline",
+      deadlineStatus: d.status,
+      caseId: d.caseId,
+      notes: d.computeError || "",
+    },
+  };
+};
+
+const isDeadline = (ev) => ev?.extendedProps?.kind === "deadline";
+
 /* ------------------------------ Component ------------------------------ */
 export default function HearingsCalendar({
   onSelect = null,
@@ -138,9 +165,26 @@ export default function HearingsCalendar({
         if (caseFilter) params.caseId = caseFilter;
         if (searchQ) params.q = searchQ;
 
-        const res = await api.get("/hearings/calendar", { params, signal: controller.signal });
+        // Deadlines have no hearing status, so they only show under "All"
+        const wantDeadlines = !params.status;
+        const [res, deadlineRes] = await Promise.all([
+          api.get("/hearings/calendar", { params, signal: controller.signal }),
+          wantDeadlines
+            ? api
+                .get("/deadlines/calendar", {
+                  params: { start: params.start, end: params.end, caseId: params.caseId },
+                  signal: controller.signal,
+                })
+                .catch(() => null)
+            : null,
+        ]);
         const raw = safeData(res);
-        const arr = raw.map(formatHearing).filter(Boolean);
+        const q = (searchQ || "").toLowerCase();
+        const deadlineEvents = safeData(deadlineRes)
+          .filter((d) => !q || String(d.title).toLowerCase().includes(q))
+          .map(formatDeadline)
+          .filter(Boolean);
+        const arr = [...raw.map(formatHearing).filter(Boolean), ...deadlineEvents];
         if (!mountedRef.current) return;
         setEvents(arr);
         lastRangeKeyRef.current = key;
@@ -164,10 +208,9 @@ export default function HearingsCalendar({
     mountedRef.current = true;
 
     const SOCKET_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
-    const token = typeof window !== "undefined" && (localStorage.getItem("token") || null);
     const s = io(SOCKET_URL, {
       transports: ["websocket", "polling"],
-      auth: token ? { token } : undefined,
+      auth: (cb) => cb({ token: getAccessToken() }),
       reconnectionAttempts: 5,
     });
     socketRef.current = s;
@@ -254,6 +297,11 @@ export default function HearingsCalendar({
 
   const handleEventClick = (info) => {
     try {
+      if (isDeadline(info.event)) {
+        const caseId = info.event.extendedProps.caseId;
+        if (caseId) navigate(`/dashboard/cases/${caseId}`);
+        return;
+      }
       openHearing(info.event);
     } catch (err) {
       console.error("eventClick error", err);
@@ -430,6 +478,10 @@ export default function HearingsCalendar({
             eventDrop={handleEventDrop}
             eventResize={handleEventResize}
             eventDidMount={(info) => {
+              if (isDeadline(info.event)) {
+                if (info.event.extendedProps.notes) info.el.title = info.event.extendedProps.notes;
+                return;
+              }
               // attach a namespaced contextmenu that we can remove later
               const handler = (e) => {
                 e.preventDefault();
@@ -448,6 +500,10 @@ export default function HearingsCalendar({
               } catch {}
             }}
             eventClassNames={(arg) => {
+              if (isDeadline(arg.event)) {
+                const css = DEADLINE_COLORS[arg.event.extendedProps.deadlineStatus] || DEADLINE_COLORS.due;
+                return `${css} text-white border-0 rounded-md`;
+              }
               const status = arg.event.extendedProps?.status || "scheduled";
               const css = DEFAULT_STATUS_COLORS[status] || DEFAULT_STATUS_COLORS.tentative;
               return `${css} text-white border-0 rounded-md`;
@@ -455,7 +511,7 @@ export default function HearingsCalendar({
             eventContent={(arg) => (
               <div className="p-1 text-xs leading-tight">
                 <strong>{arg.event.title}</strong>
-                {arg.event.start && (
+                {arg.event.start && !arg.event.allDay && (
                   <div className="flex items-center gap-1 opacity-90">
                     <Clock size={10} />
                     <span>{new Date(arg.event.start).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</span>
@@ -476,6 +532,12 @@ export default function HearingsCalendar({
             <span className="capitalize">{k.replace("_", " ")}</span>
           </div>
         ))}
+        {Object.keys(DEADLINE_COLORS).map((k) => (
+          <div key={`deadline-${k}`} className="flex items-center gap-2">
+            <span className={`${DEADLINE_COLORS[k]} w-3 h-3 rounded-sm inline-block`}></span>
+            <span className="capitalize">Deadline {k}</span>
+          </div>
+        ))}
       </div>
     </div>
   );
@@ -18,11 +18,12 @@ import {
   FolderOpen,
   Activity,
   CalendarDays,
+  Receipt,
 } from "lucide-react";
-import { io } from "socket.io-client";
 import { toast } from "sonner";
 import { useAuth } from "@/context/AuthContext"; // ✅ useAuth instead of manual API
 import API from "@/utils/api";
+import { socket } from "@/utils/socket";
 
 /**
  * Sidebar.jsx
@@ -45,21 +46,19 @@ export default function Sidebar({ isExpanded, setExpanded }) {
   useEffect(() => {
     if (!user?._id) return;
 
-    const socket = io(import.meta.env.VITE_BACKEND_URL, {
-      transports: ["websocket"],
-      withCredentials: true,
-      query: { userId: user._id },
-    });
-
-    socket.on("connect", () => console.log("✅ Socket connected"));
-    socket.on("disconnect", () => console.warn("⚠️ Socket disconnected"));
-    socket.on("notifications:update", (count) => setUnread(count));
-    socket.on("notifications:new", (notif) => {
+    // Shared socket: AuthContext connects it with the session's access token
+    const onUpdate = (count) => setUnread(count);
+    const onNew = (notif) => {
       toast.info(notif.message);
       setUnread((prev) => prev + 1);
-    });
-
-    return () => socket.disconnect();
+    };
+    socket.on("notifications:update", onUpdate);
+    socket.on("notifications:new", onNew);
+
+    return () => {
+      socket.off("notifications:update", onUpdate);
+      socket.off("notifications:new", onNew);
+    };
   }, [user]);
 
   /* ==========================================================
@@ -99,6 +98,7 @@ export default function Sidebar({ isExpanded, setExpanded }) {
           { to: "/dashboard/cases", label: "Cases", icon: <Briefcase /> },
           { to: "/dashboard/clients", label: "Clients", icon: <Users /> },
           { to: "/dashboard/tasks", label: "Tasks", icon: <ClipboardList /> },
+          { to: "/dashboard/billing", label: "Billing", icon: <Receipt /> },
           { to: "/dashboard/reports", label: "Reports", icon: <BarChart2 /> },
           { to: "/dashboard/analytics", label: "Analytics", icon: <Activity /> },
           { to: "/dashboard/settings", label: "Settings", icon: <Settings /> },
@@ -118,6 +118,7 @@ export default function Sidebar({ isExpanded, setExpanded }) {
           ...common,
           { to: "/dashboard/tasks", label: "Tasks", icon: <ClipboardList /> },
           { to: "/dashboard/users", label: "User Management", icon: <Users /> },
+          { to: "/dashboard/billing", label: "Billing", icon: <Receipt /> },
           { to: "/dashboard/analytics", label: "Analytics", icon: <BarChart2 /> },
           { to: "/dashboard/settings", label: "Settings", icon: <Settings /> },
         ];
@@ -138,6 +139,9 @@ export default function Sidebar({ isExpanded, setExpanded }) {
           { to: "/dashboard/awards", label: "Awards", icon: <BarChart2 /> },
         ];
 
+      case "client":
+        return [...common, { to: "/dashboard/billing", label: "Invoices", icon: <Receipt /> }];
+
       default:
         return common;
     }
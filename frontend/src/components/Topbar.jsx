@@ -1,6 +1,7 @@
 import React from 'react';
 import { Menu } from 'lucide-react';
 import { Link } from 'react-router-dom';
+import GlobalSearch from './GlobalSearch';
 
 export default function Topbar({ onMenuClick }) {
   return (
@@ -9,6 +10,9 @@ export default function Topbar({ onMenuClick }) {
         <Link to="/dashboard" style={styles.titleLink}>
           <h1 style={styles.title}>Justice App</h1>
         </Link>
+        <div style={styles.search}>
+          <GlobalSearch />
+        </div>
         <button
           onClick={onMenuClick}
           aria-label="Open sidebar"
@@ -37,6 +41,12 @@ const styles = {
     justifyContent: "space-between",
     padding: "1rem",
   },
+  search: {
+    flex: 1,
+    display: "flex",
+    justifyContent: "center",
+    padding: "0 1rem",
+  },
   titleLink: {
     textDecoration: "none",
   },
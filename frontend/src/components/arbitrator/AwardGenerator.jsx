@@ -14,6 +14,7 @@
 
 import React, { useEffect, useState } from "react";
 import axios from "@/utils/axiosInstance";
+import { socket } from "@/utils/socket";
 import { Card, CardHeader, CardTitle, CardContent, CardFooter } from "@/components/ui/Card.jsx";
 import { Button } from "@/components/ui/Button.jsx";
 import { Textarea } from "@/components/ui/textarea";
@@ -33,7 +34,8 @@ export default function AwardGenerator({ arbitrationId }) {
     const fetchAward = async () => {
       try {
         setLoading(true);
-        const { data } = await axios.get(`/api/arbitrations/${arbitrationId}`);
+        const { data: res } = await axios.get(`/arbitrations/${arbitrationId}/award`);
+        const data = res?.data;
         if (data?.awardText) {
           setAwardText(data.awardText);
           setDecisionDate(data.decisionDate?.split("T")[0] || "");
@@ -54,10 +56,33 @@ export default function AwardGenerator({ arbitrationId }) {
     fetchAward();
   }, [arbitrationId]);
 
+  // Backend emits when the PDF job finishes — no need to keep polling
+  useEffect(() => {
+    const onReady = (payload) => {
+      if (String(payload?.arbitrationId) !== String(arbitrationId)) return;
+      setAwardPdfUrl(payload.url);
+      toast({ title: "Award PDF ready", description: "Click Download to open." });
+    };
+    const onFailed = (payload) => {
+      if (String(payload?.arbitrationId) !== String(arbitrationId)) return;
+      toast({
+        title: "Award PDF generation failed",
+        description: payload?.message || "Try again later.",
+        variant: "destructive",
+      });
+    };
+    socket.on("award:pdfReady", onReady);
+    socket.on("award:pdfFailed", onFailed);
+    return () => {
+      socket.off("award:pdfReady", onReady);
+      socket.off("award:pdfFailed", onFailed);
+    };
+  }, [arbitrationId]);
+
   const handleSaveDraft = async () => {
     try {
       setLoading(true);
-      await axios.put(`/api/arbitrations/${arbitrationId}/award`, {
+      await axios.put(`/arbitrations/${arbitrationId}/award`, {
         awardText,
         decisionDate,
         awardStatus: "draft",
@@ -82,7 +107,7 @@ export default function AwardGenerator({ arbitrationId }) {
     }
     setGenerating(true);
     try {
-      const { data } = await axios.post(`/api/arbitrations/${arbitrationId}/award/issue`, {
+      const { data } = await axios.post(`/arbitrations/${arbitrationId}/award/issue`, {
         awardText,
         decisionDate: decisionDate || new Date().toISOString(),
       });
@@ -94,8 +119,8 @@ export default function AwardGenerator({ arbitrationId }) {
       });
       setAwardStatus("issued");
 
-      // Poll for generated PDF link (optional fallback)
-      setTimeout(() => checkAwardPdf(), 3000);
+      // Socket `award:pdfReady` normally delivers the link; one-off check as fallback
+      setTimeout(() => checkAwardPdf(), 10000);
     } catch (err) {
       console.error(err);
       toast({
@@ -110,7 +135,8 @@ export default function AwardGenerator({ arbitrationId }) {
 
   const checkAwardPdf = async () => {
     try {
-      const { data } = await axios.get(`/api/arbitrations/${arbitrationId}`);
+      const { data: res } = await axios.get(`/arbitrations/${arbitrationId}/award`);
+      const data = res?.data || {};
       if (data.awardPdf) {
         setAwardPdfUrl(data.awardPdf);
         toast({
@@ -2,16 +2,11 @@
 import React, { useEffect, useState } from "react";
 import { Bell, Trash2, Check, CheckCircle } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
-import io from "socket.io-client";
 import api from "@/utils/api";
+import { socket } from "@/utils/socket";
 import { useAuth } from "@/context/AuthContext";
 import toast from "react-hot-toast";
 
-const socket = io(import.meta.env.VITE_API_URL || "http://localhost:5000", {
-  transports: ["websocket"],
-  withCredentials: true,
-});
-
 export default function NotificationsDrawer() {
   const { user } = useAuth();
   const [open, setOpen] = useState(false);
@@ -36,18 +31,19 @@ export default function NotificationsDrawer() {
   useEffect(() => {
     if (!user?._id) return;
 
-    socket.emit("register", user._id);
+    // Shared socket: AuthContext connects it with the session's access token
     fetchNotifications();
 
-    socket.on("notification:new", (newNotif) => {
+    const onNew = (newNotif) => {
       if (newNotif.recipient === user._id) {
         setNotifications((prev) => [newNotif, ...prev]);
         toast(`🔔 ${newNotif.title}`);
       }
-    });
+    };
+    socket.on("notification:new", onNew);
 
     return () => {
-      socket.off("notification:new");
+      socket.off("notification:new", onNew);
     };
   }, [user]);
 
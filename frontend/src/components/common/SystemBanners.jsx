@@ -0,0 +1,78 @@
+// frontend/src/components/common/SystemBanners.jsx
+import React, { useCallback, useEffect, useState } from "react";
+import { AlertTriangle, Info, Megaphone, X } from "lucide-react";
+import api from "@/utils/api";
+import { socket } from "@/utils/socket";
+import { useAuth } from "@/context/AuthContext";
+
+/**
+ * Admin broadcasts ("system:notice") shown as banners above the page
+ * until the user dismisses them. Dismissal is stored server-side, so a
+ * banner stays gone across reloads and devices.
+ */
+
+const LEVEL_STYLES = {
+  info: { box: "bg-blue-50 border-blue-200 text-blue-800", Icon: Info },
+  warning: { box: "bg-amber-50 border-amber-200 text-amber-800", Icon: AlertTriangle },
+  critical: { box: "bg-red-50 border-red-200 text-red-800", Icon: Megaphone },
+};
+
+export default function SystemBanners() {
+  const { user } = useAuth();
+  const [banners, setBanners] = useState([]);
+
+  const fetchBanners = useCallback(async () => {
+    try {
+      const res = await api.get("/notifications/banners");
+      setBanners(res.data?.data || []);
+    } catch (err) {
+      console.error("Error fetching banners", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user?._id) return;
+    fetchBanners();
+
+    // The notice only carries the broadcast id; reload to get our own row
+    socket.on("system:notice", fetchBanners);
+    return () => socket.off("system:notice", fetchBanners);
+  }, [user?._id, fetchBanners]);
+
+  const dismiss = async (banner) => {
+    setBanners((prev) => prev.filter((b) => b._id !== banner._id));
+    try {
+      await api.patch(`/notifications/banners/${banner._id}/dismiss`);
+    } catch (err) {
+      console.error("Error dismissing banner", err);
+      fetchBanners();
+    }
+  };
+
+  if (!banners.length) return null;
+
+  return (
+    <div className="space-y-1 px-4 pt-3">
+      {banners.map((banner) => {
+        const { box, Icon } = LEVEL_STYLES[banner.level] || LEVEL_STYLES.info;
+        return (
+          <div key={banner._id} role="status" className={`flex items-start gap-3 rounded-lg border px-4 py-2 text-sm ${box}`}>
+            <Icon size={18} className="mt-0.5 shrink-0" />
+            <div className="flex-1">
+              <p className="font-semibold">{banner.title}</p>
+              <p>{banner.message}</p>
+            </div>
+            <button
+              type="button"
+              onClick={() => dismiss(banner)}
+              className="rounded p-1 opacity-70 hover:opacity-100"
+              aria-label="Dismiss"
+            >
+              <X size={16} />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -2,7 +2,7 @@
 import React, { useEffect, useRef, useState, useCallback } from "react";
 import { io } from "socket.io-client";
 import { useAuth } from "@/context/AuthContext";
-import api from "@/utils/api";
+import api, { getAccessToken, refreshAccessToken } from "@/utils/api";
 import { formatDistanceToNowStrict, parseISO } from "date-fns";
 import { toast } from "sonner";
 import { IconSend, IconAttach, IconLoader } from "@/components/icons"; // centralized icon wrapper
@@ -31,7 +31,6 @@ const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25 MB
 
 export default function HearingChatPanel({ arbitrationId, room = null, onOpenFile = null }) {
   const { user } = useAuth() || {};
-  const token = typeof window !== "undefined" && (localStorage.getItem("authToken") || localStorage.getItem("token") || sessionStorage.getItem("authToken") || sessionStorage.getItem("token"));
 
   // state
   const [socket, setSocket] = useState(null);
@@ -65,7 +64,8 @@ export default function HearingChatPanel({ arbitrationId, room = null, onOpenFil
     const s = io(SOCKET_URL, {
       path: SOCKET_PATH,
       transports: ["websocket", "polling"],
-      auth: token ? { token } : undefined,
+      // Evaluated on every (re)connect so a refreshed access token is picked up
+      auth: (cb) => cb({ token: getAccessToken() }),
       query: { userId: user._id || user.id },
       reconnectionAttempts: 5,
     });
@@ -78,6 +78,16 @@ export default function HearingChatPanel({ arbitrationId, room = null, onOpenFil
       } catch (e) {}
     });
 
+    // Handshake refused with a stale access token: refresh once and reconnect
+    let refreshedForSocket = false;
+    s.on("connect_error", (err) => {
+      if (refreshedForSocket || err?.data?.status !== 401) return;
+      refreshedForSocket = true;
+      refreshAccessToken()
+        .then(() => s.connect())
+        .catch(() => {});
+    });
+
     s.on("hearing:message", (msg) => {
       if (!msg) return;
       // server may send tempId to reconcile optimistic messages
@@ -4,9 +4,10 @@
  * Global authentication + socket context for the Legal Platform frontend
  *
  * Features:
- *  ✅ Securely stores and decodes JWT (localStorage or sessionStorage)
+ *  ✅ Stores the short-lived access JWT (localStorage or sessionStorage);
+ *     the refresh token is an httpOnly cookie the browser sends to /api/auth
  *  ✅ Persists user between reloads
- *  ✅ Auto-logout on token expiration or 401
+ *  ✅ Refreshes the access token before it expires; logs out if that fails
  *  ✅ Provides global login(), logout(), and user access
  *  ✅ Auto-connects Socket.IO after login
  *  ✅ Integrates seamlessly with ProtectedRoute.jsx
@@ -20,7 +21,7 @@ import React, {
   useCallback,
 } from "react";
 import jwtDecode from "jwt-decode";
-import axios from "axios";
+import api, { getAccessToken, refreshAccessToken } from "../utils/api";
 import {
   socket,
   connectSocketWithToken,
@@ -32,35 +33,8 @@ const AuthContext = createContext(null);
 const TOKEN_KEY = "authToken";
 const USER_KEY = "authUser";
 
-// === Axios instance with JWT auto-injection ===
-const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || "http://localhost:5000/api",
-  headers: { "Content-Type": "application/json" },
-});
-
-api.interceptors.request.use((config) => {
-  const token =
-    localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
-  if (token) config.headers.Authorization = `Bearer ${token}`;
-  return config;
-});
-
-// === Handle 401 globally ===
-api.interceptors.response.use(
-  (res) => res,
-  (err) => {
-    if (err.response?.status === 401) {
-      console.warn("🔒 Session expired or invalid. Logging out.");
-      localStorage.removeItem(TOKEN_KEY);
-      localStorage.removeItem(USER_KEY);
-      sessionStorage.removeItem(TOKEN_KEY);
-      sessionStorage.removeItem(USER_KEY);
-      disconnectSocket();
-      window.location.href = "/login";
-    }
-    return Promise.reject(err);
-  }
-);
+// Renew this long before expiry so in-flight requests never see a 401
+const REFRESH_AHEAD_MS = 60 * 1000;
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
@@ -83,37 +57,50 @@ export const AuthProvider = ({ children }) => {
 
   // === Restore session on app load ===
   useEffect(() => {
-    const storedToken =
-      localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
-    const storedUser = localStorage.getItem(USER_KEY);
-
-    if (storedToken && storedUser) {
-      const decoded = decodeToken(storedToken);
-      if (decoded) {
-        setToken(storedToken);
-        const parsedUser = JSON.parse(storedUser);
-        setUser(parsedUser);
-        connectSocketWithToken(storedToken);
-      } else {
-        localStorage.removeItem(TOKEN_KEY);
-        localStorage.removeItem(USER_KEY);
+    const restore = async () => {
+      let storedToken = getAccessToken();
+      const storedUser = localStorage.getItem(USER_KEY) || sessionStorage.getItem(USER_KEY);
+      if (!storedToken || !storedUser) return;
+
+      // Access token lapsed while the tab was closed — the refresh cookie may still be good
+      if (!decodeToken(storedToken)) {
+        try {
+          storedToken = await refreshAccessToken();
+        } catch {
+          localStorage.removeItem(TOKEN_KEY);
+          localStorage.removeItem(USER_KEY);
+          sessionStorage.removeItem(TOKEN_KEY);
+          sessionStorage.removeItem(USER_KEY);
+          return;
+        }
       }
-    }
 
-    setLoading(false);
+      setToken(storedToken);
+      setUser(JSON.parse(storedUser));
+      connectSocketWithToken(storedToken);
+    };
+
+    restore().finally(() => setLoading(false));
   }, []);
 
-  // === Login ===
-  const login = useCallback(async (email, password, remember = true) => {
-    const res = await api.post("/auth/login", { email, password });
+  // === Pick up tokens refreshed by the axios interceptors ===
+  useEffect(() => {
+    const onToken = (e) => setToken(e.detail);
+    window.addEventListener("auth:token", onToken);
+    return () => window.removeEventListener("auth:token", onToken);
+  }, []);
 
-    // Expect backend response like: { data: { token, user } }
-    const { token, user } = res.data.data || {};
+  // === Store a successful sign-in (password or 2FA step) ===
+  const beginClientSession = useCallback((data, remember) => {
+    const { token, user: loggedIn, twoFactorSetupRequired } = data || {};
 
-    if (!token || !user) {
+    if (!token || !loggedIn) {
       throw new Error("Invalid login response format from server.");
     }
 
+    // Login and Settings use this to steer the user into 2FA enrollment
+    const user = { ...loggedIn, twoFactorSetupRequired: !!twoFactorSetupRequired };
+
     if (remember) {
       localStorage.setItem(TOKEN_KEY, token);
       localStorage.setItem(USER_KEY, JSON.stringify(user));
@@ -131,8 +118,49 @@ export const AuthProvider = ({ children }) => {
     return user;
   }, []);
 
+  // === Login ===
+  // Resolves to the user, or to { twoFactorRequired, challengeToken } when a
+  // code is needed — finish with completeTwoFactorLogin().
+  const login = useCallback(
+    async (email, password, remember = true) => {
+      const res = await api.post("/auth/login", { email, password });
+      const data = res.data.data || {};
+
+      if (data.twoFactorRequired) {
+        return { twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+      return beginClientSession(data, remember);
+    },
+    [beginClientSession]
+  );
+
+  // === Login step 2: authenticator or recovery code ===
+  const completeTwoFactorLogin = useCallback(
+    async (challengeToken, { code, recoveryCode }, remember = true) => {
+      const res = await api.post("/auth/login/2fa", { challengeToken, code, recoveryCode });
+      return beginClientSession(res.data.data, remember);
+    },
+    [beginClientSession]
+  );
+
+  // === Refresh the cached user after 2FA enrollment etc. ===
+  const updateUser = useCallback((patch) => {
+    setUser((prev) => {
+      if (!prev) return prev;
+      const next = { ...prev, ...patch };
+      const store = localStorage.getItem(USER_KEY) ? localStorage : sessionStorage;
+      store.setItem(USER_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
   // === Logout ===
-  const logout = useCallback(() => {
+  const logout = useCallback(async () => {
+    // Revoke the server-side session; local state is cleared regardless
+    try {
+      await api.post("/auth/logout");
+    } catch {}
+
     localStorage.removeItem(TOKEN_KEY);
     localStorage.removeItem(USER_KEY);
     sessionStorage.removeItem(TOKEN_KEY);
@@ -146,16 +174,22 @@ export const AuthProvider = ({ children }) => {
     window.location.href = "/login";
   }, []);
 
-  // === Auto-logout when token expires ===
+  // === Refresh shortly before the access token expires ===
   useEffect(() => {
     if (!token) return;
-    const decoded = decodeToken(token);
-    if (!decoded) return logout();
+    let decoded = null;
+    try {
+      decoded = jwtDecode(token);
+    } catch {
+      return logout();
+    }
 
-    const timeLeft = decoded.exp * 1000 - Date.now();
+    const timeLeft = Math.max(decoded.exp * 1000 - Date.now() - REFRESH_AHEAD_MS, 0);
     const timeout = setTimeout(() => {
-      console.log("⏳ Token expired, logging out automatically.");
-      logout();
+      refreshAccessToken().catch(() => {
+        console.log("⏳ Session ended, logging out automatically.");
+        logout();
+      });
     }, timeLeft);
 
     return () => clearTimeout(timeout);
@@ -167,6 +201,8 @@ export const AuthProvider = ({ children }) => {
     token,
     loading,
     login,
+    completeTwoFactorLogin,
+    updateUser,
     logout,
     isAuthenticated: !!user && !!token,
     hasRole: (roles) => user && roles.includes(user.role),
@@ -5,6 +5,8 @@ import { motion, AnimatePresence } from "framer-motion";
 import { Bell, Menu } from "lucide-react";
 import { Button } from "@/components/ui/Button.jsx";
 import Sidebar from "@/components/Sidebar"; // ✅ use the new Sidebar
+import GlobalSearch from "@/components/GlobalSearch";
+import SystemBanners from "@/components/common/SystemBanners";
 import { useAuth } from "@/context/AuthContext";
 
 /**
@@ -13,7 +15,7 @@ import { useAuth } from "@/context/AuthContext";
  * ✅ Integrates with new Sidebar.jsx
  * ✅ Responsive + animated sidebar toggle
  * ✅ AuthContext user info and avatar
- * ✅ Topbar with notifications and user details
+ * ✅ Topbar with global search, notifications and user details
  * ✅ Clean separation of layout vs navigation logic
  * ------------------------------------------------------------
  */
@@ -82,6 +84,11 @@ export default function DashboardLayout() {
             </h2>
           </div>
 
+          {/* === Global Search === */}
+          <div className="hidden md:flex flex-1 justify-center px-4">
+            <GlobalSearch />
+          </div>
+
           {/* === Right-side icons === */}
           <div className="flex items-center gap-4">
             {/* Notifications Bell */}
@@ -108,6 +115,9 @@ export default function DashboardLayout() {
           </div>
         </header>
 
+        {/* === Admin broadcasts (until dismissed) === */}
+        <SystemBanners />
+
         {/* === Main Outlet (Routed Pages) === */}
         <main className="flex-1 overflow-y-auto bg-gradient-to-b from-white via-sky-50 to-blue-50 p-6">
           <Outlet />
@@ -5,6 +5,7 @@
  * ✅ Clean action hub (no charts / no syncing banners)
  * ✅ Responsive and animated
  * ✅ Links to all key advocate actions
+ * ✅ Upcoming & overdue court deadlines
  */
 
 import React from "react";
@@ -17,9 +18,11 @@ import {
   CheckCircle,
   CalendarDays,
   ArrowRightCircle,
+  AlarmClock,
 } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "@/context/AuthContext";
+import API from "@/utils/api";
 import NewCaseModal from "@/components/NewCaseModal";
 import TaskFormModal from "@/components/TaskFormModal";
 
@@ -68,6 +71,14 @@ export default function AdvocateDashboard() {
   const [isCaseModalOpen, setCaseModalOpen] = React.useState(false);
   const [isTaskModalOpen, setTaskModalOpen] = React.useState(false);
 
+  const [deadlines, setDeadlines] = React.useState({ upcoming: [], overdue: [] });
+
+  React.useEffect(() => {
+    API.get("/dashboard/advocate")
+      .then((res) => setDeadlines(res.data?.data?.deadlines || { upcoming: [], overdue: [] }))
+      .catch(() => {});
+  }, []);
+
   const handleAction = (action) => {
     if (action.path) navigate(action.path);
     else if (action.modal === "case") setCaseModalOpen(true);
@@ -106,6 +117,43 @@ export default function AdvocateDashboard() {
           ))}
         </div>
 
+        {/* Deadlines */}
+        {(deadlines.overdue.length > 0 || deadlines.upcoming.length > 0) && (
+          <div className="mt-12 bg-white rounded-2xl shadow-md p-6 text-left">
+            <h2 className="flex items-center gap-2 text-lg font-semibold mb-4">
+              <AlarmClock size={20} className="text-red-500" /> Deadlines
+            </h2>
+            <ul className="divide-y">
+              {[
+                ...deadlines.overdue.map((d) => ({ ...d, overdue: true })),
+                ...deadlines.upcoming,
+              ].map((d) => (
+                <li
+                  key={d._id}
+                  onClick={() => navigate(`/dashboard/cases/${d.case?._id}`)}
+                  className="flex items-center justify-between py-2 cursor-pointer hover:bg-gray-50 px-2 rounded"
+                >
+                  <div>
+                    <p className="font-medium">{d.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {d.case?.caseNumber} {d.case?.title}
+                      {d.computeError && <span className="text-amber-600"> · {d.computeError}</span>}
+                    </p>
+                  </div>
+                  <span
+                    className={`text-sm px-2 py-0.5 rounded ${
+                      d.overdue ? "bg-red-100 text-red-700" : "bg-blue-50 text-blue-700"
+                    }`}
+                  >
+                    {d.overdue ? "Overdue · " : ""}
+                    {d.dueDay}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Quote / Footer Message */}
         <motion.div
           initial={{ opacity: 0, y: 30 }}
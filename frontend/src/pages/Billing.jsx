@@ -0,0 +1,432 @@
+/**
+ * Billing.jsx
+ * ------------------------------------------------------------
+ * Invoices, credit notes and client trust balances.
+ * - Drafts are built server-side from approved time + expenses
+ * - Issue / void / record payment / credit note / PDF
+ * - Trust ledger for the selected invoice's client
+ * Client accounts see their issued invoices read-only.
+ * ------------------------------------------------------------
+ */
+
+import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { Receipt, FileDown, Send, Ban, CreditCard, Undo2, Landmark, Plus } from "lucide-react";
+import toast from "react-hot-toast";
+import API from "@/utils/api";
+import { useAuth } from "@/context/AuthContext";
+
+const BILLING_ROLES = ["admin", "advocate", "paralegal"];
+
+const STATUS_STYLES = {
+  draft: "bg-gray-100 text-gray-700",
+  issued: "bg-blue-100 text-blue-700",
+  partially_paid: "bg-yellow-100 text-yellow-700",
+  paid: "bg-green-100 text-green-700",
+  credited: "bg-purple-100 text-purple-700",
+  void: "bg-red-100 text-red-700",
+};
+
+const money = (n, currency = "") => `${Number(n || 0).toFixed(2)} ${currency}`.trim();
+const day = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+export default function Billing() {
+  const { user } = useAuth();
+  const canManage = BILLING_ROLES.includes(user?.role);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = searchParams.get("invoice");
+
+  const [invoices, setInvoices] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [ledger, setLedger] = useState(null);
+  const [clients, setClients] = useState([]);
+  const [draft, setDraft] = useState({ clientId: "", from: "", to: "" });
+  const [payment, setPayment] = useState({ amount: "", method: "bank_transfer", reference: "" });
+  const [deposit, setDeposit] = useState({ amount: "", reference: "" });
+
+  /* =======================================================
+     Fetch
+  ======================================================= */
+  const fetchInvoices = async () => {
+    try {
+      const { data } = await API.get("/invoices", { params: { status: statusFilter || undefined, limit: 100 } });
+      setInvoices(data.data || []);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load invoices"));
+    }
+  };
+
+  const fetchSelected = async () => {
+    if (!selectedId) return setSelected(null);
+    try {
+      const { data } = await API.get(`/invoices/${selectedId}`);
+      setSelected(data.data);
+      const clientId = data.data.client?._id || data.data.client;
+      const trust = await API.get(`/trust/${clientId}`, { params: { limit: 20 } });
+      setLedger(trust.data.data);
+    } catch (err) {
+      toast.error(errorMessage(err, "Failed to load invoice"));
+    }
+  };
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchSelected();
+  }, [selectedId]);
+
+  useEffect(() => {
+    if (!canManage) return;
+    API.get("/clients", { params: { limit: 200 } })
+      .then(({ data }) => setClients(data.items || []))
+      .catch(() => setClients([]));
+  }, [canManage]);
+
+  const refresh = () => {
+    fetchInvoices();
+    fetchSelected();
+  };
+
+  /* =======================================================
+     Actions
+  ======================================================= */
+  const run = async (request, success) => {
+    try {
+      const { data } = await request();
+      toast.success(data.message || success);
+      refresh();
+      return data;
+    } catch (err) {
+      toast.error(errorMessage(err, "Action failed"));
+      return null;
+    }
+  };
+
+  const handleCreateDraft = async () => {
+    if (!draft.clientId) return toast.error("Choose a client");
+    const data = await run(
+      () => API.post("/invoices", { clientId: draft.clientId, from: draft.from || undefined, to: draft.to || undefined }),
+      "Draft created"
+    );
+    if (data?.data?._id) setSearchParams({ invoice: data.data._id });
+  };
+
+  const handleVoid = () => {
+    const reason = window.prompt("Reason for voiding this invoice?");
+    if (reason) run(() => API.post(`/invoices/${selected._id}/void`, { reason }), "Invoice voided");
+  };
+
+  const handleCreditNote = () => {
+    const amount = window.prompt(`Net amount to credit (balance due ${money(selected.balanceDue)})`);
+    if (!amount) return;
+    const reason = window.prompt("Reason for the credit note?");
+    if (reason) run(() => API.post(`/invoices/${selected._id}/credit-notes`, { amount: Number(amount), reason }), "Credit note issued");
+  };
+
+  const handlePayment = async () => {
+    if (!Number(payment.amount)) return toast.error("Enter an amount");
+    await run(() => API.post(`/invoices/${selected._id}/payments`, { ...payment, amount: Number(payment.amount) }), "Payment recorded");
+    setPayment({ amount: "", method: "bank_transfer", reference: "" });
+  };
+
+  const handleDeposit = async () => {
+    if (!Number(deposit.amount)) return toast.error("Enter an amount");
+    await run(() => API.post(`/trust/${ledger.client._id}/deposits`, { ...deposit, amount: Number(deposit.amount) }), "Deposit recorded");
+    setDeposit({ amount: "", reference: "" });
+  };
+
+  const handlePdf = async () => {
+    try {
+      const res = await API.get(`/invoices/${selected._id}/pdf`, { responseType: "blob" });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${selected.number || "draft"}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error("Failed to download PDF");
+    }
+  };
+
+  const payable = selected && selected.kind === "invoice" && ["issued", "partially_paid"].includes(selected.status);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-gray-800 flex items-center gap-2">
+          <Receipt /> Billing
+        </h1>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="">All statuses</option>
+          {Object.keys(STATUS_STYLES).map((s) => (
+            <option key={s} value={s}>
+              {s.replace("_", " ")}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {canManage && (
+        <div className="bg-white rounded-xl shadow p-5 flex flex-wrap items-end gap-3">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Client</label>
+            <select
+              value={draft.clientId}
+              onChange={(e) => setDraft({ ...draft, clientId: e.target.value })}
+              className="border rounded-lg px-3 py-2 text-sm min-w-[200px]"
+            >
+              <option value="">Select client…</option>
+              {clients.map((c) => (
+                <option key={c._id} value={c._id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">From</label>
+            <input type="date" value={draft.from} onChange={(e) => setDraft({ ...draft, from: e.target.value })} className="border rounded-lg px-3 py-2 text-sm" />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">To</label>
+            <input type="date" value={draft.to} onChange={(e) => setDraft({ ...draft, to: e.target.value })} className="border rounded-lg px-3 py-2 text-sm" />
+          </div>
+          <button
+            onClick={handleCreateDraft}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2"
+          >
+            <Plus size={16} /> Draft from approved time
+          </button>
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        {/* Invoice list */}
+        <div className="bg-white rounded-xl shadow divide-y">
+          {invoices.length ? (
+            invoices.map((inv) => (
+              <button
+                key={inv._id}
+                onClick={() => setSearchParams({ invoice: inv._id })}
+                className={`w-full text-left p-4 hover:bg-gray-50 flex justify-between ${selectedId === inv._id ? "bg-blue-50" : ""}`}
+              >
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {inv.kind === "credit_note" ? "Credit note " : ""}
+                    {inv.number || "Draft"} · {inv.client?.name}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {inv.case?.caseNumber ? `${inv.case.caseNumber} · ` : ""}
+                    Issued {day(inv.issueDate)} · Due {day(inv.dueDate)}
+                    {inv.isOverdue && <span className="text-red-600"> · overdue</span>}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="font-medium">{money(inv.total, inv.currency)}</p>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[inv.status]}`}>
+                    {inv.status.replace("_", " ")}
+                  </span>
+                </div>
+              </button>
+            ))
+          ) : (
+            <p className="p-4 text-gray-500 text-sm">No invoices yet.</p>
+          )}
+        </div>
+
+        {/* Selected invoice */}
+        {selected && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow p-5 space-y-4">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h2 className="font-semibold text-gray-800">
+                    {selected.kind === "credit_note" ? "Credit note" : "Invoice"} {selected.number || "(draft)"}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {selected.client?.name}
+                    {selected.relatedInvoice && ` · credits ${selected.relatedInvoice.number}`}
+                  </p>
+                </div>
+                <button onClick={handlePdf} className="text-sm text-gray-600 hover:text-blue-600 flex items-center gap-1">
+                  <FileDown size={16} /> PDF
+                </button>
+              </div>
+
+              <table className="w-full text-sm">
+                <tbody>
+                  {selected.lines.map((l) => (
+                    <tr key={l._id} className="border-b">
+                      <td className="py-1 pr-2 text-gray-500">{day(l.date)}</td>
+                      <td className="py-1 pr-2">{l.description}</td>
+                      <td className="py-1 pr-2 text-right">
+                        {l.quantity}
+                        {l.unit === "hour" ? "h" : ""} × {Number(l.unitPrice).toFixed(2)}
+                      </td>
+                      <td className="py-1 text-right">{Number(l.amount).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="text-sm text-right space-y-1">
+                <p>Subtotal: {money(selected.subtotal, selected.currency)}</p>
+                {selected.taxes.map((t) => (
+                  <p key={t.name}>
+                    {t.name} ({t.rate}%): {money(t.amount, selected.currency)}
+                  </p>
+                ))}
+                <p className="font-semibold">Total: {money(selected.total, selected.currency)}</p>
+                {selected.kind === "invoice" && (
+                  <>
+                    {selected.amountCredited > 0 && <p>Credited: −{money(selected.amountCredited)}</p>}
+                    {selected.amountPaid > 0 && <p>Paid: −{money(selected.amountPaid)}</p>}
+                    <p className="font-semibold">Balance due: {money(selected.balanceDue, selected.currency)}</p>
+                  </>
+                )}
+              </div>
+
+              {selected.payments?.length > 0 && (
+                <div className="text-xs text-gray-600 space-y-1">
+                  {selected.payments.map((p) => (
+                    <p key={p._id}>
+                      {day(p.receivedAt)} · {money(p.amount)} via {p.method.replace("_", " ")}
+                      {p.reference && ` (${p.reference})`}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {canManage && (
+                <div className="flex flex-wrap gap-2">
+                  {selected.status === "draft" && (
+                    <>
+                      <button
+                        onClick={() => run(() => API.post(`/invoices/${selected._id}/issue`), "Issued")}
+                        className="bg-blue-600 text-white px-3 py-1.5 rounded-lg text-sm flex items-center gap-1"
+                      >
+                        <Send size={14} /> Issue
+                      </button>
+                      <button
+                        onClick={async () => {
+                          if (await run(() => API.delete(`/invoices/${selected._id}`), "Draft deleted")) setSearchParams({});
+                        }}
+                        className="border px-3 py-1.5 rounded-lg text-sm"
+                      >
+                        Delete draft
+                      </button>
+                    </>
+                  )}
+                  {selected.status === "issued" && !selected.payments?.length && !selected.creditNotes?.length && (
+                    <button onClick={handleVoid} className="border border-red-300 text-red-600 px-3 py-1.5 rounded-lg text-sm flex items-center gap-1">
+                      <Ban size={14} /> Void
+                    </button>
+                  )}
+                  {payable && (
+                    <button onClick={handleCreditNote} className="border px-3 py-1.5 rounded-lg text-sm flex items-center gap-1">
+                      <Undo2 size={14} /> Credit note
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {canManage && payable && (
+                <div className="flex flex-wrap gap-2 items-center border-t pt-3">
+                  <CreditCard size={16} className="text-gray-500" />
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                    placeholder="Amount"
+                    className="w-28 border rounded-lg px-2 py-1.5 text-sm"
+                  />
+                  <select
+                    value={payment.method}
+                    onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                    className="border rounded-lg px-2 py-1.5 text-sm"
+                  >
+                    {["bank_transfer", "card", "cash", "cheque", "trust", "other"].map((m) => (
+                      <option key={m} value={m}>
+                        {m === "trust" ? "from trust" : m.replace("_", " ")}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={payment.reference}
+                    onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                    placeholder="Reference"
+                    className="flex-grow border rounded-lg px-2 py-1.5 text-sm"
+                  />
+                  <button onClick={handlePayment} className="bg-green-600 text-white px-3 py-1.5 rounded-lg text-sm">
+                    Record payment
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Trust ledger */}
+            {ledger && (
+              <div className="bg-white rounded-xl shadow p-5 space-y-3">
+                <h2 className="font-semibold text-gray-700 flex items-center gap-2">
+                  <Landmark size={18} /> Trust — {ledger.client.name}:{" "}
+                  <span className="text-green-700">{money(ledger.balance, ledger.currency)}</span>
+                </h2>
+                {canManage && (
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={deposit.amount}
+                      onChange={(e) => setDeposit({ ...deposit, amount: e.target.value })}
+                      placeholder="Deposit"
+                      className="w-28 border rounded-lg px-2 py-1.5 text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={deposit.reference}
+                      onChange={(e) => setDeposit({ ...deposit, reference: e.target.value })}
+                      placeholder="Reference"
+                      className="flex-grow border rounded-lg px-2 py-1.5 text-sm"
+                    />
+                    <button onClick={handleDeposit} className="border px-3 py-1.5 rounded-lg text-sm">
+                      Record deposit
+                    </button>
+                  </div>
+                )}
+                <div className="max-h-56 overflow-y-auto text-xs divide-y">
+                  {ledger.transactions.map((t) => (
+                    <div key={t._id} className="py-1 flex justify-between">
+                      <span>
+                        {day(t.createdAt)} · {t.type.replace("_", " ")}
+                        {t.invoice?.number && ` · ${t.invoice.number}`}
+                        {t.reference && ` · ${t.reference}`}
+                      </span>
+                      <span className={t.direction === "in" ? "text-green-700" : "text-red-600"}>
+                        {t.direction === "in" ? "+" : "−"}
+                        {money(t.amount)} → {money(t.balanceAfter)}
+                      </span>
+                    </div>
+                  ))}
+                  {!ledger.transactions.length && <p className="text-gray-500 py-1">No trust activity.</p>}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -27,11 +27,13 @@ import EditCaseModal from "@/components/EditCaseModal";
 import ShareCaseModal from "@/components/ShareCaseModal";
 import AttachEvidenceModal from "@/components/AttachEvidenceModal";
 import CaseTimelineModal from "@/components/CaseTimelineModal";
+import CaseTimePanel from "@/components/CaseTimePanel";
+import CaseDeadlinesPanel from "@/components/CaseDeadlinesPanel";
 
 export default function CaseDetails() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user, token } = useAuth();
+  const { token } = useAuth();
 
   const [caseData, setCaseData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -44,7 +46,10 @@ export default function CaseDetails() {
   const [showEvidence, setShowEvidence] = useState(false);
   const [showTimeline, setShowTimeline] = useState(false);
 
-  const isOwner = caseData?.filedBy?._id === user?._id;
+  const [permissions, setPermissions] = useState(null);
+
+  // Per-action flags from the server policy; everything hidden until they load
+  const allowed = (action) => !!permissions?.actions?.[action];
 
   /* =======================================================
      Fetch case details
@@ -64,8 +69,21 @@ export default function CaseDetails() {
     }
   };
 
+  const fetchPermissions = async () => {
+    try {
+      const { data } = await axios.get(`/api/cases/${id}/permissions`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setPermissions(data.data);
+    } catch (err) {
+      console.error("❌ Fetch permissions error:", err);
+      setPermissions(null);
+    }
+  };
+
   useEffect(() => {
     fetchCase();
+    fetchPermissions();
   }, [id]);
 
   /* =======================================================
@@ -180,27 +198,29 @@ export default function CaseDetails() {
         </div>
 
         <div className="flex flex-wrap gap-2">
-          {isOwner && (
-            <>
-              <button
-                className="flex items-center gap-1 bg-blue-100 text-blue-700 px-3 py-1.5 rounded-lg hover:bg-blue-200 text-sm"
-                onClick={() => setShowEdit(true)}
-              >
-                <Edit size={15} /> Edit
-              </button>
-              <button
-                className="flex items-center gap-1 bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg hover:bg-gray-200 text-sm"
-                onClick={() => setShowShare(true)}
-              >
-                <Share2 size={15} /> Share
-              </button>
-              <button
-                className="flex items-center gap-1 bg-red-100 text-red-700 px-3 py-1.5 rounded-lg hover:bg-red-200 text-sm"
-                onClick={handleDelete}
-              >
-                <Trash2 size={15} /> Delete
-              </button>
-            </>
+          {allowed("edit") && (
+            <button
+              className="flex items-center gap-1 bg-blue-100 text-blue-700 px-3 py-1.5 rounded-lg hover:bg-blue-200 text-sm"
+              onClick={() => setShowEdit(true)}
+            >
+              <Edit size={15} /> Edit
+            </button>
+          )}
+          {allowed("share") && (
+            <button
+              className="flex items-center gap-1 bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg hover:bg-gray-200 text-sm"
+              onClick={() => setShowShare(true)}
+            >
+              <Share2 size={15} /> Share
+            </button>
+          )}
+          {allowed("delete") && (
+            <button
+              className="flex items-center gap-1 bg-red-100 text-red-700 px-3 py-1.5 rounded-lg hover:bg-red-200 text-sm"
+              onClick={handleDelete}
+            >
+              <Trash2 size={15} /> Delete
+            </button>
           )}
 
           <button
@@ -278,21 +298,23 @@ export default function CaseDetails() {
               <p className="text-gray-500 text-sm">No notes yet.</p>
             )}
           </div>
-          <div className="flex gap-2">
-            <input
-              type="text"
-              value={noteContent}
-              onChange={(e) => setNoteContent(e.target.value)}
-              placeholder="Write a note..."
-              className="w-full border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-400"
-            />
-            <button
-              onClick={handleAddNote}
-              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
-            >
-              Add
-            </button>
-          </div>
+          {allowed("comment") && (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={noteContent}
+                onChange={(e) => setNoteContent(e.target.value)}
+                placeholder="Write a note..."
+                className="w-full border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-400"
+              />
+              <button
+                onClick={handleAddNote}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+              >
+                Add
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Attachments */}
@@ -300,36 +322,38 @@ export default function CaseDetails() {
           <h2 className="font-semibold text-gray-700 mb-2 flex items-center gap-2">
             <FileText size={18} /> Attachments
           </h2>
-          <div className="border border-dashed border-gray-300 rounded-lg p-4 text-center">
-            <label className="cursor-pointer text-gray-600 hover:text-blue-600">
-              <UploadCloud size={18} className="mx-auto mb-1" />
-              <input
-                type="file"
-                className="hidden"
-                onChange={(e) => setSelectedFile(e.target.files[0])}
-              />
-              {selectedFile ? selectedFile.name : "Click to upload a document"}
-            </label>
-
-            {uploadProgress > 0 && uploading && (
-              <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
-                <div
-                  className="bg-blue-500 h-2 rounded-full transition-all"
-                  style={{ width: `${uploadProgress}%` }}
-                ></div>
-              </div>
-            )}
+          {allowed("attach") && (
+            <div className="border border-dashed border-gray-300 rounded-lg p-4 text-center">
+              <label className="cursor-pointer text-gray-600 hover:text-blue-600">
+                <UploadCloud size={18} className="mx-auto mb-1" />
+                <input
+                  type="file"
+                  className="hidden"
+                  onChange={(e) => setSelectedFile(e.target.files[0])}
+                />
+                {selectedFile ? selectedFile.name : "Click to upload a document"}
+              </label>
 
-            {selectedFile && (
-              <button
-                onClick={handleUpload}
-                disabled={uploading}
-                className="mt-2 bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
-              >
-                {uploading ? "Uploading..." : "Upload"}
-              </button>
-            )}
-          </div>
+              {uploadProgress > 0 && uploading && (
+                <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                  <div
+                    className="bg-blue-500 h-2 rounded-full transition-all"
+                    style={{ width: `${uploadProgress}%` }}
+                  ></div>
+                </div>
+              )}
+
+              {selectedFile && (
+                <button
+                  onClick={handleUpload}
+                  disabled={uploading}
+                  className="mt-2 bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {uploading ? "Uploading..." : "Upload"}
+                </button>
+              )}
+            </div>
+          )}
 
           <ul className="text-sm text-blue-600 space-y-1">
             {caseData.attachments?.length > 0 ? (
@@ -401,6 +425,14 @@ export default function CaseDetails() {
         </div>
       </div>
 
+      {/* Deadlines */}
+      {allowed("view") && <CaseDeadlinesPanel caseId={id} canManage={allowed("manageDeadlines")} />}
+
+      {/* Time tracking */}
+      {allowed("view") && (
+        <CaseTimePanel caseId={id} canLog={allowed("logTime")} canApprove={allowed("approveTime")} />
+      )}
+
       {/* Modals */}
       {showEdit && (
         <EditCaseModal
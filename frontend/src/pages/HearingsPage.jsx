@@ -4,7 +4,7 @@ const HearingsCalendar = lazy(() => import("../components/HearingsCalendar.jsx")
 import HearingChatPanel from "@/components/hearing/HearingChatPanel.jsx";
 import HearingScheduler from "@/components/arbitrator/HearingScheduler";
 import { useAuth } from "@/context/AuthContext";
-import api from "@/utils/api";
+import api, { getAccessToken } from "@/utils/api";
 import { io } from "socket.io-client";
 import { format } from "date-fns";
 import { motion } from "framer-motion";
@@ -33,8 +33,6 @@ export default function HearingsPage() {
   const hearingsRef = useRef([]);
   hearingsRef.current = hearings;
 
-  // token detection (be resilient to different storage keys)
-  const token = typeof window !== "undefined" && (localStorage.getItem("authToken") || localStorage.getItem("token") || sessionStorage.getItem("authToken") || sessionStorage.getItem("token"));
 
   // ===========================
   // Fetch hearings (page)
@@ -81,7 +79,7 @@ export default function HearingsPage() {
 
     const s = io(SOCKET_ORIGIN, {
       transports: ["websocket", "polling"],
-      auth: token ? { token } : undefined,
+      auth: (cb) => cb({ token: getAccessToken() }),
       reconnectionAttempts: 5,
       timeout: 20000,
     });
@@ -14,7 +14,7 @@ import {
   Link as LinkIcon,
   MessageSquare,
 } from "lucide-react";
-import API from "../utils/api";
+import API, { getAccessToken } from "../utils/api";
 import { useAuth } from "../context/AuthContext";
 import { toast } from "sonner";
 
@@ -121,7 +121,7 @@ export default function MediatorDashboard() {
       path: SOCKET_PATH,
       transports: ["websocket"],
       withCredentials: true,
-      auth: { token: localStorage.getItem("token") },
+      auth: (cb) => cb({ token: getAccessToken() }),
       query: { userId: user._id, role: user.role },
     });
 
@@ -5,7 +5,7 @@ import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import * as z from "zod";
 import { Plus, Users, ClipboardList, FileText, Bell, X } from "lucide-react";
-import API from "@/utils/api";
+import API, { getAccessToken } from "@/utils/api";
 import { useAuth } from "@/context/AuthContext";
 import { toast } from "sonner";
 
@@ -121,7 +121,7 @@ export default function ParalegalDashboard() {
       path: SOCKET_PATH,
       transports: ["websocket"],
       withCredentials: true,
-      auth: { token },
+      auth: (cb) => cb({ token: getAccessToken() }),
       query: { userId: user._id, role: user.role },
     });
 
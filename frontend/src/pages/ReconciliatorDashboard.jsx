@@ -43,7 +43,7 @@ import {
   Download,
   Bell,
 } from "lucide-react";
-import API from "../utils/api";
+import API, { getAccessToken } from "../utils/api";
 import { useAuth } from "../context/AuthContext";
 import { toast } from "sonner";
 
@@ -124,7 +124,7 @@ export default function ReconciliatorDashboard() {
       path: SOCKET_PATH,
       transports: ["websocket"],
       withCredentials: true,
-      auth: { token: localStorage.getItem("token") },
+      auth: (cb) => cb({ token: getAccessToken() }),
       query: { userId: user._id, role: user.role },
     });
 
@@ -23,7 +23,7 @@ import {
   Cell,
   Legend,
 } from "recharts";
-import api from "@/utils/api";
+import api, { getAccessToken } from "@/utils/api";
 
 const PIE_COLORS = ["#4F46E5", "#06B6D4", "#10B981", "#F59E0B", "#EF4444"];
 
@@ -87,11 +87,10 @@ export default function ReportsPage() {
   // --- Sockets ---
   useEffect(() => {
     const base = api?.defaults?.baseURL || import.meta.env.VITE_API_URL || "http://localhost:5000";
-    const token = localStorage.getItem("token");
-    if (!token) return;
+    if (!getAccessToken()) return;
     const socket = io(`${base}/reports`, {
       transports: ["websocket"],
-      auth: { token },
+      auth: (cb) => cb({ token: getAccessToken() }),
     });
     socketRef.current = socket;
     socket.on("connect", () => setSocketConnected(true));
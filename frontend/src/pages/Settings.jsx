@@ -1,7 +1,7 @@
 // frontend/src/pages/Settings.jsx
 import React, { useEffect, useState } from "react";
 import { motion as Motion } from "framer-motion";
-import { Bell, Lock, Moon, Sun, Save, Loader2, Settings2 } from "lucide-react";
+import { Bell, Lock, Moon, Sun, Save, Loader2, Settings2, ShieldCheck, KeyRound, Copy, CalendarDays } from "lucide-react";
 import { toast } from "sonner";
 import { useAuth } from "../context/AuthContext";
 import API from "../utils/api";
@@ -10,19 +10,567 @@ import API from "../utils/api";
  * Settings.jsx
  * ======================================================
  * - Manages account-level settings for all user roles.
- * - Allows password change, theme toggle, and notifications preferences.
+ * - Allows password change and theme toggle.
+ * - Notification channels per type, quiet hours and digest emails
+ *   (/api/notifications/preferences).
+ * - Two-factor (TOTP) enrollment, recovery codes and, for admins, the
+ *   per-role 2FA policy (/api/auth/2fa).
+ * - Secret ICS subscription URL for external calendars (/api/calendar/feed).
  * - Persists settings to backend (/api/users/me/settings).
  * - Syncs theme to localStorage + <html> class for Tailwind dark mode.
  */
 
+const inputClass =
+  "border border-slate-300 dark:border-slate-600 rounded-md px-3 py-2 bg-white dark:bg-black-800";
+
+/* ======================================================
+   Recovery codes (shown once after enable / regenerate)
+   ====================================================== */
+function RecoveryCodes({ codes, onDone }) {
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      toast.success("Recovery codes copied");
+    } catch {
+      toast.error("Copy failed — write them down instead");
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-amber-300 bg-amber-50 dark:bg-amber-900/20 p-4 space-y-3">
+      <p className="text-sm">
+        Save these recovery codes somewhere safe. Each works once if you lose your authenticator. They won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+        {codes.map((c) => (
+          <span key={c} className="bg-white dark:bg-black-800 rounded px-2 py-1 text-center">
+            {c}
+          </span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={copy} className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-slate-700 text-white hover:bg-slate-800">
+          <Copy size={14} /> Copy
+        </button>
+        <button onClick={onDone} className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ======================================================
+   Two-factor authentication
+   ====================================================== */
+function TwoFactorSection() {
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [enrollment, setEnrollment] = useState(null); // { secret, otpauthUrl }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [policy, setPolicy] = useState(null);
+
+  const isAdmin = user?.role === "admin";
+
+  const loadStatus = async () => {
+    try {
+      const { data } = await API.get("/auth/2fa");
+      setStatus(data.data);
+    } catch (err) {
+      console.error("2FA status failed:", err);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+    if (isAdmin) {
+      API.get("/auth/2fa/policy")
+        .then(({ data }) => setPolicy(data.data))
+        .catch((err) => console.error("2FA policy failed:", err));
+    }
+  }, [isAdmin]);
+
+  const run = async (fn) => {
+    try {
+      setBusy(true);
+      await fn();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Request failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () =>
+    run(async () => {
+      const { data } = await API.post("/auth/2fa/setup", { password });
+      setEnrollment(data.data);
+      setPassword("");
+    });
+
+  const confirmSetup = () =>
+    run(async () => {
+      const { data } = await API.post("/auth/2fa/enable", { code });
+      setRecoveryCodes(data.data.recoveryCodes);
+      setEnrollment(null);
+      setCode("");
+      updateUser({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+      toast.success("Two-factor authentication enabled");
+      await loadStatus();
+    });
+
+  const regenerate = () =>
+    run(async () => {
+      const { data } = await API.post("/auth/2fa/recovery-codes", { code });
+      setRecoveryCodes(data.data.recoveryCodes);
+      setCode("");
+      await loadStatus();
+    });
+
+  const disable = () =>
+    run(async () => {
+      await API.post("/auth/2fa/disable", { password, code });
+      setPassword("");
+      setCode("");
+      updateUser({ twoFactorEnabled: false });
+      toast.success("Two-factor authentication disabled");
+      await loadStatus();
+    });
+
+  const togglePolicyRole = (role) =>
+    run(async () => {
+      const current = policy.requireTwoFactorRoles || [];
+      const next = current.includes(role) ? current.filter((r) => r !== role) : [...current, role];
+      const { data } = await API.put("/auth/2fa/policy", { requireTwoFactorRoles: next });
+      setPolicy(data.data);
+      toast.success("Two-factor policy updated");
+    });
+
+  if (!status) return null;
+
+  return (
+    <Motion.div initial={{ opacity: 0, y: 15 }} animate={{ opacity: 1, y: 0 }} className="mb-8">
+      <h2 className="text-lg font-semibold mb-3 flex items-center gap-2">
+        <ShieldCheck size={18} /> Two-Factor Authentication
+      </h2>
+
+      {user?.twoFactorSetupRequired && !status.enabled && (
+        <div className="mb-3 rounded-md bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 text-sm p-3">
+          Your role requires two-factor authentication. The rest of the app is locked until you set it up.
+        </div>
+      )}
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : status.enabled ? (
+        <div className="space-y-3">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            Enabled{status.enabledAt ? ` since ${new Date(status.enabledAt).toLocaleDateString()}` : ""} ·{" "}
+            {status.recoveryCodesRemaining} recovery code(s) left
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Current 6-digit code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClass}
+            />
+            {!status.required && (
+              <input
+                type="password"
+                placeholder="Password (to disable)"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={inputClass}
+              />
+            )}
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={regenerate}
+              disabled={busy || !code}
+              className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-slate-700 text-white hover:bg-slate-800 disabled:opacity-60"
+            >
+              <KeyRound size={16} /> New recovery codes
+            </button>
+            {status.required ? (
+              <span className="text-sm text-slate-500 self-center">Required for your role — cannot be turned off.</span>
+            ) : (
+              <button
+                onClick={disable}
+                disabled={busy || !code || !password}
+                className="px-4 py-2 rounded-md bg-red-600 text-white hover:bg-red-700 disabled:opacity-60"
+              >
+                Disable
+              </button>
+            )}
+          </div>
+        </div>
+      ) : enrollment ? (
+        <div className="space-y-3">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            Add LawBridge to your authenticator app (Google Authenticator, Authy, 1Password…) using the link or the setup
+            key, then enter the 6-digit code it shows.
+          </p>
+          <a href={enrollment.otpauthUrl} className="text-blue-600 hover:underline text-sm break-all">
+            Open in authenticator app
+          </a>
+          <div className="font-mono text-sm bg-slate-50 dark:bg-black-700 rounded p-2 break-all select-all">
+            {enrollment.secret.match(/.{1,4}/g).join(" ")}
+          </div>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClass}
+            />
+            <button
+              onClick={confirmSetup}
+              disabled={busy || !code}
+              className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+            >
+              Verify & enable
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-col sm:flex-row gap-3">
+          <input
+            type="password"
+            placeholder="Confirm your password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            onClick={startSetup}
+            disabled={busy || !password}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+          >
+            {busy ? <Loader2 className="animate-spin" size={16} /> : <ShieldCheck size={16} />}
+            Set up two-factor
+          </button>
+        </div>
+      )}
+
+      {isAdmin && policy && (
+        <div className="mt-6 border-t border-slate-200 dark:border-slate-700 pt-4">
+          <h3 className="font-medium mb-2">Require two-factor for roles</h3>
+          <div className="flex flex-wrap gap-4">
+            {policy.availableRoles.map((role) => (
+              <label key={role} className="flex items-center gap-2 text-sm capitalize">
+                <input
+                  type="checkbox"
+                  checked={policy.requireTwoFactorRoles.includes(role)}
+                  disabled={busy}
+                  onChange={() => togglePolicyRole(role)}
+                  className="h-4 w-4 accent-blue-600"
+                />
+                {role}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </Motion.div>
+  );
+}
+
+/* ======================================================
+   Calendar subscription (ICS feed)
+   ====================================================== */
+function CalendarFeedSection() {
+  const [status, setStatus] = useState(null);
+  const [urls, setUrls] = useState(null); // { url, webcalUrl } — only right after creating
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    API.get("/calendar/feed")
+      .then(({ data }) => setStatus(data.data))
+      .catch((err) => console.error("Calendar feed status failed:", err));
+  }, []);
+
+  const run = async (fn) => {
+    try {
+      setBusy(true);
+      await fn();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Request failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createUrl = () =>
+    run(async () => {
+      if (status?.enabled && !window.confirm("Your current calendar URL will stop working. Continue?")) return;
+      const { data } = await API.post("/calendar/feed");
+      setStatus(data.data);
+      setUrls(data.data);
+    });
+
+  const revoke = () =>
+    run(async () => {
+      await API.delete("/calendar/feed");
+      setStatus({ enabled: false });
+      setUrls(null);
+      toast.success("Calendar feed disabled");
+    });
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(urls.url);
+      toast.success("Calendar URL copied");
+    } catch {
+      toast.error("Copy failed — select the URL instead");
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <Motion.div initial={{ opacity: 0, y: 15 }} animate={{ opacity: 1, y: 0 }} className="mb-8">
+      <h2 className="text-lg font-semibold mb-3 flex items-center gap-2">
+        <CalendarDays size={18} /> Calendar Subscription
+      </h2>
+      <p className="text-sm text-slate-500 mb-3">
+        Subscribe from Outlook, Google or Apple Calendar to see your hearings, mediation sessions and reconciliation
+        meetings. Anyone with the URL can read the feed, so keep it private.
+      </p>
+
+      {urls && (
+        <div className="rounded-lg border border-amber-300 bg-amber-50 dark:bg-amber-900/20 p-4 space-y-3 mb-3">
+          <p className="text-sm">Copy this URL now — it won't be shown again.</p>
+          <div className="font-mono text-sm bg-white dark:bg-black-800 rounded p-2 break-all select-all">{urls.url}</div>
+          <div className="flex gap-2">
+            <button onClick={copy} className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-slate-700 text-white hover:bg-slate-800">
+              <Copy size={14} /> Copy
+            </button>
+            <a href={urls.webcalUrl} className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700">
+              Open in calendar app
+            </a>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && !urls && (
+        <p className="text-sm mb-3">
+          Feed active since {new Date(status.createdAt).toLocaleDateString()}
+          {status.lastAccessedAt && ` · last synced ${new Date(status.lastAccessedAt).toLocaleString()}`}
+        </p>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={createUrl}
+          disabled={busy}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+        >
+          {busy ? <Loader2 className="animate-spin" size={16} /> : <CalendarDays size={16} />}
+          {status.enabled ? "Generate new URL" : "Create calendar URL"}
+        </button>
+        {status.enabled && (
+          <button
+            onClick={revoke}
+            disabled={busy}
+            className="px-4 py-2 rounded-md border border-red-300 text-red-600 hover:bg-red-50 disabled:opacity-60"
+          >
+            Disable
+          </button>
+        )}
+      </div>
+    </Motion.div>
+  );
+}
+
+/* ======================================================
+   Notification preferences (/api/notifications/preferences)
+   ====================================================== */
+const NOTIFICATION_TYPE_LABELS = {
+  case_update: "Case updates",
+  task_update: "Task updates",
+  adr_update: "ADR updates",
+  reminder: "Reminders",
+  document: "Documents",
+  message: "Messages",
+  billing: "Billing",
+  general: "General",
+  system: "System notices",
+  alert: "Security alerts",
+};
+const CHANNEL_LABELS = { inApp: "In-app", email: "Email", digest: "Digest" };
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function NotificationPreferencesSection() {
+  const [prefs, setPrefs] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    API.get("/notifications/preferences")
+      .then(({ data }) => {
+        const loaded = data.data;
+        // First visit: suggest the browser's timezone instead of UTC
+        const browserTz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (loaded.timezone === "UTC" && browserTz) loaded.timezone = browserTz;
+        setPrefs(loaded);
+      })
+      .catch((err) => console.error("Notification preferences failed:", err));
+  }, []);
+
+  const setChannel = (type, channel, on) =>
+    setPrefs((p) => ({ ...p, channels: { ...p.channels, [type]: { ...p.channels[type], [channel]: on } } }));
+  const setQuiet = (patch) => setPrefs((p) => ({ ...p, quietHours: { ...p.quietHours, ...patch } }));
+  const setDigest = (patch) => setPrefs((p) => ({ ...p, digest: { ...p.digest, ...patch } }));
+
+  const save = async () => {
+    try {
+      setSaving(true);
+      const { timezone, quietHours, digest, channels } = prefs;
+      const { data } = await API.put("/notifications/preferences", {
+        timezone,
+        quietHours,
+        digest: { frequency: digest.frequency, hour: digest.hour, weekday: digest.weekday },
+        channels,
+      });
+      setPrefs(data.data);
+      toast.success("Notification preferences saved");
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Failed to save notification preferences");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!prefs) return null;
+
+  const types = Object.keys(NOTIFICATION_TYPE_LABELS).filter((t) => prefs.channels[t]);
+
+  return (
+    <Motion.div initial={{ opacity: 0, y: 15 }} animate={{ opacity: 1, y: 0 }} className="mb-8">
+      <h2 className="text-lg font-semibold mb-3 flex items-center gap-2">
+        <Bell size={18} /> Notifications
+      </h2>
+
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 font-medium">Type</th>
+            {Object.values(CHANNEL_LABELS).map((label) => (
+              <th key={label} className="py-1 font-medium text-center">
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {types.map((type) => (
+            <tr key={type} className="border-t border-slate-100 dark:border-slate-700">
+              <td className="py-2">{NOTIFICATION_TYPE_LABELS[type]}</td>
+              {Object.keys(CHANNEL_LABELS).map((channel) => {
+                const locked = channel === "inApp" && prefs.lockedInApp?.includes(type);
+                return (
+                  <td key={channel} className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={!!prefs.channels[type][channel]}
+                      disabled={locked}
+                      title={locked ? "Always shown in the app" : undefined}
+                      onChange={(e) => setChannel(type, channel, e.target.checked)}
+                      className="h-4 w-4 accent-blue-600"
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <label className="flex flex-col gap-1 text-sm">
+          <span>Timezone</span>
+          <input value={prefs.timezone} onChange={(e) => setPrefs((p) => ({ ...p, timezone: e.target.value }))} className={inputClass} />
+        </label>
+
+        <div className="flex flex-col gap-1 text-sm">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={prefs.quietHours.enabled}
+              onChange={(e) => setQuiet({ enabled: e.target.checked })}
+              className="h-4 w-4 accent-blue-600"
+            />
+            <span>Quiet hours</span>
+          </label>
+          <div className="flex items-center gap-2">
+            <input type="time" value={prefs.quietHours.start} disabled={!prefs.quietHours.enabled} onChange={(e) => setQuiet({ start: e.target.value })} className={inputClass} />
+            <span>to</span>
+            <input type="time" value={prefs.quietHours.end} disabled={!prefs.quietHours.enabled} onChange={(e) => setQuiet({ end: e.target.value })} className={inputClass} />
+          </div>
+          <span className="text-xs text-slate-500">No pop-ups, and emails wait until quiet hours end. Security alerts still come through.</span>
+        </div>
+
+        <label className="flex flex-col gap-1 text-sm">
+          <span>Digest email</span>
+          <select value={prefs.digest.frequency} onChange={(e) => setDigest({ frequency: e.target.value })} className={inputClass}>
+            <option value="off">Off</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+        </label>
+
+        {prefs.digest.frequency !== "off" && (
+          <div className="flex items-end gap-2 text-sm">
+            {prefs.digest.frequency === "weekly" && (
+              <select value={prefs.digest.weekday} onChange={(e) => setDigest({ weekday: Number(e.target.value) })} className={inputClass}>
+                {WEEKDAYS.map((day, i) => (
+                  <option key={day} value={i}>
+                    {day}
+                  </option>
+                ))}
+              </select>
+            )}
+            <select value={prefs.digest.hour} onChange={(e) => setDigest({ hour: Number(e.target.value) })} className={inputClass}>
+              {Array.from({ length: 24 }, (_, h) => (
+                <option key={h} value={h}>
+                  {String(h).padStart(2, "0")}:00
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        The digest collects unread items from types with "Digest" ticked into one email.
+      </p>
+
+      <button
+        onClick={save}
+        disabled={saving}
+        className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+      >
+        {saving ? <Loader2 className="animate-spin" size={16} /> : <Save size={16} />}
+        Save notification settings
+      </button>
+    </Motion.div>
+  );
+}
+
 export default function Settings() {
   const { user } = useAuth();
   const [saving, setSaving] = useState(false);
   const [loading, setLoading] = useState(true);
 
   const [settings, setSettings] = useState({
-    notifications: true,
-    emailUpdates: true,
     theme: "light",
   });
 
@@ -38,8 +586,6 @@ export default function Settings() {
       try {
         const { data } = await API.get("/users/me/settings");
         setSettings({
-          notifications: data.notifications ?? true,
-          emailUpdates: data.emailUpdates ?? true,
           theme: data.theme || "light",
         });
         applyTheme(data.theme || "light");
@@ -130,47 +676,7 @@ export default function Settings() {
           </div>
         </div>
 
-        {/* Notifications */}
-        <Motion.div
-          initial={{ opacity: 0, y: 15 }}
-          animate={{ opacity: 1, y: 0 }}
-          className="mb-8"
-        >
-          <h2 className="text-lg font-semibold mb-3 flex items-center gap-2">
-            <Bell size={18} /> Notifications
-          </h2>
-          <div className="space-y-3">
-            <label className="flex items-center justify-between">
-              <span>Email Updates</span>
-              <input
-                type="checkbox"
-                checked={settings.emailUpdates}
-                onChange={(e) =>
-                  setSettings((s) => ({
-                    ...s,
-                    emailUpdates: e.target.checked,
-                  }))
-                }
-                className="h-4 w-4 accent-blue-600"
-              />
-            </label>
-
-            <label className="flex items-center justify-between">
-              <span>In-app Notifications</span>
-              <input
-                type="checkbox"
-                checked={settings.notifications}
-                onChange={(e) =>
-                  setSettings((s) => ({
-                    ...s,
-                    notifications: e.target.checked,
-                  }))
-                }
-                className="h-4 w-4 accent-blue-600"
-              />
-            </label>
-          </div>
-        </Motion.div>
+        <NotificationPreferencesSection />
 
         {/* Theme */}
         <Motion.div
@@ -204,6 +710,10 @@ export default function Settings() {
           </div>
         </Motion.div>
 
+        <TwoFactorSection />
+
+        <CalendarFeedSection />
+
         {/* Password change */}
         <Motion.div
           initial={{ opacity: 0, y: 15 }}
@@ -1,7 +1,7 @@
 // frontend/src/pages/admin/UserManagement.jsx
 import React, { useEffect, useMemo, useState, useRef, useCallback } from "react";
 import { io } from "socket.io-client";
-import API from "../../utils/api";
+import API, { getAccessToken } from "../../utils/api";
 import { useAuth } from "../../context/AuthContext";
 import { toast } from "sonner";
 import { motion as Motion } from "framer-motion";
@@ -98,7 +98,7 @@ export default function UserManagement() {
       path: SOCKET_PATH,
       transports: ["websocket"],
       withCredentials: true,
-      auth: { token: localStorage.getItem("token") },
+      auth: (cb) => cb({ token: getAccessToken() }),
       query: { userId: me._id, role: me.role },
     });
 
@@ -21,6 +21,7 @@ import React, { useEffect, useState, useRef } from "react";
 import { useParams } from "react-router-dom";
 import axios from "axios";
 import io from "socket.io-client";
+import { getAccessToken } from "@/utils/api";
 import {
   Card,
   CardContent,
@@ -86,6 +87,7 @@ export default function ArbitrationHearingRoom() {
       const s = io(SOCKET_URL, {
         query: { roomId: id },
         transports: ["websocket"],
+        auth: (cb) => cb({ token: getAccessToken() }),
       });
 
       s.on("connect", () => {
@@ -3,7 +3,7 @@ import React, { useEffect, useState, useMemo } from "react";
 import { io } from "socket.io-client";
 import { useAuth } from "@/context/AuthContext";
 import { toast } from "sonner";
-import API from "@/utils/api";
+import API, { getAccessToken } from "@/utils/api";
 import IntakeForm from "./components/IntakeForm.jsx";
 import Attachments from "./components/Attachments.jsx";
 import DuplicateCheck from "./components/DuplicateCheck.jsx";
@@ -16,17 +16,17 @@ import "./intake.css";
  *  - shows IntakeForm for new client data
  *  - runs duplicate email/phone check (DuplicateCheck)
  *  - supports attachments upload (Attachments)
- *  - posts to backend POST /clients
+ *  - posts to backend POST /intake
  *  - displays a success screen (IntakeSuccess) with quick actions
  *
  * Backend expectations:
- *  - POST /clients            -> create client
- *  - GET  /clients?query=...  -> duplicate checks (optional)
+ *  - POST /intake                 -> create client (+ attachments, optional draft case)
+ *  - GET  /intake/duplicate?...    -> fuzzy duplicate checks
  *  - Socket: client:created   -> broadcast new client
  *
  * Notes:
  *  - This component relies on your API axios wrapper (API) to provide
- *    baseURL / headers (auth token). Keep usage consistent: API.post("/clients", ...)
+ *    baseURL / headers (auth token). Keep usage consistent: API.post("/intake", ...)
  */
 
 const SOCKET_URL = import.meta.env.VITE_BACKEND_URL || import.meta.env.VITE_API_URL || "http://localhost:5000";
@@ -50,9 +50,7 @@ export default function IntakePage() {
       path: SOCKET_PATH,
       transports: ["websocket"],
       withCredentials: true,
-      auth: {
-        token: localStorage.getItem("authToken") || sessionStorage.getItem("authToken"),
-      },
+      auth: (cb) => cb({ token: getAccessToken() }),
       query: { userId: user._id, role: user.role },
     });
 
@@ -90,18 +88,18 @@ export default function IntakePage() {
   );
 
   // Duplicate-check helper (invoke backend endpoint or local check)
-  // Expects API endpoint: GET /clients?email=... OR a dedicated duplicate route
+  // GET /intake/duplicate?email=...&phone=... -> { matches }
   const runDuplicateCheck = async ({ email, phone }) => {
     try {
       if (!email && !phone) return [];
       setLoading(true);
 
-      // Prefer a dedicated endpoint if available e.g., GET /clients?email=...
-      // Using query-based search for compatibility with your current controllers.
-      const q = email ? `email=${encodeURIComponent(email)}` : `phone=${encodeURIComponent(phone)}`;
-      const res = await API.get(`/clients?${q}`);
+      const params = new URLSearchParams();
+      if (email) params.set("email", email);
+      if (phone) params.set("phone", phone);
+      const res = await API.get(`/intake/duplicate?${params.toString()}`);
 
-      const found = Array.isArray(res.data) ? res.data : [];
+      const found = res.data?.matches || [];
       setRecentDuplicates(found.slice(0, 5));
       return found;
     } catch (err) {
@@ -116,7 +114,7 @@ export default function IntakePage() {
 
   // Called by IntakeForm on submit
   const handleCreateClient = async (payload) => {
-    // payload expected to match clientController.createClient:
+    // payload expected to match POST /intake (see controllers/intakeController.js):
     // { name, email, phone, address, company, notes, requiredService, caseDescription, sharedWith }
     try {
       setSubmitting(true);
@@ -125,9 +123,9 @@ export default function IntakePage() {
       if (attachments?.length) payload.attachments = attachments;
 
       // Create client on server
-      const res = await API.post("/clients", payload);
+      const res = await API.post("/intake", payload);
 
-      // server returns { message, client, userCreated } per controller
+      // server returns { message, client, case, conflicts, userCreated }
       const created = res.data?.client || res.data;
       setCreatedClient(created);
 
@@ -12,7 +12,7 @@ import { Search, ExternalLink, X } from "lucide-react";
  * based on a user-supplied query string (email, phone, name fragment).
  *
  * Features
- * - Debounced queries to `/clients?q=...&limit=...`
+ * - Debounced queries to `/intake/duplicate?q=...&limit=...` (fuzzy name, normalized email/phone)
  * - Shows loading / empty / error states
  * - Presents clickable results with "Open" link and "Select" button
  * - Calls onSelect(client) when user picks a client (caller decides what to do)
@@ -51,8 +51,8 @@ export default function DuplicateCheck({
       setError(null);
 
       try {
-        const res = await API.get(`/clients?q=${encodeURIComponent(q)}&limit=${limit}`);
-        const data = Array.isArray(res.data) ? res.data : res.data?.items || res.data || [];
+        const res = await API.get(`/intake/duplicate?q=${encodeURIComponent(q)}&limit=${limit}`);
+        const data = res.data?.matches || [];
         setResults(data || []);
       } catch (err) {
         console.error("Duplicate fetch error:", err);
@@ -16,8 +16,9 @@ import PropTypes from "prop-types";
  * - React Hook Form + zod validation
  * - Immediate file uploads to /upload/multiple
  * - Per-file preview + remove (calls DELETE /upload)
- * - Duplicate detection (/clients?q=)
- * - Save draft and Submit (POST /clients)
+ * - Duplicate detection (/intake/duplicate?q=)
+ * - Save draft and Submit (POST /intake — client, attachments and optional draft case)
+ * - Conflict-of-interest prompt when the server answers 409 CONFLICT_OF_INTEREST
  *
  * Expects:
  * - API axios instance configured (baseURL + auth)
@@ -154,8 +155,8 @@ export default function IntakeForm({ categories = [], sources = [], onSuccess })
     t = setTimeout(async () => {
       try {
         // API instance should have baseURL that maps to /api
-        const res = await API.get(`/clients?q=${encodeURIComponent(q)}&limit=5`);
-        const list = Array.isArray(res.data) ? res.data : (res.data?.clients || res.data?.items || []);
+        const res = await API.get(`/intake/duplicate?q=${encodeURIComponent(q)}&limit=5`);
+        const list = res.data?.matches || [];
         setDuplicates(list);
       } catch (err) {
         console.error("Duplicate check failed:", err);
@@ -254,6 +255,22 @@ export default function IntakeForm({ categories = [], sources = [], onSuccess })
   /* ------------------------
      Submit / Save Draft
      ------------------------ */
+
+  // POST /intake; on a conflict-of-interest 409 ask the officer to acknowledge and resend
+  const postIntake = async (payload) => {
+    try {
+      return await API.post("/intake", payload);
+    } catch (err) {
+      const srv = err?.response?.data;
+      if (err?.response?.status !== 409 || srv?.code !== "CONFLICT_OF_INTEREST") throw err;
+
+      const lines = (srv.conflicts || [])
+        .map((c) => `• ${c.party?.name || c.party?.email} — ${c.role} in ${c.matter?.ref || c.source}`)
+        .join("\n");
+      if (!window.confirm(`Potential conflict of interest:\n${lines}\n\nProceed anyway?`)) throw err;
+      return API.post("/intake", { ...payload, acknowledgeConflicts: true });
+    }
+  };
   const buildPayload = (formValues, status = "submitted") => {
     const payload = {
       // person fields
@@ -329,8 +346,8 @@ export default function IntakeForm({ categories = [], sources = [], onSuccess })
       // UI lock handled by react-hook-form's isSubmitting; still show loading toast optionally
       const payload = buildPayload(values, "submitted");
 
-      // Use API.post("/clients") — assumes API baseURL already contains /api
-      const res = await API.post("/clients", payload);
+      // API baseURL already contains /api
+      const res = await postIntake(payload);
 
       // backend may return { client, case, userCreated, message } or client directly
       const data = res.data || res;
@@ -375,7 +392,7 @@ export default function IntakeForm({ categories = [], sources = [], onSuccess })
   const onSaveDraft = async (values) => {
     try {
       const payload = buildPayload(values, "draft");
-      const res = await API.post("/clients", payload);
+      const res = await postIntake(payload);
       const data = res.data || res;
       toast.success("Draft saved");
       onSuccess?.(data);
@@ -1,7 +1,7 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
-import { Lock, Mail, Eye, EyeOff } from "lucide-react";
+import { Lock, Mail, Eye, EyeOff, ShieldCheck } from "lucide-react";
 import { toast } from "sonner";
 import { useAuth } from "@/context/AuthContext";
 
@@ -14,7 +14,7 @@ import { useAuth } from "@/context/AuthContext";
 
 export default function Login() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
 
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
@@ -25,15 +25,30 @@ export default function Login() {
   const [resetLoading, setResetLoading] = useState(false);
   const [resetSent, setResetSent] = useState(false);
 
+  // Step 2 (accounts with two-factor authentication)
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [otpCode, setOtpCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const enterApp = (user) => {
+    if (user.twoFactorSetupRequired) {
+      toast.warning("Your role requires two-factor authentication. Please set it up to continue.");
+      return navigate("/dashboard/settings");
+    }
+    toast.success("Welcome back!");
+    navigate(`/dashboard/${user.role || "advocate"}`);
+  };
+
   const handleLogin = async (e) => {
     e.preventDefault();
     setLoading(true);
     try {
-      const user = await login(email, password, true);
-      if (user) {
-        toast.success("Welcome back!");
-        navigate(`/dashboard/${user.role || "advocate"}`);
+      const result = await login(email, password, true);
+      if (result?.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
       }
+      if (result) enterApp(result);
     } catch (err) {
       toast.error(err?.response?.data?.message || "Invalid credentials");
     } finally {
@@ -41,6 +56,27 @@ export default function Login() {
     }
   };
 
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const payload = useRecoveryCode ? { recoveryCode: otpCode } : { code: otpCode };
+      const user = await completeTwoFactorLogin(challengeToken, payload, true);
+      if (user) enterApp(user);
+    } catch (err) {
+      const code = err?.response?.data?.code;
+      toast.error(err?.response?.data?.message || "Invalid code");
+      // Challenge expired — start over from the password step
+      if (code === "CHALLENGE_INVALID") {
+        setChallengeToken(null);
+        setPassword("");
+      }
+      setOtpCode("");
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleForgot = async (e) => {
     e.preventDefault();
     setResetLoading(true);
@@ -96,7 +132,64 @@ export default function Login() {
           </p>
         </div>
 
-        {/* 📝 Login Form */}
+        {/* 🔢 Two-factor step */}
+        {challengeToken ? (
+          <form onSubmit={handleTwoFactor} className="space-y-5">
+            <div>
+              <label className="text-sm font-medium text-slate-700">
+                {useRecoveryCode ? "Recovery code" : "Authentication code"}
+              </label>
+              <div className="relative mt-1">
+                <ShieldCheck className="absolute left-3 top-3 text-blue-400 w-5 h-5" />
+                <input
+                  type="text"
+                  inputMode={useRecoveryCode ? "text" : "numeric"}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={otpCode}
+                  onChange={(e) => setOtpCode(e.target.value)}
+                  required
+                  placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "6-digit code from your app"}
+                  className="w-full pl-10 pr-3 py-2 border border-blue-100 rounded-lg focus:ring-2 focus:ring-blue-200 focus:border-blue-400 outline-none text-black bg-white/80 tracking-widest"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-between items-center mt-4">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode((v) => !v);
+                  setOtpCode("");
+                }}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+              </button>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="bg-gradient-to-r from-blue-600 to-sky-500 text-white px-6 py-2 rounded-full font-medium shadow-md hover:shadow-lg hover:scale-[1.02] transition-all disabled:opacity-60"
+              >
+                {loading ? "Verifying..." : "Verify"}
+              </button>
+            </div>
+
+            <button
+              type="button"
+              onClick={() => {
+                setChallengeToken(null);
+                setOtpCode("");
+                setPassword("");
+              }}
+              className="text-xs text-slate-500 hover:underline"
+            >
+              ← Back to sign in
+            </button>
+          </form>
+        ) : (
+        /* 📝 Login Form */
         <form onSubmit={handleLogin} className="space-y-5">
           <div>
             <label className="text-sm font-medium text-slate-700">Email</label>
@@ -154,6 +247,7 @@ export default function Login() {
             </button>
           </div>
         </form>
+        )}
 
         <div className="mt-6 text-center text-sm text-slate-600">
           Don’t have an account?{" "}
@@ -3,7 +3,8 @@
  * Centralized Axios instance
  * - Silent handling of aborted/canceled requests
  * - Preserves original Error object for callers (don't replace with error.response)
- * - Central 401 handling + optional redirect
+ * - Central 401 handling: one silent refresh via the httpOnly refresh
+ *   cookie, then redirect to /login if that fails
  * - Exports uploadFile helper that uses the same instance
  */
 
@@ -19,8 +20,55 @@ const api = axios.create({
     "Content-Type": "application/json",
   },
   timeout: 15000,
+  withCredentials: true, // refresh cookie lives on /api/auth
 });
 
+/* Access token storage (same keys as AuthContext) */
+export function getAccessToken() {
+  return localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
+}
+
+function storeAccessToken(token) {
+  // Stay in whichever storage the user chose at login ("remember me" or not)
+  const store = !localStorage.getItem(TOKEN_KEY) && sessionStorage.getItem(TOKEN_KEY) ? sessionStorage : localStorage;
+  store.setItem(TOKEN_KEY, token);
+  window.dispatchEvent(new CustomEvent("auth:token", { detail: token }));
+}
+
+function clearStoredAuth() {
+  try {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    sessionStorage.removeItem(TOKEN_KEY);
+    sessionStorage.removeItem(USER_KEY);
+  } catch (e) {}
+}
+
+/*
+ * Trade the refresh cookie for a new access token. Concurrent callers share
+ * one request: the server rotates the cookie on every call and treats a
+ * replayed cookie as theft.
+ */
+let refreshPromise = null;
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, null, { withCredentials: true, timeout: 15000 })
+      .then((res) => {
+        const token = res.data?.data?.token;
+        if (!token) throw new Error("Refresh response did not include a token");
+        storeAccessToken(token);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+const NO_REFRESH_PATHS = ["/auth/login", "/auth/register", "/auth/refresh", "/auth/logout"];
+
 /* Helper to detect cancellation / abort */
 function isAbortError(err) {
   if (!err) return false;
@@ -34,8 +82,7 @@ function isAbortError(err) {
 /* Request interceptor: attach token if present */
 api.interceptors.request.use(
   (config) => {
-    const token =
-      localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
+    const token = getAccessToken();
     if (token) {
       config.headers = config.headers || {};
       config.headers.Authorization = `Bearer ${token}`;
@@ -52,7 +99,7 @@ api.interceptors.request.use(
 /* Response interceptor: don't swallow cancellation; preserve error object */
 api.interceptors.response.use(
   (res) => res,
-  (err) => {
+  async (err) => {
     // If aborted/canceled, quietly propagate the original error (no noisy logs)
     if (isAbortError(err)) {
       // do not log — callers should handle canceled requests if needed
@@ -63,15 +110,25 @@ api.interceptors.response.use(
     if (err && err.response) {
       const { status, data } = err.response;
 
-      // handle 401 centrally
-      if (status === 401) {
+      // handle 401 centrally: access tokens are short-lived, so try one refresh first
+      const original = err.config || {};
+      // A 401 from login/2FA/logout is a wrong credential, not an expired session
+      const authEndpoint = NO_REFRESH_PATHS.some((p) => (original.url || "").includes(p));
+      if (status === 401 && !authEndpoint && !original._retry) {
+        original._retry = true;
         try {
-          console.warn("🔒 401 Unauthorized — clearing auth and redirecting to /login");
-          localStorage.removeItem(TOKEN_KEY);
-          localStorage.removeItem(USER_KEY);
-          sessionStorage.removeItem(TOKEN_KEY);
-          sessionStorage.removeItem(USER_KEY);
-        } catch (e) {}
+          const token = await refreshAccessToken();
+          original.headers = original.headers || {};
+          original.headers.Authorization = `Bearer ${token}`;
+          return api(original);
+        } catch (refreshErr) {
+          // fall through to the logout below
+        }
+      }
+
+      if (status === 401 && !authEndpoint) {
+        console.warn("🔒 401 Unauthorized — clearing auth and redirecting to /login");
+        clearStoredAuth();
         // Redirect only in browser context
         if (typeof window !== "undefined") {
           window.location.href = "/login";
@@ -104,10 +161,8 @@ api.interceptors.response.use(
 /* multipart upload helper */
 export async function uploadFile(endpoint, formData, options = {}) {
   try {
+    // Authorization is added by the request interceptor
     const headers = { "Content-Type": "multipart/form-data" };
-    const token =
-      localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
-    if (token) headers.Authorization = `Bearer ${token}`;
 
     const res = await api.post(endpoint, formData, {
       headers,
@@ -1,5 +1,6 @@
 // frontend/src/utils/axiosInstance.js
 import axios from "axios";
+import { getAccessToken, refreshAccessToken } from "./api";
 
 // ✅ Dynamically set the base URL depending on environment
 const BASE_URL =
@@ -12,13 +13,13 @@ const axiosInstance = axios.create({
   headers: {
     "Content-Type": "application/json",
   },
-  withCredentials: true, // send cookies if your backend uses them
+  withCredentials: true, // refresh token travels as an httpOnly cookie
 });
 
-// ✅ Automatically attach JWT token from localStorage (or cookies)
+// ✅ Automatically attach the short-lived access token
 axiosInstance.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem("token") || sessionStorage.getItem("token");
+    const token = getAccessToken();
     if (token) config.headers.Authorization = `Bearer ${token}`;
     return config;
   },
@@ -31,29 +32,22 @@ axiosInstance.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
-    // Handle expired token — optional auto-refresh pattern
+    // Handle expired access token — refresh once via the cookie, then retry
     if (
       error.response?.status === 401 &&
+      originalRequest &&
       !originalRequest._retry &&
-      localStorage.getItem("refreshToken")
+      !originalRequest.url?.includes("/auth/")
     ) {
       originalRequest._retry = true;
       try {
-        const refreshToken = localStorage.getItem("refreshToken");
-        const refreshResponse = await axios.post(`${BASE_URL}/auth/refresh`, {
-          refreshToken,
-        });
-
-        const newAccessToken = refreshResponse.data?.accessToken;
-        if (newAccessToken) {
-          localStorage.setItem("token", newAccessToken);
-          originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
-          return axiosInstance(originalRequest);
-        }
+        const newAccessToken = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
+        return axiosInstance(originalRequest);
       } catch (refreshError) {
         console.error("🔒 Token refresh failed:", refreshError);
-        localStorage.removeItem("token");
-        localStorage.removeItem("refreshToken");
+        localStorage.removeItem("authToken");
+        sessionStorage.removeItem("authToken");
         window.location.href = "/login";
       }
     }
@@ -12,6 +12,7 @@
  */
 
 import { io } from "socket.io-client";
+import { getAccessToken } from "./api";
 
 // ✅ Automatically derive the base server URL from your API URL
 // Example: if VITE_API_URL = http://localhost:5000/api → SOCKET_URL = http://localhost:5000
@@ -23,6 +24,9 @@ const SOCKET_URL = import.meta.env.VITE_API_URL
 export const socket = io(SOCKET_URL, {
   autoConnect: false, // connect manually after login
   withCredentials: true,
+  // Verified by the server at handshake; read on every (re)connect so a
+  // token refreshed by the axios interceptors is picked up
+  auth: (cb) => cb({ token: getAccessToken() }),
   reconnection: true,
   reconnectionAttempts: 5,
   reconnectionDelay: 1000,
@@ -34,7 +38,6 @@ export const connectSocketWithToken = (token) => {
     console.warn("⚠️ Cannot connect socket — missing JWT token");
     return;
   }
-  socket.auth = { token }; // optional: backend can validate it
   if (!socket.connected) {
     socket.connect();
     console.log("🔌 Socket.IO connected to:", SOCKET_URL);